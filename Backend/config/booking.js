@@ -0,0 +1,9 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Customers can cancel or reschedule free of charge until this many hours before the slot
+    cancellationWindowHours: numberFromEnv('CANCELLATION_WINDOW_HOURS', 24),
+
+    // Fee (% of the booked price) when an accepted booking is cancelled inside the window
+    cancellationFeePercent: numberFromEnv('CANCELLATION_FEE_PERCENT', 10)
+  };
@@ -0,0 +1,10 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Provider tiers commission rules can target, lowest first
+    providerTiers: ['standard', 'silver', 'gold'],
+
+    // Fee charged when no commission rule matches a payment
+    defaultPercentage: numberFromEnv('PLATFORM_FEE_PERCENT', 10),
+    defaultFixedFee: numberFromEnv('PLATFORM_FEE_FIXED', 0)
+  };
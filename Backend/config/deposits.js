@@ -0,0 +1,9 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Deposits are only asked for on jobs booked at or above this price (rupees)
+    minimumJobValue: numberFromEnv('DEPOSIT_MIN_JOB_VALUE', 0),
+
+    // Upper bound on the deposit a provider can ask for, as % of the booked price
+    maxPercent: numberFromEnv('DEPOSIT_MAX_PERCENT', 50)
+  };
@@ -0,0 +1,10 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // How long the link in a verification email works
+    tokenExpiresInHours: numberFromEnv('EMAIL_VERIFICATION_EXPIRES_IN_HOURS', 24),
+    // Minimum wait before another verification email can be sent to the same account
+    resendCooldownSeconds: numberFromEnv('EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS', 60),
+    // And at most this many in a day
+    maxSendsPerDay: numberFromEnv('EMAIL_VERIFICATION_MAX_SENDS_PER_DAY', 5)
+  };
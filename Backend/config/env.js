@@ -0,0 +1,7 @@
+// Numeric setting from the environment, falling back when unset or not a number
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] === undefined || isNaN(value) ? fallback : value;
+  };
+
+module.exports = { numberFromEnv };
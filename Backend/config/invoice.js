@@ -0,0 +1,32 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Supplier printed on every tax invoice
+    seller: {
+      name: process.env.INVOICE_SELLER_NAME || 'ThrivePro Services',
+      gstin: process.env.INVOICE_SELLER_GSTIN || '',
+      address: process.env.INVOICE_SELLER_ADDRESS || '',
+      stateCode: process.env.INVOICE_SELLER_STATE_CODE || '27', // GST state code, e.g. 27 = Maharashtra
+      email: process.env.EMAIL_FROM || ''
+    },
+
+    // GST rate on services (%), split into CGST + SGST within the state, IGST across states
+    gstRate: numberFromEnv('INVOICE_GST_RATE', 18),
+
+    // Bill amounts are what the customer pays, so tax is carved out of them by default
+    pricesIncludeTax: process.env.INVOICE_PRICES_INCLUDE_TAX !== 'false',
+
+    // Prefix of invoice numbers: <prefix>/<financial year>/<sequence>
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+
+    // SAC (services accounting code) per service category
+    sacCodes: {
+      BeautyAndSaloon: '999722', // Beauty and physical well-being services
+      HouseKeeping: '998533', // Cleaning services
+      Tutor: '999293', // Commercial training and coaching services
+      Electrician: '995461', // Electrical installation services
+      Carpenter: '995468', // Other installation services
+      Plumber: '995465' // Water plumbing and drain laying services
+    },
+    defaultSacCode: '998599' // Other support services
+  };
@@ -1,11 +1,21 @@
+const { numberFromEnv } = require('./env');
+
 module.exports = {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    // Access tokens are short-lived; the refresh token cookie gets a new one
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
   
     // Token generation options
     options: {
       issuer: 'LocalServiceProvider',
       audience: 'allUser',
       algorithm: 'HS256'
+    },
+
+    // Rotating refresh tokens, kept in an httpOnly cookie scoped to the auth routes
+    refresh: {
+      expiresInDays: numberFromEnv('REFRESH_TOKEN_EXPIRES_IN_DAYS', 30),
+      cookieName: 'refreshToken',
+      cookiePath: '/api/auth'
     }
-  };
\ No newline at end of file
+  };
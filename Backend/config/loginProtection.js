@@ -0,0 +1,35 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // 'memory' keeps attempt counts in this process; 'mongo' shares them between instances
+    store: process.env.LOGIN_LIMITER_STORE || 'memory',
+
+    // Failed logins are counted over this window
+    windowMinutes: numberFromEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 15),
+    // After the free attempts, each failure doubles the wait before the next try, up to the maximum
+    delay: {
+      baseSeconds: 1,
+      maxSeconds: 30
+    },
+
+    account: {
+      freeAttempts: 3,
+      // Failures before the account is locked (and its owner emailed)
+      maxAttempts: numberFromEnv('LOGIN_MAX_ATTEMPTS_PER_ACCOUNT', 10),
+      lockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15)
+    },
+
+    // Looser, since many people can share an address
+    ip: {
+      freeAttempts: 10,
+      maxAttempts: numberFromEnv('LOGIN_MAX_ATTEMPTS_PER_IP', 50),
+      lockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15)
+    },
+
+    // Password reset emails: every request counts, not only failures
+    forgotPassword: {
+      windowMinutes: 60,
+      maxPerAccount: numberFromEnv('FORGOT_PASSWORD_MAX_PER_ACCOUNT', 3),
+      maxPerIp: numberFromEnv('FORGOT_PASSWORD_MAX_PER_IP', 10)
+    }
+  };
@@ -0,0 +1,12 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    codeLength: 6,
+    expiresInMinutes: numberFromEnv('OTP_EXPIRES_IN_MINUTES', 10),
+    // Guesses allowed on one code before a new one has to be requested
+    maxAttempts: numberFromEnv('OTP_MAX_ATTEMPTS', 5),
+    // Minimum wait before another code can be sent to the same number for the same purpose
+    resendCooldownSeconds: numberFromEnv('OTP_RESEND_COOLDOWN_SECONDS', 60),
+    // And at most this many codes per number per hour
+    maxSendsPerHour: numberFromEnv('OTP_MAX_SENDS_PER_HOUR', 5)
+  };
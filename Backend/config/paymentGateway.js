@@ -0,0 +1,27 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // 'razorpay' talks to Razorpay; 'mock' keeps everything in memory for offline development
+    provider: process.env.PAYMENT_GATEWAY || 'razorpay',
+    // Currency orders are created in; bill amounts are in its major unit
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+    // Smallest order the gateway accepts, in paise (Razorpay's minimum is ₹1)
+    minimumOrderAmount: 100,
+    // A webhook event still 'processing' after this long is taken to have died mid-way and is
+    // picked up again by the next delivery
+    webhookStaleAfterMinutes: numberFromEnv('WEBHOOK_STALE_AFTER_MINUTES', 5),
+
+    razorpay: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_SECRET,
+      // RazorpayX account payouts are debited from
+      accountNumber: process.env.RAZORPAY_ACCOUNT_NUMBER
+    },
+
+    mock: {
+      keyId: 'rzp_mock_key',
+      keySecret: process.env.MOCK_GATEWAY_SECRET || 'mock_gateway_secret',
+      // Status every mock payout ends up in: 'processed', 'processing' or 'failed'
+      payoutStatus: process.env.MOCK_PAYOUT_STATUS || 'processed'
+    }
+  };
@@ -0,0 +1,25 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Set PAYOUT_JOB_ENABLED=false to stop this instance from running the scheduler
+    enabled: process.env.PAYOUT_JOB_ENABLED !== 'false',
+
+    // How often the payout job runs
+    intervalMinutes: numberFromEnv('PAYOUT_INTERVAL_MINUTES', 60),
+
+    // A transfer becomes payable this long after the payment was captured (refund window)
+    holdPeriodHours: numberFromEnv('PAYOUT_HOLD_HOURS', 72),
+
+    // Providers are paid once their eligible transfers add up to at least this many rupees
+    minimumAmount: numberFromEnv('PAYOUT_MIN_AMOUNT', 100),
+
+    // Failed payout calls are retried after retryBaseMinutes, doubling each time
+    maxAttempts: numberFromEnv('PAYOUT_MAX_ATTEMPTS', 5),
+    retryBaseMinutes: numberFromEnv('PAYOUT_RETRY_BASE_MINUTES', 15),
+
+    // A payout still 'processing' with no gateway payout after this long was claimed by a run
+    // that died before sending it, and is picked up again by the next run
+    staleClaimMinutes: numberFromEnv('PAYOUT_STALE_CLAIM_MINUTES', 15),
+
+    transferMode: process.env.PAYOUT_TRANSFER_MODE || 'imps'
+  };
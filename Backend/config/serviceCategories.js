@@ -0,0 +1,2 @@
+// Top-level services a provider can offer; every child service belongs to one of these
+module.exports = ['BeautyAndSaloon', 'HouseKeeping', 'Tutor', 'Electrician', 'Carpenter', 'Plumber'];
@@ -0,0 +1,15 @@
+module.exports = {
+    // 'console' prints messages (and appends them to outboxFile if set) for local development;
+    // 'twilio' sends real SMS. Production has no default, so codes are never sent nowhere by accident
+    transport: process.env.SMS_TRANSPORT || (process.env.NODE_ENV === 'production' ? undefined : 'console'),
+
+    console: {
+      outboxFile: process.env.SMS_OUTBOX_FILE // e.g. /tmp/sms-outbox.log
+    },
+
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM_NUMBER
+    }
+  };
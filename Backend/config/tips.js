@@ -0,0 +1,7 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Bounds on a single tip, in rupees
+    minAmount: numberFromEnv('TIP_MIN_AMOUNT', 10),
+    maxAmount: numberFromEnv('TIP_MAX_AMOUNT', 5000)
+  };
@@ -0,0 +1,13 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Shown as the account's name in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'ThrivePro',
+    digits: 6,
+    periodSeconds: 30,
+    // Codes from this many periods either side of now are accepted, for clock drift
+    window: 1,
+    recoveryCodeCount: 10,
+    // How long after the password step the second login step can be completed
+    loginChallengeExpiresInMinutes: numberFromEnv('TWO_FACTOR_LOGIN_CHALLENGE_EXPIRES_IN_MINUTES', 5)
+  };
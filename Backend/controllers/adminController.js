@@ -0,0 +1,519 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ServiceRequest = require('../models/ServiceRequest');
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const Transfer = require('../models/Transfer');
+const Payout = require('../models/Payout');
+const Dispute = require('../models/Dispute');
+const ProviderBankDetail = require('../models/ProviderBankDetails');
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { endUserSessions } = require('../utils/sessions');
+const { runPayoutCycle, requeueFailedTransfers } = require('../utils/payouts');
+
+const USER_LIST_FIELDS = 'name email phone_number role address service emailVerified phoneVerified suspended suspension providerTier';
+
+// page/limit from the query string, as the provider payout history takes them
+const pagination = (query) => {
+  const limit = Math.min(Number(query.limit) || 20, 100);
+  const page = Math.max(Number(query.page) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+};
+
+// Adds `field` to the filter if the query has it, rejecting values outside `allowed`
+const enumFilter = (filter, field, value, allowed) => {
+  if (value === undefined || value === '') return null;
+  if (!allowed.includes(value)) {
+    return new AppError(`Invalid ${field}. Use one of: ${allowed.join(', ')}`, 400);
+  }
+  filter[field] = value;
+  return null;
+};
+
+// Adds an ObjectId `field` to the filter if the query has it
+const idFilter = (filter, field, value) => {
+  if (value === undefined || value === '') return null;
+  if (!mongoose.isValidObjectId(value)) return new AppError(`Invalid ${field} id`, 400);
+  filter[field] = value;
+  return null;
+};
+
+// createdAt between ?from and ?to (inclusive dates)
+const dateRangeFilter = (filter, field, { from, to }) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some(date => isNaN(date))) return new AppError('Invalid date in from/to', 400);
+  filter[field] = range;
+  return null;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Runs the page query and the count together and sends the usual list response
+const sendPage = async (res, { query, countQuery, page, key }) => {
+  const [items, total] = await Promise.all([query, countQuery]);
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    total,
+    page,
+    data: { [key]: items }
+  });
+};
+
+// What suspend/reinstate send back; the document itself also holds reset tokens
+const suspensionView = (user) => ({ _id: user._id, name: user.name, suspended: user.suspended, suspension: user.suspension });
+
+const audit = (req, entry) => AuditLog.create({
+  actor: req.user._id,
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  ...entry
+});
+
+// GET /api/admin/users - ?q (name, email or phone), role, suspended, emailVerified
+exports.listUsers = catchAsync(async (req, res, next) => {
+  const { q, role, suspended, emailVerified } = req.query;
+  const { limit, page, skip } = pagination(req.query);
+
+  const filter = {};
+  const error = enumFilter(filter, 'role', role, User.schema.path('role').enumValues);
+  if (error) return next(error);
+  if (suspended !== undefined && suspended !== '') filter.suspended = suspended === 'true';
+  if (emailVerified !== undefined && emailVerified !== '') filter.emailVerified = emailVerified === 'true';
+  if (q) {
+    const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone_number: pattern }];
+  }
+
+  await sendPage(res, {
+    query: User.find(filter).select(USER_LIST_FIELDS).sort({ _id: -1 }).skip(skip).limit(limit),
+    countQuery: User.countDocuments(filter),
+    page,
+    key: 'users'
+  });
+});
+
+// GET /api/admin/users/:id - The account with its bank details and recent activity
+exports.getUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select(`${USER_LIST_FIELDS} twoFactor.enabled emailVerifiedAt phoneVerifiedAt gstin`);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const party = user.role === 'provider' ? 'provider' : 'customer';
+  const [bankDetails, requestCount, recentRequests, auditLogs] = await Promise.all([
+    user.role === 'provider' ? ProviderBankDetail.findOne({ provider: user._id }) : null,
+    ServiceRequest.countDocuments({ [party]: user._id }),
+    ServiceRequest.find({ [party]: user._id })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('serviceNameSnapshot status time_slot createdAt'),
+    AuditLog.find({ user: user._id }).sort({ createdAt: -1 }).limit(20)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: { user, bankDetails, requestCount, recentRequests, auditLogs }
+  });
+});
+
+// PATCH /api/admin/users/:id/suspend - Blocks the account and signs it out everywhere
+exports.suspendUser = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+  if (!reason) {
+    return next(new AppError('Please give a reason for the suspension', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+  if (user.role === 'admin') {
+    return next(new AppError('Admin accounts cannot be suspended here', 400));
+  }
+  if (user.suspended) {
+    return next(new AppError('This account is already suspended', 400));
+  }
+
+  user.suspended = true;
+  user.suspension = { reason, suspendedAt: new Date(), suspendedBy: req.user._id };
+  await user.save({ validateBeforeSave: false });
+  await endUserSessions(user._id, 'suspended');
+  await audit(req, { action: 'user_suspended', user: user._id, details: { reason } });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${user.name} has been suspended and signed out.`,
+    data: { user: suspensionView(user) }
+  });
+});
+
+// PATCH /api/admin/users/:id/reinstate - Lifts a suspension
+exports.reinstateUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+  if (!user.suspended) {
+    return next(new AppError('This account is not suspended', 400));
+  }
+
+  user.suspended = false;
+  user.suspension.reinstatedAt = new Date();
+  user.suspension.reinstatedBy = req.user._id;
+  await user.save({ validateBeforeSave: false });
+  await audit(req, { action: 'user_reinstated', user: user._id, details: { note: req.body.note } });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${user.name} has been reinstated.`,
+    data: { user: suspensionView(user) }
+  });
+});
+
+// GET /api/admin/bank-details - ?status (pending by default)
+exports.listBankDetails = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'verification_status', req.query.status || 'pending',
+    ProviderBankDetail.schema.path('verification_status').enumValues);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: ProviderBankDetail.find(filter)
+      .populate('provider', 'name email phone_number service emailVerified suspended')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: ProviderBankDetail.countDocuments(filter),
+    page,
+    key: 'bankDetails'
+  });
+});
+
+// PATCH /api/admin/bank-details/:id - { verification_status: 'verified' | 'failed', reason }
+exports.reviewBankDetails = catchAsync(async (req, res, next) => {
+  const { verification_status: status, reason } = req.body;
+  if (!['verified', 'failed'].includes(status)) {
+    return next(new AppError("verification_status must be 'verified' or 'failed'", 400));
+  }
+
+  const bankDetails = await ProviderBankDetail.findById(req.params.id);
+  if (!bankDetails) {
+    return next(new AppError('Bank details not found', 404));
+  }
+
+  bankDetails.verification_status = status;
+  await bankDetails.save();
+  await audit(req, {
+    action: status === 'verified' ? 'bank_details_verified' : 'bank_details_rejected',
+    user: bankDetails.provider,
+    details: { bankDetails: bankDetails._id, reason }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { bankDetails }
+  });
+});
+
+// GET /api/admin/service-requests - ?status, customer, provider, from, to (booking creation)
+exports.listServiceRequests = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'status', req.query.status, ServiceRequest.schema.path('status').enumValues)
+    || idFilter(filter, 'customer', req.query.customer)
+    || idFilter(filter, 'provider', req.query.provider)
+    || dateRangeFilter(filter, 'createdAt', req.query);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: ServiceRequest.find(filter)
+      .populate('customer', 'name email phone_number')
+      .populate('provider', 'name email phone_number')
+      .select('-statusHistory')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: ServiceRequest.countDocuments(filter),
+    page,
+    key: 'serviceRequests'
+  });
+});
+
+// GET /api/admin/service-requests/:id - The request with its history, bills and payments
+exports.getServiceRequest = catchAsync(async (req, res, next) => {
+  const serviceRequest = await ServiceRequest.findById(req.params.id)
+    .populate('customer', 'name email phone_number')
+    .populate('provider', 'name email phone_number')
+    .populate('statusHistory.by', 'name role');
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found', 404));
+  }
+
+  const bills = await Bill.find({ request: serviceRequest._id }).sort({ generated_at: 1 });
+  const payments = await Payment.find({ bill: { $in: bills.map(bill => bill._id) } }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    data: { serviceRequest, bills, payments }
+  });
+});
+
+// GET /api/admin/bills - ?status, bill_type, request
+exports.listBills = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'status', req.query.status, Bill.schema.path('status').enumValues)
+    || enumFilter(filter, 'bill_type', req.query.bill_type, Bill.schema.path('bill_type').enumValues)
+    || idFilter(filter, 'request', req.query.request);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: Bill.find(filter)
+      .populate('request', 'serviceNameSnapshot status customer provider')
+      .sort({ generated_at: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: Bill.countDocuments(filter),
+    page,
+    key: 'bills'
+  });
+});
+
+// GET /api/admin/payments - ?status, customer, provider, from, to
+exports.listPayments = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'status', req.query.status, Payment.schema.path('status').enumValues)
+    || idFilter(filter, 'customer', req.query.customer)
+    || idFilter(filter, 'provider', req.query.provider)
+    || dateRangeFilter(filter, 'createdAt', req.query);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: Payment.find(filter)
+      .populate('customer', 'name email')
+      .populate('provider', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: Payment.countDocuments(filter),
+    page,
+    key: 'payments'
+  });
+});
+
+// GET /api/admin/payments/:id - The payment with its bill, refunds, transfer and invoice
+exports.getPayment = catchAsync(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.id)
+    .populate('customer', 'name email phone_number')
+    .populate('provider', 'name email phone_number')
+    .populate('bill');
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  const [refunds, transfers, invoice] = await Promise.all([
+    Refund.find({ payment: payment._id }).sort({ createdAt: -1 }),
+    Transfer.find({ payment: payment._id }),
+    Invoice.findOne({ payment: payment._id }).select('invoice_number issuedAt')
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: { payment, refunds, transfers, invoice }
+  });
+});
+
+// GET /api/admin/transfers - ?status, provider, unbatched=true for transfers no payout has picked up
+exports.listTransfers = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'status', req.query.status, Transfer.schema.path('status').enumValues)
+    || idFilter(filter, 'provider', req.query.provider);
+  if (error) return next(error);
+  if (req.query.unbatched === 'true') filter.payout = null;
+
+  await sendPage(res, {
+    query: Transfer.find(filter)
+      .populate('provider', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: Transfer.countDocuments(filter),
+    page,
+    key: 'transfers'
+  });
+});
+
+// GET /api/admin/payouts - ?status, provider
+exports.listPayouts = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'status', req.query.status, Payout.schema.path('status').enumValues)
+    || idFilter(filter, 'provider', req.query.provider);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: Payout.find(filter)
+      .populate('provider', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: Payout.countDocuments(filter),
+    page,
+    key: 'payouts'
+  });
+});
+
+// POST /api/admin/payouts/run - Runs the payout job now instead of waiting for the scheduler
+exports.runPayouts = catchAsync(async (req, res, next) => {
+  const summary = await runPayoutCycle();
+  if (!summary) {
+    return next(new AppError('A payout run is already in progress', 409));
+  }
+  await audit(req, { action: 'payout_triggered', details: { run: summary } });
+
+  res.status(200).json({
+    status: 'success',
+    data: { summary }
+  });
+});
+
+// POST /api/admin/payouts/:id/requeue - Puts the failed transfers of a payout back in line for the next run
+exports.requeuePayout = catchAsync(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id);
+  if (!payout) {
+    return next(new AppError('Payout not found', 404));
+  }
+  if (!['failed', 'reversed'].includes(payout.status)) {
+    return next(new AppError(`Only failed or reversed payouts can be queued again. Current status: ${payout.status}`, 400));
+  }
+
+  const requeued = await requeueFailedTransfers({ payout: payout._id });
+  await audit(req, { action: 'payout_requeued', user: payout.provider, details: { payout: payout._id, transfers: requeued } });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${requeued} transfer${requeued === 1 ? '' : 's'} will be paid out in the next run.`
+  });
+});
+
+// POST /api/admin/transfers/:transferId/requeue - Same for one failed transfer
+exports.requeueTransfer = catchAsync(async (req, res, next) => {
+  const transfer = await Transfer.findById(req.params.transferId);
+  if (!transfer) {
+    return next(new AppError('Transfer not found', 404));
+  }
+
+  await requeueFailedTransfers({ _id: transfer._id });
+  await audit(req, { action: 'payout_requeued', user: transfer.provider, details: { transfer: transfer._id } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'The transfer will be paid out in the next run.'
+  });
+});
+
+// GET /api/admin/disputes - ?status, from, to (when the dispute was raised)
+exports.listDisputes = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'status', req.query.status, Dispute.schema.path('status').enumValues)
+    || dateRangeFilter(filter, 'createdAt', req.query);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: Dispute.find(filter)
+      .populate({
+        path: 'payment',
+        select: 'amount status customer provider bill',
+        populate: [{ path: 'customer', select: 'name email' }, { path: 'provider', select: 'name email' }]
+      })
+      .populate('handledBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: Dispute.countDocuments(filter),
+    page,
+    key: 'disputes'
+  });
+});
+
+// GET /api/admin/disputes/:id - The dispute with the payment and booking it is about
+exports.getDispute = catchAsync(async (req, res, next) => {
+  const dispute = await Dispute.findById(req.params.id)
+    .populate({
+      path: 'payment',
+      populate: [
+        { path: 'customer', select: 'name email phone_number' },
+        { path: 'provider', select: 'name email phone_number' },
+        { path: 'bill', select: 'request bill_type amount status' }
+      ]
+    })
+    .populate('handledBy', 'name email');
+  if (!dispute) {
+    return next(new AppError('Dispute not found', 404));
+  }
+
+  const refunds = dispute.payment
+    ? await Refund.find({ payment: dispute.payment._id }).sort({ createdAt: -1 })
+    : [];
+
+  res.status(200).json({
+    status: 'success',
+    data: { dispute, refunds }
+  });
+});
+
+// PATCH /api/admin/disputes/:id - { note }: records what was done; the outcome comes from Razorpay
+exports.updateDispute = catchAsync(async (req, res, next) => {
+  const { note } = req.body;
+  if (!note) {
+    return next(new AppError('Please add a note', 400));
+  }
+
+  const dispute = await Dispute.findByIdAndUpdate(
+    req.params.id,
+    { admin_note: note, handledBy: req.user._id, handledAt: new Date() },
+    { new: true }
+  ).populate('handledBy', 'name email');
+  if (!dispute) {
+    return next(new AppError('Dispute not found', 404));
+  }
+  await audit(req, { action: 'dispute_noted', details: { dispute: dispute._id, note } });
+
+  res.status(200).json({
+    status: 'success',
+    data: { dispute }
+  });
+});
+
+// GET /api/admin/audit-logs - ?action, user
+exports.listAuditLogs = catchAsync(async (req, res, next) => {
+  const { limit, page, skip } = pagination(req.query);
+  const filter = {};
+  const error = enumFilter(filter, 'action', req.query.action, AuditLog.schema.path('action').enumValues)
+    || idFilter(filter, 'user', req.query.user);
+  if (error) return next(error);
+
+  await sendPage(res, {
+    query: AuditLog.find(filter)
+      .populate('user', 'name email')
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    countQuery: AuditLog.countDocuments(filter),
+    page,
+    key: 'auditLogs'
+  });
+});
@@ -1,12 +1,85 @@
 const User = require('../models/User');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
-const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
 const jwtConfig = require('../config/jwt');
-const Session = require('../models/Session');
+const {
+  signAccessToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  startSession,
+  endSession,
+  endUserSessions,
+  rotateRefreshToken
+} = require('../utils/sessions');
 const sendEmail = require('../utils/email'); // Import email utility
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/emailVerification');
+const { requestOtp, verifyOtp } = require('../utils/otp');
+const { maskPhoneNumber } = require('../utils/sms');
+const { verifySecondFactorLimited, createLoginChallengeToken, verifyLoginChallengeToken } = require('../utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkForgotPasswordAllowed
+} = require('../utils/loginProtection');
 const crypto = require('crypto'); // Import crypto for token generation
 
+// The user object returned by login, in either of its forms
+const loginUserFields = (user) => ({
+  _id: user._id, // Changed id to _id
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  phone_number: user.phone_number,
+  address: user.address,
+  location: user.location,
+  emailVerified: user.emailVerified,
+  phoneVerified: user.phoneVerified,
+  // Conditionally add provider-specific fields
+  ...(user.role === 'provider' && {
+    service: user.service || 'N/A',
+    experience: user.experience || 'N/A',
+    tradeLicense: user.tradeLicense || 'N/A',
+    charges: user.charges || 'N/A', // Include charges in login response
+  }),
+});
+
+// Signs the user in, or with 2FA on, asks for the second step instead of opening a session
+const sendLoginResponse = async (user, req, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: createLoginChallengeToken(user)
+    });
+  }
+
+  // Open a session for this device: refresh token cookie plus a short-lived access token
+  const token = await startSession(user, req, res);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    accessToken: token,
+    user: loginUserFields(user)
+  });
+};
+
+// Texts the user a code to confirm their phone number. A number can only be verified on one
+// account, since it is then enough to log in with.
+const sendPhoneVerificationCode = async (user) => {
+  if (user.phoneVerified) {
+    throw new AppError('Your phone number is already verified.', 400);
+  }
+  const taken = await User.exists({ _id: { $ne: user._id }, phone_number: user.phone_number, phoneVerified: true });
+  if (taken) {
+    throw new AppError('This phone number is already verified on another account.', 409);
+  }
+  await requestOtp({ phoneNumber: user.phone_number, purpose: 'verify_phone', user });
+};
+
 exports.register = catchAsync(async (req, res, next) => {
   const {
     name,
@@ -98,24 +171,21 @@ exports.register = catchAsync(async (req, res, next) => {
   // Remove password from output
   newUser.password = undefined;
 
-  // Generate JWT token for the new user
-  const token = jwt.sign(
-    { id: newUser._id, role: newUser.role, email: newUser.email },
-    jwtConfig.secret,
-    {
-      expiresIn: jwtConfig.expiresIn,
-      issuer: jwtConfig.options.issuer,
-      audience: jwtConfig.options.audience,
-      algorithm: jwtConfig.options.algorithm
-    }
-  );
+  // Sign the new user in: a session for this device, its refresh cookie and an access token
+  const token = await startSession(newUser, req, res);
 
-  // Create a session for the new user
-  await Session.create({
-    user: newUser._id,
-    ip: req.ip,
-    userAgent: req.get('User-Agent')
-  });
+  // Ask them to confirm the address; registration still succeeds if the email can't go out
+  try {
+    await sendVerificationEmail(newUser);
+  } catch (emailError) {
+    console.error(`Error sending verification email to ${newUser.email}:`, emailError);
+  }
+  // And text a code to confirm the phone number, entered in the next step of signup
+  try {
+    await sendPhoneVerificationCode(newUser);
+  } catch (smsError) {
+    console.error(`Error sending phone verification code to ${newUser.email}:`, smsError);
+  }
 
   // Send response with token and user data
   res.status(201).json({
@@ -130,6 +200,8 @@ exports.register = catchAsync(async (req, res, next) => {
       phone_number: newUser.phone_number,
       address: newUser.address,
       location: newUser.location,
+      emailVerified: newUser.emailVerified,
+      phoneVerified: newUser.phoneVerified,
       // Conditionally add provider-specific fields
       ...(newUser.role === 'provider' && {
         service: newUser.service,
@@ -150,66 +222,98 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password', 400));
   }
 
-  // 2. Check if user exists and password is correct
+  // 2. Refuse straight away while this address or account has to wait or is locked out
+  await checkLoginAllowed({ email, ip: req.ip });
+
+  // 3. Check if user exists and password is correct
   const user = await User.findOne({ email }).select('+password');
 
   if (!user || !(await user.matchPassword(password))) {
+    await recordLoginFailure({ email, user, req });
     return next(new AppError('Incorrect email or password', 401));
   }
+  // With 2FA on, the count is only cleared once the code checks out too, so logging in again
+  // with the password can't reset it between guesses at the code
+  if (!(user.twoFactor && user.twoFactor.enabled)) {
+    await recordLoginSuccess({ email });
+  }
 
-  // 3. Generate JWT token using your config
-  const token = jwt.sign(
-    { id: user._id, role: user.role, email: user.email },
-    jwtConfig.secret,
-    {
-      expiresIn: jwtConfig.expiresIn,
-      issuer: jwtConfig.options.issuer,
-      audience: jwtConfig.options.audience,
-      algorithm: jwtConfig.options.algorithm
-    }
-  );
+  // 4. Remove password from output
+  user.password = undefined;
 
-  // 4. Create a new session
-  await Session.create({
-    user: user._id,
-    ip: req.ip, // Get IP address from request
-    userAgent: req.get('User-Agent') // Get user agent from request headers
-  });
+  // 5. Sign in, or ask for the 2FA code first
+  await sendLoginResponse(user, req, res);
+});
 
-  // 5. Remove password from output
-  user.password = undefined;
+// POST /api/auth/2fa/login - Second login step: the challenge from the first step plus a 2FA code
+exports.verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+  if (!challengeToken || !code) {
+    return next(new AppError('Please provide your two-factor authentication code', 400));
+  }
+
+  const user = await User.findById(verifyLoginChallengeToken(challengeToken));
+  if (!user) {
+    return next(new AppError('The user belonging to this token no longer exists.', 401));
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  await verifySecondFactorLimited(user, code, req);
+  await recordLoginSuccess({ email: user.email });
+
+  const token = await startSession(user, req, res);
 
   res.status(200).json({
     status: 'success',
     message: 'Login successful',
     accessToken: token,
-    user: {
-      _id: user._id, // Changed id to _id
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      phone_number: user.phone_number,
-      address: user.address,
-      location: user.location,
-      // Conditionally add provider-specific fields
-      ...(user.role === 'provider' && {
-        service: user.service || 'N/A',
-        experience: user.experience || 'N/A',
-        tradeLicense: user.tradeLicense || 'N/A',
-        charges: user.charges || 'N/A', // Include charges in login response
-      }),
-    }
+    user: loginUserFields(user)
+  });
+});
+
+// POST /api/auth/otp/login/request - Texts a login code to a verified phone number
+exports.requestLoginOtp = catchAsync(async (req, res, next) => {
+  const phoneNumber = typeof req.body.phone_number === 'string' && req.body.phone_number.trim();
+  if (!phoneNumber) {
+    return next(new AppError('Please provide your phone number', 400));
+  }
+
+  // Only verified numbers can be used to log in; the response doesn't say whether one matched
+  const user = await User.findOne({ phone_number: phoneNumber, phoneVerified: true });
+  if (user) {
+    await requestOtp({ phoneNumber, purpose: 'login', user });
+  } else {
+    logger.info(`Login code requested for unknown or unverified phone number ${maskPhoneNumber(phoneNumber)}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If this number is verified on an account, a login code has been sent to it.'
   });
 });
 
+// POST /api/auth/otp/login/verify - Logs in with the code from the SMS instead of a password
+exports.verifyLoginOtp = catchAsync(async (req, res, next) => {
+  const phoneNumber = typeof req.body.phone_number === 'string' && req.body.phone_number.trim();
+  const { code } = req.body;
+  if (!phoneNumber || !code) {
+    return next(new AppError('Please provide your phone number and the code', 400));
+  }
+
+  const otp = await verifyOtp({ phoneNumber, purpose: 'login', code });
+  const user = await User.findOne({ _id: otp.user, phone_number: phoneNumber, phoneVerified: true });
+  if (!user) {
+    return next(new AppError('This code is invalid or has expired. Please request a new one.', 400));
+  }
+
+  // The texted code replaces the password, not the second factor
+  await sendLoginResponse(user, req, res);
+});
 
 exports.logout = catchAsync(async (req, res, next) => {
-  // 1. Find the active session for the user
-  const session = await Session.findOneAndUpdate(
-    { user: req.user.id, active: true }, // Find active session
-    { logoutTime: Date.now(), active: false }, // Update logout time and set inactive
-    { new: true } // Return the updated session
-  );
+  // 1. End the session the access token belongs to
+  const session = await endSession(req.sessionId, 'logout');
+  clearRefreshCookie(res);
 
   if (!session) {
     return next(new AppError('No active session found', 404));
@@ -222,12 +326,104 @@ exports.logout = catchAsync(async (req, res, next) => {
   });
 });
 
+// Swap the refresh token cookie for a new one and a fresh access token
+exports.refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = req.cookies && req.cookies[jwtConfig.refresh.cookieName];
+  if (!refreshToken) {
+    return next(new AppError('You are not logged in! Please log in to get access.', 401));
+  }
+
+  let rotation;
+  try {
+    rotation = await rotateRefreshToken(refreshToken);
+  } catch (err) {
+    clearRefreshCookie(res);
+    throw err;
+  }
+
+  const user = await User.findById(rotation.session.user);
+  if (!user || user.suspended) {
+    clearRefreshCookie(res);
+    return next(new AppError(user
+      ? 'Your account has been suspended. Please contact support.'
+      : 'The user belonging to this token no longer exists.', 401));
+  }
+
+  setRefreshCookie(res, rotation.refreshToken);
+  res.status(200).json({
+    status: 'success',
+    accessToken: signAccessToken(user, rotation.session)
+  });
+});
+
+// PATCH /api/auth/verify-email/:token - Confirms the address from the emailed link
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const user = await verifyEmailToken(req.params.token);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your email address has been verified.',
+    data: { email: user.email, emailVerified: true }
+  });
+});
+
+// POST /api/auth/verify-email/resend - Sends the signed-in user a new verification link
+exports.resendVerificationEmail = catchAsync(async (req, res, next) => {
+  await sendVerificationEmail(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Verification email sent to ${req.user.email}.`
+  });
+});
+
+// POST /api/auth/phone/verify/request - Texts the signed-in user a new phone verification code
+exports.requestPhoneVerification = catchAsync(async (req, res, next) => {
+  await sendPhoneVerificationCode(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Verification code sent to ${req.user.phone_number}.`
+  });
+});
+
+// POST /api/auth/phone/verify - Confirms the signed-in user's phone number with the texted code
+exports.verifyPhone = catchAsync(async (req, res, next) => {
+  const user = req.user;
+  if (!req.body.code) {
+    return next(new AppError('Please provide the verification code', 400));
+  }
+  if (user.phoneVerified) {
+    return next(new AppError('Your phone number is already verified.', 400));
+  }
+
+  const otp = await verifyOtp({ phoneNumber: user.phone_number, purpose: 'verify_phone', code: req.body.code });
+  if (!otp.user || !otp.user.equals(user._id)) {
+    return next(new AppError('This code is invalid or has expired. Please request a new one.', 400));
+  }
+  const taken = await User.exists({ _id: { $ne: user._id }, phone_number: user.phone_number, phoneVerified: true });
+  if (taken) {
+    return next(new AppError('This phone number is already verified on another account.', 409));
+  }
+
+  user.phoneVerified = true;
+  user.phoneVerifiedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your phone number has been verified.',
+    data: { phone_number: user.phone_number, phoneVerified: true }
+  });
+});
+
 exports.forgotPassword = catchAsync(async (req, res, next) => {
   // 1) Get user based on POSTed email and phone number
   const { email, phone } = req.body;
   if (!email || !phone) {
     return next(new AppError('Please provide email and phone number', 400));
   }
+  await checkForgotPasswordAllowed({ email, req });
 
   const user = await User.findOne({ email: email, phone_number: phone });
   if (!user) {
@@ -307,24 +503,10 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   user.passwordResetExpires = undefined;
   await user.save(); // This triggers the pre-save hook for hashing
 
-  // 3) Log the user in, send JWT
-  const token = jwt.sign(
-    { id: user._id, role: user.role, email: user.email },
-    jwtConfig.secret,
-    {
-      expiresIn: jwtConfig.expiresIn,
-      issuer: jwtConfig.options.issuer,
-      audience: jwtConfig.options.audience,
-      algorithm: jwtConfig.options.algorithm
-    }
-  );
-  
-  // Create a new session upon successful password reset and login
-  await Session.create({
-    user: user._id,
-    ip: req.ip, 
-    userAgent: req.get('User-Agent') 
-  });
+  // 3) Sign out everywhere else, since the old password may have leaked, and log in on a new session.
+  //    With 2FA on, the emailed link alone doesn't sign in: they log in again with both steps.
+  await endUserSessions(user._id, 'password_reset');
+  const token = user.twoFactor && user.twoFactor.enabled ? undefined : await startSession(user, req, res);
 
   // Remove password from output before sending user object
   user.password = undefined; 
@@ -0,0 +1,111 @@
+const ProviderAvailability = require('../models/ProviderAvailability');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { loadAvailability, getBookableSlots } = require('../utils/availability');
+
+const updatableFields = [
+  'weeklyHours',
+  'breaks',
+  'blockedDates',
+  'serviceDurations',
+  'defaultDurationMinutes',
+  'slotIntervalMinutes',
+  'utcOffsetMinutes'
+];
+
+// Get the logged-in provider's availability (defaults if never configured)
+exports.getMyAvailability = catchAsync(async (req, res, next) => {
+  const availability = await loadAvailability(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      availability
+    }
+  });
+});
+
+// Create or replace parts of the logged-in provider's availability
+exports.updateMyAvailability = catchAsync(async (req, res, next) => {
+  const updateData = {};
+  updatableFields.forEach(field => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  });
+
+  if (Object.keys(updateData).length === 0) {
+    return next(new AppError(`Please provide at least one of: ${updatableFields.join(', ')}`, 400));
+  }
+
+  // List fields are replaced wholesale, so anything but an array is a malformed request
+  const listFields = ['weeklyHours', 'breaks', 'blockedDates', 'serviceDurations'];
+  const notList = listFields.find(field => updateData[field] !== undefined && !Array.isArray(updateData[field]));
+  if (notList) {
+    return next(new AppError(`${notList} must be a list`, 400));
+  }
+
+  // Shifts and breaks must end after they start
+  const ranges = [...(updateData.weeklyHours || []), ...(updateData.breaks || [])];
+  if (ranges.some(r => !r || !r.start || !r.end || r.start >= r.end)) {
+    return next(new AppError('Each working-hours and break entry must have an end time after its start time', 400));
+  }
+
+  // Durations may only be set for the provider's own services
+  if (updateData.serviceDurations) {
+    const serviceIds = updateData.serviceDurations.map(d => d.service);
+    const ownedCount = await Service.countDocuments({ _id: { $in: serviceIds }, provider: req.user.id });
+    if (ownedCount !== new Set(serviceIds.map(String)).size) {
+      return next(new AppError('Service durations can only be set for your own services', 400));
+    }
+  }
+
+  const availability = await ProviderAvailability.findOneAndUpdate(
+    { provider: req.user.id },
+    { $set: updateData },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Availability updated successfully',
+    data: {
+      availability
+    }
+  });
+});
+
+// List bookable slots for a provider's service on a given date
+exports.getProviderSlots = catchAsync(async (req, res, next) => {
+  const { providerId } = req.params;
+  const { serviceId, date } = req.query;
+
+  if (!serviceId || !date) {
+    return next(new AppError('Please provide serviceId and date (YYYY-MM-DD).', 400));
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+    return next(new AppError('Date must be in YYYY-MM-DD format.', 400));
+  }
+
+  const provider = await User.findOne({ _id: providerId, role: 'provider' }).select('_id');
+  if (!provider) {
+    return next(new AppError('Service provider not found.', 404));
+  }
+
+  const service = await Service.findOne({ _id: serviceId, provider: providerId }).select('_id');
+  if (!service) {
+    return next(new AppError('Service not found for this provider.', 404));
+  }
+
+  const { durationMinutes, slots } = await getBookableSlots(providerId, serviceId, date);
+
+  res.status(200).json({
+    status: 'success',
+    results: slots.length,
+    data: {
+      date,
+      durationMinutes,
+      slots
+    }
+  });
+});
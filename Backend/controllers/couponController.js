@@ -0,0 +1,44 @@
+const Service = require('../models/Service');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { validateCoupon } = require('../utils/coupons');
+const { roundToPaise } = require('../utils/money');
+
+// Preview a coupon against the booking the customer is about to make; nothing is reserved yet
+exports.validateCoupon = catchAsync(async (req, res, next) => {
+  const { code, providerId, serviceName, serviceId } = req.body;
+
+  if (!code || !providerId || !(serviceId || serviceName)) {
+    return next(new AppError('Please provide the coupon code, provider and service.', 400));
+  }
+
+  // Same lookup as booking: the service is identified by name and provider
+  const service = serviceId
+    ? await Service.findOne({ _id: serviceId, provider: providerId })
+    : await Service.findOne({ name: serviceName, provider: providerId });
+  if (!service) {
+    return next(new AppError('Service not found for the selected provider.', 404));
+  }
+
+  // Priced like the booking itself, from the stored service rather than the client
+  const amount = service.price;
+  const { coupon, discount } = await validateCoupon({
+    code,
+    customerId: req.user.id,
+    providerId,
+    serviceId: service._id,
+    amount
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      discount_type: coupon.discount_type,
+      value: coupon.value,
+      discount,
+      total: roundToPaise(amount - discount)
+    }
+  });
+});
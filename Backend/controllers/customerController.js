@@ -1,9 +1,13 @@
+const mongoose = require('mongoose');
 const Service = require('../models/Service');
 const ServiceRequest = require('../models/ServiceRequest');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const User = require('../models/User');
 const Review = require('../models/Review');
+const { checkSlotAvailability } = require('../utils/availability');
+const { creationEntry } = require('../utils/bookingStateMachine');
+const { reserveCoupon, releaseCoupon } = require('../utils/coupons');
 
 // New controller function to get all services
 exports.getAllServices = catchAsync(async (req, res, next) => {
@@ -145,7 +149,7 @@ exports.getServiceDetails = catchAsync(async (req, res, next) => {
 });
 
 exports.createServiceRequest = catchAsync(async (req, res, next) => {
-  const { service_id, time_slot, customerAddress } = req.body; // Added customerAddress
+  const { service_id, time_slot, customerAddress, couponCode } = req.body; // Added customerAddress
 
   // 1. Validate required fields
   // Customer address might be optional depending on service type, handled by model if made required there.
@@ -168,17 +172,43 @@ exports.createServiceRequest = catchAsync(async (req, res, next) => {
     return next(new AppError('Service provider information is missing.', 500));
   }
 
+  // Reject slots outside the provider's availability or overlapping an existing booking
+  const { durationMinutes, error: slotError } = await checkSlotAvailability(service.provider._id, service._id, requestedTime);
+  if (slotError) {
+    return next(new AppError(slotError, 409));
+  }
+
+  // 4. Hold the coupon, if any, against the id the request is about to get
+  const requestId = new mongoose.Types.ObjectId();
+  let coupon;
+  if (couponCode) {
+    coupon = await reserveCoupon({
+      code: couponCode,
+      customerId: req.user.id,
+      providerId: service.provider._id,
+      serviceId: service._id,
+      amount: service.price,
+      requestId
+    });
+  }
 
-  // 4. Create service request with snapshots
+  // 5. Create service request with snapshots
   const newRequest = await ServiceRequest.create({
+    _id: requestId,
     service: service_id,
     customer: req.user.id,
     provider: service.provider._id, // Assign the provider from the service
     time_slot: requestedTime,
+    durationMinutes,
     serviceNameSnapshot: service.name, // Snapshot service name
     servicePriceSnapshot: service.price, // Snapshot service price
     customerAddress: customerAddress, // Store customer address
-    status: 'pending' 
+    status: 'pending',
+    statusHistory: [creationEntry(req.user.id)],
+    coupon
+  }).catch(async (err) => {
+    if (coupon) await releaseCoupon(requestId);
+    throw err;
   });
 
   res.status(201).json({
@@ -195,7 +225,7 @@ exports.getCustomerOrders = catchAsync(async (req, res, next) => {
   const orders = await ServiceRequest.find({
     customer: customerId,
     // Fetch all relevant statuses for customer's order view (active and historical)
-    status: { $in: ['accepted', 'in-progress', 'completed', 'rejected', 'pending'] } 
+    status: { $in: ['accepted', 'in-progress', 'completed', 'rejected', 'pending', 'cancelled'] } 
   })
   .populate('service', 'name description price') // Populate service details
   .populate('provider', 'name email') // Populate provider details
@@ -0,0 +1,48 @@
+const Bill = require('../models/Bill');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const ServiceRequest = require('../models/ServiceRequest');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { createInvoiceForPayment, renderInvoicePdf } = require('../utils/invoice');
+
+// Download the tax invoice of a paid service request as a PDF (customer or provider).
+// ?invoiceId picks one when a request has several, e.g. a cancellation fee and the service.
+exports.downloadInvoice = catchAsync(async (req, res, next) => {
+  const serviceRequest = await ServiceRequest.findById(req.params.id);
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found', 404));
+  }
+  const isParty = [serviceRequest.customer, serviceRequest.provider]
+    .some(userId => userId && userId.toString() === req.user.id);
+  if (!isParty) {
+    return next(new AppError('Not authorized to view this invoice', 403));
+  }
+
+  const filter = { request: serviceRequest._id };
+  if (req.query.invoiceId) filter._id = req.query.invoiceId;
+  let invoice = await Invoice.findOne(filter).sort({ issuedAt: -1 });
+
+  // Payments captured before invoicing existed get their invoice on first download
+  if (!invoice && !req.query.invoiceId) {
+    // Tips go to the provider in full, so they carry no platform invoice
+    const bills = await Bill.find({ request: serviceRequest._id, bill_type: { $ne: 'tip' } }).select('_id');
+    const payment = await Payment.findOne({
+      bill: { $in: bills.map(bill => bill._id) },
+      status: { $in: ['captured', 'partially_refunded', 'refunded'] }
+    }).sort({ createdAt: -1 });
+    if (payment) invoice = await createInvoiceForPayment(payment);
+  }
+
+  if (!invoice) {
+    return next(new AppError('No invoice yet. Invoices are issued once the payment is captured.', 404));
+  }
+
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoice_number.replace(/\//g, '-')}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.status(200).send(pdf);
+});
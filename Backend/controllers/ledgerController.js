@@ -0,0 +1,41 @@
+const JournalEntry = require('../models/JournalEntry');
+const catchAsync = require('../utils/catchAsync');
+const { ACCOUNTS, getProviderBalances } = require('../utils/ledger');
+
+// Ledger balance owed to the logged-in provider, in paise, with their latest entries
+exports.getMyBalance = catchAsync(async (req, res, next) => {
+  const [balance] = await getProviderBalances(req.user.id);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  const entries = await JournalEntry.find({
+    lines: { $elemMatch: { account: ACCOUNTS.PROVIDER_PAYABLE, provider: req.user._id } }
+  })
+    .sort({ postedAt: -1 })
+    .limit(limit);
+
+  // Only this provider's side of each entry
+  const statement = entries.map(entry => {
+    const line = entry.lines.find(entryLine =>
+      entryLine.account === ACCOUNTS.PROVIDER_PAYABLE && String(entryLine.provider) === req.user.id);
+    return {
+      _id: entry._id,
+      entry_type: entry.entry_type,
+      reference: entry.reference,
+      description: entry.description,
+      postedAt: entry.postedAt,
+      amount: line.credit - line.debit // positive when it adds to what the provider is owed
+    };
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      currency: 'INR',
+      unit: 'paise',
+      balance: balance ? balance.balance : 0,
+      credits: balance ? balance.credits : 0,
+      debits: balance ? balance.debits : 0,
+      statement
+    }
+  });
+});
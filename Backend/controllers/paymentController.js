@@ -1,19 +1,23 @@
-const Razorpay = require('razorpay');
 const Payment = require('../models/Payment');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const Bill = require ('../models/Bill'); // Corrected casing
 const Transfer = require ('../models/Transfer');
-const crypto = require('crypto');
 const ProviderBankDetail = require('../models/ProviderBankDetails');
 const ServiceRequest = require('../models/ServiceRequest');
-
-
-// Initialize Razorpay client
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_SECRET
-});
+const Refund = require('../models/Refund');
+const AuditLog = require('../models/AuditLog');
+const { ensurePayableBill, gatewayAmountDue, recordCapturedPayment } = require('../utils/paymentCapture');
+const {
+  refundableAmount,
+  gatewayRefundableAmount,
+  issueRefund
+} = require('../utils/refunds');
+const { roundToPaise } = require('../utils/money');
+const { getWallet, holdWalletFunds, releaseWalletHold } = require('../utils/wallet');
+const { getPaymentGateway } = require('../utils/paymentGateway');
+const { toMinor, recordPayoutSent } = require('../utils/ledger');
+const paymentGatewayConfig = require('../config/paymentGateway');
 
 
 // Process payment from customer to provider
@@ -31,63 +35,58 @@ exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid service request or unauthorized access', 403));
   }
 
-  // Attempt to find the bill
-  let bill = await Bill.findOne({ request: serviceRequest._id });
+  // The order must be one we created for a bill of this request (service, cancellation fee or tip)
+  const existingPayment = await Payment.findOne({ razorpay_order_id });
+  const bill = existingPayment && await Bill.findById(existingPayment.bill);
+  if (!bill || bill.request.toString() !== serviceRequest._id.toString()) {
+    return next(new AppError('This payment order was not created for this service request', 400));
+  }
 
-  // If bill not found AND service request is 'completed' (meaning it should have a bill)
-  if (!bill && serviceRequest.status === 'completed') {
-    console.log(`Bill not found for completed ServiceRequest ID: ${serviceRequest._id}. Attempting to create it now.`);
-    try {
-      bill = await Bill.create({
-        request: serviceRequest._id,
-        customer: serviceRequest.customer._id,
-        provider: serviceRequest.provider._id, // Assuming provider is populated or serviceRequest.provider stores the ID
-        service: serviceRequest.service,
-        amount: serviceRequest.servicePriceSnapshot,
-        status: 'unpaid', // Corrected initial bill status
-      });
-      console.log(`Just-in-time bill created for ServiceRequest ID: ${serviceRequest._id}`);
-    } catch (billError) {
-      console.error(`Error creating just-in-time bill for ServiceRequest ID ${serviceRequest._id}:`, billError);
-      return next(new AppError('Failed to generate bill for payment. Please try again later.', 500));
-    }
-  } else if (!bill) {
-    // If bill is still not found (e.g., service request not 'completed')
-    return next(new AppError('Bill not found or order not yet ready for payment.', 400));
+  // Verify payment with the gateway
+  const gateway = getPaymentGateway();
+  const validSignature = gateway.verifyPaymentSignature({
+    orderId: razorpay_order_id,
+    paymentId: razorpay_payment_id,
+    signature: razorpay_signature
+  });
+
+  if (!validSignature) {
+    return next(new AppError('Invalid payment signature', 400));
   }
-  
+
+  // The webhook may have recorded this very payment before the browser got back here
+  if (existingPayment.razorpay_payment_id === razorpay_payment_id
+    && !['created', 'failed'].includes(existingPayment.status)) {
+    const transfer = await Transfer.findOne({ payment: existingPayment._id });
+    return res.status(200).json({
+      status: 'success',
+      message: 'Payment already processed',
+      payment: existingPayment,
+      transfer
+    });
+  }
+
   // Check if bill is already paid
   if (bill.status === 'paid') {
     return next(new AppError('Bill already paid', 400));
   }
 
-  // Prevent duplicate payment
-  const existingPayment = await Payment.findOne({ bill: bill._id });
-  if (existingPayment && existingPayment.status === 'captured') {
+  if (existingPayment.status === 'captured') {
     return next(new AppError('Duplicate payment detected. Payment already captured.', 400));
   }
-
-  if (existingPayment && existingPayment.status !== 'created') {
+  if (!['created', 'failed'].includes(existingPayment.status)) {
     return next(new AppError('Invalid transfer status', 400));
   }
 
-  // Verify payment with Razorpay
-  const generatedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_SECRET)
-    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-    .digest('hex');
-
-  if (generatedSignature !== razorpay_signature) {
-    return next(new AppError('Invalid payment signature', 400));
-  }
-
-  // Fetch Razorpay order to verify amount
-  const rzpOrder = await razorpay.orders.fetch(razorpay_order_id);
-  if (rzpOrder.amount_paid !== bill.amount * 100) { // Check amount_paid on the order
+  // Fetch Razorpay order to verify amount (the part of the bill not paid from the wallet)
+  const amountDue = gatewayAmountDue(bill, existingPayment);
+  const rzpOrder = await gateway.fetchOrder(razorpay_order_id);
+  if (rzpOrder.amount_paid !== amountDue) { // Check amount_paid on the order
     // Note: For more precise validation, it might be better to fetch the payment itself
     // and check its amount, as order.amount is the total order amount, 
     // and order.amount_paid reflects what was actually paid.
     // If using payment_capture: 1, order.amount_paid should equal order.amount upon successful payment.
-    console.warn(`Amount mismatch or payment not fully captured on order: Razorpay Order Amount Paid: ${rzpOrder.amount_paid}, Bill Amount: ${bill.amount * 100}`);
+    console.warn(`Amount mismatch or payment not fully captured on order: Razorpay Order Amount Paid: ${rzpOrder.amount_paid}, Amount Due: ${amountDue}`);
     // Depending on strictness, you might allow if rzpOrder.amount_paid >= bill.amount * 100
     // For now, let's assume it must match exactly or payment wasn't fully processed for this order.
     // This check might be redundant if signature verification is robust and payment_capture is 1.
@@ -95,14 +94,14 @@ exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
   }
 
   // Fetch the payment details from Razorpay to get the method and confirm details
-  const rzpPayment = await razorpay.payments.fetch(razorpay_payment_id);
+  const rzpPayment = await gateway.fetchPayment(razorpay_payment_id);
   if (!rzpPayment) {
     return next(new AppError('Could not fetch Razorpay payment details.', 500));
   }
   if (rzpPayment.order_id !== razorpay_order_id) {
     return next(new AppError('Payment ID does not match the Order ID.', 400));
   }
-  if (rzpPayment.amount !== bill.amount * 100) {
+  if (rzpPayment.amount !== amountDue) {
     return next(new AppError('Payment amount mismatch with fetched payment.', 400));
   }
   if (rzpPayment.status !== 'captured') {
@@ -112,61 +111,8 @@ exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
   }
 
 
-  // Find or Create Payment entry
-  let payment = await Payment.findOne({ bill: bill._id, razorpay_order_id: razorpay_order_id });
-
-  if (payment) {
-    // If payment entry exists, update it
-    if (payment.status === 'captured') {
-      // This means we might be processing a webhook or re-verification for an already captured payment.
-      // It's generally okay if details match. If this is purely from client-side handler, it might indicate a retry.
-      console.log('Payment already marked as captured in DB for this order. Verifying details.');
-    }
-    payment.razorpay_payment_id = rzpPayment.id; // Use ID from fetched payment
-    payment.payment_method = rzpPayment.method; // Use method from fetched payment
-    payment.status = 'captured';
-    // Update other fields if necessary, e.g., wallet, vpa from rzpPayment
-    await payment.save();
-  } else {
-    // If no payment entry exists, create a new one
-    payment = await Payment.create({
-      bill: bill._id,
-      customer: serviceRequest.customer._id,
-      provider: serviceRequest.provider._id,
-      amount: bill.amount, // Amount from the bill
-      platform_fee: bill.amount * 0.1, // Example: 10% platform fee, adjust as needed
-      status: 'captured', // Directly to captured as Razorpay confirmed payment
-      payment_method: rzpPayment.method, // Use method from fetched payment
-      razorpay_order_id: rzpPayment.order_id,
-      razorpay_payment_id: rzpPayment.id,
-      // transaction_id: rzpPayment.id // Or a separate field if needed
-    });
-  }
-
-  if (!payment) {
-    // This case should ideally not be reached if create/save is successful
-    return next(new AppError('Failed to create or update payment entry.', 500));
-  }
-
-  // Update bill status to 'paid'
-  bill.status = 'paid';
-  await bill.save();
-
-  // Update ServiceRequest status
-  if (serviceRequest) {
-    serviceRequest.status = 'PaymentCompleted'; // Matched to enum in ServiceRequest model
-    await serviceRequest.save();
-  }
-
-  // Initiate transfer to provider using Razorpay
-  const transferAmount = payment.amount - payment.platform_fee;
-  const transfer = await Transfer.create({
-    payment: payment._id,
-    provider: serviceRequest.provider._id, // Corrected: Use the populated provider from ServiceRequest
-    amount: transferAmount,
-    status: 'created',
-    transfer_mode: 'imps' // Corrected: Use a valid enum value, e.g., 'imps' or 'upi'
-  });
+  // Record the payment, settle the bill and queue the provider transfer
+  const { payment, transfer } = await recordCapturedPayment({ bill, serviceRequest, rzpPayment });
 
   res.status(200).json({
     status: 'success',
@@ -177,7 +123,7 @@ exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
 });
 
 
-// Process payment from me to customer
+// Pay one transfer out to its provider straight away (admin only), instead of waiting for the payout job
 exports.processPaymentFromMeToProvider = catchAsync(async (req, res, next) => {
   const { transferId } = req.params;
 
@@ -195,89 +141,299 @@ exports.processPaymentFromMeToProvider = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid transfer status', 400));
   }
 
+  // The payout job sends batched transfers itself; sending one here as well would pay it twice
+  if (transfer.payout) {
+    return next(new AppError(`Transfer is already batched into payout ${transfer.payout}`, 400));
+  }
+
   // 2. Validate provider bank details
   const providerBankDetails = await ProviderBankDetail.findOne({ provider: transfer.provider._id });
   if (!providerBankDetails || providerBankDetails.verification_status !== 'verified') {
     return next(new AppError('Provider bank details not verified or missing', 400));
   }
 
-  // 3. Perform Razorpay fund transfer
-  const fundTransfer = await razorpay.transfers.create({
-    account_number: process.env.RAZORPAY_ACCOUNT_NUMBER,
-    amount: transfer.amount,
+  // 3. Perform payout to the provider's fund account
+  const payout = await getPaymentGateway().createPayout({
+    fundAccountId: providerBankDetails.razorpay_fund_id,
+    amount: Math.round(transfer.amount * 100), // Amount in paise
     currency: 'INR',
     mode: transfer.transfer_mode,
     purpose: 'payout',
-    fund_account_id: providerBankDetails.razorpay_fund_id,
+    referenceId: transfer._id.toString(),
+    // Sending it again (e.g. after a timeout) returns the same payout; a requeued transfer gets a new key
+    idempotencyKey: `${transfer._id}-${transfer.payout_round || 0}`,
     notes: {
+      transfer_id: transfer._id.toString(),
       payment_id: transfer.payment._id.toString(),
       provider_id: transfer.provider._id.toString()
     }
   });
 
-  // 4. Update transfer status
+  // 4. Update transfer status (payout webhooks correct it if the payout later fails)
   transfer.status = 'captured';
+  transfer.razorpay_payout_id = payout.id;
+  transfer.updatedAt = Date.now();
   await transfer.save();
 
+  await recordPayoutSent({
+    kind: 'Transfer',
+    id: transfer._id,
+    provider: transfer.provider._id,
+    amount: transfer.amount,
+    gatewayPayoutId: payout.id
+  });
+
+  await AuditLog.create({
+    action: 'payout_triggered',
+    actor: req.user._id,
+    user: transfer.provider._id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    details: { transfer: transfer._id, amount: transfer.amount, gatewayPayoutId: payout.id }
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Payment successfully transferred to provider',
-    fundTransfer
+    payout
   });
 });
 
 
-// testing
-exports.createOrder = catchAsync(async(req, res, next) => {
-  // Use the main razorpay instance initialized at the top of the file
-  // const razorpay = new Razorpay({
-  //     key_id: "rzp_test_V3eLJGsq0GMluZ",
-  //     key_secret: "0OT7aG5vG6bvT60WmtBoEY5G"
-  // })
+// Providers manage refunds on payments made to them, admins on any payment
+const canManageRefunds = (user, payment) =>
+  user.role === 'admin' || (user.role === 'provider' && payment.provider.toString() === user.id);
 
-  const options = {
-      amount: req.body.amount, // Amount in paise
-      currency: req.body.currency, // e.g., INR
-      receipt: `rcpt_${Date.now()}`, // Generate a more unique receipt ID
-      payment_capture: 1 // Auto capture payment
-  };
 
-  if (!options.amount || !options.currency) {
-    return next(new AppError('Amount and currency are required to create an order.', 400));
+// Refund a captured payment in full or in part
+exports.refundPayment = catchAsync(async (req, res, next) => {
+  const { paymentId } = req.params;
+  const { amount, reason, destination = 'source' } = req.body;
+
+  if (!['source', 'wallet'].includes(destination)) {
+    return next(new AppError("destination must be 'source' or 'wallet'", 400));
   }
-  if (typeof options.amount !== 'number' || options.amount <= 0) {
-    return next(new AppError('Invalid amount for order creation.', 400));
+
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+  if (!canManageRefunds(req.user, payment)) {
+    return next(new AppError('You are not allowed to refund this payment', 403));
+  }
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    return next(new AppError(`Only captured payments can be refunded. Current status: ${payment.status}`, 400));
+  }
+
+  // No amount means refund whatever is left (that can go back to where it came from)
+  const remaining = destination === 'wallet' ? refundableAmount(payment) : gatewayRefundableAmount(payment);
+  const refundAmount = amount === undefined ? remaining : roundToPaise(Number(amount));
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    return next(new AppError('Refund amount must be a positive number', 400));
+  }
+  if (refundAmount > remaining) {
+    const walletHint = destination === 'source' && refundableAmount(payment) > remaining
+      ? '; the rest can only be refunded to the wallet'
+      : '';
+    return next(new AppError(`Refund amount exceeds the refundable balance of ${remaining}${walletHint}`, 400));
   }
 
+  // issueRefund reserves the amount atomically, so a concurrent refund that passed the check
+  // above still fails with a 400 once the balance is gone
+  const refund = await issueRefund(payment, {
+    amount: refundAmount,
+    reason,
+    destination,
+    initiatedBy: req.user._id
+  });
 
+  const toWallet = destination === 'wallet' ? ' to wallet' : '';
+  res.status(201).json({
+    status: 'success',
+    message: `Payment ${payment.status === 'refunded' ? 'fully' : 'partially'} refunded${toWallet}`,
+    refund,
+    payment
+  });
+});
+
+
+// List the refunds made against a payment
+exports.getRefundsForPayment = catchAsync(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.paymentId);
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+  if (!canManageRefunds(req.user, payment) && payment.customer.toString() !== req.user.id) {
+    return next(new AppError('You are not allowed to view refunds for this payment', 403));
+  }
+
+  const refunds = await Refund.find({ payment: payment._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: refunds.length,
+    amount_refunded: payment.amount_refunded,
+    refundable_amount: refundableAmount(payment),
+    refundable_to_source: gatewayRefundableAmount(payment),
+    refunds
+  });
+});
+
+
+// An earlier order for the same bill can be paid again as long as the gateway still has it unpaid
+// at the bill's amount (mock gateway orders don't survive a restart)
+const reusableOrder = async (gateway, payment, amount) => {
+  if (!payment || !payment.razorpay_order_id) return null;
   try {
-      // Use the globally initialized razorpay instance
-      const response = await razorpay.orders.create(options);
-
-      res.status(200).json({ // Send 200 OK on success
-          status: 'success',
-          order_id: response.id,
-          currency: response.currency,
-          amount: response.amount,
-          receipt: response.receipt
-      });
+    const order = await gateway.fetchOrder(payment.razorpay_order_id);
+    return order.amount === amount && order.status !== 'paid' ? order : null;
   } catch (error) {
+    return null;
+  }
+};
+
+// Paise of the bill to take from the wallet: as much as is available, but leaving the gateway
+// either nothing or at least the smallest order it accepts
+const walletShareFor = (available, billAmount) => {
+  const share = Math.min(Math.max(available, 0), billAmount);
+  const remainder = billAmount - share;
+  if (remainder > 0 && remainder < paymentGatewayConfig.minimumOrderAmount) {
+    return Math.max(0, billAmount - paymentGatewayConfig.minimumOrderAmount);
+  }
+  return share;
+};
+
+// Create the gateway order for a bill. The client names the service request (or bill) and the
+// amount, currency and receipt all come from the bill; the order id is kept on a Payment so
+// verification and webhooks can tie the payment back to the bill. With useWallet the customer's
+// wallet balance is held towards the bill and the order is only for the rest; a bill the wallet
+// covers in full is paid there and then, without a gateway order.
+exports.createOrder = catchAsync(async (req, res, next) => {
+  const { serviceRequestId, billId, useWallet } = req.body;
+
+  if (!serviceRequestId && !billId) {
+    return next(new AppError('Please provide the service request or bill to pay.', 400));
+  }
+
+  let bill;
+  let serviceRequest;
+  if (billId) {
+    bill = await Bill.findById(billId);
+    serviceRequest = bill && await ServiceRequest.findById(bill.request);
+  } else {
+    serviceRequest = await ServiceRequest.findById(serviceRequestId);
+  }
+
+  if (!serviceRequest || serviceRequest.customer.toString() !== req.user.id) {
+    return next(new AppError('Invalid service request or unauthorized access', 403));
+  }
+
+  if (!bill) {
+    bill = await ensurePayableBill(serviceRequest);
+  }
+  if (!bill) {
+    return next(new AppError('Bill not found or order not yet ready for payment.', 400));
+  }
+  if (bill.status !== 'unpaid') {
+    return next(new AppError('Bill already paid', 400));
+  }
+
+  const gateway = getPaymentGateway();
+
+  // One pending Payment per bill: reuse it (and its order, if still payable) on a retry
+  let payment = await Payment.findOne({ bill: bill._id, status: { $in: ['created', 'failed'] } })
+    .sort({ createdAt: -1 });
+  if (payment) {
+    // A retry decides afresh how much of the wallet to use
+    await releaseWalletHold(payment);
+  } else {
+    payment = new Payment({
+      bill: bill._id,
+      customer: serviceRequest.customer,
+      provider: serviceRequest.provider,
+      amount: bill.amount,
+      milestone: bill.bill_type,
+      status: 'created'
+    });
+  }
+
+  let walletShare = 0;
+  if (useWallet) {
+    const wallet = await getWallet(serviceRequest.customer);
+    walletShare = walletShareFor(wallet.available, toMinor(bill.amount));
+    if (walletShare > 0) await holdWalletFunds(payment, walletShare);
+  }
+  payment.amount = bill.amount;
+  payment.wallet_amount = roundToPaise(walletShare / 100);
+  const amount = gatewayAmountDue(bill, payment);
+
+  if (amount === 0) {
+    payment.razorpay_order_id = undefined;
+    payment.updatedAt = Date.now();
+    await payment.save();
+    const { payment: captured } = await recordCapturedPayment({
+      bill,
+      serviceRequest,
+      rzpPayment: { method: 'wallet' },
+      payment
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Paid from wallet',
+      paid: true,
+      bill_id: bill._id,
+      payment_id: captured._id,
+      wallet_amount: captured.wallet_amount
+    });
+  }
+
+  let order = await reusableOrder(gateway, payment, amount);
+  if (!order) {
+    try {
+      order = await gateway.createOrder({
+        amount, // Paise
+        currency: paymentGatewayConfig.currency,
+        receipt: `bill_${bill._id}`,
+        notes: {
+          bill_id: String(bill._id),
+          internal_order_id: String(serviceRequest._id)
+        }
+      });
+    } catch (error) {
       console.error("Error creating Razorpay order:", error); // Log the actual error
-      // Pass the error to the centralized error handler
-      return next(new AppError(error.message || 'Failed to create Razorpay order.', error.statusCode || 500));
+      await releaseWalletHold(payment);
+      const description = (error.error && error.error.description) || error.message;
+      return next(new AppError(description || 'Failed to create Razorpay order.', error.statusCode || 500));
+    }
   }
-})
+
+  payment.razorpay_order_id = order.id;
+  payment.status = 'created';
+  payment.failure_reason = undefined;
+  payment.updatedAt = Date.now();
+  await payment.save();
+
+  res.status(200).json({
+    status: 'success',
+    paid: false,
+    order_id: order.id,
+    currency: order.currency,
+    amount: order.amount,
+    wallet_amount: payment.wallet_amount,
+    receipt: order.receipt,
+    bill_id: bill._id,
+    payment_id: payment._id,
+    gateway: gateway.name, // Lets the client skip Razorpay Checkout for the mock gateway
+    key_id: gateway.keyId
+  });
+});
 
 exports.getPaymentDetails = catchAsync(async(req, res) => {
   const {paymentId} = req.params;
 
-  const razorpay = new Razorpay({
-      key_id: "rzp_test_GcZZFDPP0jHtC4",
-      key_secret: "6JdtQv2u7oUw7EWziYeyoewJ"
-  })
-  
   try {
-      const payment = await razorpay.payments.fetch(paymentId)
+      const payment = await getPaymentGateway().fetchPayment(paymentId)
 
       if (!payment){
           return res.status(500).json("Error at razorpay loading")
@@ -293,3 +449,27 @@ exports.getPaymentDetails = catchAsync(async(req, res) => {
       res.status(500).json("failed to fetch")
   }
 })
+
+// Stands in for Razorpay Checkout when PAYMENT_GATEWAY=mock: pays the order and returns
+// the fields the checkout handler would receive
+exports.simulateMockCheckout = catchAsync(async (req, res, next) => {
+  const gateway = getPaymentGateway();
+  if (gateway.name !== 'mock') {
+    return next(new AppError('Mock checkout is only available with the mock payment gateway', 404));
+  }
+
+  const { order_id, method, fail } = req.body;
+  if (!order_id) {
+    return next(new AppError('order_id is required', 400));
+  }
+
+  try {
+    const response = await gateway.simulateCheckout(order_id, { method, fail: Boolean(fail) });
+    res.status(200).json({
+      status: response.error ? 'fail' : 'success',
+      ...response
+    });
+  } catch (error) {
+    return next(new AppError(error.error ? error.error.description : error.message, error.statusCode || 500));
+  }
+});
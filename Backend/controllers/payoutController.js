@@ -0,0 +1,83 @@
+const Payout = require('../models/Payout');
+const ProviderBankDetail = require('../models/ProviderBankDetails');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const payoutConfig = require('../config/payouts');
+const { eligibleAt, isPayable, findUnbatchedTransfers } = require('../utils/payouts');
+const { roundToPaise } = require('../utils/money');
+
+const payoutStatuses = Payout.schema.path('status').enumValues;
+
+// Past payouts for the logged-in provider, newest first
+exports.getPayoutHistory = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+
+  const filter = { provider: req.user.id };
+  if (status) {
+    if (!payoutStatuses.includes(status)) {
+      return next(new AppError(`Invalid status. Use one of: ${payoutStatuses.join(', ')}`, 400));
+    }
+    filter.status = status;
+  }
+
+  const [payouts, total] = await Promise.all([
+    Payout.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: 'transfers', select: 'payment amount status createdAt' }),
+    Payout.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payouts.length,
+    total,
+    page,
+    data: {
+      payouts
+    }
+  });
+});
+
+// What the logged-in provider will be paid next and when
+exports.getUpcomingPayouts = catchAsync(async (req, res, next) => {
+  const now = new Date();
+
+  const [bankDetails, inFlight, transfers] = await Promise.all([
+    ProviderBankDetail.findOne({ provider: req.user.id }),
+    Payout.find({ provider: req.user.id, status: { $in: ['queued', 'processing'] } }).sort({ createdAt: 1 }),
+    findUnbatchedTransfers({ provider: req.user.id })
+  ]);
+
+  const pendingTransfers = transfers.map(transfer => ({
+    _id: transfer._id,
+    payment: transfer.payment,
+    amount: transfer.amount,
+    createdAt: transfer.createdAt,
+    eligibleAt: eligibleAt(transfer.createdAt)
+  }));
+
+  const eligibleAmount = roundToPaise(pendingTransfers
+    .filter(transfer => transfer.eligibleAt <= now)
+    .reduce((total, transfer) => total + transfer.amount, 0));
+  const onHoldAmount = roundToPaise(pendingTransfers
+    .filter(transfer => transfer.eligibleAt > now)
+    .reduce((total, transfer) => total + transfer.amount, 0));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bankDetailsStatus: bankDetails ? bankDetails.verification_status : 'missing',
+      payable: isPayable(bankDetails),
+      holdPeriodHours: payoutConfig.holdPeriodHours,
+      minimumAmount: payoutConfig.minimumAmount,
+      eligibleAmount,
+      onHoldAmount,
+      inFlight,
+      pendingTransfers
+    }
+  });
+});
@@ -5,19 +5,19 @@ const catchAsync = require('../utils/catchAsync');
 const ServiceRequest = require('../models/ServiceRequest');
 const Bill = require('../models/Bill');
 const ProviderBankDetail = require('../models/ProviderBankDetails');
-const Razorpay = require('razorpay');
 const Payment = require('../models/Payment');
 const sendEmail = require('../utils/email'); // Import sendEmail
+const { hasBookingConflict } = require('../utils/availability');
+const { getTransitionError, applyTransition } = require('../utils/bookingStateMachine');
+const { getPaymentGateway } = require('../utils/paymentGateway');
+const { releaseCoupon } = require('../utils/coupons');
+const { depositPercentFor, createDepositBill } = require('../utils/deposits');
+const { itemisedServiceBillFields } = require('../utils/billing');
+const { openQuoteError } = require('../utils/quotes');
 
 
 // Allowed categories for services
-const allowedCategories = ['BeautyAndSaloon', 'HouseKeeping', 'Tutor', 'Electrician', 'Carpenter', 'Plumber'];
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_SECRET
-});
-
+const allowedCategories = require('../config/serviceCategories');
 
 exports.createService = catchAsync(async (req, res, next) => {
   const {
@@ -27,7 +27,8 @@ exports.createService = catchAsync(async (req, res, next) => {
     location_latitude,
     location_longitude,
     address,
-    parent_service
+    parent_service,
+    depositPercent
   } = req.body;
 
   // Validate required fields
@@ -72,7 +73,8 @@ exports.createService = catchAsync(async (req, res, next) => {
       ]
     },
     address,
-    parent_service
+    parent_service,
+    depositPercent
   });
 
   res.status(201).json({
@@ -146,6 +148,8 @@ exports.getProvidersByService = catchAsync(async (req, res, next) => {
   // Only select fields relevant for the customer to see (e.g., id and name)
   const providers = await User.find({
     role: 'provider',
+    emailVerified: true, // Unverified accounts aren't listed until they confirm their email
+    suspended: { $ne: true },
     service: { $regex: new RegExp(`^${serviceName}$`, 'i') } // Case-insensitive exact match
   }).select('_id name charges'); // Added charges to selected fields
 
@@ -178,7 +182,8 @@ exports.updateService = catchAsync(async (req, res, next) => {
     location_latitude,
     location_longitude,
     address,
-    parent_service
+    parent_service,
+    depositPercent
   } = req.body;
 
   // 1. Find the service
@@ -206,6 +211,7 @@ exports.updateService = catchAsync(async (req, res, next) => {
     updateData.price = price;
   }
   if (address) updateData.address = address;
+  if (depositPercent !== undefined) updateData.depositPercent = depositPercent;
 
   // 4. Handle location update
   if (location_latitude && location_longitude) {
@@ -285,18 +291,37 @@ exports.acceptRequest = catchAsync(async (req, res, next) => {
     return next(new AppError('Not authorized to accept this request', 403));
   }
 
-  // 3. Check if request is already accepted/completed
-  if (serviceRequest.status !== 'pending') {
-    return next(new AppError(`Request is already ${serviceRequest.status}`, 400));
+  // 3. Check the request can still be accepted
+  const transitionError = getTransitionError(serviceRequest, 'accepted', 'provider');
+  if (transitionError) {
+    return next(transitionError);
   }
 
-  // 4. Update the request status
-  serviceRequest.status = 'accepted';
+  // 4. Make sure the slot is still free
+  if (await hasBookingConflict(serviceRequest)) {
+    return next(new AppError('You already have an accepted booking that overlaps this time slot.', 409));
+  }
+
+  // 5. The price has to be settled if the provider quoted for the job
+  const quoteError = await openQuoteError(serviceRequest._id);
+  if (quoteError) {
+    return next(quoteError);
+  }
+
+  // 6. Work out the deposit, if any, before accepting
+  const depositPercent = await depositPercentFor(serviceRequest, req.body.depositPercent);
+
+  // 7. Update the request status and raise the deposit bill
+  applyTransition(serviceRequest, 'accepted', { actor: 'provider', by: req.user.id });
   await serviceRequest.save();
+  const depositBill = await createDepositBill(serviceRequest, depositPercent);
 
   res.status(200).json({
     status: 'success',
-    message: 'Service request accepted'
+    message: depositBill
+      ? `Service request accepted. A deposit of ₹${depositBill.amount.toFixed(2)} is due before work starts.`
+      : 'Service request accepted',
+    deposit_bill: depositBill
   });
 });
 
@@ -320,13 +345,15 @@ exports.rejectRequest = catchAsync(async (req, res, next) => {
   }
 
   // 3. Validate request status
-  if (serviceRequest.status !== 'pending') {
-    return next(new AppError(`Cannot reject ${serviceRequest.status} request`, 400));
+  const transitionError = getTransitionError(serviceRequest, 'rejected', 'provider');
+  if (transitionError) {
+    return next(transitionError);
   }
 
   // 4. Update request status
-  serviceRequest.status = 'rejected';
+  applyTransition(serviceRequest, 'rejected', { actor: 'provider', by: req.user.id, note: req.body.reason });
   await serviceRequest.save();
+  await releaseCoupon(serviceRequest._id);
 
   res.status(200).json({
     status: 'success',
@@ -348,26 +375,25 @@ exports.addProviderBankDetails = catchAsync(async (req, res, next) => {
     return next(new AppError('Bank details already exist for this provider', 400));
   }
 
-  console.log('Razorpay Contact:', razorpay);
   try {
+    const gateway = getPaymentGateway();
+
     // Create Razorpay contact
-    const contact = await razorpay.contact.create({
+    const contact = await gateway.createContact({
       name: account_holder,
       type: 'vendor',
       email: req.user.email,
-      contact: req.user.phone
+      contact: req.user.phone_number,
+      referenceId: req.user.id
     });
 
 
     // Create Razorpay fund account
-    const fundAccount =  razorpay.fundAccount.create({
-      contact_id: contact.id,
-      account_type: 'bank_account',
-      bank_account: {
-        name: account_holder,
-        ifsc: ifsc.toUpperCase(),
-        account_number
-      }
+    const fundAccount = await gateway.createFundAccount({
+      contactId: contact.id,
+      name: account_holder,
+      ifsc: ifsc.toUpperCase(),
+      accountNumber: account_number
     });
 
     // Create new bank details record with Razorpay IDs
@@ -394,14 +420,8 @@ exports.addProviderBankDetails = catchAsync(async (req, res, next) => {
 exports.generateBill = catchAsync(async (req, res, next) => {
 
   const { id } = req.params;
-  const { amount } = req.body;
-
-  // 1. Validate input
-  if (!amount || amount <= 0) {
-    return next(new AppError('Please provide a valid amount greater than 0', 400));
-  }
 
-  // 2. Find the service request with provider details
+  // 1. Find the service request with provider details
   const serviceRequest = await ServiceRequest.findById(id)
     .populate({
       path: 'service',
@@ -412,44 +432,58 @@ exports.generateBill = catchAsync(async (req, res, next) => {
     return next(new AppError('Service request not found', 404));
   }
 
-  // 3. Verify provider ownership
+  // 2. Verify provider ownership
   if (serviceRequest.service.provider.toString() !== req.user.id) {
     return next(new AppError('Not authorized to generate bill for this request', 403));
   }
 
-  // 4. Check request status
+  // 3. Check request status
   if (serviceRequest.status !== 'accepted') {
     return next(new AppError('Bill can only be generated for accepted requests', 400));
   }
 
-  // 5. Check if bill already exists
-  const existingBill = await Bill.findOne({ request: id });
+  // 4. Check if bill already exists
+  const existingBill = await Bill.findServiceBill(id);
   if (existingBill) {
     return next(new AppError('Bill already exists for this request', 400));
   }
 
-  // 6. Create new bill
+  // 5. Validate input: a price agreed through a quote is the base price, otherwise it may be typed in
+  const { items, discount } = req.body;
+  const agreedPrice = serviceRequest.quote && serviceRequest.quote.total;
+  const amount = req.body.amount === undefined ? undefined : Number(req.body.amount);
+  if (amount !== undefined && !(amount > 0)) {
+    return next(new AppError('Please provide a valid amount greater than 0', 400));
+  }
+  if (agreedPrice && amount !== undefined && amount !== agreedPrice) {
+    return next(new AppError(`The bill must match the quote the customer accepted (₹${agreedPrice.toFixed(2)})`, 400));
+  }
+
+  // 6. Create the itemised bill (add-ons, materials, discount), less the discount of any coupon
+  // used at booking and any deposit paid
   const newBill = await Bill.create({
     request: id,
     provider: serviceRequest.service.provider,
-    amount,
-    status: 'unpaid'
+    ...(await itemisedServiceBillFields(serviceRequest, { items, discount, amount }))
   });
 
-  // 7. Create an entry in Payment table
-  const newPayment = await Payment.create({
-    bill: newBill._id,
-    provider: serviceRequest.service.provider,
-    customer: serviceRequest.customer,
-    amount: amount * 100, // Store in paise
-    status: 'created',
-    payment_method: 'pending' // Payment method not confirmed yet
-  });
+  // 7. Create an entry in Payment table, unless the deposit already covered the bill
+  const newPayment = newBill.status === 'unpaid'
+    ? await Payment.create({
+      bill: newBill._id,
+      provider: serviceRequest.service.provider,
+      customer: serviceRequest.customer,
+      amount: newBill.amount, // Rupees, like the bill; the ledger converts to paise
+      milestone: newBill.bill_type,
+      status: 'created',
+      payment_method: 'pending' // Payment method not confirmed yet
+    })
+    : null;
 
   res.status(201).json({
     status: 'success',
     message: 'Bill and payment record created successfully',
     bill_id: newBill._id,
-    payment_id: newPayment._id
+    payment_id: newPayment && newPayment._id
   });
 });
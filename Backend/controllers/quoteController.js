@@ -0,0 +1,143 @@
+const Quote = require('../models/Quote');
+const ServiceRequest = require('../models/ServiceRequest');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { roundToPaise } = require('../utils/money');
+const { sendQuote, agreeQuote } = require('../utils/quotes');
+
+// The request, if the signed-in user is its customer or provider (as `role`)
+const findOwnRequest = async (req, role) => {
+  const serviceRequest = await ServiceRequest.findById(req.params.id);
+  if (!serviceRequest || String(serviceRequest[role]) !== req.user.id) {
+    throw new AppError('Service request not found or you are not authorized to view it.', 404);
+  }
+  return serviceRequest;
+};
+
+// Prices are only negotiated before the provider accepts
+const assertPending = (serviceRequest) => {
+  if (serviceRequest.status !== 'pending') {
+    throw new AppError('Quotes can only be exchanged while the request is pending.', 400);
+  }
+};
+
+const findQuote = async (req, serviceRequest) => {
+  const quote = await Quote.findOne({ _id: req.params.quoteId, request: serviceRequest._id });
+  if (!quote) throw new AppError('Quote not found', 404);
+  return quote;
+};
+
+// GET /api/service-requests/:id/quotes - Every quote on the request, newest first
+exports.getQuotes = catchAsync(async (req, res, next) => {
+  const serviceRequest = await ServiceRequest.findById(req.params.id);
+  if (!serviceRequest || ![String(serviceRequest.customer), String(serviceRequest.provider)].includes(req.user.id)) {
+    return next(new AppError('Service request not found or you are not authorized to view it.', 404));
+  }
+
+  const quotes = await Quote.find({ request: serviceRequest._id }).sort({ version: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: quotes.length,
+    data: { quotes, agreed: serviceRequest.quote }
+  });
+});
+
+// POST /api/service-requests/:id/quotes - Provider sends an itemised quote (or a revised one)
+exports.createQuote = catchAsync(async (req, res, next) => {
+  const serviceRequest = await findOwnRequest(req, 'provider');
+  assertPending(serviceRequest);
+
+  const quote = await sendQuote(serviceRequest, { items: req.body.items, note: req.body.note });
+
+  res.status(201).json({
+    status: 'success',
+    message: `Quote of ₹${quote.total.toFixed(2)} sent to the customer.`,
+    data: { quote }
+  });
+});
+
+// PATCH /api/service-requests/:id/quotes/:quoteId/accept - Customer agrees to the quoted total
+exports.acceptQuote = catchAsync(async (req, res, next) => {
+  const serviceRequest = await findOwnRequest(req, 'customer');
+  assertPending(serviceRequest);
+  const quote = await findQuote(req, serviceRequest);
+  if (quote.status !== 'sent') {
+    return next(new AppError(`This quote can no longer be accepted (it is ${quote.status}).`, 400));
+  }
+
+  await agreeQuote(quote, serviceRequest, quote.total);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Quote accepted. The provider can now confirm your booking.',
+    data: { quote, serviceRequest }
+  });
+});
+
+// PATCH /api/service-requests/:id/quotes/:quoteId/counter - Customer proposes their own total
+exports.counterQuote = catchAsync(async (req, res, next) => {
+  const serviceRequest = await findOwnRequest(req, 'customer');
+  assertPending(serviceRequest);
+  const quote = await findQuote(req, serviceRequest);
+  if (quote.status !== 'sent') {
+    return next(new AppError(`This quote can no longer be countered (it is ${quote.status}).`, 400));
+  }
+
+  const amount = roundToPaise(Number(req.body.amount));
+  if (!(amount > 0)) {
+    return next(new AppError('Please provide the amount you would like to pay.', 400));
+  }
+  if (amount >= quote.total) {
+    return next(new AppError('A counter-offer should be lower than the quote; accept the quote instead.', 400));
+  }
+
+  quote.status = 'countered';
+  quote.counter_offer = { amount, note: req.body.note, at: new Date() };
+  quote.respondedAt = quote.counter_offer.at;
+  await quote.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Counter-offer of ₹${amount.toFixed(2)} sent to the provider.`,
+    data: { quote }
+  });
+});
+
+// PATCH /api/service-requests/:id/quotes/:quoteId/decline - Customer turns the quote down
+exports.declineQuote = catchAsync(async (req, res, next) => {
+  const serviceRequest = await findOwnRequest(req, 'customer');
+  assertPending(serviceRequest);
+  const quote = await findQuote(req, serviceRequest);
+  if (quote.status !== 'sent') {
+    return next(new AppError(`This quote can no longer be declined (it is ${quote.status}).`, 400));
+  }
+
+  quote.status = 'declined';
+  quote.respondedAt = new Date();
+  await quote.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Quote declined. The provider may send a new one, or you can cancel the request.',
+    data: { quote }
+  });
+});
+
+// PATCH /api/service-requests/:id/quotes/:quoteId/accept-counter - Provider agrees to the customer's counter
+exports.acceptCounterOffer = catchAsync(async (req, res, next) => {
+  const serviceRequest = await findOwnRequest(req, 'provider');
+  assertPending(serviceRequest);
+  const quote = await findQuote(req, serviceRequest);
+  if (quote.status !== 'countered') {
+    return next(new AppError('There is no counter-offer to accept on this quote.', 400));
+  }
+
+  await agreeQuote(quote, serviceRequest, quote.counter_offer.amount);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Counter-offer of ₹${quote.agreed_total.toFixed(2)} accepted.`,
+    data: { quote, serviceRequest }
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { roundToPaise } = require('../utils/money');
+
+const PERIOD_DAYS = { daily: 1, weekly: 7, monthly: 30, yearly: 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SETTLED_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+
+// Payments captured before capturedAt existed fall back to their last update
+const capturedAtExpression = { $ifNull: ['$capturedAt', '$updatedAt'] };
+
+const emptyStats = () => ({
+  serviceRevenue: 0,
+  tips: 0,
+  cancellationFees: 0,
+  platformFees: 0,
+  ordersCompleted: 0,
+  newCustomers: 0
+});
+
+// The provider's earnings for the current period and the one before it, in rupees. Service
+// revenue is net of the platform fee and refunds; tips are reported on their own.
+exports.getRevenueStats = catchAsync(async (req, res, next) => {
+  const period = req.query.period || 'monthly';
+  if (!PERIOD_DAYS[period]) {
+    return next(new AppError(`period must be one of ${Object.keys(PERIOD_DAYS).join(', ')}`, 400));
+  }
+
+  const now = new Date();
+  const currentStart = new Date(now.getTime() - PERIOD_DAYS[period] * DAY_MS);
+  const previousStart = new Date(currentStart.getTime() - PERIOD_DAYS[period] * DAY_MS);
+  const providerId = new mongoose.Types.ObjectId(req.user.id);
+
+  const [totals, firstPayments] = await Promise.all([
+    Payment.aggregate([
+      { $match: { provider: providerId, status: { $in: SETTLED_STATUSES } } },
+      { $addFields: { at: capturedAtExpression } },
+      { $match: { at: { $gte: previousStart, $lte: now } } },
+      { $lookup: { from: 'bills', localField: 'bill', foreignField: '_id', as: 'bill' } },
+      { $unwind: '$bill' },
+      {
+        $project: {
+          window: { $cond: [{ $gte: ['$at', currentStart] }, 'current', 'previous'] },
+          bill_type: { $ifNull: ['$bill.bill_type', 'service'] },
+          platform_fee: { $ifNull: ['$platform_fee', 0] },
+          // The provider keeps (amount - fee) / amount of whatever wasn't refunded
+          earned: {
+            $cond: [
+              { $gt: ['$amount', 0] },
+              {
+                $multiply: [
+                  { $subtract: ['$amount', { $ifNull: ['$amount_refunded', 0] }] },
+                  { $divide: [{ $subtract: ['$amount', { $ifNull: ['$platform_fee', 0] }] }, '$amount'] }
+                ]
+              },
+              0
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: { window: '$window', bill_type: '$bill_type' },
+          earned: { $sum: '$earned' },
+          platformFees: { $sum: '$platform_fee' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    // A customer is new in the window holding their first paid service with this provider
+    Payment.aggregate([
+      { $match: { provider: providerId, status: { $in: SETTLED_STATUSES } } },
+      { $group: { _id: '$customer', first: { $min: capturedAtExpression } } },
+      { $match: { first: { $gte: previousStart, $lte: now } } },
+      { $project: { window: { $cond: [{ $gte: ['$first', currentStart] }, 'current', 'previous'] } } },
+      { $group: { _id: '$window', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const stats = { current: emptyStats(), previous: emptyStats() };
+  totals.forEach(({ _id, earned, platformFees, count }) => {
+    const windowStats = stats[_id.window];
+    if (_id.bill_type === 'tip') {
+      windowStats.tips += earned;
+    } else if (_id.bill_type === 'cancellation_fee') {
+      windowStats.cancellationFees += earned;
+    } else {
+      windowStats.serviceRevenue += earned;
+      windowStats.ordersCompleted += count;
+    }
+    windowStats.platformFees += platformFees;
+  });
+  firstPayments.forEach(({ _id, count }) => {
+    stats[_id].newCustomers = count;
+  });
+  Object.values(stats).forEach(windowStats => {
+    ['serviceRevenue', 'tips', 'cancellationFees', 'platformFees'].forEach(field => {
+      windowStats[field] = roundToPaise(windowStats[field]);
+    });
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      currency: 'INR',
+      period,
+      from: currentStart,
+      to: now,
+      ...stats
+    }
+  });
+});
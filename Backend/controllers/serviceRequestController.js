@@ -1,8 +1,20 @@
+const mongoose = require('mongoose');
 const ServiceRequest = require('../models/ServiceRequest');
 const User = require('../models/User'); // To validate provider
 const Service = require('../models/Service'); // Import Service model
+const Bill = require('../models/Bill');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const { checkSlotAvailability, hasBookingConflict } = require('../utils/availability');
+const bookingConfig = require('../config/booking');
+const tipConfig = require('../config/tips');
+const { getTransitionError, applyTransition, creationEntry } = require('../utils/bookingStateMachine');
+const { reserveCoupon, releaseCoupon } = require('../utils/coupons');
+const { releaseWalletHoldsForRequest } = require('../utils/wallet');
+const { bookedPrice, openQuoteError, latestQuotesByRequest } = require('../utils/quotes');
+const { depositPercentFor, createDepositBill, isDepositSettled, refundDepositOnCancel } = require('../utils/deposits');
+const { itemisedServiceBillFields } = require('../utils/billing');
+const { roundToPaise } = require('../utils/money');
 
 exports.createServiceRequest = catchAsync(async (req, res, next) => {
   const {
@@ -13,6 +25,7 @@ exports.createServiceRequest = catchAsync(async (req, res, next) => {
     customerAddress,
     nearestPoint,
     time_slot,
+    couponCode,
   } = req.body;
 
   const customerId = req.user.id; // Authenticated user's ID
@@ -51,19 +64,46 @@ exports.createServiceRequest = catchAsync(async (req, res, next) => {
       return next(new AppError('The requested time slot cannot be in the past.', 400));
   }
 
+  // Reject slots outside the provider's availability or overlapping an existing booking
+  const { durationMinutes, error: slotError } = await checkSlotAvailability(providerId, actualServiceId, requestedDateTime);
+  if (slotError) {
+    return next(new AppError(slotError, 409));
+  }
+
+  // The coupon is held against the request id before the request exists, so limits can't be overrun
+  const requestId = new mongoose.Types.ObjectId();
+  let coupon;
+  if (couponCode) {
+    coupon = await reserveCoupon({
+      code: couponCode,
+      customerId,
+      providerId,
+      serviceId: actualServiceId,
+      amount: actualService.price,
+      requestId
+    });
+  }
+
   const newServiceRequest = await ServiceRequest.create({
+    _id: requestId,
     customer: customerId,
     provider: providerId,
     service: actualServiceId, // Use the _id of the service found by name/provider
     serviceNameSnapshot: serviceName, // Snapshot of service name at time of booking
-    servicePriceSnapshot: servicePrice, // Snapshot of price at time of booking
+    servicePriceSnapshot: actualService.price, // Snapshot of the listed price at time of booking, not the client's
     customerAddress,
     customerPhoneNumberSnapshot: req.user.phone_number, // Taking from authenticated user profile
     customerNameSnapshot: req.user.name, // Taking from authenticated user profile
     nearestPoint,
     time_slot: requestedDateTime,
+    durationMinutes,
     status: 'pending', // Initial status, changed to lowercase
+    statusHistory: [creationEntry(customerId)],
+    coupon,
     // Add any other fields from your ServiceRequest model schema
+  }).catch(async (err) => {
+    if (coupon) await releaseCoupon(requestId);
+    throw err;
   });
 
   res.status(201).json({
@@ -77,6 +117,15 @@ exports.createServiceRequest = catchAsync(async (req, res, next) => {
 
 // TODO: Implement other controller functions as outlined in serviceRequestRoutes.js
 
+// Bills of the given requests keyed by `<requestId>:<bill_type>`; bills from before bill_type count as 'service'
+const billsByRequestAndType = async (serviceRequests) => {
+  const bills = await Bill.find({
+    request: { $in: serviceRequests.map(request => request._id) },
+    bill_type: { $ne: 'cancellation_fee' }
+  }).lean();
+  return new Map(bills.map(bill => [`${bill.request}:${bill.bill_type || 'service'}`, bill]));
+};
+
 exports.getCustomerServiceRequests = catchAsync(async (req, res, next) => {
   const customerId = req.user.id; // Assuming authMiddleware.authenticate populates req.user
   console.log(`[getCustomerServiceRequests] Attempting to fetch requests for customer ID: ${customerId}`);
@@ -84,12 +133,24 @@ exports.getCustomerServiceRequests = catchAsync(async (req, res, next) => {
   const serviceRequests = await ServiceRequest.find({ customer: customerId })
     .populate('provider', 'name email') // Populate provider's name and email
     .populate('service', 'name description') // Populate basic service details
-    .sort({ createdAt: -1 }); // Show newest requests first
+    .sort({ createdAt: -1 }) // Show newest requests first
+    .lean();
 
   if (!serviceRequests) {
     return next(new AppError('Could not retrieve your service requests or none found.', 404));
   }
 
+  // Attach the service bill so the customer pays its (discounted) amount, the deposit, any tip
+  // and the latest quote to answer
+  const billsByRequest = await billsByRequestAndType(serviceRequests);
+  const quotesByRequest = await latestQuotesByRequest(serviceRequests);
+  serviceRequests.forEach(request => {
+    request.bill = billsByRequest.get(`${request._id}:service`) || null;
+    request.deposit = billsByRequest.get(`${request._id}:deposit`) || null;
+    request.tip = billsByRequest.get(`${request._id}:tip`) || null;
+    request.latestQuote = quotesByRequest.get(String(request._id)) || null;
+  });
+
   res.status(200).json({
     status: 'success',
     results: serviceRequests.length,
@@ -126,7 +187,8 @@ exports.getProviderServiceRequests = catchAsync(async (req, res, next) => {
   const serviceRequests = await ServiceRequest.find({ provider: providerId })
     .populate('customer', 'name email phone_number') // Populate customer's name, email, phone
     .populate('service', 'name description') // Populate basic service details like name
-    .sort({ createdAt: -1 }); // Show newest requests first
+    .sort({ createdAt: -1 }) // Show newest requests first
+    .lean();
 
   if (!serviceRequests) {
     // This case might not be strictly necessary if find() returns [] for no matches,
@@ -134,6 +196,16 @@ exports.getProviderServiceRequests = catchAsync(async (req, res, next) => {
     return next(new AppError('Could not retrieve service requests or none found.', 404));
   }
 
+  // The deposit decides whether the provider can start the job, the quote whether they can accept
+  // it; the service bill shows what was charged
+  const billsByRequest = await billsByRequestAndType(serviceRequests);
+  const quotesByRequest = await latestQuotesByRequest(serviceRequests);
+  serviceRequests.forEach(request => {
+    request.bill = billsByRequest.get(`${request._id}:service`) || null;
+    request.deposit = billsByRequest.get(`${request._id}:deposit`) || null;
+    request.latestQuote = quotesByRequest.get(String(request._id)) || null;
+  });
+
   res.status(200).json({
     status: 'success',
     results: serviceRequests.length,
@@ -148,13 +220,10 @@ exports.updateServiceRequestStatus = catchAsync(async (req, res, next) => {
   const { status: newStatus } = req.body; // Renamed for clarity
   const providerId = req.user.id;
 
-  // Validate that newStatus is a valid status string provider can set
-  const allowedStatusesByProvider = ['accepted', 'rejected', 'in-progress', 'completed'];
-  if (!newStatus || !allowedStatusesByProvider.includes(newStatus)) {
-    return next(new AppError(
-      `Invalid status value '${newStatus}'. Provider can set status to: ${allowedStatusesByProvider.join(', ')}.`, 
-      400
-    ));
+  const { note } = req.body;
+
+  if (!newStatus) {
+    return next(new AppError('Please provide the new status.', 400));
   }
 
   const serviceRequest = await ServiceRequest.findById(requestId);
@@ -168,43 +237,76 @@ exports.updateServiceRequestStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('You are not authorized to update this service request.', 403));
   }
 
-  const currentStatus = serviceRequest.status;
-  let isValidTransition = false;
+  // Only moves the state machine allows a provider to make
+  const transitionError = getTransitionError(serviceRequest, newStatus, 'provider');
+  if (transitionError) {
+    return next(transitionError);
+  }
 
-  // Define valid transitions
-  if (currentStatus === 'pending' && (newStatus === 'accepted' || newStatus === 'rejected')) {
-    isValidTransition = true;
-  } else if (currentStatus === 'accepted' && newStatus === 'in-progress') {
-    isValidTransition = true;
-  } else if (currentStatus === 'in-progress' && newStatus === 'completed') {
-    isValidTransition = true;
+  if (newStatus === 'accepted' && await hasBookingConflict(serviceRequest)) {
+    return next(new AppError('You already have an accepted booking that overlaps this time slot.', 409));
   }
-  // Add other transitions here if needed, e.g., cancellation from 'accepted' or 'in-progress'
 
-  if (!isValidTransition) {
-    return next(new AppError(`Cannot change status from '${currentStatus}' to '${newStatus}'.`, 400));
+  // A quote still being negotiated has to be settled before the booking is accepted
+  const quoteError = newStatus === 'accepted' && await openQuoteError(serviceRequest._id);
+  if (quoteError) {
+    return next(quoteError);
   }
 
-  serviceRequest.status = newStatus;
+  // Jobs that ask for a deposit can't start until it has been captured
+  if (newStatus === 'in-progress' && !(await isDepositSettled(serviceRequest._id))) {
+    return next(new AppError('The customer has not paid the deposit for this booking yet.', 400));
+  }
+
+  // Checked before accepting so a bad deposit doesn't leave the request half-updated
+  const depositPercent = newStatus === 'accepted'
+    ? await depositPercentFor(serviceRequest, req.body.depositPercent)
+    : 0;
+
+  // Bill items are checked before completing too, so bad add-ons or materials are reported
+  // instead of leaving a completed job without a bill
+  const billFields = newStatus === 'completed' && !(await Bill.findServiceBill(serviceRequest._id))
+    ? await itemisedServiceBillFields(serviceRequest, { items: req.body.items, discount: req.body.discount })
+    : null;
+
+  applyTransition(serviceRequest, newStatus, { actor: 'provider', by: providerId, note });
   await serviceRequest.save();
 
+  let depositBill, serviceBill;
+  if (newStatus === 'accepted') {
+    depositBill = await createDepositBill(serviceRequest, depositPercent);
+  }
+
+  if (newStatus === 'rejected') {
+    await releaseCoupon(serviceRequest._id);
+  }
+
   // If status is 'completed', generate a bill
   if (newStatus === 'completed') {
-    const Bill = require('../models/Bill'); // Ensure Bill model is imported
     try {
       // Check if a bill already exists for this request to prevent duplicates
-      const existingBill = await Bill.findOne({ request: serviceRequest._id });
-      if (!existingBill) {
-        await Bill.create({
+      const existingBill = await Bill.findServiceBill(serviceRequest._id);
+      if (existingBill && existingBill.status === 'paid') {
+        // Bill was settled before the job finished, so the request is done
+        applyTransition(serviceRequest, 'PaymentCompleted', { actor: 'system', note: 'Bill already paid' });
+        await serviceRequest.save();
+      } else if (!existingBill) {
+        const newBill = await Bill.create({
           request: serviceRequest._id,
           customer: serviceRequest.customer,
           provider: serviceRequest.provider,
           service: serviceRequest.service,
-          amount: serviceRequest.servicePriceSnapshot, // Use the snapshotted price
-          status: 'unpaid', // Corrected initial bill status
+          // Booked (or quoted) price with any add-ons and materials, less the discount, coupon and
+          // deposit; unpaid unless the deposit covered it
+          ...(billFields || await itemisedServiceBillFields(serviceRequest)),
           // You might want to add bill_date, due_date, etc.
         });
+        serviceBill = newBill;
         console.log(`Bill created for ServiceRequest ID: ${serviceRequest._id}`);
+        if (newBill.status === 'paid') {
+          applyTransition(serviceRequest, 'PaymentCompleted', { actor: 'system', note: 'Covered by the deposit' });
+          await serviceRequest.save();
+        }
       } else {
         console.log(`Bill already exists for ServiceRequest ID: ${serviceRequest._id}`);
       }
@@ -223,6 +325,222 @@ exports.updateServiceRequestStatus = catchAsync(async (req, res, next) => {
     message: `Service request status updated to ${newStatus} successfully.`,
     data: {
       serviceRequest,
+      depositBill,
+      serviceBill,
+    },
+  });
+});
+
+// Hours left before the booked slot starts
+const hoursUntilSlot = (serviceRequest) => (serviceRequest.time_slot.getTime() - Date.now()) / (60 * 60 * 1000);
+
+// Raise an unpaid cancellation-fee bill against the request (one per request)
+const createCancellationFeeBill = async (serviceRequest, fee) => {
+  const existingFeeBill = await Bill.findOne({ request: serviceRequest._id, bill_type: 'cancellation_fee' });
+  if (existingFeeBill) return existingFeeBill;
+
+  return Bill.create({
+    request: serviceRequest._id,
+    amount: fee,
+    bill_type: 'cancellation_fee',
+    status: 'unpaid'
+  });
+};
+
+exports.cancelServiceRequest = catchAsync(async (req, res, next) => {
+  const { id: requestId } = req.params;
+  const { reason } = req.body;
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return next(new AppError('Please provide a reason for cancelling.', 400));
+  }
+
+  const serviceRequest = await ServiceRequest.findOne({ _id: requestId, customer: req.user.id });
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found or you are not authorized to cancel it.', 404));
+  }
+
+  const currentStatus = serviceRequest.status;
+  const transitionError = getTransitionError(serviceRequest, 'cancelled', 'customer');
+  if (transitionError) {
+    return next(transitionError);
+  }
+  if (hoursUntilSlot(serviceRequest) <= 0) {
+    return next(new AppError('The booked time slot has already started and can no longer be cancelled.', 400));
+  }
+
+  // Only accepted bookings cancelled inside the window carry a fee
+  let fee = 0;
+  if (currentStatus === 'accepted' && hoursUntilSlot(serviceRequest) < bookingConfig.cancellationWindowHours) {
+    fee = Math.round(bookedPrice(serviceRequest) * bookingConfig.cancellationFeePercent) / 100;
+  }
+
+  serviceRequest.cancellation = {
+    reason: reason.trim(),
+    cancelledAt: new Date(),
+    fee
+  };
+  applyTransition(serviceRequest, 'cancelled', { actor: 'customer', by: req.user.id, note: reason.trim() });
+  await serviceRequest.save();
+  await releaseCoupon(serviceRequest._id);
+  // Wallet credit held by an unfinished checkout (e.g. for the deposit) goes back to the customer
+  await releaseWalletHoldsForRequest(serviceRequest._id);
+
+  // A captured deposit goes back to the customer, less the fee; only what it can't cover is billed
+  const deposit = await refundDepositOnCancel(serviceRequest, { fee, initiatedBy: req.user._id });
+  const feeDue = roundToPaise(fee - deposit.kept);
+  if (deposit.kept > 0) {
+    serviceRequest.cancellation.depositKept = deposit.kept;
+    serviceRequest.cancellation.feePaid = feeDue <= 0;
+    await serviceRequest.save();
+  }
+
+  let feeBill;
+  if (feeDue > 0) {
+    feeBill = await createCancellationFeeBill(serviceRequest, feeDue);
+  }
+
+  const messages = ['Service request cancelled.'];
+  if (deposit.kept > 0) messages.push(`A cancellation fee of ₹${deposit.kept.toFixed(2)} was kept from your deposit.`);
+  if (deposit.refunded > 0) messages.push(`₹${deposit.refunded.toFixed(2)} of your deposit is being refunded.`);
+  if (feeDue > 0) {
+    messages.push(deposit.kept > 0
+      ? `A further cancellation fee of ₹${feeDue.toFixed(2)} applies.`
+      : `A cancellation fee of ₹${feeDue.toFixed(2)} applies.`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: messages.length > 1 ? messages.join(' ') : 'Service request cancelled successfully.',
+    data: {
+      serviceRequest,
+      bill: feeBill
+    },
+  });
+});
+
+exports.rescheduleServiceRequest = catchAsync(async (req, res, next) => {
+  const { id: requestId } = req.params;
+  const { time_slot, reason } = req.body;
+
+  if (!time_slot) {
+    return next(new AppError('Please provide the new time slot.', 400));
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    return next(new AppError('The reason for rescheduling must be text.', 400));
+  }
+
+  const newDateTime = new Date(time_slot);
+  if (isNaN(newDateTime.getTime()) || newDateTime < new Date()) {
+    return next(new AppError('The new time slot must be a valid date in the future.', 400));
+  }
+
+  const serviceRequest = await ServiceRequest.findOne({ _id: requestId, customer: req.user.id });
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found or you are not authorized to reschedule it.', 404));
+  }
+
+  const transitionError = getTransitionError(serviceRequest, 'pending', 'customer');
+  if (transitionError) {
+    return next(new AppError(`A request that is '${serviceRequest.status}' cannot be rescheduled.`, 400));
+  }
+  if (hoursUntilSlot(serviceRequest) < bookingConfig.cancellationWindowHours) {
+    return next(new AppError(
+      `Bookings can only be rescheduled more than ${bookingConfig.cancellationWindowHours} hours before the slot.`,
+      400
+    ));
+  }
+
+  const { durationMinutes, error: slotError } = await checkSlotAvailability(
+    serviceRequest.provider,
+    serviceRequest.service,
+    newDateTime,
+    { excludeRequestId: serviceRequest._id }
+  );
+  if (slotError) {
+    return next(new AppError(slotError, 409));
+  }
+
+  const previousSlot = serviceRequest.time_slot;
+  serviceRequest.time_slot = newDateTime;
+  serviceRequest.durationMinutes = durationMinutes;
+  // The provider has to confirm the new time again
+  applyTransition(serviceRequest, 'pending', {
+    actor: 'customer',
+    by: req.user.id,
+    note: `Rescheduled from ${previousSlot.toISOString()} to ${newDateTime.toISOString()}${reason ? `: ${reason}` : ''}`
+  });
+  await serviceRequest.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Service request rescheduled. Waiting for provider confirmation.',
+    data: {
+      serviceRequest,
+    },
+  });
+});
+
+// Statuses in which the job is done and the customer can tip, before or after paying the bill
+const TIPPABLE_STATUSES = ['completed', 'PaymentCompleted'];
+
+exports.addTip = catchAsync(async (req, res, next) => {
+  const { id: requestId } = req.params;
+  const amount = Math.round(Number(req.body.amount) * 100) / 100;
+
+  if (!(amount >= tipConfig.minAmount && amount <= tipConfig.maxAmount)) {
+    return next(new AppError(`A tip must be between ₹${tipConfig.minAmount} and ₹${tipConfig.maxAmount}.`, 400));
+  }
+
+  const serviceRequest = await ServiceRequest.findOne({ _id: requestId, customer: req.user.id });
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found or you are not authorized to tip on it.', 404));
+  }
+  if (!TIPPABLE_STATUSES.includes(serviceRequest.status)) {
+    return next(new AppError('You can tip once the provider has completed the job.', 400));
+  }
+
+  // One tip per request; an unpaid one can still have its amount changed
+  let tipBill = await Bill.findOne({ request: serviceRequest._id, bill_type: 'tip' });
+  if (tipBill && tipBill.status !== 'unpaid') {
+    return next(new AppError('You have already tipped for this service.', 400));
+  }
+  if (tipBill) {
+    tipBill.amount = amount;
+    await tipBill.save();
+  } else {
+    tipBill = await Bill.create({
+      request: serviceRequest._id,
+      amount,
+      bill_type: 'tip',
+      status: 'unpaid'
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Tip added. Complete the payment to send it to your provider.',
+    data: {
+      bill: tipBill
+    },
+  });
+});
+
+// GET /api/service-requests/:id/add-ons - Sub-services of the booked service the provider can add to the bill
+exports.getBillAddOns = catchAsync(async (req, res, next) => {
+  const serviceRequest = await ServiceRequest.findOne({ _id: req.params.id, provider: req.user.id });
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found or you are not authorized to view it.', 404));
+  }
+
+  const addOns = await Service.find({ parent_service: serviceRequest.service, provider: req.user.id })
+    .select('name description price');
+
+  res.status(200).json({
+    status: 'success',
+    results: addOns.length,
+    data: {
+      addOns,
     },
   });
 });
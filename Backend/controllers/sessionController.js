@@ -0,0 +1,55 @@
+const Session = require('../models/Session');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { parseUserAgent } = require('../utils/userAgent');
+const { endSession, endUserSessions, clearRefreshCookie } = require('../utils/sessions');
+
+// GET /api/auth/sessions - The signed-in user's active sessions, most recently used first
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.find({ user: req.user.id, active: true }).lean();
+
+  const data = sessions
+    .map(session => ({
+      _id: session._id,
+      ip: session.ip,
+      device: parseUserAgent(session.userAgent),
+      loginTime: session.loginTime,
+      lastSeenAt: session.lastSeenAt || session.loginTime,
+      current: String(session._id) === String(req.sessionId)
+    }))
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: { sessions: data }
+  });
+});
+
+// DELETE /api/auth/sessions/others - Sign out everywhere except this device
+exports.revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const result = await endUserSessions(req.user.id, 'revoked', { except: req.sessionId });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Signed out of ${result.modifiedCount} other session(s).`
+  });
+});
+
+// DELETE /api/auth/sessions/:id - Sign one of the user's sessions out (possibly this one)
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user.id, active: true });
+  if (!session) {
+    return next(new AppError('Session not found or already signed out.', 404));
+  }
+
+  await endSession(session._id, 'revoked');
+  const current = String(session._id) === String(req.sessionId);
+  if (current) clearRefreshCookie(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: current ? 'Signed out of this device.' : 'Session signed out.',
+    data: { current }
+  });
+});
@@ -0,0 +1,74 @@
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const {
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactorLimited,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  recoveryCodesLeft
+} = require('../utils/twoFactor');
+
+// GET /api/auth/2fa - Whether 2FA is on, and how many recovery codes are left
+exports.getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const enabled = Boolean(req.user.twoFactor && req.user.twoFactor.enabled);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled,
+      enabledAt: enabled ? req.user.twoFactor.enabledAt : undefined,
+      recoveryCodesLeft: enabled ? await recoveryCodesLeft(req.user) : 0
+    }
+  });
+});
+
+// POST /api/auth/2fa/setup - A new secret and its QR code for the authenticator app
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const enrolment = await startEnrolment(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: enrolment
+  });
+});
+
+// POST /api/auth/2fa/enable - Confirms the authenticator with a code and turns 2FA on
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const recoveryCodes = await confirmEnrolment(req.user, req.body.code);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe.',
+    data: { recoveryCodes }
+  });
+});
+
+// POST /api/auth/2fa/recovery-codes - Replaces the recovery codes; needs a current code
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  if (!req.body.code) {
+    return next(new AppError('Please provide a code from your authenticator app', 400));
+  }
+  await verifySecondFactorLimited(req.user, req.body.code, req);
+  const recoveryCodes = await regenerateRecoveryCodes(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'New recovery codes created. The old ones no longer work.',
+    data: { recoveryCodes }
+  });
+});
+
+// POST /api/auth/2fa/disable - Turns 2FA off; needs a current code or a recovery code
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  if (!req.body.code) {
+    return next(new AppError('Please provide a code from your authenticator app', 400));
+  }
+  await verifySecondFactorLimited(req.user, req.body.code, req);
+  await disableTwoFactor(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication is off.'
+  });
+});
@@ -0,0 +1,15 @@
+const catchAsync = require('../utils/catchAsync');
+const { getWalletSummary } = require('../utils/wallet');
+
+const MAX_HISTORY = 200;
+
+// The signed-in customer's wallet balance (paise) and their latest wallet transactions
+exports.getMyWallet = catchAsync(async (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_HISTORY);
+  const summary = await getWalletSummary(req.user._id, { limit });
+
+  res.status(200).json({
+    status: 'success',
+    data: summary
+  });
+});
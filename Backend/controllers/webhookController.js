@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const Bill = require('../models/Bill');
+const Dispute = require('../models/Dispute');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const Refund = require('../models/Refund');
+const ServiceRequest = require('../models/ServiceRequest');
+const Transfer = require('../models/Transfer');
+const WebhookEvent = require('../models/WebhookEvent');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+const gatewayConfig = require('../config/paymentGateway');
+const { verifyWebhookSignature } = require('../utils/razorpaySignature');
+const { findPayableBill, gatewayAmountDue, recordCapturedPayment } = require('../utils/paymentCapture');
+const { gatewayRefundableAmount, applyRefund, revertRefund } = require('../utils/refunds');
+const { roundToPaise } = require('../utils/money');
+const { recordPayoutReturned } = require('../utils/ledger');
+
+// Handlers return { status: 'processed' | 'ignored', message }; throwing marks the event failed
+
+// Resolve the bill a Razorpay payment was made against: first through our Payment record
+// for the order, then through the service request id the checkout put in the notes
+const findBillForRazorpayPayment = async (rzpPayment) => {
+  const existingPayment = await Payment.findOne({ razorpay_order_id: rzpPayment.order_id });
+  if (existingPayment) {
+    return Bill.findById(existingPayment.bill);
+  }
+
+  const serviceRequestId = rzpPayment.notes && rzpPayment.notes.internal_order_id;
+  if (!serviceRequestId) return null;
+
+  const serviceRequest = await ServiceRequest.findById(serviceRequestId);
+  return serviceRequest ? findPayableBill(serviceRequest) : null;
+};
+
+const handlePaymentCaptured = async (payload) => {
+  const rzpPayment = payload.payment.entity;
+
+  const bill = await findBillForRazorpayPayment(rzpPayment);
+  if (!bill) {
+    return { status: 'ignored', message: `No bill found for order ${rzpPayment.order_id}` };
+  }
+  // Part of the bill may have been paid from the customer's wallet
+  const pendingPayment = await Payment.findOne({ razorpay_order_id: rzpPayment.order_id });
+  if (rzpPayment.amount !== gatewayAmountDue(bill, pendingPayment)) {
+    return { status: 'ignored', message: `Captured amount ${rzpPayment.amount} does not match bill ${bill._id}` };
+  }
+
+  const serviceRequest = await ServiceRequest.findById(bill.request);
+  if (!serviceRequest) {
+    return { status: 'ignored', message: `Service request ${bill.request} not found` };
+  }
+
+  await recordCapturedPayment({ bill, serviceRequest, rzpPayment });
+  return { status: 'processed', message: `Payment ${rzpPayment.id} captured for bill ${bill._id}` };
+};
+
+const handlePaymentFailed = async (payload) => {
+  const rzpPayment = payload.payment.entity;
+  const failureReason = rzpPayment.error_description || rzpPayment.error_code || 'Payment failed';
+
+  const payment = await Payment.findOne({ razorpay_order_id: rzpPayment.order_id });
+  if (payment && payment.status === 'captured') {
+    // A later attempt on the same order already went through
+    return { status: 'ignored', message: `Order ${rzpPayment.order_id} already captured` };
+  }
+
+  if (payment) {
+    payment.status = 'failed';
+    payment.razorpay_payment_id = rzpPayment.id;
+    payment.failure_reason = failureReason;
+    payment.updatedAt = Date.now();
+    await payment.save();
+    return { status: 'processed', message: `Payment ${rzpPayment.id} marked failed` };
+  }
+
+  const bill = await findBillForRazorpayPayment(rzpPayment);
+  if (!bill) {
+    return { status: 'ignored', message: `No bill found for order ${rzpPayment.order_id}` };
+  }
+  const serviceRequest = await ServiceRequest.findById(bill.request);
+  if (!serviceRequest) {
+    return { status: 'ignored', message: `Service request ${bill.request} not found` };
+  }
+
+  await Payment.create({
+    bill: bill._id,
+    customer: serviceRequest.customer,
+    provider: serviceRequest.provider,
+    amount: bill.amount,
+    milestone: bill.bill_type,
+    status: 'failed',
+    payment_method: rzpPayment.method || 'unknown',
+    razorpay_order_id: rzpPayment.order_id,
+    razorpay_payment_id: rzpPayment.id,
+    failure_reason: failureReason
+  });
+  return { status: 'processed', message: `Failed payment ${rzpPayment.id} recorded for bill ${bill._id}` };
+};
+
+// Match a Razorpay refund to ours: by refund id, or by the Refund id we put in its notes
+const findRefundForRazorpayRefund = async (rzpRefund) => {
+  const refund = await Refund.findOne({ razorpay_refund_id: rzpRefund.id });
+  if (refund) return refund;
+
+  const refundId = rzpRefund.notes && rzpRefund.notes.refund_id;
+  return refundId ? Refund.findById(refundId) : null;
+};
+
+const handleRefundProcessed = async (payload) => {
+  const rzpRefund = payload.refund.entity;
+
+  const payment = await Payment.findOne({ razorpay_payment_id: rzpRefund.payment_id });
+  if (!payment) {
+    return { status: 'ignored', message: `No payment found for ${rzpRefund.payment_id}` };
+  }
+
+  let refund = await findRefundForRazorpayRefund(rzpRefund);
+  if (refund) {
+    // Started through our API, so the amounts were applied then
+    if (refund.status === 'failed') {
+      await applyRefund(payment, refund);
+    }
+    refund.razorpay_refund_id = rzpRefund.id;
+    refund.status = 'processed';
+    refund.updatedAt = Date.now();
+    await refund.save();
+    return { status: 'processed', message: `Refund ${rzpRefund.id} confirmed for payment ${payment._id}` };
+  }
+
+  // Started outside the app (e.g. the Razorpay dashboard); Razorpay amounts are in paise
+  const amount = Math.min(gatewayRefundableAmount(payment), roundToPaise(rzpRefund.amount / 100));
+  if (amount <= 0) {
+    return { status: 'ignored', message: `Payment ${payment._id} is already fully refunded` };
+  }
+
+  refund = new Refund({
+    payment: payment._id,
+    bill: payment.bill,
+    amount,
+    reason: rzpRefund.notes && rzpRefund.notes.reason,
+    status: 'processed',
+    razorpay_refund_id: rzpRefund.id
+  });
+  await applyRefund(payment, refund);
+  await refund.save();
+
+  return { status: 'processed', message: `Refund ${rzpRefund.id} applied to payment ${payment._id}` };
+};
+
+const handleRefundFailed = async (payload) => {
+  const rzpRefund = payload.refund.entity;
+
+  const refund = await findRefundForRazorpayRefund(rzpRefund);
+  if (!refund) {
+    return { status: 'ignored', message: `No refund found for ${rzpRefund.id}` };
+  }
+  if (refund.status === 'failed') {
+    return { status: 'ignored', message: `Refund ${refund._id} already marked failed` };
+  }
+
+  const payment = await Payment.findById(refund.payment);
+  if (payment) {
+    await revertRefund(payment, refund);
+  }
+
+  refund.razorpay_refund_id = rzpRefund.id;
+  refund.status = 'failed';
+  refund.failure_reason = (rzpRefund.error && rzpRefund.error.description) || 'Refund failed';
+  refund.updatedAt = Date.now();
+  await refund.save();
+  return { status: 'processed', message: `Refund ${refund._id} marked failed` };
+};
+
+// Payouts sent by the payout job settle a whole batch of transfers
+const findPayoutBatch = async (rzpPayout) => {
+  const batch = await Payout.findOne({ razorpay_payout_id: rzpPayout.id });
+  if (batch) return batch;
+
+  const payoutId = rzpPayout.notes && rzpPayout.notes.payout_id;
+  return payoutId ? Payout.findById(payoutId) : null;
+};
+
+// Payouts made for a single transfer before batching
+const findTransferForPayout = async (rzpPayout) => {
+  const transfer = await Transfer.findOne({ razorpay_payout_id: rzpPayout.id });
+  if (transfer) return transfer;
+
+  const transferId = rzpPayout.notes && rzpPayout.notes.transfer_id;
+  return transferId ? Transfer.findById(transferId) : null;
+};
+
+const payoutFailureReason = (rzpPayout) => rzpPayout.failure_reason
+  || (rzpPayout.status_details && rzpPayout.status_details.description)
+  || `Payout ${rzpPayout.status}`;
+
+const handlePayoutProcessed = async (payload) => {
+  const rzpPayout = payload.payout.entity;
+
+  const batch = await findPayoutBatch(rzpPayout);
+  if (batch) {
+    batch.status = 'processed';
+    batch.razorpay_payout_id = rzpPayout.id;
+    batch.last_error = undefined;
+    batch.processedAt = new Date();
+    await batch.save();
+
+    await Transfer.updateMany(
+      { payout: batch._id, status: { $in: ['created', 'captured'] } },
+      { status: 'captured', razorpay_payout_id: rzpPayout.id, $unset: { failure_reason: 1 }, updatedAt: Date.now() }
+    );
+    return { status: 'processed', message: `Payout ${batch._id} paid out` };
+  }
+
+  const transfer = await findTransferForPayout(rzpPayout);
+  if (!transfer) {
+    return { status: 'ignored', message: `No transfer found for payout ${rzpPayout.id}` };
+  }
+
+  transfer.status = 'captured';
+  transfer.razorpay_payout_id = rzpPayout.id;
+  transfer.failure_reason = undefined;
+  transfer.updatedAt = Date.now();
+  await transfer.save();
+  return { status: 'processed', message: `Transfer ${transfer._id} paid out` };
+};
+
+const handlePayoutFailed = async (payload) => {
+  const rzpPayout = payload.payout.entity;
+  const status = rzpPayout.status === 'reversed' ? 'reversed' : 'failed';
+  const failureReason = payoutFailureReason(rzpPayout);
+
+  const batch = await findPayoutBatch(rzpPayout);
+  if (batch) {
+    const wasSent = ['processing', 'processed'].includes(batch.status);
+    batch.status = status;
+    batch.razorpay_payout_id = rzpPayout.id;
+    batch.last_error = failureReason;
+    await batch.save();
+
+    if (wasSent) {
+      await recordPayoutReturned({
+        kind: 'Payout',
+        id: batch._id,
+        provider: batch.provider,
+        amount: batch.amount,
+        gatewayPayoutId: rzpPayout.id
+      });
+    }
+
+    await Transfer.updateMany(
+      { payout: batch._id, status: { $in: ['created', 'captured'] } },
+      { status, razorpay_payout_id: rzpPayout.id, failure_reason: failureReason, updatedAt: Date.now() }
+    );
+    return { status: 'processed', message: `Payout ${batch._id} marked ${status}` };
+  }
+
+  const transfer = await findTransferForPayout(rzpPayout);
+  if (!transfer) {
+    return { status: 'ignored', message: `No transfer found for payout ${rzpPayout.id}` };
+  }
+
+  const wasSent = transfer.status === 'captured';
+  transfer.status = status;
+  transfer.razorpay_payout_id = rzpPayout.id;
+  transfer.failure_reason = failureReason;
+  transfer.updatedAt = Date.now();
+  await transfer.save();
+
+  if (wasSent) {
+    await recordPayoutReturned({
+      kind: 'Transfer',
+      id: transfer._id,
+      provider: transfer.provider,
+      amount: transfer.amount,
+      gatewayPayoutId: rzpPayout.id
+    });
+  }
+  return { status: 'processed', message: `Transfer ${transfer._id} marked ${transfer.status}` };
+};
+
+// Every payment.dispute.* event carries the dispute as it now stands, so each one is an upsert
+const disputeStatuses = {
+  'payment.dispute.created': 'open',
+  'payment.dispute.action_required': 'open',
+  'payment.dispute.under_review': 'under_review',
+  'payment.dispute.won': 'won',
+  'payment.dispute.lost': 'lost',
+  'payment.dispute.closed': 'closed'
+};
+
+// Razorpay doesn't deliver events in order, so a dispute only takes the state of an event at
+// least as recent as the last one applied; e.g. a late 'action_required' can't reopen a won dispute
+const handleDisputeEvent = (event) => async (payload, body) => {
+  const rzpDispute = payload.dispute.entity;
+  const rzpPaymentId = rzpDispute.payment_id || (payload.payment && payload.payment.entity.id);
+  const eventAt = new Date((body.created_at || Math.floor(Date.now() / 1000)) * 1000);
+  const payment = await Payment.findOne({ razorpay_payment_id: rzpPaymentId });
+
+  let dispute;
+  try {
+    dispute = await Dispute.findOneAndUpdate(
+      {
+        razorpay_dispute_id: rzpDispute.id,
+        $or: [{ last_event_at: { $exists: false } }, { last_event_at: { $lte: eventAt } }]
+      },
+      {
+        payment: payment ? payment._id : undefined,
+        razorpay_payment_id: rzpPaymentId,
+        // Razorpay amounts are in paise
+        amount: roundToPaise(rzpDispute.amount / 100),
+        reason_code: rzpDispute.reason_code,
+        reason_description: rzpDispute.reason_description,
+        phase: rzpDispute.phase,
+        status: disputeStatuses[event],
+        respond_by: rzpDispute.respond_by ? new Date(rzpDispute.respond_by * 1000) : undefined,
+        last_event_at: eventAt
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // The dispute exists but a newer event has already been applied, so the upsert collided
+    if (err.code !== 11000) throw err;
+    return { status: 'ignored', message: `Dispute ${rzpDispute.id} already has a newer event than ${event}` };
+  }
+  return { status: 'processed', message: `Dispute ${rzpDispute.id} on payment ${rzpPaymentId} is ${dispute.status}` };
+};
+
+const eventHandlers = {
+  'payment.captured': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.processed': handleRefundProcessed,
+  'refund.failed': handleRefundFailed,
+  'payout.processed': handlePayoutProcessed,
+  'payout.failed': handlePayoutFailed,
+  'payout.reversed': handlePayoutFailed,
+  ...Object.fromEntries(Object.keys(disputeStatuses).map(event => [event, handleDisputeEvent(event)]))
+};
+
+// Store the event, or pick it up again if an earlier delivery failed or got stuck processing.
+// Returns null for duplicates.
+const claimEvent = async (eventId, body) => {
+  try {
+    return await WebhookEvent.create({ event_id: eventId, event: body.event, payload: body });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const staleBefore = new Date(Date.now() - gatewayConfig.webhookStaleAfterMinutes * 60 * 1000);
+    return WebhookEvent.findOneAndUpdate(
+      {
+        gateway: 'razorpay',
+        event_id: eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: staleBefore } }
+        ]
+      },
+      { status: 'processing', $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Razorpay webhook: verify the signature, store the event once and apply it
+exports.handleRazorpayWebhook = catchAsync(async (req, res, next) => {
+  const signature = req.get('X-Razorpay-Signature');
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    return next(new AppError('Razorpay webhook secret is not configured', 500));
+  }
+  if (!verifyWebhookSignature(req.rawBody, signature, secret)) {
+    return next(new AppError('Invalid webhook signature', 400));
+  }
+  if (!req.body || !req.body.event || !req.body.payload) {
+    return next(new AppError('Malformed webhook payload', 400));
+  }
+
+  // Razorpay sends a unique id per event; fall back to the body hash for older integrations
+  const eventId = req.get('X-Razorpay-Event-Id')
+    || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  let record;
+  try {
+    record = await claimEvent(eventId, req.body);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!record) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Event already received'
+    });
+  }
+
+  try {
+    const handler = eventHandlers[req.body.event];
+    const result = handler
+      ? await handler(req.body.payload, req.body)
+      : { status: 'ignored', message: `No handler for ${req.body.event}` };
+
+    record.status = result.status;
+    record.error = result.status === 'ignored' ? result.message : undefined;
+    record.processedAt = new Date();
+    await record.save();
+
+    logger.info(`Razorpay webhook ${eventId} (${req.body.event}): ${result.message}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.message
+    });
+  } catch (err) {
+    // Leave the event as failed so Razorpay's retry picks it up again
+    record.status = 'failed';
+    record.error = err.message;
+    await record.save().catch(saveErr => logger.error(saveErr));
+
+    logger.error(`Razorpay webhook ${eventId} (${req.body.event}) failed: ${err.message}`);
+    return next(new AppError('Webhook processing failed', 500));
+  }
+});
@@ -1,8 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const AppError = require('../utils/appError');
 const jwtConfig = require('../config/jwt');
 const catchAsync = require('../utils/catchAsync'); // Import catchAsync
+const { verifySecondFactorLimited } = require('../utils/twoFactor');
+
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
 
 exports.authenticate = catchAsync(async (req, res, next) => {
   // 1. Get token from headers or cookies
@@ -24,22 +28,44 @@ exports.authenticate = catchAsync(async (req, res, next) => {
     return next(new AppError('Format of the authentication token is invalid. Please log in again.', 401));
   }
 
-  // 2. Verify token
-  const decoded = jwt.verify(token, jwtConfig.secret, {
-    issuer: jwtConfig.options.issuer,
-    audience: jwtConfig.options.audience,
-    algorithms: [jwtConfig.options.algorithm]
-  });
+  // 2. Verify token; an expired one is a 401 so the client knows to refresh it
+  let decoded;
+  try {
+    decoded = jwt.verify(token, jwtConfig.secret, {
+      issuer: jwtConfig.options.issuer,
+      audience: jwtConfig.options.audience,
+      algorithms: [jwtConfig.options.algorithm]
+    });
+  } catch (err) {
+    return next(new AppError(err.name === 'TokenExpiredError'
+      ? 'Your token has expired! Please log in again.'
+      : 'Invalid token. Please log in again!', 401));
+  }
 
-  // 3. Check if user still exists
+  // 3. Check the session the token was issued for is still signed in
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.active || String(session.user) !== String(decoded.id)) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
+  // 4. Check if user still exists
   const currentUser = await User.findById(decoded.id);
   if (!currentUser) {
     return next(new AppError('The user belonging to this token no longer exists.', 401));
   }
+  if (currentUser.suspended) {
+    return next(new AppError('Your account has been suspended. Please contact support.', 403));
+  }
 
  
-  // 4. Grant access and attach user to request
+  // Track when the session was last used; only every few minutes so requests stay read-only
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  // 5. Grant access and attach user and session to request
   req.user = currentUser;
+  req.sessionId = session._id;
   
   next();
 });
@@ -59,3 +85,24 @@ exports.providerRoleAuthenticate=catchAsync(async (req,res,next)=>{
         next(new AppError('Not a valid user role to hit this API', 400))
     }
 })
+
+exports.adminRoleAuthenticate=catchAsync(async (req,res,next)=>{
+    if(req.user&&req.user.role=="admin"){
+        next();
+    }else{
+        next(new AppError('Not a valid user role to hit this API', 403))
+    }
+})
+
+// With 2FA on, sensitive changes need a current code in the request body as `twoFactorCode`,
+// however recently the user logged in
+exports.requireFreshTwoFactor = catchAsync(async (req, res, next) => {
+  if (!req.user.twoFactor || !req.user.twoFactor.enabled) return next();
+
+  const code = req.body && req.body.twoFactorCode;
+  if (!code) {
+    return next(new AppError('Please confirm this change with a code from your authenticator app.', 403));
+  }
+  await verifySecondFactorLimited(req.user, code, req);
+  next();
+});
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Security-relevant events, kept for review
+const auditLogSchema = new Schema({
+    action: {
+        type: String,
+        enum: [
+            'account_locked',
+            'ip_locked',
+            'forgot_password_limited',
+            'user_suspended',
+            'user_reinstated',
+            'bank_details_verified',
+            'bank_details_rejected',
+            'payout_triggered',
+            'payout_requeued',
+            'dispute_noted'
+        ],
+        required: [true, 'Action is required']
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Account affected, when there is one
+    },
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Admin who took the action; empty for automatic events
+    },
+    ip: String,
+    userAgent: String,
+    details: {
+        type: Schema.Types.Mixed // e.g. { email, attempts, lockedUntil }
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: false
+    }
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
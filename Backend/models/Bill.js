@@ -6,13 +6,61 @@ const billSchema = new mongoose.Schema({
     ref: 'ServiceRequest',
     required: [true, 'Bill must belong to a service request']
   },
-  amount: {
+  amount: { // What the customer pays: subtotal less discount and any deposit already paid
     type: Number,
     required: [true, 'Please enter bill amount']
   },
+  line_items: [{ // Itemised service bills: the base service (or quoted lines), add-ons and materials
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['service', 'add_on', 'materials', 'labour', 'visit_charge']
+    },
+    service: { // The booked service, or the sub-service billed as an add-on
+      type: mongoose.Schema.ObjectId,
+      ref: 'Service'
+    },
+    description: String,
+    quantity: Number,
+    unit_price: Number,
+    amount: Number // quantity x unit_price
+  }],
+  items_discount: { // Provider's discount on the line items, before any coupon
+    type: Number,
+    default: 0
+  },
+  subtotal: Number, // Line items less items_discount, before the coupon discount; empty on bills without one
+  discount: {
+    type: Number,
+    default: 0
+  },
+  coupon_code: String,
+  quote: { // Accepted quote the service bill was raised on
+    type: mongoose.Schema.ObjectId,
+    ref: 'Quote'
+  },
+  deposit_paid: { // Deposit already collected, taken off a service bill
+    type: Number,
+    default: 0
+  },
+  tax_rate: Number, // GST % on an itemised bill
+  tax: Number, // GST included in the amount, or added to it when tax_inclusive is false
+  tax_inclusive: Boolean,
+  milestone: { // Where the bill sits in the request's payment schedule
+    sequence: Number, // 1 for a deposit, 2 for the balance after it
+    due_on: {
+      type: String,
+      enum: ['acceptance', 'completion']
+    }
+  },
+  bill_type: { // A request has at most one bill of each type
+    type: String,
+    enum: ['service', 'deposit', 'cancellation_fee', 'tip'],
+    default: 'service'
+  },
   status: {
     type: String,
-    enum: ['paid', 'unpaid'],
+    enum: ['paid', 'unpaid', 'partially_refunded', 'refunded'],
     default: 'unpaid'
   },
   generated_at: {
@@ -21,5 +69,10 @@ const billSchema = new mongoose.Schema({
   }
 });
 
+// The service bill of a request, i.e. not its deposit, cancellation fee or tip
+billSchema.statics.findServiceBill = function (requestId) {
+  return this.findOne({ request: requestId, bill_type: { $nin: ['deposit', 'cancellation_fee', 'tip'] } });
+};
+
 // Check if the model already exists before compiling it
 module.exports = mongoose.models.Bill || mongoose.model('Bill', billSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const serviceCategories = require('../config/serviceCategories');
+const { providerTiers } = require('../config/commission');
+
+// Commission Rule Schema. Rules are never edited in place: a change creates the next version
+// under the same code and supersedes the old one, so payments keep pointing at what applied.
+const commissionRuleSchema = new Schema({
+    code: {
+        type: String,
+        required: [true, 'Rule code is required'], // Stable identifier shared by every version
+        trim: true
+    },
+    version: {
+        type: Number,
+        required: [true, 'Rule version is required'],
+        min: 1
+    },
+    name: {
+        type: String,
+        required: [true, 'Rule name is required']
+    },
+    description: String,
+    // Conditions; an empty condition matches everything
+    category: {
+        type: String,
+        enum: serviceCategories
+    },
+    providerTier: {
+        type: String,
+        enum: providerTiers
+    },
+    validFrom: Date, // Promotional period start
+    validUntil: Date, // Promotional period end (exclusive)
+    // Fee = fixedFee + percentage of the amount, clamped to [minFee, maxFee]
+    percentage: {
+        type: Number,
+        default: 0,
+        min: [0, 'Percentage cannot be negative'],
+        max: [100, 'Percentage cannot exceed 100']
+    },
+    fixedFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Fixed fee cannot be negative'] // Rupees
+    },
+    minFee: {
+        type: Number,
+        min: 0
+    },
+    maxFee: {
+        type: Number,
+        min: 0
+    },
+    priority: {
+        type: Number,
+        default: 0 // Higher wins when several rules match
+    },
+    status: {
+        type: String,
+        enum: ['active', 'superseded', 'retired'],
+        default: 'active'
+    },
+    supersededAt: Date,
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+commissionRuleSchema.index({ code: 1, version: 1 }, { unique: true });
+commissionRuleSchema.index({ status: 1 });
+
+commissionRuleSchema.pre('validate', function (next) {
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    return next(new Error('validUntil must be after validFrom'));
+  }
+  if (this.minFee !== undefined && this.maxFee !== undefined && this.minFee > this.maxFee) {
+    return next(new Error('minFee cannot be greater than maxFee'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers per financial year), incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Sequence name
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const serviceCategories = require('../config/serviceCategories');
+
+// Coupon Schema
+const couponSchema = new Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true, // Codes are matched case-insensitively
+        trim: true
+    },
+    description: String,
+    discount_type: {
+        type: String,
+        enum: ['percentage', 'flat'],
+        required: [true, 'Discount type is required']
+    },
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required'], // Percent off, or rupees off for flat coupons
+        min: [0.01, 'Discount value must be greater than 0']
+    },
+    max_discount: {
+        type: Number,
+        min: 0 // Cap in rupees for percentage coupons
+    },
+    min_order_value: {
+        type: Number,
+        default: 0 // Rupees
+    },
+    usage_limit: {
+        type: Number,
+        min: 1 // Total redemptions across all customers; empty means unlimited
+    },
+    per_user_limit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    times_used: {
+        type: Number,
+        default: 0 // Reserved + redeemed, kept in step with CouponRedemption
+    },
+    // Scope; an empty list applies everywhere
+    categories: [{
+        type: String,
+        enum: serviceCategories
+    }],
+    providers: [{
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    starts_at: Date,
+    expires_at: Date, // Exclusive
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+couponSchema.pre('validate', function (next) {
+  if (this.discount_type === 'percentage' && this.value > 100) {
+    return next(new Error('A percentage discount cannot exceed 100'));
+  }
+  if (this.starts_at && this.expires_at && this.starts_at >= this.expires_at) {
+    return next(new Error('expires_at must be after starts_at'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
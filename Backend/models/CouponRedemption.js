@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Coupon Redemption Schema. A booking reserves the coupon, the captured payment redeems it,
+// and a cancelled or rejected booking releases it again.
+const couponRedemptionSchema = new Schema({
+    coupon: {
+        type: Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: [true, 'Coupon reference is required']
+    },
+    code: String, // Snapshot of the code used
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Customer reference is required']
+    },
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'ServiceRequest',
+        required: [true, 'Service request reference is required']
+    },
+    bill: {
+        type: Schema.Types.ObjectId,
+        ref: 'Bill' // Set once the discounted bill is paid
+    },
+    discount: {
+        type: Number,
+        default: 0 // Rupees
+    },
+    status: {
+        type: String,
+        enum: ['reserved', 'redeemed', 'released'],
+        default: 'reserved'
+    },
+    slot: {
+        type: Number // Which of the customer's per_user_limit uses this holds; cleared on release
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1, status: 1 });
+couponRedemptionSchema.index({ request: 1 }, { unique: true }); // One coupon per booking
+// A customer can't hold the same slot twice, so concurrent bookings can't overrun per_user_limit
+couponRedemptionSchema.index(
+    { coupon: 1, customer: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Chargebacks raised by customers' banks against captured payments, as reported by Razorpay
+const disputeSchema = new Schema({
+    razorpay_dispute_id: {
+        type: String,
+        required: [true, 'Razorpay dispute ID is required']
+    },
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payment' // Empty if the payment was never recorded here
+    },
+    razorpay_payment_id: {
+        type: String,
+        required: [true, 'Razorpay payment ID is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Disputed amount is required'] // Same unit as Payment.amount
+    },
+    reason_code: {
+        type: String
+    },
+    reason_description: {
+        type: String
+    },
+    phase: {
+        type: String // chargeback, pre_arbitration, arbitration, ...
+    },
+    status: {
+        type: String,
+        enum: ['open', 'under_review', 'won', 'lost', 'closed'],
+        default: 'open'
+    },
+    respond_by: {
+        type: Date // Deadline for submitting evidence to Razorpay
+    },
+    last_event_at: {
+        type: Date // When Razorpay raised the event the fields above come from; older events are ignored
+    },
+    admin_note: {
+        type: String // What the team has done about it
+    },
+    handledBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Admin who last updated the note
+    },
+    handledAt: Date
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+disputeSchema.index({ razorpay_dispute_id: 1 }, { unique: true });
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ payment: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
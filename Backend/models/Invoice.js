@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Party snapshot, so an invoice never changes when the user edits their profile
+const partySchema = new Schema({
+    name: String,
+    email: String,
+    address: String,
+    gstin: String,
+    state_code: String
+}, { _id: false });
+
+// Amounts in rupees, rounded to paise
+const invoiceLineSchema = new Schema({
+    description: String,
+    sac: String, // HSN/SAC code
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    taxable_value: Number,
+    cgst_rate: Number,
+    cgst: Number,
+    sgst_rate: Number,
+    sgst: Number,
+    igst_rate: Number,
+    igst: Number,
+    total: Number
+}, { _id: false });
+
+// Invoice Schema: tax invoice issued for a captured payment
+const invoiceSchema = new Schema({
+    invoice_number: {
+        type: String,
+        required: [true, 'Invoice number is required'] // <prefix>/<financial year>/<sequence>
+    },
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: [true, 'Payment reference is required']
+    },
+    bill: {
+        type: Schema.Types.ObjectId,
+        ref: 'Bill',
+        required: [true, 'Bill reference is required']
+    },
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'ServiceRequest'
+    },
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Customer reference is required']
+    },
+    provider: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Provider reference is required']
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    service_provider_name: String,
+    place_of_supply: String, // GST state code of the buyer
+    supply_type: {
+        type: String,
+        enum: ['intra_state', 'inter_state']
+    },
+    lines: [invoiceLineSchema],
+    taxable_value: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number,
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    emailedAt: Date,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+invoiceSchema.index({ invoice_number: 1 }, { unique: true });
+invoiceSchema.index({ payment: 1 }, { unique: true });
+invoiceSchema.index({ request: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One side of a journal entry. Amounts are integers in paise (minor units), never rupees.
+const journalLineSchema = new Schema({
+    account: {
+        type: String,
+        required: [true, 'Ledger account is required']
+    },
+    provider: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Set on provider sub-ledger lines (provider_payable)
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Debit cannot be negative'],
+        validate: { validator: Number.isInteger, message: 'Debit must be a whole number of paise' }
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Credit cannot be negative'],
+        validate: { validator: Number.isInteger, message: 'Credit must be a whole number of paise' }
+    }
+}, { _id: false });
+
+// Journal Entry Schema: an immutable, balanced record of one money movement
+const journalEntrySchema = new Schema({
+    idempotency_key: {
+        type: String,
+        required: [true, 'Idempotency key is required'] // e.g. "payment:<id>", posting twice is a no-op
+    },
+    entry_type: {
+        type: String,
+        enum: ['payment_captured', 'refund', 'refund_reversed', 'payout_sent', 'payout_returned', 'wallet_credit'],
+        required: [true, 'Entry type is required']
+    },
+    reference: {
+        kind: {
+            type: String,
+            enum: ['Payment', 'Refund', 'Payout', 'Transfer', 'WalletTransaction']
+        },
+        id: {
+            type: Schema.Types.ObjectId
+        }
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    description: {
+        type: String
+    },
+    lines: {
+        type: [journalLineSchema],
+        validate: {
+            validator: (lines) => lines.length >= 2,
+            message: 'A journal entry needs at least two lines'
+        }
+    },
+    postedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+journalEntrySchema.index({ idempotency_key: 1 }, { unique: true });
+journalEntrySchema.index({ 'lines.account': 1, 'lines.provider': 1 });
+journalEntrySchema.index({ 'reference.id': 1 });
+
+// Debits must equal credits, and each line moves money on exactly one side
+journalEntrySchema.pre('validate', function (next) {
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Ledger line for ${line.account} must have either a debit or a credit`));
+    }
+    debits += line.debit;
+    credits += line.credit;
+  }
+  if (debits !== credits) {
+    return next(new Error(`Journal entry is unbalanced: debits ${debits} != credits ${credits}`));
+  }
+  next();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One-time codes sent by SMS. Only a hash of the code is kept; expired codes are removed by MongoDB.
+const otpSchema = new Schema({
+    phone_number: {
+        type: String,
+        required: [true, 'Phone number is required']
+    },
+    purpose: {
+        type: String,
+        enum: ['login', 'verify_phone'],
+        required: [true, 'Purpose is required']
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Who the code was sent for
+    },
+    codeHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    attempts: { // Guesses so far, limited by config/otp.js
+        type: Number,
+        default: 0
+    },
+    consumedAt: Date, // Set once the code has been used, or replaced by a newer one
+    sendError: String // Transport error if the SMS could not be sent
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+otpSchema.index({ phone_number: 1, purpose: 1, createdAt: -1 });
+// Kept a day past expiry so the hourly send limit can still count them
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
@@ -9,22 +9,38 @@ const paymentSchema = new Schema({
         required: [true, 'Bill reference is required'] // Reference to the bill associated with the payment
     },
     razorpay_order_id: {
-        type: String,
-        required: [true, 'Razorpay Order ID is required'] // Razorpay order ID for tracking
+        type: String // Razorpay order created for the bill by POST /api/payment/order
     },
     razorpay_payment_id: {
-        type: String,
-        required: [true, 'Razorpay Payment ID is required'] // Payment ID generated by Razorpay
+        type: String // Payment ID generated by Razorpay, set once the customer pays
     },
     payment_method: {
         type: String,
-        required: [true, 'Payment method is required'] // Specifies how the payment was made (e.g., UPI, card)
+        default: 'pending' // Specifies how the payment was made (e.g., UPI, card)
     },
     status: {
         type: String,
-        enum: ['created', 'captured', 'failed'],
+        enum: ['created', 'captured', 'failed', 'partially_refunded', 'refunded'],
         default: 'created' // Tracks the payment status
     },
+    milestone: {
+        type: String // bill_type of the bill paid (service, deposit, cancellation_fee, tip)
+    },
+    amount_refunded: {
+        type: Number,
+        default: 0 // Total refunded so far, same unit as amount
+    },
+    wallet_amount: {
+        type: Number,
+        default: 0 // Part of amount paid from the customer's wallet; the gateway collects the rest
+    },
+    wallet_refunded: {
+        type: Number,
+        default: 0 // Part of amount_refunded that went back to the customer's wallet
+    },
+    failure_reason: {
+        type: String // Gateway error description for failed payments
+    },
     customer: {
         type: Schema.Types.ObjectId,
         ref: 'User',
@@ -37,12 +53,27 @@ const paymentSchema = new Schema({
     },
     amount: {
         type: Number,
-        required: [true, 'Amount is required'] // Payment amount in paise (1 INR = 100 paise)
+        required: [true, 'Amount is required'] // Payment amount in rupees, same as Bill.amount (the ledger stores paise)
     },
     platform_fee: {
         type: Number,
         default: 0 // Fee charged by the platform, optional
     },
+    commission: { // Snapshot of the commission rule the platform_fee was worked out with
+        rule: {
+            type: Schema.Types.ObjectId,
+            ref: 'CommissionRule' // Empty when the configured default applied
+        },
+        code: String,
+        version: Number,
+        percentage: Number,
+        fixed_fee: Number,
+        category: String,
+        provider_tier: String
+    },
+    capturedAt: {
+        type: Date // When the gateway confirmed the payment
+    },
     createdAt: {
         type: Date,
         default: Date.now // Timestamp for when the payment was created
@@ -53,4 +84,6 @@ const paymentSchema = new Schema({
     }
 });
 
+paymentSchema.index({ razorpay_order_id: 1 });
+
 module.exports = mongoose.model('Payment', paymentSchema); // Export the Payment model
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Payout Schema: one bank payout settling a batch of a provider's transfers
+const payoutSchema = new Schema({
+    provider: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Provider reference is required']
+    },
+    transfers: [{
+        type: Schema.Types.ObjectId,
+        ref: 'Transfer'
+    }],
+    amount: {
+        type: Number,
+        required: [true, 'Payout amount is required'] // Rupees, sum of the batched transfers
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'processed', 'failed', 'reversed'],
+        default: 'queued' // queued -> processing (sent to the gateway) -> processed / failed / reversed
+    },
+    transfer_mode: {
+        type: String,
+        enum: ['upi', 'imps', 'neft', 'rtgs'],
+        required: [true, 'Transfer mode is required']
+    },
+    fund_account_id: {
+        type: String // Gateway fund account the payout is sent to
+    },
+    razorpay_payout_id: {
+        type: String // Payout ID returned by the gateway
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    next_attempt_at: {
+        type: Date,
+        default: Date.now // When the job may (re)try sending this payout
+    },
+    last_error: {
+        type: String
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+payoutSchema.index({ provider: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, next_attempt_at: 1 });
+payoutSchema.index({ razorpay_payout_id: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Payout', payoutSchema);
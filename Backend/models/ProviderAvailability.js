@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// "HH:mm" in the provider's local time
+const timeOfDayRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeRangeSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    min: 0, // Sunday
+    max: 6, // Saturday
+    required: [true, 'Day of week is required']
+  },
+  start: {
+    type: String,
+    match: [timeOfDayRegex, 'Start time must be in HH:mm format'],
+    required: [true, 'Start time is required']
+  },
+  end: {
+    type: String,
+    match: [timeOfDayRegex, 'End time must be in HH:mm format'],
+    required: [true, 'End time is required']
+  }
+}, { _id: false });
+
+const blockedDateSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Blocked date must be in YYYY-MM-DD format'],
+    required: [true, 'Blocked date is required']
+  },
+  reason: String
+}, { _id: false });
+
+const serviceDurationSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service reference is required']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [1440, 'Duration cannot be longer than a day'], // Conflict checks assume bookings fit in a day
+    required: [true, 'Duration is required']
+  }
+}, { _id: false });
+
+// Default working week used until a provider configures their own: Mon-Sat, 09:00-18:00
+const defaultWeeklyHours = () => [1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+  dayOfWeek,
+  start: '09:00',
+  end: '18:00'
+}));
+
+const providerAvailabilitySchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Availability must belong to a provider'],
+    unique: true
+  },
+  weeklyHours: {
+    type: [timeRangeSchema],
+    default: defaultWeeklyHours
+  },
+  breaks: {
+    type: [timeRangeSchema],
+    default: []
+  },
+  blockedDates: {
+    type: [blockedDateSchema],
+    default: []
+  },
+  serviceDurations: {
+    type: [serviceDurationSchema],
+    default: []
+  },
+  defaultDurationMinutes: {
+    type: Number,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [1440, 'Duration cannot be longer than a day'],
+    default: 60
+  },
+  slotIntervalMinutes: {
+    type: Number,
+    min: [5, 'Slot interval must be at least 5 minutes'],
+    default: 30
+  },
+  utcOffsetMinutes: { // Provider's offset from UTC, IST by default
+    type: Number,
+    default: 330
+  }
+}, {
+  timestamps: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt'
+  }
+});
+
+module.exports = mongoose.model('ProviderAvailability', providerAvailabilitySchema);
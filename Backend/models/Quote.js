@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const { roundToPaise } = require('../utils/money');
+
+const quoteItemSchema = new Schema({
+    kind: {
+        type: String,
+        enum: ['labour', 'materials', 'visit_charge'],
+        required: [true, 'Quote item kind is required']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: [0.01, 'Quantity must be greater than 0']
+    },
+    unit_price: {
+        type: Number,
+        required: [true, 'Unit price is required'], // Rupees
+        min: [0, 'Unit price cannot be negative']
+    },
+    amount: {
+        type: Number // quantity x unit_price, worked out on save
+    }
+}, { _id: false });
+
+// Quote Schema: a provider's itemised price for a pending request. The customer accepts it,
+// declines it or counters with their own figure; a new quote from the provider supersedes the
+// last one. The agreed total becomes the price the service bill is raised on.
+const quoteSchema = new Schema({
+    request: {
+        type: Schema.Types.ObjectId,
+        ref: 'ServiceRequest',
+        required: [true, 'Service request reference is required']
+    },
+    provider: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Provider reference is required']
+    },
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Customer reference is required']
+    },
+    version: {
+        type: Number,
+        default: 1 // 1 for the first quote on a request, then 2, 3... as it is revised
+    },
+    items: {
+        type: [quoteItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'A quote needs at least one item'
+        }
+    },
+    total: {
+        type: Number // Sum of the item amounts, worked out on save
+    },
+    note: String,
+    status: {
+        type: String,
+        enum: ['sent', 'countered', 'accepted', 'declined', 'superseded'],
+        default: 'sent'
+    },
+    counter_offer: { // The customer's counter, for the provider to accept or answer with a new quote
+        amount: Number,
+        note: String,
+        at: Date
+    },
+    agreed_total: {
+        type: Number // The quote total, or the counter the provider accepted
+    },
+    respondedAt: Date
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+quoteSchema.index({ request: 1, version: -1 });
+
+// Totals are always the server's sums, whatever the client sent
+quoteSchema.pre('validate', function (next) {
+  this.items.forEach(item => {
+    item.amount = roundToPaise((item.quantity || 0) * (item.unit_price || 0));
+  });
+  this.total = roundToPaise(this.items.reduce((sum, item) => sum + item.amount, 0));
+  if (this.isNew && this.total <= 0) {
+    return next(new Error('A quote must come to more than 0'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Attempt counters for the mongo limiter store, shared by every app instance
+const rateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: [true, 'Key is required'] // e.g. login:account:someone@example.com
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    windowStartedAt: Date,
+    lastAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: Date // Once the window and any lockout are over; removed by MongoDB
+});
+
+rateLimitSchema.index({ key: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Refund Schema
+const refundSchema = new Schema({
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: [true, 'Payment reference is required'] // Payment being refunded
+    },
+    bill: {
+        type: Schema.Types.ObjectId,
+        ref: 'Bill',
+        required: [true, 'Bill reference is required'] // Bill the refunded payment settled
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Refund amount is required'], // Same unit as Payment.amount
+        min: [0.01, 'Refund amount must be greater than 0']
+    },
+    reason: {
+        type: String
+    },
+    destination: {
+        type: String,
+        enum: ['source', 'wallet'],
+        default: 'source' // Back to the card/UPI paid with, or to the customer's wallet as store credit
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending' // Razorpay confirms processing asynchronously via refund.processed; wallet refunds are processed at once
+    },
+    razorpay_refund_id: {
+        type: String // Refund ID returned by Razorpay
+    },
+    provider_share: {
+        type: Number,
+        default: 0 // Part of the refund taken back from the provider's transfer
+    },
+    provider_recovery_due: {
+        type: Number,
+        default: 0 // Provider share that could not be taken back because the payout already went out
+    },
+    initiated_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Empty when the refund was started outside the app (e.g. Razorpay dashboard)
+    },
+    failure_reason: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+refundSchema.index({ payment: 1 });
+refundSchema.index({ razorpay_refund_id: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -28,6 +28,12 @@ const serviceSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please enter service address']
   },
+  depositPercent: { // Share of the price asked upfront when a booking is accepted; 0 for none
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative'],
+    max: [100, 'Deposit cannot exceed the price']
+  },
   parent_service: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Service'
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { STATUSES, ACTORS, INITIAL_STATUS } = require('../utils/bookingStateMachine');
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: [true, 'Status history entry must record the new status']
+  },
+  actor: {
+    type: String,
+    enum: ACTORS,
+    required: [true, 'Status history entry must record who made the change']
+  },
+  by: { // User who triggered the change; empty for system transitions
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const serviceRequestSchema = new mongoose.Schema({
   service: {
@@ -20,6 +43,10 @@ const serviceRequestSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please select a time slot']
   },
+  durationMinutes: { // Length of the booking, taken from the provider's availability at booking time
+    type: Number,
+    default: 60
+  },
   serviceNameSnapshot: {
     type: String,
     required: [true, 'Service name snapshot is required at the time of booking']
@@ -28,14 +55,53 @@ const serviceRequestSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Service price snapshot is required at the time of booking']
   },
+  coupon: { // Coupon applied at booking; the service bill takes the discount from here
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount_type: String,
+    value: Number,
+    max_discount: Number,
+    discount: Number // Rupees off the booked price
+  },
+  quote: { // Price agreed through a quote before acceptance; bills are raised on it instead of servicePriceSnapshot
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quote'
+    },
+    total: Number, // Rupees, before any coupon
+    acceptedAt: Date
+  },
   customerAddress: { // Address where the service will be provided
     type: String,
     // required: [true, 'Customer address is required for the service'] // Making it optional for now
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'completed', 'in-progress', 'PaymentCompleted'], // Added 'PaymentCompleted'
-    default: 'pending'
+    enum: Object.values(STATUSES), // Transitions live in utils/bookingStateMachine
+    default: INITIAL_STATUS
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  cancellation: {
+    reason: String,
+    cancelledAt: Date,
+    fee: { // Cancellation fee in rupees, 0 when cancelled outside the window
+      type: Number,
+      default: 0
+    },
+    depositKept: { // Part of the fee kept out of the deposit refund, in rupees
+      type: Number,
+      default: 0
+    },
+    feePaid: {
+      type: Boolean,
+      default: false
+    }
   },
   createdAt: {
     type: Date,
@@ -24,6 +24,17 @@ const sessionSchema = new mongoose.Schema({
   active: {
     type: Boolean,
     default: true
+  },
+  refreshTokenHash: { // sha256 of the current refresh token; replaced on every refresh
+    type: String,
+    select: false
+  },
+  refreshExpiresAt: Date,
+  refreshedAt: Date, // Last time the refresh token was rotated
+  lastSeenAt: Date, // Last authenticated request, to within a few minutes
+  revokedReason: { // Why an ended session was closed
+    type: String,
+    enum: ['logout', 'revoked', 'refresh_token_reuse', 'expired', 'password_reset', 'suspended']
   }
 });
 
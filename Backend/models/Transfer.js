@@ -20,9 +20,23 @@ const transferSchema = new Schema({
     },
     status: {
         type: String,
-        enum: ['created', 'captured' , 'failed'],
+        enum: ['created', 'captured' , 'failed', 'reversed'],
         default: 'created' // Status of the transfer
     },
+    payout: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payout' // Batch this transfer is paid out in, set by the payout job
+    },
+    razorpay_payout_id: {
+        type: String // Payout ID returned by Razorpay, used to match payout webhooks
+    },
+    failure_reason: {
+        type: String // Gateway error description for failed or reversed payouts
+    },
+    payout_round: {
+        type: Number,
+        default: 0 // Bumped each time a failed transfer is queued again; part of its payout idempotency key
+    },
     transfer_mode: {
         type: String,
         enum: ['upi', 'imps', 'neft', 'rtgs'],
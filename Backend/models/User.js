@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { providerTiers } = require('../config/commission');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,13 +23,71 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please enter your phone number']
   },
+  phoneVerified: { // Confirmed with a texted code; needed to log in by phone
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   role: {
     type: String,
-    enum: ['customer', 'provider'],
+    enum: ['customer', 'provider', 'admin'], // Admins are created with scripts/createAdmin.js, never by signing up
     required: true
   },
+  suspended: { // Suspended accounts can't log in, and suspended providers aren't listed
+    type: Boolean,
+    default: false
+  },
+  suspension: { // Latest suspension, kept after reinstatement for the record
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reinstatedAt: Date,
+    reinstatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
+  emailVerified: { // Providers aren't listed to customers until this is set
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerification: { // Throttles resends, see config/emailVerification.js
+    lastSentAt: Date,
+    windowStartedAt: Date, // Start of the current 24-hour sending window
+    sendsInWindow: {
+      type: Number,
+      default: 0
+    }
+  },
+  twoFactor: { // Optional TOTP second factor, offered to providers
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: { // base32 shared secret of the confirmed authenticator
+      type: String,
+      select: false
+    },
+    pendingSecret: { // Secret shown during enrolment, until a code from it is confirmed
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: { // sha256 of each unused recovery code
+      type: [String],
+      select: false
+    },
+    lastUsedStep: { // Time step of the last accepted code, so codes can't be replayed
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   location: { 
     type: {
       type: String,
@@ -56,6 +115,19 @@ const userSchema = new mongoose.Schema({
   },
   charges: { // Charges per service for the provider
     type: String,
+  },
+  gstin: { // Optional GSTIN for business customers, printed on tax invoices
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  stateCode: { // Two-digit GST state code of the billing address (place of supply)
+    type: String
+  },
+  providerTier: { // Commission tier, see config/commission.js
+    type: String,
+    enum: providerTiers,
+    default: 'standard'
   }
 });
 
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const paise = { validator: Number.isInteger, message: 'Wallet amounts must be a whole number of paise' };
+
+// Wallet Schema: a customer's store credit. Amounts are integers in paise, like the ledger;
+// balance and held are kept in step with WalletTransaction.
+const walletSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required'],
+        unique: true // One wallet per user
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: [0, 'Wallet balance cannot be negative'], // Posted credits minus posted debits
+        validate: paise
+    },
+    held: {
+        type: Number,
+        default: 0,
+        min: [0, 'Held amount cannot be negative'], // Set aside for checkouts still waiting on the gateway
+        validate: paise
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+// What can be spent right now
+walletSchema.virtual('available').get(function () {
+  return this.balance - this.held;
+});
+
+walletSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
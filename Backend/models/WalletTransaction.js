@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Wallet Transaction Schema: one line of a customer's wallet history. A checkout first holds
+// the debit, which is posted when the payment is captured or released if it never is.
+const walletTransactionSchema = new Schema({
+    wallet: {
+        type: Schema.Types.ObjectId,
+        ref: 'Wallet',
+        required: [true, 'Wallet reference is required']
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required']
+    },
+    type: {
+        type: String,
+        enum: ['credit', 'debit'],
+        required: [true, 'Transaction type is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'], // Paise
+        min: [1, 'Amount must be greater than 0'],
+        validate: { validator: Number.isInteger, message: 'Amount must be a whole number of paise' }
+    },
+    source: {
+        type: String,
+        enum: ['refund', 'goodwill', 'referral', 'payment'],
+        required: [true, 'Transaction source is required']
+    },
+    status: {
+        type: String,
+        enum: ['held', 'posted', 'released'],
+        default: 'posted'
+    },
+    reference: {
+        kind: {
+            type: String,
+            enum: ['Payment', 'Refund', 'User']
+        },
+        id: {
+            type: Schema.Types.ObjectId
+        }
+    },
+    description: {
+        type: String
+    },
+    idempotency_key: {
+        type: String // e.g. "refund:<id>", crediting the same key twice is a no-op
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Set for credits granted by staff
+    }
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ 'reference.id': 1, status: 1 });
+walletTransactionSchema.index({ idempotency_key: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
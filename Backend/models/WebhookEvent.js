@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One document per gateway event, so redelivered webhooks are only applied once
+const webhookEventSchema = new Schema({
+    gateway: {
+        type: String,
+        enum: ['razorpay'],
+        default: 'razorpay'
+    },
+    event_id: {
+        type: String,
+        required: [true, 'Event ID is required'] // X-Razorpay-Event-Id header
+    },
+    event: {
+        type: String,
+        required: [true, 'Event type is required'] // e.g. payment.captured
+    },
+    payload: {
+        type: Schema.Types.Mixed
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'processed', 'ignored', 'failed'],
+        default: 'processing'
+    },
+    error: String, // Last processing error, if any
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    processedAt: Date
+}, {
+    timestamps: {
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    }
+});
+
+webhookEventSchema.index({ gateway: 1, event_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,47 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const paymentController = require('../controllers/paymentController');
+const authMiddleware = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Everything here is for admins only
+router.use(authMiddleware.authenticate, authMiddleware.adminRoleAuthenticate);
+
+// users: search, inspect, suspend and reinstate
+router.get('/users', adminController.listUsers);
+router.get('/users/:id', adminController.getUser);
+router.patch('/users/:id/suspend', adminController.suspendUser);
+router.patch('/users/:id/reinstate', adminController.reinstateUser);
+
+// provider bank details waiting to be verified before payouts can go to them
+router.get('/bank-details', adminController.listBankDetails);
+router.patch('/bank-details/:id', adminController.reviewBankDetails);
+
+// bookings and their bills
+router.get('/service-requests', adminController.listServiceRequests);
+router.get('/service-requests/:id', adminController.getServiceRequest);
+router.get('/bills', adminController.listBills);
+
+// payments and refunds (refundPayment lets admins refund any payment)
+router.get('/payments', adminController.listPayments);
+router.get('/payments/:id', adminController.getPayment);
+router.post('/payments/:paymentId/refunds', paymentController.refundPayment);
+
+// money owed to providers: transfers, payout batches, sending them now and retrying failed ones
+router.get('/transfers', adminController.listTransfers);
+router.post('/transfers/:transferId/payout', paymentController.processPaymentFromMeToProvider);
+router.post('/transfers/:transferId/requeue', adminController.requeueTransfer);
+router.get('/payouts', adminController.listPayouts);
+router.post('/payouts/run', adminController.runPayouts);
+router.post('/payouts/:id/requeue', adminController.requeuePayout);
+
+// chargebacks reported by Razorpay
+router.get('/disputes', adminController.listDisputes);
+router.get('/disputes/:id', adminController.getDispute);
+router.patch('/disputes/:id', adminController.updateDispute);
+
+// security and moderation history
+router.get('/audit-logs', adminController.listAuditLogs);
+
+module.exports = router;
@@ -1,11 +1,42 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middlewares/auth');
 const router = express.Router();
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
 router.post('/logout', authMiddleware.authenticate, authController.logout);
+// Uses the httpOnly refresh token cookie, so no access token is needed
+router.post('/refresh', authController.refresh);
+
+// Second login step when two-factor authentication is on
+router.post('/2fa/login', authController.verifyTwoFactorLogin);
+
+// Two-factor authentication settings (authenticator app), offered to providers
+router.get('/2fa', authMiddleware.authenticate, authMiddleware.providerRoleAuthenticate, twoFactorController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware.authenticate, authMiddleware.providerRoleAuthenticate, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware.authenticate, authMiddleware.providerRoleAuthenticate, twoFactorController.enableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware.authenticate, authMiddleware.providerRoleAuthenticate, twoFactorController.regenerateRecoveryCodes);
+router.post('/2fa/disable', authMiddleware.authenticate, authMiddleware.providerRoleAuthenticate, twoFactorController.disableTwoFactor);
+
+// Email verification: the link from the email, and a throttled resend for the signed-in user
+router.patch('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-email/resend', authMiddleware.authenticate, authController.resendVerificationEmail);
+
+// Passwordless login with a code texted to a verified phone number
+router.post('/otp/login/request', authController.requestLoginOtp);
+router.post('/otp/login/verify', authController.verifyLoginOtp);
+
+// Phone verification for the signed-in user; the first code is sent at signup
+router.post('/phone/verify/request', authMiddleware.authenticate, authController.requestPhoneVerification);
+router.post('/phone/verify', authMiddleware.authenticate, authController.verifyPhone);
+
+// Devices & sessions: list the user's signed-in sessions and sign them out remotely
+router.get('/sessions', authMiddleware.authenticate, sessionController.getMySessions);
+router.delete('/sessions/others', authMiddleware.authenticate, sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', authMiddleware.authenticate, sessionController.revokeSession);
 
 // Password Reset Routes
 router.post('/forgot-password', authController.forgotPassword); 
@@ -0,0 +1,15 @@
+const express = require('express');
+const couponController = require('../controllers/couponController');
+const authMiddleware = require('../middlewares/auth');
+
+const router = express.Router();
+
+router.use(
+    authMiddleware.authenticate,
+    authMiddleware.customerRoleAuthenticate
+);
+
+// POST /api/coupons/validate - Customer checks a code and sees the discount before booking
+router.post('/validate', couponController.validateCoupon);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const customerController = require('../controllers/customerController');
 const paymentController = require('../controllers/paymentController');
+const walletController = require('../controllers/walletController');
 const authMiddleware = require('../middlewares/auth');
 
 const router = express.Router();
@@ -33,5 +34,8 @@ router.post('/services/:id/review', customerController.submitReview);
 // Get customer's orders (accepted service requests)
 router.get('/orders', customerController.getCustomerOrders);
 
+// Wallet balance and history
+router.get('/wallet', walletController.getMyWallet);
+
 
 module.exports = router;
@@ -1,10 +1,16 @@
 
 const express = require('express');
 const paymentController = require('../controllers/paymentController');
+const webhookController = require('../controllers/webhookController');
 const authMiddleware = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Razorpay webhooks are authenticated by signature, not by user token
+router.post('/webhooks/razorpay',
+    webhookController.handleRazorpayWebhook
+);
+
 // Protect all routes after this middleware
 router.use(authMiddleware.authenticate);
 
@@ -15,19 +21,34 @@ router.post('/payment/:id',
 ); 
 
 
-// // process payment from my razorpay account to provider's bank account
-// router.post('/transfer/:id', 
-//     paymentController.processPaymentFromMeToProvider
-// );
+// refunds against a captured payment (full when no amount is given)
+router.post('/refunds/:paymentId',
+    authMiddleware.providerRoleAuthenticate,
+    paymentController.refundPayment
+);
+router.get('/refunds/:paymentId',
+    paymentController.getRefundsForPayment
+);
+
 
+// process payment from my razorpay account to provider's bank account:
+// admins trigger it through POST /api/admin/transfers/:transferId/payout
 
-// testing
+
+// create the gateway order for a service request's bill; the amount comes from the bill
 router.post('/order', 
     paymentController.createOrder
 );
+
+// testing
 router.get('/payment/:paymentId',
     paymentController.getPaymentDetails
 )
 
+// offline checkout, only answers when PAYMENT_GATEWAY=mock
+router.post('/mock/checkout',
+    paymentController.simulateMockCheckout
+);
+
 
 module.exports = router;
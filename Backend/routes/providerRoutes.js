@@ -1,5 +1,9 @@
 const express = require('express');
 const providerController = require('../controllers/providerController');
+const availabilityController = require('../controllers/availabilityController');
+const payoutController = require('../controllers/payoutController');
+const ledgerController = require('../controllers/ledgerController');
+const revenueController = require('../controllers/revenueController');
 const authMiddleware = require('../middlewares/auth');
 
 const router = express.Router();
@@ -11,6 +15,13 @@ router.get(
   providerController.getProvidersByService
 );
 
+// Route for customers to list bookable slots for a provider's service on a date
+router.get(
+  '/:providerId/slots',
+  authMiddleware.authenticate,
+  availabilityController.getProviderSlots
+);
+
 // Protect all routes after this middleware for provider-specific actions
 router.use(
   authMiddleware.authenticate,
@@ -45,12 +56,27 @@ router.post(
   providerController.generateBill
 ); 
 
-// add provider bank details
+// get / update own availability (working hours, breaks, blocked dates, durations)
+router.get('/availability', availabilityController.getMyAvailability);
+router.put('/availability', availabilityController.updateMyAvailability);
+
+// add provider bank details; needs a fresh 2FA code when 2FA is on
 router.post(
   '/bankDetails',
+  authMiddleware.requireFreshTwoFactor,
   providerController.addProviderBankDetails
 ); 
 
+// payout history and what is coming up next
+router.get('/payouts', payoutController.getPayoutHistory);
+router.get('/payouts/upcoming', payoutController.getUpcomingPayouts);
+
+// ledger balance (paise) and recent statement lines
+router.get('/balance', ledgerController.getMyBalance);
+
+// earnings for a period (?period=daily|weekly|monthly|yearly) against the one before, tips separate
+router.get('/revenue', revenueController.getRevenueStats);
+
 // Route for recommending a provider
 router.post('/recommend-provider', express.json(), providerController.recommendProvider); // Added express.json() explicitly
 
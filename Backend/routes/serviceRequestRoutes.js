@@ -1,5 +1,7 @@
 const express = require('express');
 const serviceRequestController = require('../controllers/serviceRequestController');
+const invoiceController = require('../controllers/invoiceController');
+const quoteController = require('../controllers/quoteController');
 const authMiddleware = require('../middlewares/auth');
 
 const router = express.Router();
@@ -22,7 +24,33 @@ router.get('/provider', authMiddleware.providerRoleAuthenticate, serviceRequestC
 // PATCH /api/service-requests/:id/provider - Provider updates status (accept/reject)
 router.patch('/:id/provider', authMiddleware.providerRoleAuthenticate, serviceRequestController.updateServiceRequestStatus); // Uncommented
 
+// PATCH /api/service-requests/:id/cancel - Customer cancels their own request
+router.patch('/:id/cancel', authMiddleware.customerRoleAuthenticate, serviceRequestController.cancelServiceRequest);
 
-// TODO: Add more routes as needed, e.g., for a customer to cancel a request, or view details of a specific request.
+// PATCH /api/service-requests/:id/reschedule - Customer moves their request to a new time slot
+router.patch('/:id/reschedule', authMiddleware.customerRoleAuthenticate, serviceRequestController.rescheduleServiceRequest);
+
+// POST /api/service-requests/:id/tip - Customer adds a tip for a completed job (paid like a bill)
+router.post('/:id/tip', authMiddleware.customerRoleAuthenticate, serviceRequestController.addTip);
+
+// GET /api/service-requests/:id/add-ons - Provider lists the sub-services they can add to the bill
+router.get('/:id/add-ons', authMiddleware.providerRoleAuthenticate, serviceRequestController.getBillAddOns);
+
+// GET /api/service-requests/:id/quotes - Customer or provider views the quotes on a request
+router.get('/:id/quotes', quoteController.getQuotes);
+
+// POST /api/service-requests/:id/quotes - Provider sends an itemised quote for a pending request
+router.post('/:id/quotes', authMiddleware.providerRoleAuthenticate, quoteController.createQuote);
+
+// PATCH /api/service-requests/:id/quotes/:quoteId/(accept|counter|decline) - Customer answers a quote
+router.patch('/:id/quotes/:quoteId/accept', authMiddleware.customerRoleAuthenticate, quoteController.acceptQuote);
+router.patch('/:id/quotes/:quoteId/counter', authMiddleware.customerRoleAuthenticate, quoteController.counterQuote);
+router.patch('/:id/quotes/:quoteId/decline', authMiddleware.customerRoleAuthenticate, quoteController.declineQuote);
+
+// PATCH /api/service-requests/:id/quotes/:quoteId/accept-counter - Provider agrees to the customer's counter-offer
+router.patch('/:id/quotes/:quoteId/accept-counter', authMiddleware.providerRoleAuthenticate, quoteController.acceptCounterOffer);
+
+// GET /api/service-requests/:id/invoice - Customer or provider downloads the tax invoice PDF
+router.get('/:id/invoice', invoiceController.downloadInvoice);
 
 module.exports = router;
@@ -0,0 +1,59 @@
+// Post ledger entries for payments, refunds and payouts recorded before the ledger existed.
+// Safe to run repeatedly: every entry has an idempotency key, so existing ones are skipped.
+//
+// Usage:
+//   node scripts/backfillLedger.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Payout = require('../models/Payout');
+const Transfer = require('../models/Transfer');
+const ledger = require('../utils/ledger');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const counts = { payments: 0, refunds: 0, payouts: 0, transfers: 0 };
+
+  try {
+    const payments = await Payment.find({ status: { $in: ['captured', 'partially_refunded', 'refunded'] } });
+    for (const payment of payments) {
+      await ledger.recordPaymentCaptured(payment);
+      counts.payments += 1;
+    }
+
+    const refunds = await Refund.find({ status: { $in: ['pending', 'processed'] } });
+    for (const refund of refunds) {
+      const payment = payments.find(p => p._id.equals(refund.payment));
+      if (!payment) continue;
+      await ledger.recordRefund(payment, refund);
+      counts.refunds += 1;
+    }
+
+    const payouts = await Payout.find({ razorpay_payout_id: { $exists: true } });
+    for (const payout of payouts) {
+      const entry = { kind: 'Payout', id: payout._id, provider: payout.provider, amount: payout.amount, gatewayPayoutId: payout.razorpay_payout_id };
+      await ledger.recordPayoutSent(entry);
+      if (['failed', 'reversed'].includes(payout.status)) await ledger.recordPayoutReturned(entry);
+      counts.payouts += 1;
+    }
+
+    // Transfers paid out one by one, before payouts were batched
+    const transfers = await Transfer.find({ payout: null, razorpay_payout_id: { $exists: true } });
+    for (const transfer of transfers) {
+      const entry = { kind: 'Transfer', id: transfer._id, provider: transfer.provider, amount: transfer.amount, gatewayPayoutId: transfer.razorpay_payout_id };
+      await ledger.recordPayoutSent(entry);
+      if (['failed', 'reversed'].includes(transfer.status)) await ledger.recordPayoutReturned(entry);
+      counts.transfers += 1;
+    }
+
+    console.log(JSON.stringify(counts, null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+// Manage versioned commission rules.
+//
+// Usage:
+//   node scripts/commissionRules.js list [--all]
+//   node scripts/commissionRules.js add '{"code":"plumber-gold","name":"Gold plumbers","category":"Plumber","providerTier":"gold","percentage":8}'
+//   node scripts/commissionRules.js revise plumber-gold '{"percentage":7,"fixedFee":5}'
+//   node scripts/commissionRules.js retire plumber-gold
+//   node scripts/commissionRules.js preview --amount 1200 [--service <serviceId>] [--provider <providerId>] [--at 2025-12-25]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const { createRule, reviseRule, retireRule, calculateCommission } = require('../utils/commission');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const commands = {
+  list: () => CommissionRule.find(process.argv.includes('--all') ? {} : { status: 'active' })
+    .sort({ code: 1, version: -1 }),
+  add: ([json]) => createRule(JSON.parse(json)),
+  revise: ([code, json]) => reviseRule(code, JSON.parse(json)),
+  retire: ([code]) => retireRule(code),
+  preview: () => calculateCommission({
+    amount: Number(argValue('--amount')),
+    serviceId: argValue('--service'),
+    providerId: argValue('--provider'),
+    at: argValue('--at') ? new Date(argValue('--at')) : new Date()
+  })
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/commissionRules.js <${Object.keys(commands).join('|')}> ...`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    console.log(JSON.stringify(await commands[command](args), null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// Manage checkout coupons.
+//
+// Usage:
+//   node scripts/coupons.js list [--all]
+//   node scripts/coupons.js add '{"code":"WELCOME50","discount_type":"flat","value":50,"min_order_value":300,"usage_limit":1000}'
+//   node scripts/coupons.js update WELCOME50 '{"expires_at":"2026-01-01","categories":["Plumber"]}'
+//   node scripts/coupons.js deactivate WELCOME50
+//   node scripts/coupons.js redemptions WELCOME50
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { normalizeCode, createCoupon, updateCoupon } = require('../utils/coupons');
+
+const commands = {
+  list: () => Coupon.find(process.argv.includes('--all') ? {} : { active: true }).sort({ code: 1 }),
+  add: ([json]) => createCoupon(JSON.parse(json)),
+  update: ([code, json]) => updateCoupon(code, JSON.parse(json)),
+  deactivate: ([code]) => updateCoupon(code, { active: false }),
+  redemptions: ([code]) => CouponRedemption.find({ code: normalizeCode(code) }).sort({ createdAt: -1 })
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/coupons.js <${Object.keys(commands).join('|')}> ...`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    console.log(JSON.stringify(await commands[command](args), null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Creates an admin account, or makes an existing account an admin. There is no way to sign up
+// as an admin, so this is how the first one (and any other) is made.
+//
+// Usage:
+//   node scripts/createAdmin.js <email> [name] [phone]
+// A new account's password is read from ADMIN_PASSWORD.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const main = async () => {
+  const [email, name = 'Admin', phone = 'N/A'] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: node scripts/createAdmin.js <email> [name] [phone]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      existing.role = 'admin';
+      await existing.save({ validateBeforeSave: false });
+      console.log(`${existing.email} is now an admin.`);
+      return;
+    }
+
+    if (!process.env.ADMIN_PASSWORD) {
+      console.error('Set ADMIN_PASSWORD to create a new admin account.');
+      process.exitCode = 1;
+      return;
+    }
+    const admin = await User.create({
+      name,
+      email,
+      password: process.env.ADMIN_PASSWORD,
+      phone_number: phone,
+      role: 'admin',
+      address: 'N/A',
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    console.log(`Created admin ${admin.email}.`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
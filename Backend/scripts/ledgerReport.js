@@ -0,0 +1,31 @@
+// Print the ledger trial balance and per-provider balances (all amounts in paise).
+//
+// Usage:
+//   node scripts/ledgerReport.js [--from 2025-01-01] [--to 2025-02-01] [--providers]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { getTrialBalance, getProviderBalances } = require('../utils/ledger');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const report = { trialBalance: await getTrialBalance({ from: argValue('--from'), to: argValue('--to') }) };
+    if (process.argv.includes('--providers')) {
+      report.providerBalances = await getProviderBalances();
+    }
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.trialBalance.balanced) process.exitCode = 2;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+// Run one payout cycle (batch eligible transfers, send due payouts) and exit.
+//
+// Usage:
+//   node scripts/runPayouts.js [--at 2025-01-31T00:00:00Z]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runPayoutCycle } = require('../utils/payouts');
+
+const main = async () => {
+  const atIndex = process.argv.indexOf('--at');
+  const now = atIndex === -1 ? new Date() : new Date(process.argv[atIndex + 1]);
+  if (isNaN(now.getTime())) {
+    console.error('Invalid --at date');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const summary = await runPayoutCycle(now);
+    console.log(JSON.stringify(summary, null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Sign a Razorpay webhook fixture with RAZORPAY_WEBHOOK_SECRET and POST it to the local server.
+//
+// Usage:
+//   node scripts/sendRazorpayWebhook.js fixtures/razorpay/payment.captured.json \
+//     --set payload.payment.entity.order_id=order_ABC \
+//     --set payload.payment.entity.notes.internal_order_id=<serviceRequestId> \
+//     [--event-id evt_123] [--url http://localhost:8000/api/payment/webhooks/razorpay] [--dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { signWebhookPayload } = require('../utils/razorpaySignature');
+
+const parseArgs = (argv) => {
+  const args = { sets: [], url: `http://localhost:${process.env.PORT || 8000}/api/payment/webhooks/razorpay` };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--set') args.sets.push(argv[++i]);
+    else if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--event-id') args.eventId = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else args.fixture = arg;
+  }
+  return args;
+};
+
+// --set a.b.c=value, numbers stay numbers
+const setPath = (obj, assignment) => {
+  const separator = assignment.indexOf('=');
+  const keys = assignment.slice(0, separator).split('.');
+  const raw = assignment.slice(separator + 1);
+  const value = raw !== '' && !isNaN(raw) ? Number(raw) : raw;
+
+  let target = obj;
+  keys.slice(0, -1).forEach(key => {
+    if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.fixture) {
+    console.error('Usage: node scripts/sendRazorpayWebhook.js <fixture.json> [--set path=value] [--event-id id] [--url url] [--dry-run]');
+    process.exit(1);
+  }
+
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const body = JSON.parse(fs.readFileSync(path.resolve(args.fixture), 'utf8'));
+  args.sets.forEach(assignment => setPath(body, assignment));
+
+  const rawBody = JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Razorpay-Signature': signWebhookPayload(rawBody, secret),
+    'X-Razorpay-Event-Id': args.eventId || `evt_${crypto.randomBytes(7).toString('hex')}`
+  };
+
+  if (args.dryRun) {
+    console.log(JSON.stringify({ url: args.url, headers, body }, null, 2));
+    return;
+  }
+
+  const response = await fetch(args.url, { method: 'POST', headers, body: rawBody });
+  console.log(response.status, await response.text());
+};
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Marks accounts created before email verification existed as verified, so existing providers
+// stay listed. Accounts that already have the flag (new sign-ups) are left alone.
+//
+// Usage:
+//   node scripts/verifyExistingEmails.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing account(s) as verified.`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
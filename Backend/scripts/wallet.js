@@ -0,0 +1,48 @@
+// Customer wallets: look one up, or grant store credit as goodwill or a referral reward.
+// Amounts given to credit are in rupees; balances are reported in paise.
+//
+// Usage:
+//   node scripts/wallet.js show <userId|email>
+//   node scripts/wallet.js credit <userId|email> <rupees> <goodwill|referral> ["description"]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { grantWalletCredit, getWalletSummary } = require('../utils/wallet');
+
+const findUser = async (idOrEmail) => {
+  const user = mongoose.isValidObjectId(idOrEmail)
+    ? await User.findById(idOrEmail)
+    : await User.findOne({ email: String(idOrEmail).toLowerCase() });
+  if (!user) throw new Error(`No user '${idOrEmail}'`);
+  return user;
+};
+
+const commands = {
+  show: async ([who]) => getWalletSummary((await findUser(who))._id, { limit: 20 }),
+  credit: async ([who, rupees, source, description]) => {
+    const amount = Number(rupees);
+    if (!(amount > 0)) throw new Error('Credit amount must be a positive number of rupees');
+    const user = await findUser(who);
+    return grantWalletCredit({ userId: user._id, amount, source, description });
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`Usage: node scripts/wallet.js <${Object.keys(commands).join('|')}> ...`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    console.log(JSON.stringify(await commands[command](args), null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -2,8 +2,10 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const errorHandler = require('./middlewares/error');
 const connectDB=require("./config/db")
+const { startPayoutScheduler } = require('./utils/payouts');
 const app = express();
 
 // Middleware
@@ -29,8 +31,15 @@ app.use(cors({
     return callback(null, true);
   },
   credentials: true, // Allow cookies to be sent
+  exposedHeaders: ['Content-Disposition'], // Lets the browser read download file names (invoices)
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(cookieParser()); // Refresh token cookie
 
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
@@ -38,6 +47,8 @@ app.use('/api/provider', require('./routes/providerRoutes'));
 app.use('/api/customer', require('./routes/customerRoutes'));
 app.use('/api/payment', require('./routes/paymentRoutes'));
 app.use('/api/service-requests', require('./routes/serviceRequestRoutes'));
+app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api', require('./routes/contactRoutes')); // New contact routes
 
 // Error handling
@@ -47,6 +58,7 @@ const PORT = process.env.PORT || 8000;
 (
     async () => {
         await connectDB();
+        startPayoutScheduler();
         app.listen(PORT, () =>{ 
 
             console.log(`Server running on port ${PORT}`)
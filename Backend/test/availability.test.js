@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProviderAvailability = require('../models/ProviderAvailability');
+const ServiceRequest = require('../models/ServiceRequest');
+const { getServiceDuration, checkWorkingHours, checkSlotAvailability, getBookableSlots } = require('../utils/availability');
+
+const providerId = new mongoose.Types.ObjectId();
+const serviceId = new mongoose.Types.ObjectId();
+
+// Defaults (Mon-Sat 09:00-18:00 IST) with a lunch break and a day off
+const availability = () => new ProviderAvailability({
+  provider: providerId,
+  breaks: [{ dayOfWeek: 3, start: '13:00', end: '14:00' }],
+  blockedDates: [{ date: '2030-01-04', reason: 'Holiday' }],
+  serviceDurations: [{ service: serviceId, durationMinutes: 90 }]
+});
+
+// Wednesday 2 January 2030 at hh:mm IST
+const wednesdayAt = (hhmm) => new Date(`2030-01-02T${hhmm}:00+05:30`);
+
+let bookings = [];
+test.beforeEach(() => {
+  bookings = [];
+  ProviderAvailability.findOne = async () => availability();
+  ServiceRequest.find = () => ({ select: async () => bookings });
+});
+test.afterEach(() => {
+  delete ProviderAvailability.findOne;
+  delete ServiceRequest.find;
+});
+
+test('services use their own duration or the provider default', () => {
+  assert.equal(getServiceDuration(availability(), serviceId), 90);
+  assert.equal(getServiceDuration(availability(), new mongoose.Types.ObjectId()), 60);
+});
+
+test('checkWorkingHours works in the provider local time', () => {
+  assert.equal(checkWorkingHours(availability(), wednesdayAt('09:00'), 60), null);
+  assert.equal(checkWorkingHours(availability(), wednesdayAt('17:30'), 60), 'The selected time is outside the provider\'s working hours.');
+  assert.equal(checkWorkingHours(availability(), wednesdayAt('12:30'), 60), 'The selected time overlaps the provider\'s break.');
+  assert.equal(checkWorkingHours(availability(), new Date('2030-01-06T10:00:00+05:30'), 60), 'The selected time is outside the provider\'s working hours.');
+  assert.equal(checkWorkingHours(availability(), new Date('2030-01-04T10:00:00+05:30'), 60), 'The provider is not available on the selected date.');
+});
+
+test('checkSlotAvailability refuses a slot overlapping an accepted booking', async () => {
+  bookings = [{ time_slot: wednesdayAt('10:00'), durationMinutes: 60, status: 'accepted' }];
+
+  const clash = await checkSlotAvailability(providerId, serviceId, wednesdayAt('09:00'));
+  assert.equal(clash.durationMinutes, 90);
+  assert.equal(clash.error, 'The provider is already booked for the selected time slot.');
+
+  const free = await checkSlotAvailability(providerId, serviceId, wednesdayAt('11:00'));
+  assert.equal(free.error, null);
+});
+
+test('getBookableSlots skips breaks, bookings and the end of the shift', async () => {
+  bookings = [{ time_slot: wednesdayAt('10:00'), durationMinutes: 60, status: 'accepted' }];
+
+  const { durationMinutes, slots } = await getBookableSlots(providerId, null, '2030-01-02');
+  const starts = slots.map(slot => slot.start.getTime());
+
+  assert.equal(durationMinutes, 60);
+  assert.equal(starts[0], wednesdayAt('09:00').getTime());
+  assert.equal(starts.includes(wednesdayAt('09:30').getTime()), false);
+  assert.equal(starts.includes(wednesdayAt('10:30').getTime()), false);
+  assert.equal(starts.includes(wednesdayAt('12:30').getTime()), false);
+  assert.equal(starts.includes(wednesdayAt('14:00').getTime()), true);
+  assert.equal(starts[starts.length - 1], wednesdayAt('17:00').getTime());
+});
+
+test('getBookableSlots has nothing on a blocked date', async () => {
+  assert.deepEqual((await getBookableSlots(providerId, null, '2030-01-04')).slots, []);
+});
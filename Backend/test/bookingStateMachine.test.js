@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATUSES,
+  canTransition,
+  allowedTransitions,
+  getTransitionError,
+  applyTransition,
+  creationEntry
+} = require('../utils/bookingStateMachine');
+
+const requestIn = (status) => ({ status, statusHistory: [] });
+
+test('only the right actor can make a move', () => {
+  assert.equal(canTransition(STATUSES.PENDING, STATUSES.ACCEPTED, 'provider'), true);
+  assert.equal(canTransition(STATUSES.PENDING, STATUSES.ACCEPTED, 'customer'), false);
+  assert.equal(canTransition(STATUSES.COMPLETED, STATUSES.PAYMENT_COMPLETED, 'system'), true);
+  assert.equal(canTransition(STATUSES.CANCELLED, STATUSES.PENDING, 'customer'), false);
+});
+
+test('allowedTransitions lists the moves open to an actor', () => {
+  assert.deepEqual(
+    allowedTransitions(STATUSES.PENDING, 'provider').sort(),
+    [STATUSES.ACCEPTED, STATUSES.REJECTED].sort()
+  );
+  assert.deepEqual(allowedTransitions(STATUSES.REJECTED, 'provider'), []);
+});
+
+test('getTransitionError explains a refused move', () => {
+  assert.equal(getTransitionError(requestIn(STATUSES.PENDING), STATUSES.ACCEPTED, 'provider'), null);
+
+  const refused = getTransitionError(requestIn(STATUSES.PENDING), STATUSES.COMPLETED, 'provider');
+  assert.equal(refused.statusCode, 400);
+  assert.match(refused.message, /Allowed next statuses: accepted, rejected/);
+
+  assert.equal(getTransitionError(requestIn(STATUSES.PENDING), 'archived', 'provider').statusCode, 400);
+  assert.equal(getTransitionError(requestIn(STATUSES.PENDING), STATUSES.ACCEPTED, 'robot').statusCode, 500);
+});
+
+test('applyTransition moves the request and records the change', () => {
+  const request = requestIn(STATUSES.ACCEPTED);
+  applyTransition(request, STATUSES.IN_PROGRESS, { actor: 'provider', by: 'provider-1', note: 'On site' });
+
+  assert.equal(request.status, STATUSES.IN_PROGRESS);
+  assert.equal(request.statusHistory.length, 1);
+  assert.deepEqual(
+    { ...request.statusHistory[0], at: undefined },
+    { from: STATUSES.ACCEPTED, to: STATUSES.IN_PROGRESS, actor: 'provider', by: 'provider-1', note: 'On site', at: undefined }
+  );
+});
+
+test('applyTransition throws and leaves the request alone when the move is refused', () => {
+  const request = requestIn(STATUSES.PENDING);
+  assert.throws(() => applyTransition(request, STATUSES.COMPLETED, { actor: 'provider' }), /Cannot change status/);
+  assert.equal(request.status, STATUSES.PENDING);
+  assert.equal(request.statusHistory.length, 0);
+});
+
+test('creationEntry starts a booking as pending', () => {
+  const entry = creationEntry('customer-1');
+  assert.equal(entry.to, STATUSES.PENDING);
+  assert.equal(entry.actor, 'customer');
+  assert.equal(entry.by, 'customer-1');
+});
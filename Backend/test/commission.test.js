@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CommissionRule = require('../models/CommissionRule');
+const { ruleMatches, selectRule, computeFee, reviseRule } = require('../utils/commission');
+
+const at = new Date('2025-06-01T00:00:00Z');
+
+test('a rule matches when every condition it sets holds', () => {
+  const rule = { category: 'Plumbing', providerTier: 'gold', validFrom: new Date('2025-01-01'), validUntil: new Date('2025-12-31') };
+  assert.equal(ruleMatches(rule, { category: 'Plumbing', providerTier: 'gold', at }), true);
+  assert.equal(ruleMatches(rule, { category: 'Cleaning', providerTier: 'gold', at }), false);
+  assert.equal(ruleMatches(rule, { category: 'Plumbing', providerTier: 'standard', at }), false);
+  assert.equal(ruleMatches(rule, { category: 'Plumbing', providerTier: 'gold', at: new Date('2026-01-01') }), false);
+  assert.equal(ruleMatches({}, { category: 'Plumbing', providerTier: 'gold', at }), true);
+});
+
+test('selectRule prefers priority, then the more specific rule, then the newest', () => {
+  const general = { code: 'general', createdAt: '2025-01-01' };
+  const plumbing = { code: 'plumbing', category: 'Plumbing', createdAt: '2025-01-01' };
+  const promo = { code: 'promo', priority: 10, createdAt: '2025-01-01' };
+  const newerGeneral = { code: 'newer', createdAt: '2025-03-01' };
+  const context = { category: 'Plumbing', providerTier: 'standard', at };
+
+  assert.equal(selectRule([general, plumbing], context).code, 'plumbing');
+  assert.equal(selectRule([general, plumbing, promo], context).code, 'promo');
+  assert.equal(selectRule([general, newerGeneral], context).code, 'newer');
+  assert.equal(selectRule([plumbing], { ...context, category: 'Cleaning' }), undefined);
+});
+
+test('computeFee adds the fixed part, applies the bounds and rounds to paise', () => {
+  assert.equal(computeFee({ percentage: 10, fixedFee: 5 }, 333.33), 38.33);
+  assert.equal(computeFee({ percentage: 1, minFee: 20 }, 500), 20);
+  assert.equal(computeFee({ percentage: 50, maxFee: 100 }, 500), 100);
+});
+
+test('computeFee never takes more than the amount', () => {
+  assert.equal(computeFee({ fixedFee: 50 }, 30), 30);
+  assert.equal(computeFee({ percentage: -5 }, 100), 0);
+});
+
+test('reviseRule keeps the current version active when the new one cannot be saved', async (t) => {
+  const current = new CommissionRule({ code: 'standard', version: 1, percentage: 10 });
+  const superseded = [];
+  t.mock.method(CommissionRule, 'findOne', async () => current);
+  t.mock.method(CommissionRule, 'create', async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.code = 11000;
+    throw error;
+  });
+  t.mock.method(CommissionRule, 'updateMany', async (filter) => superseded.push(filter));
+
+  await assert.rejects(reviseRule('standard', { percentage: 12 }), /duplicate key/);
+  assert.equal(superseded.length, 0);
+});
+
+test('reviseRule supersedes the other active versions once the new one is saved', async (t) => {
+  const current = new CommissionRule({ code: 'standard', version: 1, percentage: 10 });
+  let supersededFilter;
+  t.mock.method(CommissionRule, 'findOne', async () => current);
+  t.mock.method(CommissionRule, 'create', async (data) => new CommissionRule(data));
+  t.mock.method(CommissionRule, 'updateMany', async (filter) => { supersededFilter = filter; });
+
+  const next = await reviseRule('standard', { percentage: 12 });
+  assert.equal(next.version, 2);
+  assert.equal(next.percentage, 12);
+  assert.deepEqual(supersededFilter, { code: 'standard', status: 'active', _id: { $ne: next._id } });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const {
+  ACCOUNTS,
+  toMinor,
+  recordPaymentCaptured,
+  recordRefund,
+  recordPayoutSent,
+  recordWalletCredit
+} = require('../utils/ledger');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Entries are validated (balanced, one side per line) but never reach a database
+test.beforeEach(() => {
+  JournalEntry.create = async (data) => {
+    const entry = new JournalEntry(data);
+    await entry.validate();
+    return entry;
+  };
+});
+test.afterEach(() => {
+  delete JournalEntry.create;
+});
+
+const amountOn = (entry, account) => entry.lines
+  .filter(line => line.account === account)
+  .reduce((sum, line) => sum + line.debit - line.credit, 0);
+
+test('toMinor turns rupees into whole paise', () => {
+  assert.equal(toMinor(10.1), 1010);
+  assert.equal(toMinor(19.99), 1999);
+  assert.equal(toMinor(undefined), 0);
+});
+
+test('a captured payment splits into the provider share and our fee', async () => {
+  const provider = id();
+  const entry = await recordPaymentCaptured({ _id: id(), amount: 500, platform_fee: 50, provider });
+
+  assert.equal(entry.entry_type, 'payment_captured');
+  assert.equal(amountOn(entry, ACCOUNTS.GATEWAY_CASH), 50000);
+  assert.equal(amountOn(entry, ACCOUNTS.PROVIDER_PAYABLE), -45000);
+  assert.equal(amountOn(entry, ACCOUNTS.PLATFORM_REVENUE), -5000);
+  // No wallet part, so its zero line is dropped
+  assert.equal(entry.lines.some(line => line.account === ACCOUNTS.CUSTOMER_WALLET), false);
+});
+
+test('the part of a payment paid from the wallet does not count as cash', async () => {
+  const entry = await recordPaymentCaptured({ _id: id(), amount: 500, platform_fee: 50, wallet_amount: 120, provider: id() });
+  assert.equal(amountOn(entry, ACCOUNTS.GATEWAY_CASH), 38000);
+  assert.equal(amountOn(entry, ACCOUNTS.CUSTOMER_WALLET), 12000);
+});
+
+test('a refund takes back the provider share and the rest of our fee', async () => {
+  const entry = await recordRefund({ _id: id(), provider: id() }, { _id: id(), amount: 200, provider_share: 180 });
+  assert.equal(amountOn(entry, ACCOUNTS.PROVIDER_PAYABLE), 18000);
+  assert.equal(amountOn(entry, ACCOUNTS.PLATFORM_REVENUE), 2000);
+  assert.equal(amountOn(entry, ACCOUNTS.GATEWAY_CASH), -20000);
+});
+
+test('a refund to the wallet is owed as store credit instead of paid out', async () => {
+  const entry = await recordRefund({ _id: id(), provider: id() }, { _id: id(), amount: 200, provider_share: 180, destination: 'wallet' });
+  assert.equal(amountOn(entry, ACCOUNTS.CUSTOMER_WALLET), -20000);
+  assert.equal(amountOn(entry, ACCOUNTS.GATEWAY_CASH), 0);
+});
+
+test('payouts post balanced entries keyed for idempotency', async () => {
+  const payoutId = id();
+  const payout = await recordPayoutSent({ kind: 'Payout', id: payoutId, provider: id(), amount: 450 });
+  assert.equal(payout.idempotency_key, `payout_sent:Payout:${payoutId}`);
+  assert.equal(amountOn(payout, ACCOUNTS.PROVIDER_PAYABLE), 45000);
+  assert.equal(amountOn(payout, ACCOUNTS.GATEWAY_CASH), -45000);
+});
+
+test('wallet credits are booked as a promotional expense', async () => {
+  const credit = await recordWalletCredit({ _id: id(), user: id(), source: 'referral', amount: 10000 });
+  assert.equal(credit.idempotency_key.startsWith('wallet_credit:'), true);
+  assert.equal(amountOn(credit, ACCOUNTS.PROMOTIONAL_CREDIT), 10000);
+  assert.equal(amountOn(credit, ACCOUNTS.CUSTOMER_WALLET), -10000);
+});
+
+test('nothing is posted when every line is zero', async () => {
+  assert.equal(await recordPayoutSent({ kind: 'Payout', id: id(), provider: id(), amount: 0 }), null);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createMockGateway = require('../utils/paymentGateway/mockAdapter');
+
+const options = { keyId: 'rzp_mock_key', keySecret: 'mock_secret', payoutStatus: 'processed' };
+
+test('a new mock gateway does not hand out ids from an earlier run', async () => {
+  const order = await createMockGateway(options).createOrder({ amount: 1000 });
+  assert.notEqual(order.id, 'order_mock0000000001');
+  assert.match(order.id, /^order_mock\w+0000000001$/);
+});
+
+test('reset() goes back to fixed ids and timestamps for tests', async () => {
+  const gateway = createMockGateway(options);
+  await gateway.createOrder({ amount: 1000 });
+  gateway.reset();
+
+  const order = await gateway.createOrder({ amount: 1000 });
+  assert.equal(order.id, 'order_mock0000000001');
+  assert.equal(order.created_at, 1700000001);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  signPaymentResponse,
+  verifyPaymentSignature
+} = require('../utils/razorpaySignature');
+
+const secret = 'test_secret';
+const body = Buffer.from(JSON.stringify({ event: 'payment.captured' }));
+
+test('a webhook signed with the secret verifies', () => {
+  assert.equal(verifyWebhookSignature(body, signWebhookPayload(body, secret), secret), true);
+});
+
+test('a webhook with a changed body, another secret or a bad header does not verify', () => {
+  const signature = signWebhookPayload(body, secret);
+  assert.equal(verifyWebhookSignature(Buffer.from('{}'), signature, secret), false);
+  assert.equal(verifyWebhookSignature(body, signature, 'other_secret'), false);
+  assert.equal(verifyWebhookSignature(body, signature.slice(0, 10), secret), false);
+  assert.equal(verifyWebhookSignature(body, 'not-hex', secret), false);
+  assert.equal(verifyWebhookSignature(body, undefined, secret), false);
+  assert.equal(verifyWebhookSignature(body, signature, undefined), false);
+});
+
+test('checkout signatures cover the order and payment ids', () => {
+  const signature = signPaymentResponse('order_1', 'pay_1', secret);
+  assert.equal(verifyPaymentSignature('order_1', 'pay_1', signature, secret), true);
+  assert.equal(verifyPaymentSignature('order_1', 'pay_2', signature, secret), false);
+  assert.equal(verifyPaymentSignature(undefined, 'pay_1', signature, secret), false);
+});
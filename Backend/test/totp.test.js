@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, hotp, timeStep, verifyTotp, otpauthUrl } = require('../utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), base32 encoded
+const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const options = { digits: 6, periodSeconds: 30, window: 1 };
+
+test('hotp matches the RFC 4226 test values', () => {
+  assert.equal(hotp(rfcSecret, 0, 6), '755224');
+  assert.equal(hotp(rfcSecret, 1, 6), '287082');
+  assert.equal(hotp(rfcSecret, 9, 6), '520489');
+});
+
+test('timeStep counts periods since the epoch', () => {
+  assert.equal(timeStep(30, 59 * 1000), 1);
+  assert.equal(timeStep(30, 1111111109 * 1000), 37037036);
+});
+
+test('verifyTotp accepts the current code and its neighbours and returns the step', () => {
+  const secret = generateSecret();
+  const current = timeStep(30);
+  assert.equal(verifyTotp(secret, hotp(secret, current, 6), options), current);
+  assert.equal(verifyTotp(secret, hotp(secret, current - 1, 6), options), current - 1);
+  assert.equal(verifyTotp(secret, hotp(secret, current - 3, 6), options), null);
+});
+
+test('verifyTotp ignores spaces but rejects anything that is not exactly six digits', () => {
+  const secret = generateSecret();
+  const code = hotp(secret, timeStep(30), 6);
+  assert.notEqual(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`, options), null);
+  assert.equal(verifyTotp(secret, code.slice(0, 5), options), null);
+  assert.equal(verifyTotp(secret, `${code}0`, options), null);
+  assert.equal(verifyTotp(secret, '１２３４５６', options), null);
+  assert.equal(verifyTotp(secret, undefined, options), null);
+});
+
+test('otpauthUrl carries the secret and settings for authenticator apps', () => {
+  const url = new URL(otpauthUrl({ secret: rfcSecret, issuer: 'ThrivePro', account: 'a@b.com', digits: 6, periodSeconds: 30 }));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.searchParams.get('secret'), rfcSecret);
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
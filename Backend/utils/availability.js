@@ -0,0 +1,167 @@
+const ProviderAvailability = require('../models/ProviderAvailability');
+const ServiceRequest = require('../models/ServiceRequest');
+
+// Requests in these statuses occupy the provider's calendar
+const BLOCKING_STATUSES = ['accepted', 'in-progress'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Returns the saved availability for a provider, or an unsaved document holding the defaults
+const loadAvailability = async (providerId) => {
+  const availability = await ProviderAvailability.findOne({ provider: providerId });
+  return availability || new ProviderAvailability({ provider: providerId });
+};
+
+const getServiceDuration = (availability, serviceId) => {
+  const entry = availability.serviceDurations.find(
+    d => serviceId && d.service.toString() === serviceId.toString()
+  );
+  return entry ? entry.durationMinutes : availability.defaultDurationMinutes;
+};
+
+// Shift a UTC instant into the provider's local wall-clock time
+const toLocal = (date, availability) => new Date(date.getTime() + availability.utcOffsetMinutes * MINUTE);
+
+const localDateKey = (date, availability) => toLocal(date, availability).toISOString().slice(0, 10);
+
+// UTC instant of local midnight for a "YYYY-MM-DD" key
+const localMidnight = (dateKey, availability) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) - availability.utcOffsetMinutes * MINUTE);
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const requestEnd = (request) => new Date(request.time_slot.getTime() + (request.durationMinutes || 60) * MINUTE);
+
+/**
+ * Returns a reason string when [start, start + duration) falls outside the provider's
+ * working hours, inside a break or on a blocked date; null when the window is open.
+ */
+const checkWorkingHours = (availability, start, durationMinutes) => {
+  const dateKey = localDateKey(start, availability);
+  if (availability.blockedDates.some(b => b.date === dateKey)) {
+    return 'The provider is not available on the selected date.';
+  }
+
+  const local = toLocal(start, availability);
+  const dayOfWeek = local.getUTCDay();
+  const startMinute = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const endMinute = startMinute + durationMinutes;
+
+  const fitsShift = availability.weeklyHours.some(h =>
+    h.dayOfWeek === dayOfWeek && toMinutes(h.start) <= startMinute && endMinute <= toMinutes(h.end)
+  );
+  if (!fitsShift) {
+    return 'The selected time is outside the provider\'s working hours.';
+  }
+
+  const hitsBreak = availability.breaks.some(b =>
+    b.dayOfWeek === dayOfWeek && overlaps(startMinute, endMinute, toMinutes(b.start), toMinutes(b.end))
+  );
+  if (hitsBreak) {
+    return 'The selected time overlaps the provider\'s break.';
+  }
+
+  return null;
+};
+
+// Accepted or in-progress requests for a provider that touch [from, to)
+const findBlockingRequests = async (providerId, from, to, excludeRequestId) => {
+  const query = {
+    provider: providerId,
+    status: { $in: BLOCKING_STATUSES },
+    // Bookings are never longer than a day, so this bounds the scan
+    time_slot: { $gte: new Date(from.getTime() - DAY), $lt: to }
+  };
+  if (excludeRequestId) query._id = { $ne: excludeRequestId };
+
+  const requests = await ServiceRequest.find(query).select('time_slot durationMinutes status');
+  return requests.filter(r => overlaps(r.time_slot, requestEnd(r), from, to));
+};
+
+/**
+ * Validates that a provider can take a booking for a service at the given start time.
+ * Resolves to { durationMinutes, error } where error is null if the slot is bookable.
+ */
+const checkSlotAvailability = async (providerId, serviceId, start, { excludeRequestId } = {}) => {
+  const availability = await loadAvailability(providerId);
+  const durationMinutes = getServiceDuration(availability, serviceId);
+
+  const hoursError = checkWorkingHours(availability, start, durationMinutes);
+  if (hoursError) return { durationMinutes, error: hoursError };
+
+  const end = new Date(start.getTime() + durationMinutes * MINUTE);
+  const conflicts = await findBlockingRequests(providerId, start, end, excludeRequestId);
+  if (conflicts.length > 0) {
+    return { durationMinutes, error: 'The provider is already booked for the selected time slot.' };
+  }
+
+  return { durationMinutes, error: null };
+};
+
+// True when accepting this request would double-book its provider
+const hasBookingConflict = async (serviceRequest) => {
+  const conflicts = await findBlockingRequests(
+    serviceRequest.provider,
+    serviceRequest.time_slot,
+    requestEnd(serviceRequest),
+    serviceRequest._id
+  );
+  return conflicts.length > 0;
+};
+
+/**
+ * Lists bookable slots for a provider/service on a local "YYYY-MM-DD" date.
+ */
+const getBookableSlots = async (providerId, serviceId, dateKey) => {
+  const availability = await loadAvailability(providerId);
+  const durationMinutes = getServiceDuration(availability, serviceId);
+
+  if (availability.blockedDates.some(b => b.date === dateKey)) {
+    return { durationMinutes, slots: [] };
+  }
+
+  const dayStart = localMidnight(dateKey, availability);
+  const dayOfWeek = new Date(dayStart.getTime() + availability.utcOffsetMinutes * MINUTE).getUTCDay();
+  const shifts = availability.weeklyHours.filter(h => h.dayOfWeek === dayOfWeek);
+  const breaks = availability.breaks.filter(b => b.dayOfWeek === dayOfWeek);
+
+  const busy = await findBlockingRequests(providerId, dayStart, new Date(dayStart.getTime() + DAY));
+  const now = new Date();
+  const slots = [];
+
+  shifts.forEach(shift => {
+    const shiftEnd = toMinutes(shift.end);
+    for (let minute = toMinutes(shift.start); minute + durationMinutes <= shiftEnd; minute += availability.slotIntervalMinutes) {
+      const endMinute = minute + durationMinutes;
+      if (breaks.some(b => overlaps(minute, endMinute, toMinutes(b.start), toMinutes(b.end)))) continue;
+
+      const start = new Date(dayStart.getTime() + minute * MINUTE);
+      const end = new Date(dayStart.getTime() + endMinute * MINUTE);
+      if (start < now) continue;
+      if (busy.some(r => overlaps(r.time_slot, requestEnd(r), start, end))) continue;
+
+      slots.push({ start, end });
+    }
+  });
+
+  slots.sort((a, b) => a.start - b.start);
+  return { durationMinutes, slots };
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  loadAvailability,
+  getServiceDuration,
+  checkWorkingHours,
+  checkSlotAvailability,
+  hasBookingConflict,
+  getBookableSlots
+};
@@ -0,0 +1,130 @@
+const Service = require('../models/Service');
+const Quote = require('../models/Quote');
+const AppError = require('./appError');
+const invoiceConfig = require('../config/invoice');
+const { roundToPaise } = require('./money');
+const { serviceBillFields } = require('./deposits');
+
+// Kinds of line a provider can add to the base service when billing
+const EXTRA_KINDS = ['add_on', 'materials'];
+
+const lineItem = ({ kind, service, description, quantity = 1, unitPrice }) => ({
+  kind,
+  service,
+  description,
+  quantity,
+  unit_price: roundToPaise(unitPrice),
+  amount: roundToPaise(quantity * unitPrice)
+});
+
+// The job itself: the accepted quote's lines, else one line at the booked price (or `amount`)
+const baseLineItems = async (serviceRequest, amount) => {
+  if (serviceRequest.quote && serviceRequest.quote.quote) {
+    const quote = await Quote.findById(serviceRequest.quote.quote);
+    if (quote && quote.agreed_total === quote.total) {
+      return quote.items.map(item => lineItem({
+        kind: item.kind,
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: item.unit_price
+      }));
+    }
+  }
+
+  const price = serviceRequest.quote && serviceRequest.quote.total !== undefined && serviceRequest.quote.total !== null
+    ? serviceRequest.quote.total // A counter-offer the provider accepted replaces the quoted lines
+    : (amount !== undefined ? amount : serviceRequest.servicePriceSnapshot);
+  return [lineItem({
+    kind: 'service',
+    service: serviceRequest.service._id || serviceRequest.service,
+    description: serviceRequest.serviceNameSnapshot,
+    unitPrice: price
+  })];
+};
+
+/**
+ * Lines the provider adds on top of the base service: child services of the booked service
+ * (priced from the catalogue unless a price is given) and materials with a quantity and unit price.
+ */
+const extraLineItems = async (serviceRequest, items = []) => {
+  if (!Array.isArray(items)) throw new AppError('Bill items must be a list.', 400);
+
+  const serviceId = serviceRequest.service._id || serviceRequest.service;
+  const lines = [];
+  for (const item of items) {
+    if (!EXTRA_KINDS.includes(item.kind)) {
+      throw new AppError(`Bill items must be one of: ${EXTRA_KINDS.join(', ')}.`, 400);
+    }
+    const quantity = item.quantity === undefined || item.quantity === '' ? 1 : Number(item.quantity);
+    if (!(quantity > 0)) throw new AppError('Each bill item needs a positive quantity.', 400);
+
+    if (item.kind === 'add_on') {
+      const addOn = await Service.findOne({
+        _id: item.service,
+        parent_service: serviceId,
+        provider: serviceRequest.provider
+      });
+      if (!addOn) throw new AppError('Add-ons must be one of the booked service\'s sub-services.', 400);
+      const unitPrice = item.unit_price === undefined || item.unit_price === '' ? addOn.price : Number(item.unit_price);
+      if (!(unitPrice >= 0)) throw new AppError(`Invalid price for ${addOn.name}.`, 400);
+      lines.push(lineItem({ kind: 'add_on', service: addOn._id, description: addOn.name, quantity, unitPrice }));
+    } else {
+      const unitPrice = Number(item.unit_price);
+      if (!item.description || !(unitPrice >= 0)) {
+        throw new AppError('Materials need a description and a unit price.', 400);
+      }
+      lines.push(lineItem({ kind: 'materials', description: item.description, quantity, unitPrice }));
+    }
+  }
+  return lines;
+};
+
+// GST in (or, with tax-exclusive prices, on top of) what the customer pays for the service
+const taxOn = (amount) => {
+  const rate = invoiceConfig.gstRate;
+  const tax = invoiceConfig.pricesIncludeTax
+    ? roundToPaise(amount - amount * 100 / (100 + rate))
+    : roundToPaise(amount * rate / 100);
+  return { tax_rate: rate, tax, tax_inclusive: invoiceConfig.pricesIncludeTax };
+};
+
+/**
+ * All the fields of an itemised service bill, worked out on the server: the base service (or the
+ * accepted quote), add-ons and materials, less the provider's `discount`, then the coupon and any
+ * deposit through serviceBillFields, with GST. `amount` overrides the base price of an unquoted
+ * job, as providers could type it before bills were itemised.
+ */
+const itemisedServiceBillFields = async (serviceRequest, { items, discount, amount } = {}) => {
+  const lineItems = [
+    ...(await baseLineItems(serviceRequest, amount)),
+    ...(await extraLineItems(serviceRequest, items))
+  ];
+  const itemsTotal = roundToPaise(lineItems.reduce((sum, line) => sum + line.amount, 0));
+
+  const itemsDiscount = discount === undefined || discount === '' ? 0 : roundToPaise(Number(discount));
+  if (!(itemsDiscount >= 0) || itemsDiscount > itemsTotal) {
+    throw new AppError('The discount must be between 0 and the total of the items.', 400);
+  }
+
+  const subtotal = roundToPaise(itemsTotal - itemsDiscount);
+  if (subtotal <= 0) throw new AppError('The bill must come to more than 0.', 400);
+
+  const fields = await serviceBillFields(serviceRequest, subtotal);
+  const { tax_rate: taxRate, tax, tax_inclusive: taxInclusive } = taxOn(roundToPaise(subtotal - (fields.discount || 0)));
+  if (!taxInclusive && tax > 0) {
+    fields.amount = roundToPaise(fields.amount + tax);
+    if (fields.status === 'paid' && fields.amount > 0) fields.status = 'unpaid';
+  }
+
+  return {
+    ...fields,
+    subtotal,
+    line_items: lineItems,
+    items_discount: itemsDiscount,
+    tax_rate: taxRate,
+    tax,
+    tax_inclusive: taxInclusive
+  };
+};
+
+module.exports = { itemisedServiceBillFields };
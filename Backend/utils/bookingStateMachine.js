@@ -0,0 +1,114 @@
+const AppError = require('./appError');
+
+// Every status a ServiceRequest can be in
+const STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed',
+  PAYMENT_COMPLETED: 'PaymentCompleted',
+  CANCELLED: 'cancelled'
+};
+
+const ACTORS = ['customer', 'provider', 'system'];
+
+const INITIAL_STATUS = STATUSES.PENDING;
+
+// from -> to -> actors allowed to make that move
+const TRANSITIONS = {
+  [STATUSES.PENDING]: {
+    [STATUSES.ACCEPTED]: ['provider'],
+    [STATUSES.REJECTED]: ['provider'],
+    [STATUSES.CANCELLED]: ['customer', 'system'],
+    [STATUSES.PENDING]: ['customer'] // rescheduled before the provider answered
+  },
+  [STATUSES.ACCEPTED]: {
+    [STATUSES.IN_PROGRESS]: ['provider'],
+    [STATUSES.CANCELLED]: ['customer', 'system'],
+    [STATUSES.PENDING]: ['customer'] // rescheduled, provider has to confirm again
+  },
+  [STATUSES.IN_PROGRESS]: {
+    [STATUSES.COMPLETED]: ['provider']
+  },
+  [STATUSES.COMPLETED]: {
+    [STATUSES.PAYMENT_COMPLETED]: ['system']
+  },
+  [STATUSES.REJECTED]: {},
+  [STATUSES.PAYMENT_COMPLETED]: {},
+  [STATUSES.CANCELLED]: {}
+};
+
+const canTransition = (from, to, actor) => {
+  const allowedActors = (TRANSITIONS[from] || {})[to];
+  return Boolean(allowedActors && allowedActors.includes(actor));
+};
+
+// Statuses the given actor may move a request to from its current status
+const allowedTransitions = (from, actor) =>
+  Object.keys(TRANSITIONS[from] || {}).filter(to => canTransition(from, to, actor));
+
+/**
+ * Returns an AppError describing why the move is not allowed, or null if it is.
+ * Controllers call this first so they can `return next(error)`.
+ */
+const getTransitionError = (serviceRequest, to, actor) => {
+  if (!ACTORS.includes(actor)) {
+    return new AppError(`Unknown actor '${actor}'.`, 500);
+  }
+  if (!Object.values(STATUSES).includes(to)) {
+    return new AppError(`Invalid status value '${to}'.`, 400);
+  }
+
+  const from = serviceRequest.status;
+  if (!canTransition(from, to, actor)) {
+    const options = allowedTransitions(from, actor);
+    return new AppError(
+      `Cannot change status from '${from}' to '${to}'.` +
+        (options.length ? ` Allowed next statuses: ${options.join(', ')}.` : ''),
+      400
+    );
+  }
+  return null;
+};
+
+/**
+ * Moves a request to a new status and appends the change to its statusHistory.
+ * Does not save the document. Throws if the move is not allowed.
+ */
+const applyTransition = (serviceRequest, to, { actor, by, note } = {}) => {
+  const error = getTransitionError(serviceRequest, to, actor);
+  if (error) throw error;
+
+  serviceRequest.statusHistory.push({
+    from: serviceRequest.status,
+    to,
+    actor,
+    by,
+    note,
+    at: new Date()
+  });
+  serviceRequest.status = to;
+  return serviceRequest;
+};
+
+// History entry recorded when a customer first books
+const creationEntry = (customerId) => ({
+  to: INITIAL_STATUS,
+  actor: 'customer',
+  by: customerId,
+  note: 'Service request created',
+  at: new Date()
+});
+
+module.exports = {
+  STATUSES,
+  ACTORS,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  canTransition,
+  allowedTransitions,
+  getTransitionError,
+  applyTransition,
+  creationEntry
+};
@@ -1,12 +1,13 @@
+// Wraps a route handler so a throw or a rejected promise (e.g. an AppError thrown by a util)
+// reaches the error middleware instead of going unhandled
 const catchAsync=(fn)=> {
-    return async(req, res, next) => {
+    return (req, res, next) => {
         try {
-            fn(req, res, next)
+            Promise.resolve(fn(req, res, next)).catch(next);
         } catch (error) {
             next(error)
         }
-      
     };
   };
 
-module.exports=catchAsync
\ No newline at end of file
+module.exports=catchAsync
@@ -0,0 +1,139 @@
+const CommissionRule = require('../models/CommissionRule');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const AppError = require('./appError');
+const commissionConfig = require('../config/commission');
+const serviceCategories = require('../config/serviceCategories');
+const { roundToPaise } = require('./money');
+
+// Used when no stored rule matches
+const defaultRule = () => ({
+  code: 'default',
+  version: 0,
+  percentage: commissionConfig.defaultPercentage,
+  fixedFee: commissionConfig.defaultFixedFee
+});
+
+// Top-level category of a service: its own name, or its parent's for a child service
+const resolveCategory = async (serviceId) => {
+  if (!serviceId) return undefined;
+  const service = await Service.findById(serviceId).select('name parent_service');
+  if (!service) return undefined;
+  if (!service.parent_service) {
+    return serviceCategories.includes(service.name) ? service.name : undefined;
+  }
+  return resolveCategory(service.parent_service);
+};
+
+const ruleMatches = (rule, { category, providerTier, at }) =>
+  (!rule.category || rule.category === category) &&
+  (!rule.providerTier || rule.providerTier === providerTier) &&
+  (!rule.validFrom || rule.validFrom <= at) &&
+  (!rule.validUntil || at < rule.validUntil);
+
+// How many conditions a rule sets; the more specific rule wins a priority tie
+const specificity = (rule) =>
+  [rule.category, rule.providerTier, rule.validFrom || rule.validUntil].filter(Boolean).length;
+
+const selectRule = (rules, context) => rules
+  .filter(rule => ruleMatches(rule, context))
+  .sort((a, b) =>
+    (b.priority || 0) - (a.priority || 0) ||
+    specificity(b) - specificity(a) ||
+    new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+// Fee in rupees for an amount under a rule, never more than the amount itself
+const computeFee = (rule, amount) => {
+  let fee = (rule.fixedFee || 0) + amount * (rule.percentage || 0) / 100;
+  if (rule.minFee !== undefined && rule.minFee !== null) fee = Math.max(fee, rule.minFee);
+  if (rule.maxFee !== undefined && rule.maxFee !== null) fee = Math.min(fee, rule.maxFee);
+  return roundToPaise(Math.min(Math.max(fee, 0), amount));
+};
+
+/**
+ * Works out the platform fee for a payment from the active commission rules.
+ * Returns { platform_fee, commission } where commission is the snapshot stored on the Payment.
+ */
+const calculateCommission = async ({ amount, serviceId, providerId, at = new Date() }) => {
+  const [category, provider, rules] = await Promise.all([
+    resolveCategory(serviceId),
+    providerId ? User.findById(providerId).select('providerTier') : null,
+    CommissionRule.find({ status: 'active' })
+  ]);
+  const providerTier = (provider && provider.providerTier) || 'standard';
+
+  const rule = selectRule(rules, { category, providerTier, at }) || defaultRule();
+
+  return {
+    platform_fee: computeFee(rule, amount),
+    commission: {
+      rule: rule._id,
+      code: rule.code,
+      version: rule.version,
+      percentage: rule.percentage,
+      fixed_fee: rule.fixedFee,
+      category,
+      provider_tier: providerTier
+    }
+  };
+};
+
+const editableFields = [
+  'name', 'description', 'category', 'providerTier', 'validFrom', 'validUntil',
+  'percentage', 'fixedFee', 'minFee', 'maxFee', 'priority'
+];
+
+const pickEditable = (data) => editableFields.reduce((picked, field) => {
+  if (data[field] !== undefined) picked[field] = data[field];
+  return picked;
+}, {});
+
+// Version 1 of a new rule
+const createRule = async (data, createdBy) => {
+  if (!data.code) throw new AppError('Rule code is required', 400);
+  if (await CommissionRule.exists({ code: data.code })) {
+    throw new AppError(`Commission rule '${data.code}' already exists; revise it instead`, 400);
+  }
+  return CommissionRule.create({ ...pickEditable(data), code: data.code, version: 1, createdBy });
+};
+
+// Next version of a rule with the changes applied; the current version is superseded
+const reviseRule = async (code, changes, createdBy) => {
+  const current = await CommissionRule.findOne({ code, status: 'active' });
+  if (!current) throw new AppError(`No active commission rule '${code}'`, 404);
+
+  const fields = { ...pickEditable(current.toObject()), ...pickEditable(changes) };
+  // null clears a condition (e.g. drop the promo period)
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === null) delete fields[field];
+  });
+
+  // The new version is saved first, so a failed save (e.g. a concurrent revision taking the
+  // same version number) leaves the current one active rather than none
+  const next = await CommissionRule.create({ ...fields, code, version: current.version + 1, createdBy });
+
+  await CommissionRule.updateMany(
+    { code, status: 'active', _id: { $ne: next._id } },
+    { status: 'superseded', supersededAt: new Date() }
+  );
+  return next;
+};
+
+const retireRule = async (code) => {
+  const current = await CommissionRule.findOne({ code, status: 'active' });
+  if (!current) throw new AppError(`No active commission rule '${code}'`, 404);
+  current.status = 'retired';
+  current.supersededAt = new Date();
+  return current.save();
+};
+
+module.exports = {
+  resolveCategory,
+  ruleMatches,
+  selectRule,
+  computeFee,
+  calculateCommission,
+  createRule,
+  reviseRule,
+  retireRule
+};
@@ -0,0 +1,203 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const AppError = require('./appError');
+const { resolveCategory } = require('./commission');
+const { roundToPaise } = require('./money');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Rupees off an amount under a coupon, never more than the amount itself
+const computeDiscount = (coupon, amount) => {
+  let discount = coupon.discount_type === 'percentage'
+    ? amount * coupon.value / 100
+    : coupon.value;
+  if (coupon.max_discount !== undefined && coupon.max_discount !== null) {
+    discount = Math.min(discount, coupon.max_discount);
+  }
+  return roundToPaise(Math.min(Math.max(discount, 0), amount));
+};
+
+// Why a coupon can't be used for this order, or undefined when it can (usage limits aside)
+const ineligibilityReason = (coupon, { category, providerId, amount, at }) => {
+  if (!coupon.active) return 'This coupon is no longer active';
+  if (coupon.starts_at && at < coupon.starts_at) return 'This coupon is not valid yet';
+  if (coupon.expires_at && at >= coupon.expires_at) return 'This coupon has expired';
+  if (amount < (coupon.min_order_value || 0)) {
+    return `This coupon needs a minimum order of ₹${coupon.min_order_value.toFixed(2)}`;
+  }
+  if (coupon.categories.length && !coupon.categories.includes(category)) {
+    return 'This coupon does not apply to this service';
+  }
+  if (coupon.providers.length && !coupon.providers.some(id => id.toString() === String(providerId))) {
+    return 'This coupon does not apply to this provider';
+  }
+  return undefined;
+};
+
+// Redemptions that count against the limits
+const countedStatuses = ['reserved', 'redeemed'];
+
+/**
+ * Checks a code against an order and works out its discount. Throws an AppError explaining
+ * why the coupon can't be used. Returns { coupon, discount }.
+ */
+const validateCoupon = async ({ code, customerId, providerId, serviceId, amount, at = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) throw new AppError('Invalid coupon code', 404);
+
+  const category = await resolveCategory(serviceId);
+  const reason = ineligibilityReason(coupon, { category, providerId, amount, at });
+  if (reason) throw new AppError(reason, 400);
+
+  if (coupon.usage_limit && coupon.times_used >= coupon.usage_limit) {
+    throw new AppError('This coupon has reached its usage limit', 400);
+  }
+  const usedByCustomer = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    customer: customerId,
+    status: { $in: countedStatuses }
+  });
+  if (usedByCustomer >= coupon.per_user_limit) {
+    throw new AppError('You have already used this coupon', 400);
+  }
+
+  return { coupon, discount: computeDiscount(coupon, amount) };
+};
+
+// Undoes one use counted on Coupon.times_used
+const returnUse = (couponId) => Coupon.updateOne(
+  { _id: couponId, times_used: { $gt: 0 } },
+  { $inc: { times_used: -1 } }
+);
+
+// Records the redemption in the customer's first free slot; the unique slot index makes the
+// per-user limit hold when two bookings race past validateCoupon together
+const claimCustomerSlot = async (coupon, redemption) => {
+  for (let slot = 0; slot < coupon.per_user_limit; slot += 1) {
+    try {
+      return await CouponRedemption.create({ ...redemption, slot });
+    } catch (err) {
+      if (!(err.code === 11000 && err.keyPattern && err.keyPattern.slot)) throw err;
+    }
+  }
+  throw new AppError('You have already used this coupon', 400);
+};
+
+/**
+ * Holds a coupon for a booking that is about to be created with requestId. The global limit is
+ * enforced atomically on Coupon.times_used and the per-user one by the redemption's slot.
+ * Returns the snapshot to store on the ServiceRequest.
+ */
+const reserveCoupon = async ({ code, customerId, providerId, serviceId, amount, requestId }) => {
+  const { coupon, discount } = await validateCoupon({ code, customerId, providerId, serviceId, amount });
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usage_limit: { $exists: false } },
+        { usage_limit: null },
+        { $expr: { $lt: ['$times_used', '$usage_limit'] } }
+      ]
+    },
+    { $inc: { times_used: 1 } },
+    { new: true }
+  );
+  if (!claimed) throw new AppError('This coupon has reached its usage limit', 400);
+
+  try {
+    await claimCustomerSlot(coupon, {
+      coupon: coupon._id,
+      code: coupon.code,
+      customer: customerId,
+      request: requestId,
+      discount
+    });
+  } catch (err) {
+    await returnUse(coupon._id);
+    throw err;
+  }
+
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    discount_type: coupon.discount_type,
+    value: coupon.value,
+    max_discount: coupon.max_discount,
+    discount
+  };
+};
+
+// Gives a booking's reserved coupon back, e.g. when it is cancelled or rejected
+const releaseCoupon = async (requestId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { request: requestId, status: 'reserved' },
+    { status: 'released', $unset: { slot: 1 } },
+    { new: true }
+  );
+  if (redemption) {
+    await returnUse(redemption.coupon);
+  }
+  return redemption;
+};
+
+// Marks a booking's coupon as used once its discounted bill is paid
+const redeemCoupon = (requestId, billId) => CouponRedemption.findOneAndUpdate(
+  { request: requestId, status: 'reserved' },
+  { status: 'redeemed', bill: billId },
+  { new: true }
+);
+
+/**
+ * Amount fields for a service bill of `subtotal` rupees, taking off the discount of the coupon
+ * the request was booked with. The discount is recomputed on the subtotal, so a bill that
+ * differs from the booked price still gets the coupon's percentage and cap.
+ */
+const serviceBillAmounts = (serviceRequest, subtotal) => {
+  const coupon = serviceRequest.coupon;
+  if (!coupon || !coupon.code) return { amount: subtotal };
+
+  const discount = computeDiscount(coupon, subtotal);
+  return {
+    subtotal,
+    discount,
+    coupon_code: coupon.code,
+    amount: roundToPaise(subtotal - discount)
+  };
+};
+
+const editableFields = [
+  'description', 'discount_type', 'value', 'max_discount', 'min_order_value', 'usage_limit',
+  'per_user_limit', 'categories', 'providers', 'starts_at', 'expires_at', 'active'
+];
+
+const pickEditable = (data) => editableFields.reduce((picked, field) => {
+  if (data[field] !== undefined) picked[field] = data[field];
+  return picked;
+}, {});
+
+const createCoupon = async (data, createdBy) => {
+  const code = normalizeCode(data.code);
+  if (!code) throw new AppError('Coupon code is required', 400);
+  if (await Coupon.exists({ code })) throw new AppError(`Coupon '${code}' already exists`, 400);
+  return Coupon.create({ ...pickEditable(data), code, createdBy });
+};
+
+const updateCoupon = async (code, changes) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) throw new AppError(`No coupon '${normalizeCode(code)}'`, 404);
+  coupon.set(pickEditable(changes));
+  return coupon.save();
+};
+
+module.exports = {
+  normalizeCode,
+  computeDiscount,
+  validateCoupon,
+  reserveCoupon,
+  releaseCoupon,
+  redeemCoupon,
+  serviceBillAmounts,
+  createCoupon,
+  updateCoupon
+};
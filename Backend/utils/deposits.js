@@ -0,0 +1,146 @@
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Service = require('../models/Service');
+const AppError = require('./appError');
+const logger = require('./logger');
+const depositConfig = require('../config/deposits');
+const { roundToPaise } = require('./money');
+const { serviceBillAmounts } = require('./coupons');
+const { bookedPrice } = require('./quotes');
+const { refundableAmount, gatewayRefundableAmount, issueRefund } = require('./refunds');
+
+const findDepositBill = (requestId) => Bill.findOne({ request: requestId, bill_type: 'deposit' });
+
+/**
+ * Deposit percentage for a booking being accepted: what the provider asks for now, else the
+ * service's default. Throws an AppError for an out-of-range request so the caller can check it
+ * before accepting.
+ */
+const depositPercentFor = async (serviceRequest, requestedPercent) => {
+  if (requestedPercent !== undefined && requestedPercent !== null && requestedPercent !== '') {
+    const percent = Number(requestedPercent);
+    if (isNaN(percent) || percent < 0 || percent > depositConfig.maxPercent) {
+      throw new AppError(`Deposit must be between 0 and ${depositConfig.maxPercent}% of the price`, 400);
+    }
+    return percent;
+  }
+
+  const service = await Service.findById(serviceRequest.service._id || serviceRequest.service).select('depositPercent');
+  return Math.min((service && service.depositPercent) || 0, depositConfig.maxPercent);
+};
+
+// Raise the deposit bill due at acceptance; null when the job doesn't need one
+const createDepositBill = async (serviceRequest, percent) => {
+  const existing = await findDepositBill(serviceRequest._id);
+  if (existing) return existing; // A rescheduled booking accepted again keeps its deposit
+  const price = bookedPrice(serviceRequest);
+  if (!percent || price < depositConfig.minimumJobValue) return null;
+
+  // A share of what the customer will actually pay, i.e. after any coupon
+  const { amount: payable } = serviceBillAmounts(serviceRequest, price);
+  const amount = roundToPaise(payable * percent / 100);
+  if (amount <= 0) return null;
+
+  return Bill.create({
+    request: serviceRequest._id,
+    amount,
+    bill_type: 'deposit',
+    status: 'unpaid',
+    milestone: { sequence: 1, due_on: 'acceptance' }
+  });
+};
+
+// Work can start once there is no deposit to collect or it has been captured
+const isDepositSettled = async (requestId) => {
+  const depositBill = await findDepositBill(requestId);
+  return !depositBill || ['paid', 'partially_refunded'].includes(depositBill.status);
+};
+
+// Deposit money held for a request, less anything refunded from it
+const depositCollected = async (requestId) => {
+  const depositBill = await findDepositBill(requestId);
+  if (!depositBill) return 0;
+
+  const payments = await Payment.find({
+    bill: depositBill._id,
+    status: { $in: ['captured', 'partially_refunded', 'refunded'] }
+  });
+  return roundToPaise(payments.reduce((total, payment) =>
+    total + payment.amount - (payment.amount_refunded || 0), 0));
+};
+
+/**
+ * Gives back the deposit of a booking the customer cancelled, keeping up to `fee` rupees of it
+ * as the cancellation fee. The wallet share goes back to the wallet and the rest to the card or
+ * UPI, or to the wallet if the gateway turns the refund down; applyRefund takes the provider's
+ * share back off the deposit transfer. Returns how much was refunded and how much was kept.
+ */
+const refundDepositOnCancel = async (serviceRequest, { fee = 0, initiatedBy } = {}) => {
+  const depositBill = await findDepositBill(serviceRequest._id);
+  if (!depositBill) return { refunded: 0, kept: 0 };
+
+  const payments = await Payment.find({
+    bill: depositBill._id,
+    status: { $in: ['captured', 'partially_refunded'] }
+  });
+
+  let toKeep = fee;
+  let refunded = 0;
+  for (const payment of payments) {
+    // Keep the fee out of the wallet share first, since that can't go back to the card anyway
+    const kept = Math.min(toKeep, refundableAmount(payment));
+    toKeep = roundToPaise(toKeep - kept);
+    const toSource = Math.min(gatewayRefundableAmount(payment), roundToPaise(refundableAmount(payment) - kept));
+    const toWallet = roundToPaise(refundableAmount(payment) - kept - toSource);
+    const reason = `Deposit refunded on cancellation of request ${serviceRequest._id}`;
+
+    let walletAmount = toWallet;
+    if (toSource > 0) {
+      try {
+        await issueRefund(payment, { amount: toSource, reason, destination: 'source', initiatedBy });
+      } catch (error) {
+        logger.error(`Deposit refund to source failed for payment ${payment._id}, crediting the wallet instead: ${error.message}`);
+        walletAmount = roundToPaise(walletAmount + toSource);
+      }
+    }
+    if (walletAmount > 0) {
+      await issueRefund(payment, { amount: walletAmount, reason, destination: 'wallet', initiatedBy });
+    }
+    refunded = roundToPaise(refunded + toSource + toWallet);
+  }
+
+  return { refunded, kept: roundToPaise(fee - toKeep) };
+};
+
+/**
+ * Fields for the service bill of `subtotal` rupees: the coupon discount comes off first, then
+ * whatever deposit has been collected, so the bill is the balance due at completion. A balance
+ * the deposit already covers is raised as paid. Bills on a quoted price point at the quote.
+ */
+const serviceBillFields = async (serviceRequest, subtotal) => {
+  const fields = serviceBillAmounts(serviceRequest, subtotal);
+  if (serviceRequest.quote && serviceRequest.quote.quote) fields.quote = serviceRequest.quote.quote;
+  const collected = await depositCollected(serviceRequest._id);
+  if (!collected) return { ...fields, status: 'unpaid' };
+
+  const depositPaid = Math.min(collected, fields.amount);
+  const amount = roundToPaise(fields.amount - depositPaid);
+  return {
+    ...fields,
+    subtotal,
+    deposit_paid: depositPaid,
+    amount,
+    milestone: { sequence: 2, due_on: 'completion' },
+    status: amount > 0 ? 'unpaid' : 'paid'
+  };
+};
+
+module.exports = {
+  findDepositBill,
+  depositPercentFor,
+  createDepositBill,
+  isDepositSettled,
+  depositCollected,
+  refundDepositOnCancel,
+  serviceBillFields
+};
@@ -24,6 +24,7 @@ const sendEmail = async options => {
     subject: options.subject, // Subject line
     html: options.html, // HTML body
     text: options.text, // Plain text body (optional, but good for fallback)
+    attachments: options.attachments, // e.g. [{ filename, content, contentType }] (optional)
   };
 
   // 3) Actually send the email
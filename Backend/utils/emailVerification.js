@@ -0,0 +1,96 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AppError = require('./appError');
+const sendEmail = require('./email');
+const jwtConfig = require('../config/jwt');
+const verificationConfig = require('../config/emailVerification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Keeps verification links from being accepted as access tokens and vice versa
+const AUDIENCE = 'emailVerification';
+
+// Signed and expiring; carries the address so a link stops working if the email changes
+const createEmailVerificationToken = (user) => jwt.sign(
+  { id: user._id, email: user.email },
+  jwtConfig.secret,
+  {
+    expiresIn: `${verificationConfig.tokenExpiresInHours}h`,
+    issuer: jwtConfig.options.issuer,
+    audience: AUDIENCE,
+    algorithm: jwtConfig.options.algorithm
+  }
+);
+
+// Why another email can't be sent yet, or null: a short cooldown plus a daily cap
+const resendThrottleError = (state, now) => {
+  if (state.lastSentAt) {
+    const waitSeconds = Math.ceil(verificationConfig.resendCooldownSeconds - (now - state.lastSentAt) / 1000);
+    if (waitSeconds > 0) {
+      return new AppError(`Please wait ${waitSeconds} seconds before requesting another verification email.`, 429);
+    }
+  }
+  const inWindow = state.windowStartedAt && now - state.windowStartedAt < DAY_MS;
+  if (inWindow && state.sendsInWindow >= verificationConfig.maxSendsPerDay) {
+    return new AppError('Too many verification emails requested today. Please try again tomorrow.', 429);
+  }
+  return null;
+};
+
+/**
+ * Emails the user a link to verify their address. Throws an AppError if the address is
+ * already verified or another email was sent too recently.
+ */
+const sendVerificationEmail = async (user) => {
+  if (user.emailVerified) {
+    throw new AppError('Your email address is already verified.', 400);
+  }
+
+  const now = new Date();
+  const state = user.emailVerification || {};
+  const throttleError = resendThrottleError(state, now);
+  if (throttleError) throw throttleError;
+
+  const inWindow = state.windowStartedAt && now - state.windowStartedAt < DAY_MS;
+  user.emailVerification = {
+    lastSentAt: now,
+    windowStartedAt: inWindow ? state.windowStartedAt : now,
+    sendsInWindow: (inWindow ? state.sendsInWindow : 0) + 1
+  };
+  await user.save({ validateBeforeSave: false });
+
+  const frontendBaseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const verifyURL = `${frontendBaseUrl}/verify-email/${createEmailVerificationToken(user)}`;
+  const hours = verificationConfig.tokenExpiresInHours;
+  await sendEmail({
+    email: user.email,
+    subject: 'Verify your ThrivePro email address',
+    html: `<p>Hi ${user.name || ''},</p><p>Please confirm your email address by opening this link: <a href="${verifyURL}">${verifyURL}</a></p><p>The link is valid for ${hours} hours. If you didn't create a ThrivePro account, you can ignore this email.</p>`,
+    text: `Please confirm your email address by opening this link: ${verifyURL}\nThe link is valid for ${hours} hours. If you didn't create a ThrivePro account, you can ignore this email.`
+  });
+};
+
+// Marks the address in a verification link as verified and returns the user
+const verifyEmailToken = async (token) => {
+  const invalid = new AppError('This verification link is invalid or has expired.', 400);
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtConfig.secret, {
+      issuer: jwtConfig.options.issuer,
+      audience: AUDIENCE,
+      algorithms: [jwtConfig.options.algorithm]
+    });
+  } catch (err) {
+    throw invalid;
+  }
+
+  const user = await User.findById(payload.id);
+  if (!user || user.email !== payload.email) throw invalid;
+  if (user.emailVerified) return user;
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+  return user;
+};
+
+module.exports = { createEmailVerificationToken, sendVerificationEmail, verifyEmailToken };
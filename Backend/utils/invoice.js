@@ -0,0 +1,299 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Bill = require('../models/Bill');
+const ServiceRequest = require('../models/ServiceRequest');
+const User = require('../models/User');
+const invoiceConfig = require('../config/invoice');
+const sendEmail = require('./email');
+const logger = require('./logger');
+const { roundToPaise } = require('./money');
+const { resolveCategory } = require('./commission');
+
+// Indian financial year (April to March) of a date, e.g. "2025-26"
+const financialYear = (date) => {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+const nextInvoiceNumber = async (date) => {
+  const year = financialYear(date);
+  const seq = await Counter.next(`invoice:${year}`);
+  return `${invoiceConfig.numberPrefix}/${year}/${String(seq).padStart(6, '0')}`;
+};
+
+// Buyer's GST state: from their GSTIN, their billing state, else assume the seller's state
+const placeOfSupply = (customer) =>
+  (customer.gstin && customer.gstin.slice(0, 2)) || customer.stateCode || invoiceConfig.seller.stateCode;
+
+/**
+ * One invoice line with GST split: CGST + SGST (half the rate each) for intra-state supply,
+ * IGST for inter-state supply. `amount` is tax-inclusive unless pricesIncludeTax is off, or
+ * `inclusive` says otherwise (itemised bills already add the tax to what the customer pays).
+ */
+const taxLine = ({ description, sac, amount, supplyType, quantity = 1, inclusive = invoiceConfig.pricesIncludeTax }) => {
+  const rate = invoiceConfig.gstRate;
+  const taxableValue = inclusive
+    ? roundToPaise(amount / (1 + rate / 100))
+    : roundToPaise(amount);
+  const tax = inclusive
+    ? roundToPaise(amount - taxableValue)
+    : roundToPaise(amount * rate / 100);
+
+  const line = {
+    description,
+    sac,
+    quantity,
+    taxable_value: taxableValue,
+    cgst_rate: 0, cgst: 0,
+    sgst_rate: 0, sgst: 0,
+    igst_rate: 0, igst: 0,
+    total: roundToPaise(taxableValue + tax)
+  };
+  if (supplyType === 'intra_state') {
+    line.cgst_rate = rate / 2;
+    line.sgst_rate = rate / 2;
+    line.cgst = roundToPaise(tax / 2);
+    line.sgst = roundToPaise(tax - line.cgst);
+  } else {
+    line.igst_rate = rate;
+    line.igst = tax;
+  }
+  return line;
+};
+
+const sumField = (lines, field) => roundToPaise(lines.reduce((total, line) => total + line[field], 0));
+
+/**
+ * Splits `amount` paid on an itemised bill across its line items in proportion to their
+ * amounts, so discounts and the deposit come off every line alike. The last line takes the
+ * rounding so the shares add up to the amount paid.
+ */
+const lineItemShares = (lineItems, amount) => {
+  const itemsTotal = sumField(lineItems, 'amount');
+  let remaining = amount;
+  return lineItems.map((item, index) => {
+    const share = index === lineItems.length - 1
+      ? roundToPaise(remaining)
+      : roundToPaise(itemsTotal ? amount * item.amount / itemsTotal : 0);
+    remaining -= share;
+    return { item, amount: share };
+  });
+};
+
+/**
+ * Tax invoice for a captured payment, created once and numbered in sequence per financial year.
+ * Returns the existing invoice if the payment already has one.
+ */
+const createInvoiceForPayment = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id });
+  if (existing) return existing;
+
+  const bill = await Bill.findById(payment.bill);
+  const serviceRequest = bill && await ServiceRequest.findById(bill.request);
+  const [customer, provider] = await Promise.all([
+    User.findById(payment.customer),
+    User.findById(payment.provider)
+  ]);
+  if (!bill || !serviceRequest || !customer) {
+    throw new Error(`Cannot build invoice for payment ${payment._id}: bill, request or customer missing`);
+  }
+
+  const category = await resolveCategory(serviceRequest.service);
+  const sac = invoiceConfig.sacCodes[category] || invoiceConfig.defaultSacCode;
+  const buyerState = placeOfSupply(customer);
+  const supplyType = buyerState === invoiceConfig.seller.stateCode ? 'intra_state' : 'inter_state';
+
+  const serviceName = serviceRequest.serviceNameSnapshot;
+  // Tax is charged on the amount paid; the line notes any coupon or deposit (the PDF font has no rupee sign)
+  const notes = [];
+  if (bill.items_discount > 0) notes.push(`provider discount of Rs ${bill.items_discount.toFixed(2)}`);
+  if (bill.discount > 0) notes.push(`coupon ${bill.coupon_code}, Rs ${bill.discount.toFixed(2)} off`);
+  if (bill.deposit_paid > 0) notes.push(`balance after deposit of Rs ${bill.deposit_paid.toFixed(2)}`);
+  const noted = (description) => `${description}${notes.length ? ` (${notes.join('; ')})` : ''}`;
+  const descriptions = {
+    cancellation_fee: `Cancellation fee - ${serviceName}`,
+    deposit: `Deposit - ${serviceName}`
+  };
+  // Itemised bills record their GST, which is always inside what was paid
+  const inclusive = bill.tax_rate !== undefined && bill.tax_rate !== null ? true : undefined;
+
+  // An itemised service bill gets a line per item, the notes going on the first
+  const lines = bill.line_items && bill.line_items.length && !descriptions[bill.bill_type]
+    ? lineItemShares(bill.line_items, payment.amount).map(({ item, amount }, index) => taxLine({
+      description: index === 0 ? noted(item.description) : item.description,
+      sac,
+      amount,
+      quantity: item.quantity,
+      inclusive,
+      supplyType
+    }))
+    : [taxLine({
+      description: descriptions[bill.bill_type] || noted(serviceName),
+      sac,
+      amount: payment.amount,
+      inclusive,
+      supplyType
+    })];
+
+  const issuedAt = new Date();
+  try {
+    return await Invoice.create({
+      invoice_number: await nextInvoiceNumber(issuedAt),
+      payment: payment._id,
+      bill: bill._id,
+      request: serviceRequest._id,
+      customer: customer._id,
+      provider: payment.provider,
+      seller: {
+        name: invoiceConfig.seller.name,
+        email: invoiceConfig.seller.email,
+        address: invoiceConfig.seller.address,
+        gstin: invoiceConfig.seller.gstin,
+        state_code: invoiceConfig.seller.stateCode
+      },
+      buyer: {
+        name: customer.name,
+        email: customer.email,
+        address: serviceRequest.customerAddress || customer.address,
+        gstin: customer.gstin,
+        state_code: buyerState
+      },
+      service_provider_name: provider ? provider.name : undefined,
+      place_of_supply: buyerState,
+      supply_type: supplyType,
+      lines,
+      taxable_value: sumField(lines, 'taxable_value'),
+      cgst: sumField(lines, 'cgst'),
+      sgst: sumField(lines, 'sgst'),
+      igst: sumField(lines, 'igst'),
+      total: sumField(lines, 'total'),
+      issuedAt
+    });
+  } catch (err) {
+    // Client callback and webhook capturing at the same time
+    if (err.code === 11000) return Invoice.findOne({ payment: payment._id });
+    throw err;
+  }
+};
+
+// Helvetica has no rupee glyph
+const money = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Renders an invoice to a PDF Buffer
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(18).font('Helvetica-Bold').text('TAX INVOICE', { align: 'right' });
+  doc.fontSize(10).font('Helvetica')
+    .text(`Invoice No: ${invoice.invoice_number}`, { align: 'right' })
+    .text(`Date: ${invoice.issuedAt.toLocaleDateString('en-IN')}`, { align: 'right' });
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text(invoice.seller.name);
+  doc.font('Helvetica');
+  if (invoice.seller.address) doc.text(invoice.seller.address);
+  doc.text(`GSTIN: ${invoice.seller.gstin || 'Not registered'}`);
+  doc.text(`State code: ${invoice.seller.state_code}`);
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Bill To');
+  doc.font('Helvetica').text(invoice.buyer.name || '');
+  if (invoice.buyer.address) doc.text(invoice.buyer.address);
+  if (invoice.buyer.email) doc.text(invoice.buyer.email);
+  if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`);
+  doc.text(`Place of supply (state code): ${invoice.place_of_supply}`);
+  if (invoice.service_provider_name) doc.text(`Service provided by: ${invoice.service_provider_name}`);
+
+  // Line items table
+  const columns = [
+    { header: 'Description', width: 135, value: line => line.description },
+    { header: 'SAC', width: 50, value: line => line.sac },
+    { header: 'Taxable', width: 65, value: line => money(line.taxable_value) },
+    { header: 'CGST', width: 60, value: line => line.cgst_rate ? `${money(line.cgst)}\n@${line.cgst_rate}%` : '-' },
+    { header: 'SGST', width: 60, value: line => line.sgst_rate ? `${money(line.sgst)}\n@${line.sgst_rate}%` : '-' },
+    { header: 'IGST', width: 60, value: line => line.igst_rate ? `${money(line.igst)}\n@${line.igst_rate}%` : '-' },
+    { header: 'Total', width: 65, value: line => money(line.total) }
+  ];
+  const drawRow = (cells, { bold = false } = {}) => {
+    const top = doc.y;
+    let x = doc.page.margins.left;
+    let bottom = top;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(cell, x, top, { width: columns[index].width - 5 });
+      bottom = Math.max(bottom, doc.y);
+      x += columns[index].width;
+    });
+    doc.y = bottom + 6;
+    doc.x = doc.page.margins.left;
+  };
+
+  doc.moveDown();
+  drawRow(columns.map(column => column.header), { bold: true });
+  invoice.lines.forEach(line => drawRow(columns.map(column => column.value(line))));
+
+  doc.moveDown().fontSize(10).font('Helvetica');
+  const totalsX = doc.page.width - doc.page.margins.right - 200;
+  const totalRow = (label, amount, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(`${label}: ${money(amount)}`, totalsX, doc.y, { width: 200, align: 'right' });
+  };
+  totalRow('Taxable value', invoice.taxable_value);
+  if (invoice.supply_type === 'intra_state') {
+    totalRow('CGST', invoice.cgst);
+    totalRow('SGST', invoice.sgst);
+  } else {
+    totalRow('IGST', invoice.igst);
+  }
+  totalRow('Total', invoice.total, true);
+
+  doc.moveDown(2).fontSize(8).font('Helvetica')
+    .text('This is a computer generated invoice and does not require a signature.', doc.page.margins.left, doc.y, { align: 'center' });
+
+  doc.end();
+});
+
+const emailInvoice = async (invoice) => {
+  if (!invoice.buyer.email) return invoice;
+
+  const pdf = await renderInvoicePdf(invoice);
+  await sendEmail({
+    email: invoice.buyer.email,
+    subject: `Your ThrivePro invoice ${invoice.invoice_number}`,
+    html: `<p>Hi ${invoice.buyer.name || ''},</p><p>Thank you for your payment of ${money(invoice.total)}. Your tax invoice <strong>${invoice.invoice_number}</strong> is attached.</p>`,
+    text: `Thank you for your payment of ${money(invoice.total)}. Your tax invoice ${invoice.invoice_number} is attached.`,
+    attachments: [{
+      filename: `${invoice.invoice_number.replace(/\//g, '-')}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+
+  invoice.emailedAt = new Date();
+  return invoice.save();
+};
+
+// Invoice and email a captured payment; failures are logged and never undo the capture
+const issueInvoiceForPayment = async (payment) => {
+  try {
+    const invoice = await createInvoiceForPayment(payment);
+    if (!invoice.emailedAt) await emailInvoice(invoice);
+    return invoice;
+  } catch (err) {
+    logger.error(`Invoice for payment ${payment._id} failed: ${err.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  financialYear,
+  taxLine,
+  createInvoiceForPayment,
+  renderInvoicePdf,
+  emailInvoice,
+  issueInvoiceForPayment
+};
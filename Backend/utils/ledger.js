@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+
+// Chart of accounts. Asset and expense balances are debits minus credits; liability and revenue
+// balances are credits minus debits.
+const ACCOUNTS = {
+  GATEWAY_CASH: 'gateway_cash', // asset: money collected and held at the payment gateway
+  PROVIDER_PAYABLE: 'provider_payable', // liability: owed to a provider (one sub-ledger per provider)
+  CUSTOMER_WALLET: 'customer_wallet', // liability: store credit owed to customers (per customer in Wallet)
+  PLATFORM_REVENUE: 'platform_fee_revenue', // revenue: platform fees kept
+  PROMOTIONAL_CREDIT: 'promotional_credit_expense' // expense: goodwill and referral credits granted
+};
+
+const ACCOUNT_TYPES = {
+  [ACCOUNTS.GATEWAY_CASH]: 'asset',
+  [ACCOUNTS.PROVIDER_PAYABLE]: 'liability',
+  [ACCOUNTS.CUSTOMER_WALLET]: 'liability',
+  [ACCOUNTS.PLATFORM_REVENUE]: 'revenue',
+  [ACCOUNTS.PROMOTIONAL_CREDIT]: 'expense'
+};
+
+// Rupee amounts from the payment models to integer paise
+const toMinor = (rupees) => Math.round(Number(rupees || 0) * 100);
+
+const debit = (account, amount, provider) => ({ account, provider, debit: amount, credit: 0 });
+const credit = (account, amount, provider) => ({ account, provider, debit: 0, credit: amount });
+
+/**
+ * Posts a balanced journal entry once per idempotency key; posting the same key again returns
+ * the existing entry. Zero-amount lines are dropped, and nothing is posted if none are left.
+ */
+const postEntry = async ({ key, type, reference, description, lines }) => {
+  const movingLines = lines.filter(line => line.debit > 0 || line.credit > 0);
+  if (!movingLines.length) return null;
+
+  try {
+    return await JournalEntry.create({
+      idempotency_key: key,
+      entry_type: type,
+      reference,
+      description,
+      lines: movingLines
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return JournalEntry.findOne({ idempotency_key: key });
+  }
+};
+
+// Customer paid: cash in (less any part paid from their wallet), provider's share owed to them,
+// the rest is our fee
+const recordPaymentCaptured = (payment) => {
+  const gross = toMinor(payment.amount);
+  const fee = toMinor(payment.platform_fee);
+  const fromWallet = Math.min(gross, toMinor(payment.wallet_amount));
+
+  return postEntry({
+    key: `payment:${payment._id}`,
+    type: 'payment_captured',
+    reference: { kind: 'Payment', id: payment._id },
+    description: `Payment ${payment.razorpay_payment_id || payment._id} captured`,
+    lines: [
+      debit(ACCOUNTS.GATEWAY_CASH, gross - fromWallet),
+      debit(ACCOUNTS.CUSTOMER_WALLET, fromWallet),
+      credit(ACCOUNTS.PROVIDER_PAYABLE, gross - fee, payment.provider),
+      credit(ACCOUNTS.PLATFORM_REVENUE, fee)
+    ]
+  });
+};
+
+// Customer refunded: cash out (or store credit owed, for a refund to their wallet), taken back
+// from the provider's share and our fee in proportion. A share already paid out leaves the
+// provider's balance negative until recovered.
+const recordRefund = (payment, refund, { reapplied = false } = {}) => {
+  const total = toMinor(refund.amount);
+  const providerShare = Math.min(total, toMinor(refund.provider_share));
+  const refundedTo = refund.destination === 'wallet' ? ACCOUNTS.CUSTOMER_WALLET : ACCOUNTS.GATEWAY_CASH;
+
+  return postEntry({
+    key: `${reapplied ? 'refund_reapplied' : 'refund'}:${refund._id}`,
+    type: 'refund',
+    reference: { kind: 'Refund', id: refund._id },
+    description: `Refund of payment ${payment.razorpay_payment_id || payment._id}${refund.destination === 'wallet' ? ' to wallet' : ''}`,
+    lines: [
+      debit(ACCOUNTS.PROVIDER_PAYABLE, providerShare, payment.provider),
+      debit(ACCOUNTS.PLATFORM_REVENUE, total - providerShare),
+      credit(refundedTo, total)
+    ]
+  });
+};
+
+// Gateway rejected a refund we had already booked
+const recordRefundReversed = (payment, refund) => {
+  const total = toMinor(refund.amount);
+  const providerShare = Math.min(total, toMinor(refund.provider_share));
+
+  return postEntry({
+    key: `refund_reversed:${refund._id}`,
+    type: 'refund_reversed',
+    reference: { kind: 'Refund', id: refund._id },
+    description: `Refund of payment ${payment.razorpay_payment_id} failed`,
+    lines: [
+      debit(ACCOUNTS.GATEWAY_CASH, total),
+      credit(ACCOUNTS.PROVIDER_PAYABLE, providerShare, payment.provider),
+      credit(ACCOUNTS.PLATFORM_REVENUE, total - providerShare)
+    ]
+  });
+};
+
+// Money sent to a provider, for a payout batch or a single transfer
+const recordPayoutSent = ({ kind, id, provider, amount, gatewayPayoutId }) => postEntry({
+  key: `payout_sent:${kind}:${id}`,
+  type: 'payout_sent',
+  reference: { kind, id },
+  description: `Payout ${gatewayPayoutId || ''}`.trim(),
+  lines: [
+    debit(ACCOUNTS.PROVIDER_PAYABLE, toMinor(amount), provider),
+    credit(ACCOUNTS.GATEWAY_CASH, toMinor(amount))
+  ]
+});
+
+// A payout failed or bounced back after it was booked as sent
+const recordPayoutReturned = ({ kind, id, provider, amount, gatewayPayoutId }) => postEntry({
+  key: `payout_returned:${kind}:${id}`,
+  type: 'payout_returned',
+  reference: { kind, id },
+  description: `Payout ${gatewayPayoutId || ''} returned`.trim(),
+  lines: [
+    debit(ACCOUNTS.GATEWAY_CASH, toMinor(amount)),
+    credit(ACCOUNTS.PROVIDER_PAYABLE, toMinor(amount), provider)
+  ]
+});
+
+// Store credit granted as goodwill or a referral reward is a cost to the platform
+const recordWalletCredit = (transaction) => postEntry({
+  key: `wallet_credit:${transaction._id}`,
+  type: 'wallet_credit',
+  reference: { kind: 'WalletTransaction', id: transaction._id },
+  description: `${transaction.source} credit to wallet of user ${transaction.user}`,
+  lines: [
+    debit(ACCOUNTS.PROMOTIONAL_CREDIT, transaction.amount),
+    credit(ACCOUNTS.CUSTOMER_WALLET, transaction.amount)
+  ]
+});
+
+const normalBalance = (account, debits, credits) =>
+  ['asset', 'expense'].includes(ACCOUNT_TYPES[account]) ? debits - credits : credits - debits;
+
+/**
+ * What the platform owes each provider, in paise. Pass a provider id for a single provider.
+ * Returns [{ provider, debits, credits, balance }].
+ */
+const getProviderBalances = async (providerId) => {
+  const lineMatch = { 'lines.account': ACCOUNTS.PROVIDER_PAYABLE };
+  if (providerId) lineMatch['lines.provider'] = new mongoose.Types.ObjectId(String(providerId));
+
+  const rows = await JournalEntry.aggregate([
+    { $match: lineMatch },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: '$lines.provider',
+        debits: { $sum: '$lines.debit' },
+        credits: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map(row => ({
+    provider: row._id,
+    debits: row.debits,
+    credits: row.credits,
+    balance: normalBalance(ACCOUNTS.PROVIDER_PAYABLE, row.debits, row.credits)
+  }));
+};
+
+/**
+ * Debit and credit totals per account (paise) for entries posted in [from, to).
+ * The report is balanced when totalDebits === totalCredits.
+ */
+const getTrialBalance = async ({ from, to } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.postedAt = {};
+    if (from) match.postedAt.$gte = new Date(from);
+    if (to) match.postedAt.$lt = new Date(to);
+  }
+
+  const rows = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debits: { $sum: '$lines.debit' },
+        credits: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const accounts = rows.map(row => ({
+    account: row._id,
+    type: ACCOUNT_TYPES[row._id] || 'unknown',
+    debits: row.debits,
+    credits: row.credits,
+    balance: normalBalance(row._id, row.debits, row.credits)
+  }));
+  const totalDebits = accounts.reduce((sum, row) => sum + row.debits, 0);
+  const totalCredits = accounts.reduce((sum, row) => sum + row.credits, 0);
+
+  return {
+    currency: 'INR',
+    unit: 'paise',
+    accounts,
+    totalDebits,
+    totalCredits,
+    balanced: totalDebits === totalCredits
+  };
+};
+
+module.exports = {
+  ACCOUNTS,
+  ACCOUNT_TYPES,
+  toMinor,
+  postEntry,
+  recordPaymentCaptured,
+  recordRefund,
+  recordRefundReversed,
+  recordPayoutSent,
+  recordPayoutReturned,
+  recordWalletCredit,
+  getProviderBalances,
+  getTrialBalance
+};
@@ -0,0 +1,32 @@
+const config = require('../../config/loginProtection');
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+/**
+ * Limiter store interface. A record is { count, windowStartedAt, lastAttemptAt, lockedUntil }.
+ *
+ *   name
+ *   get(key) -> record, or null once its window and any lockout are over
+ *   hit(key, windowMs) -> record after counting one more attempt (a new window if the last one is over)
+ *   lock(key, until)
+ *   reset(key)
+ */
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store;
+
+const getLimiterStore = () => {
+  if (!store) {
+    const createStore = stores[config.store];
+    if (!createStore) {
+      throw new Error(`Unknown LOGIN_LIMITER_STORE '${config.store}'. Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    store = createStore();
+  }
+  return store;
+};
+
+module.exports = { getLimiterStore };
@@ -0,0 +1,64 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Attempt counters in a Map. Only right for a single app instance: each process
+ * counts on its own and counts are lost on restart.
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  // Drop records whose window and lockout have both passed
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  const live = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const record = live(key);
+      return record && { ...record };
+    },
+
+    hit: async (key, windowMs) => {
+      const now = new Date();
+      const current = live(key);
+      const inWindow = current && current.windowStartedAt.getTime() + windowMs > now.getTime();
+      const record = {
+        count: inWindow ? current.count + 1 : 1,
+        windowStartedAt: inWindow ? current.windowStartedAt : now,
+        lastAttemptAt: now,
+        lockedUntil: current ? current.lockedUntil : undefined
+      };
+      record.expiresAt = Math.max(record.windowStartedAt.getTime() + windowMs, record.lockedUntil ? record.lockedUntil.getTime() : 0);
+      records.set(key, record);
+      return { ...record };
+    },
+
+    lock: async (key, until) => {
+      const record = live(key) || { count: 0, windowStartedAt: new Date(), expiresAt: 0 };
+      record.lockedUntil = until;
+      record.expiresAt = Math.max(record.expiresAt, until.getTime());
+      records.set(key, record);
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,44 @@
+const RateLimit = require('../../models/RateLimit');
+
+// Attempt counters in MongoDB, so every app instance sees the same counts
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  get: (key) => RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean(),
+
+  // One atomic update: starts a new window if the last one is over, otherwise counts on
+  hit: (key, windowMs) => {
+    const now = new Date();
+    const inWindow = { $gt: ['$windowStartedAt', new Date(now.getTime() - windowMs)] };
+    return RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+            windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+            lastAttemptAt: now
+          }
+        },
+        {
+          $set: {
+            expiresAt: {
+              $max: [{ $add: ['$windowStartedAt', windowMs] }, { $ifNull: ['$lockedUntil', now] }]
+            }
+          }
+        }
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+  },
+
+  lock: (key, until) => RateLimit.updateOne(
+    { key },
+    [{ $set: { lockedUntil: until, expiresAt: { $max: ['$expiresAt', until] } } }],
+    { upsert: true }
+  ),
+
+  reset: (key) => RateLimit.deleteOne({ key })
+});
+
+module.exports = createMongoStore;
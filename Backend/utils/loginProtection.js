@@ -0,0 +1,138 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('./appError');
+const logger = require('./logger');
+const sendEmail = require('./email');
+const { getLimiterStore } = require('./limiterStore');
+const config = require('../config/loginProtection');
+
+const MINUTE_MS = 60 * 1000;
+
+// Accounts are counted by the address typed in, whether or not it belongs to anyone
+const accountKey = (prefix, email) => `${prefix}:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (prefix, ip) => `${prefix}:ip:${ip}`;
+
+const tooManyAttempts = (lockedUntil, reason = 'Too many failed attempts.') => {
+  const minutes = Math.ceil((lockedUntil.getTime() - Date.now()) / MINUTE_MS);
+  return new AppError(`${reason} Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+};
+
+// Wait owed before the next attempt: nothing for the free attempts, then doubling up to the maximum
+const progressiveDelayMs = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  const seconds = Math.min(config.delay.baseSeconds * 2 ** (failures - freeAttempts), config.delay.maxSeconds);
+  return seconds * 1000;
+};
+
+// Throws a 429 AppError if `key` is locked or still has a delay to sit out
+const checkKey = async (key, limits) => {
+  const record = await getLimiterStore().get(key);
+  if (!record) return;
+
+  const now = Date.now();
+  if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+    throw tooManyAttempts(new Date(record.lockedUntil));
+  }
+  if (!record.lastAttemptAt || new Date(record.windowStartedAt).getTime() + config.windowMinutes * MINUTE_MS <= now) return;
+
+  const waitMs = new Date(record.lastAttemptAt).getTime() + progressiveDelayMs(record.count, limits.freeAttempts) - now;
+  if (waitMs > 0) {
+    const seconds = Math.ceil(waitMs / 1000);
+    throw new AppError(`Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`, 429);
+  }
+};
+
+const audit = async (entry) => {
+  try {
+    await AuditLog.create(entry);
+  } catch (err) {
+    logger.error(`Failed to write ${entry.action} audit record: ${err.message}`);
+  }
+};
+
+const notifyAccountLocked = async (user, lockedUntil) => {
+  const minutes = config.account.lockoutMinutes;
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'Your ThrivePro account has been temporarily locked',
+      html: `<p>Hi ${user.name || ''},</p><p>There were too many unsuccessful attempts to log in to your account, so we have locked it for ${minutes} minutes (until ${lockedUntil.toUTCString()}).</p><p>If this wasn't you, someone may be trying to guess your password. Consider resetting it once the lock ends.</p>`,
+      text: `There were too many unsuccessful attempts to log in to your ThrivePro account, so we have locked it for ${minutes} minutes (until ${lockedUntil.toUTCString()}). If this wasn't you, someone may be trying to guess your password. Consider resetting it once the lock ends.`
+    });
+  } catch (err) {
+    logger.error(`Failed to send lockout email to ${user.email}: ${err.message}`);
+  }
+};
+
+// Throws a 429 AppError if this address or account has to wait, or is locked out
+const checkLoginAllowed = async ({ email, ip }) => {
+  await checkKey(ipKey('login', ip), config.ip);
+  if (email) await checkKey(accountKey('login', email), config.account);
+};
+
+/**
+ * Counts a failed login (wrong password, or wrong 2FA code) against the address and the
+ * account. Reaching the limit locks them out for a while; a locked account's owner is emailed.
+ */
+const recordLoginFailure = async ({ email, user, req }) => {
+  const store = getLimiterStore();
+  const windowMs = config.windowMinutes * MINUTE_MS;
+  const context = { ip: req.ip, userAgent: req.get('User-Agent') };
+
+  const ipRecord = await store.hit(ipKey('login', req.ip), windowMs);
+  if (ipRecord.count >= config.ip.maxAttempts) {
+    const lockedUntil = new Date(Date.now() + config.ip.lockoutMinutes * MINUTE_MS);
+    await store.lock(ipKey('login', req.ip), lockedUntil);
+    logger.warn(`Login locked for IP ${req.ip} after ${ipRecord.count} failed attempts`);
+    await audit({ action: 'ip_locked', ...context, details: { attempts: ipRecord.count, lockedUntil } });
+  }
+
+  if (!email) return;
+  const accountRecord = await store.hit(accountKey('login', email), windowMs);
+  if (accountRecord.count >= config.account.maxAttempts) {
+    const lockedUntil = new Date(Date.now() + config.account.lockoutMinutes * MINUTE_MS);
+    await store.lock(accountKey('login', email), lockedUntil);
+    logger.warn(`Login locked for ${email} after ${accountRecord.count} failed attempts`);
+    await audit({
+      action: 'account_locked',
+      user: user && user._id,
+      ...context,
+      details: { email, attempts: accountRecord.count, lockedUntil }
+    });
+    if (user) await notifyAccountLocked(user, lockedUntil);
+  }
+};
+
+// A successful login clears the account's count; the address keeps its own
+const recordLoginSuccess = ({ email }) => getLimiterStore().reset(accountKey('login', email));
+
+/**
+ * Counts a password reset request against the address and the account, and throws a 429
+ * AppError once either has asked too often within the window.
+ */
+const checkForgotPasswordAllowed = async ({ email, req }) => {
+  const store = getLimiterStore();
+  const { windowMinutes, maxPerAccount, maxPerIp } = config.forgotPassword;
+  const windowMs = windowMinutes * MINUTE_MS;
+
+  for (const [key, max] of [[ipKey('forgot', req.ip), maxPerIp], [accountKey('forgot', email), maxPerAccount]]) {
+    const record = await store.get(key);
+    if (record && record.lockedUntil && new Date(record.lockedUntil).getTime() > Date.now()) {
+      throw tooManyAttempts(new Date(record.lockedUntil), 'Too many password reset requests.');
+    }
+
+    const counted = await store.hit(key, windowMs);
+    if (counted.count > max) {
+      const lockedUntil = new Date(new Date(counted.windowStartedAt).getTime() + windowMs);
+      await store.lock(key, lockedUntil);
+      await audit({
+        action: 'forgot_password_limited',
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        details: { key, requests: counted.count, lockedUntil }
+      });
+      throw tooManyAttempts(lockedUntil, 'Too many password reset requests.');
+    }
+  }
+};
+
+module.exports = { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, checkForgotPasswordAllowed };
@@ -0,0 +1,5 @@
+// Rupee amounts (Payment, Bill, Quote, ...) are rounded to paise so sums and partial amounts
+// don't drift
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+module.exports = { roundToPaise };
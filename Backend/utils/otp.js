@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { getSmsTransport } = require('./sms');
+const jwtConfig = require('../config/jwt');
+const otpConfig = require('../config/otp');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const messages = {
+  login: (code, minutes) => `${code} is your ThrivePro login code. It expires in ${minutes} minutes. Never share it with anyone.`,
+  verify_phone: (code, minutes) => `${code} is your ThrivePro verification code. It expires in ${minutes} minutes.`
+};
+
+// Keyed, so a leaked collection of 6-digit hashes can't simply be brute-forced offline
+const hashCode = (code) => crypto.createHmac('sha256', jwtConfig.secret).update(code).digest('hex');
+
+const codesMatch = (code, codeHash) => {
+  const candidate = Buffer.from(hashCode(String(code)), 'hex');
+  const expected = Buffer.from(codeHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+// Why another code can't be sent yet, or null: a short cooldown plus an hourly cap
+const resendThrottleError = async (phoneNumber, purpose, now) => {
+  const latest = await Otp.findOne({ phone_number: phoneNumber, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const waitSeconds = Math.ceil(otpConfig.resendCooldownSeconds - (now - latest.createdAt) / 1000);
+    if (waitSeconds > 0) {
+      return new AppError(`Please wait ${waitSeconds} seconds before requesting another code.`, 429);
+    }
+  }
+  const sentLastHour = await Otp.countDocuments({
+    phone_number: phoneNumber,
+    purpose,
+    createdAt: { $gt: new Date(now - HOUR_MS) }
+  });
+  if (sentLastHour >= otpConfig.maxSendsPerHour) {
+    return new AppError('Too many codes requested. Please try again in an hour.', 429);
+  }
+  return null;
+};
+
+/**
+ * Texts a fresh one-time code to `phoneNumber` for `purpose` ('login' or 'verify_phone'),
+ * replacing any earlier code. Throws an AppError if a code was sent too recently or the SMS
+ * could not be sent.
+ */
+const requestOtp = async ({ phoneNumber, purpose, user }) => {
+  const now = new Date();
+  const throttleError = await resendThrottleError(phoneNumber, purpose, now);
+  if (throttleError) throw throttleError;
+
+  await Otp.updateMany({ phone_number: phoneNumber, purpose, consumedAt: null }, { consumedAt: now });
+
+  const code = crypto.randomInt(0, 10 ** otpConfig.codeLength).toString().padStart(otpConfig.codeLength, '0');
+  const otp = await Otp.create({
+    phone_number: phoneNumber,
+    purpose,
+    user: user && user._id,
+    codeHash: hashCode(code),
+    expiresAt: new Date(now.getTime() + otpConfig.expiresInMinutes * 60 * 1000)
+  });
+
+  try {
+    await getSmsTransport().send({ to: phoneNumber, body: messages[purpose](code, otpConfig.expiresInMinutes) });
+  } catch (err) {
+    logger.error(`Failed to send ${purpose} OTP ${otp._id}: ${err.message}`);
+    await Otp.updateOne({ _id: otp._id }, { consumedAt: new Date(), sendError: err.message });
+    throw new AppError('We could not send the code. Please try again later.', 502);
+  }
+  return otp;
+};
+
+/**
+ * Checks `code` against the latest code sent to `phoneNumber` for `purpose` and uses it up.
+ * Every guess counts towards the attempt limit; after that a new code has to be requested.
+ * Returns the Otp, or throws an AppError saying what went wrong.
+ */
+const verifyOtp = async ({ phoneNumber, purpose, code }) => {
+  const now = new Date();
+  // Counting the attempt before comparing means parallel guesses can't get past the limit
+  const otp = await Otp.findOneAndUpdate(
+    {
+      phone_number: phoneNumber,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: now },
+      attempts: { $lt: otpConfig.maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  ).select('+codeHash');
+  if (!otp) {
+    throw new AppError('This code is invalid or has expired. Please request a new one.', 400);
+  }
+
+  if (!codesMatch(code, otp.codeHash)) {
+    const attemptsLeft = otpConfig.maxAttempts - otp.attempts;
+    throw new AppError(attemptsLeft > 0
+      ? `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+      : 'Incorrect code. Please request a new one.', 400);
+  }
+
+  // Only one request gets to use a code
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { consumedAt: now },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new AppError('This code is invalid or has expired. Please request a new one.', 400);
+  }
+  return consumed;
+};
+
+module.exports = { requestOtp, verifyOtp };
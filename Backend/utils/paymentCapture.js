@@ -0,0 +1,136 @@
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+const { canTransition, applyTransition } = require('./bookingStateMachine');
+const { toMinor, recordPaymentCaptured } = require('./ledger');
+const { calculateCommission } = require('./commission');
+const { issueInvoiceForPayment } = require('./invoice');
+const { redeemCoupon } = require('./coupons');
+const { itemisedServiceBillFields } = require('./billing');
+const { captureWalletHold } = require('./wallet');
+
+// The bill a customer pays next on a request: the cancellation fee once cancelled, else the service bill
+const findPayableBill = (serviceRequest) => (serviceRequest.status === 'cancelled'
+  ? Bill.findOne({ request: serviceRequest._id, bill_type: 'cancellation_fee' })
+  : Bill.findServiceBill(serviceRequest._id));
+
+// The payable bill, raising the service bill of a completed request that doesn't have one yet
+const ensurePayableBill = async (serviceRequest) => {
+  const bill = await findPayableBill(serviceRequest);
+  if (bill || serviceRequest.status !== 'completed') return bill;
+
+  return Bill.create({
+    request: serviceRequest._id,
+    ...(await itemisedServiceBillFields(serviceRequest))
+  });
+};
+
+// Paise the gateway has to collect for a bill: whatever the payment's wallet share doesn't cover
+const gatewayAmountDue = (bill, payment) => toMinor(bill.amount) - toMinor(payment && payment.wallet_amount);
+
+/**
+ * Records a Razorpay payment that has been captured against a bill: creates or updates the
+ * Payment, marks the bill paid, moves the service request on and queues the provider Transfer.
+ * Safe to call more than once for the same payment (client callback and webhook both do).
+ * A checkout paid entirely from the wallet passes its pending `payment` and { method: 'wallet' }.
+ */
+const recordCapturedPayment = async ({ bill, serviceRequest, rzpPayment, payment: pendingPayment }) => {
+  const isCancellationFee = bill.bill_type === 'cancellation_fee';
+  const isTip = bill.bill_type === 'tip';
+  const isDeposit = bill.bill_type === 'deposit';
+
+  // Find or Create Payment entry
+  let payment = pendingPayment
+    || await Payment.findOne({ bill: bill._id, razorpay_order_id: rzpPayment.order_id });
+
+  // A repeated capture must not undo refunds made since, or re-price an earlier payment
+  const isNewCapture = !payment || ['created', 'failed'].includes(payment.status);
+  let fee = null;
+  if (isNewCapture && isTip) {
+    fee = { platform_fee: 0 }; // Tips go to the provider in full
+  } else if (isNewCapture) {
+    fee = await calculateCommission({
+      amount: bill.amount,
+      serviceId: serviceRequest.service._id,
+      providerId: serviceRequest.provider._id
+    });
+  }
+
+  if (payment) {
+    if (isNewCapture) {
+      payment.razorpay_payment_id = rzpPayment.id;
+      payment.payment_method = rzpPayment.method;
+      payment.amount = bill.amount;
+      payment.platform_fee = fee.platform_fee;
+      payment.commission = fee.commission;
+      payment.milestone = bill.bill_type;
+      payment.status = 'captured';
+      payment.capturedAt = Date.now();
+      payment.updatedAt = Date.now();
+      await payment.save();
+      await captureWalletHold(payment);
+    }
+  } else {
+    payment = await Payment.create({
+      bill: bill._id,
+      customer: serviceRequest.customer._id,
+      provider: serviceRequest.provider._id,
+      amount: bill.amount, // Amount from the bill
+      platform_fee: fee.platform_fee, // From the commission rule in force right now
+      commission: fee.commission,
+      milestone: bill.bill_type,
+      status: 'captured', // Directly to captured as Razorpay confirmed payment
+      capturedAt: Date.now(),
+      payment_method: rzpPayment.method,
+      razorpay_order_id: rzpPayment.order_id,
+      razorpay_payment_id: rzpPayment.id
+    });
+  }
+
+  // Update bill status to 'paid'
+  if (bill.status !== 'paid') {
+    bill.status = 'paid';
+    await bill.save();
+  }
+
+  // Update ServiceRequest status (a paid cancellation fee leaves the request cancelled; a deposit
+  // or tip changes nothing, the job still has to be done or has been)
+  if (isCancellationFee) {
+    serviceRequest.cancellation.feePaid = true;
+    await serviceRequest.save();
+  } else if (!isTip && !isDeposit && canTransition(serviceRequest.status, 'PaymentCompleted', 'system')) {
+    applyTransition(serviceRequest, 'PaymentCompleted', {
+      actor: 'system',
+      note: `Payment ${rzpPayment.id || payment._id} captured`
+    });
+    await serviceRequest.save();
+  }
+  // A bill paid before the job is completed moves the request on when the provider completes it
+
+  // Queue the provider's share (one transfer per payment)
+  let transfer = await Transfer.findOne({ payment: payment._id });
+  if (!transfer) {
+    transfer = await Transfer.create({
+      payment: payment._id,
+      provider: serviceRequest.provider._id,
+      amount: payment.amount - payment.platform_fee,
+      status: 'created',
+      transfer_mode: 'imps'
+    });
+  }
+
+  await recordPaymentCaptured(payment);
+
+  // The booking's coupon counts as used once its discounted bill is paid
+  if (!isCancellationFee && bill.coupon_code) {
+    await redeemCoupon(serviceRequest._id, bill._id);
+  }
+
+  // Not awaited: the customer shouldn't wait on PDF rendering and SMTP; it logs its own errors.
+  // Tips aren't a platform supply, so they get no invoice
+  if (isNewCapture && !isTip) issueInvoiceForPayment(payment);
+
+  return { payment, transfer };
+};
+
+module.exports = { findPayableBill, ensurePayableBill, gatewayAmountDue, recordCapturedPayment };
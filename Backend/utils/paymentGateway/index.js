@@ -0,0 +1,41 @@
+const config = require('../../config/paymentGateway');
+const createRazorpayGateway = require('./razorpayAdapter');
+const createMockGateway = require('./mockAdapter');
+
+/**
+ * Payment gateway interface. Amounts are integers in paise and entities keep Razorpay's
+ * shape (id, status, order_id, ...) whichever adapter is active.
+ *
+ *   name, keyId
+ *   createOrder({ amount, currency, receipt, notes })
+ *   fetchOrder(orderId)
+ *   fetchPayment(paymentId)
+ *   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+ *   refundPayment(paymentId, { amount, speed, notes })
+ *   createContact({ name, email, contact, type, referenceId, notes })
+ *   createFundAccount({ contactId, name, ifsc, accountNumber })
+ *   createPayout({ fundAccountId, amount, currency, mode, purpose, referenceId, idempotencyKey, notes })
+ *   findPayoutByReference(referenceId) -> payout or null
+ *
+ * The mock adapter also has simulateCheckout(orderId, { method, fail }) and reset().
+ */
+const adapters = {
+  razorpay: () => createRazorpayGateway(config.razorpay),
+  mock: () => createMockGateway(config.mock)
+};
+
+let gateway;
+
+// Built on first use so the app (and scripts) can load without gateway credentials
+const getPaymentGateway = () => {
+  if (!gateway) {
+    const createGateway = adapters[config.provider];
+    if (!createGateway) {
+      throw new Error(`Unknown PAYMENT_GATEWAY '${config.provider}'. Use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    gateway = createGateway();
+  }
+  return gateway;
+};
+
+module.exports = { getPaymentGateway };
@@ -0,0 +1,218 @@
+const { signPaymentResponse, verifyPaymentSignature } = require('../razorpaySignature');
+
+// Fixed clock reset() switches to, so ids and timestamps are the same on every test run
+const EPOCH = 1700000000;
+
+// Errors shaped like the Razorpay SDK's, so callers handle both gateways the same way
+const gatewayError = (statusCode, description, code = 'BAD_REQUEST_ERROR') => {
+  const error = new Error(description);
+  error.statusCode = statusCode;
+  error.error = { code, description };
+  return error;
+};
+
+/**
+ * In-memory gateway that returns Razorpay-shaped entities without any network calls.
+ * Checkout is simulated with simulateCheckout(orderId), which captures (or fails) a payment
+ * and returns the same fields Razorpay Checkout hands to the browser.
+ */
+const createMockGateway = ({ keyId, keySecret, payoutStatus }) => {
+  let store;
+  let sequence;
+  let runTag;
+  let clockStart;
+
+  const reset = () => {
+    store = { orders: {}, payments: {}, refunds: {}, contacts: {}, fundAccounts: {}, payouts: {}, payoutsByIdempotencyKey: {} };
+    sequence = 0;
+    runTag = '';
+    clockStart = EPOCH;
+  };
+  reset();
+  // Ids from an earlier run are still saved on Payments, so each process tags its own
+  runTag = Date.now().toString(36);
+  clockStart = Math.floor(Date.now() / 1000);
+
+  const nextId = (prefix) => {
+    sequence += 1;
+    return `${prefix}_mock${runTag}${String(sequence).padStart(10, '0')}`;
+  };
+  const now = () => clockStart + sequence;
+
+  const find = (collection, id, label) => {
+    const entity = store[collection][id];
+    if (!entity) throw gatewayError(404, `The id provided does not exist (${label} ${id})`);
+    return entity;
+  };
+
+  const assertAmount = (amount) => {
+    if (!Number.isInteger(amount) || amount < 100) {
+      throw gatewayError(400, 'The amount must be an integer of at least 100 paise');
+    }
+  };
+
+  return {
+    name: 'mock',
+    keyId,
+    reset,
+
+    createOrder: async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+      assertAmount(amount);
+      const order = {
+        id: nextId('order'),
+        entity: 'order',
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        status: 'created',
+        attempts: 0,
+        notes,
+        created_at: now()
+      };
+      store.orders[order.id] = order;
+      return { ...order };
+    },
+
+    fetchOrder: async (orderId) => ({ ...find('orders', orderId, 'order') }),
+
+    fetchPayment: async (paymentId) => ({ ...find('payments', paymentId, 'payment') }),
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      verifyPaymentSignature(orderId, paymentId, signature, keySecret),
+
+    simulateCheckout: async (orderId, { method = 'upi', fail = false } = {}) => {
+      const order = find('orders', orderId, 'order');
+      if (order.status === 'paid') throw gatewayError(400, 'Order is already paid');
+
+      order.attempts += 1;
+      const payment = {
+        id: nextId('pay'),
+        entity: 'payment',
+        amount: order.amount,
+        currency: order.currency,
+        status: fail ? 'failed' : 'captured',
+        order_id: order.id,
+        method,
+        captured: !fail,
+        amount_refunded: 0,
+        refund_status: null,
+        notes: order.notes,
+        error_code: fail ? 'BAD_REQUEST_ERROR' : null,
+        error_description: fail ? 'Payment declined by the mock gateway' : null,
+        created_at: now()
+      };
+      store.payments[payment.id] = payment;
+
+      if (fail) {
+        return { error: { code: payment.error_code, description: payment.error_description, metadata: { payment_id: payment.id, order_id: order.id } } };
+      }
+
+      order.status = 'paid';
+      order.amount_paid = order.amount;
+      order.amount_due = 0;
+      return {
+        razorpay_order_id: order.id,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: signPaymentResponse(order.id, payment.id, keySecret)
+      };
+    },
+
+    refundPayment: async (paymentId, { amount, speed = 'normal', notes = {} } = {}) => {
+      const payment = find('payments', paymentId, 'payment');
+      if (payment.status !== 'captured' && payment.status !== 'refunded') {
+        throw gatewayError(400, 'Only captured payments can be refunded');
+      }
+
+      const refundable = payment.amount - payment.amount_refunded;
+      const refundAmount = amount === undefined ? refundable : amount;
+      if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        throw gatewayError(400, 'The refund amount provided is greater than amount captured');
+      }
+
+      const refund = {
+        id: nextId('rfnd'),
+        entity: 'refund',
+        amount: refundAmount,
+        currency: payment.currency,
+        payment_id: payment.id,
+        notes,
+        status: 'processed',
+        speed_requested: speed,
+        speed_processed: 'normal',
+        created_at: now()
+      };
+      store.refunds[refund.id] = refund;
+
+      payment.amount_refunded += refundAmount;
+      payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+      if (payment.refund_status === 'full') payment.status = 'refunded';
+      return { ...refund };
+    },
+
+    createContact: async ({ name, email, contact, type = 'vendor', referenceId, notes = {} }) => {
+      const record = {
+        id: nextId('cont'),
+        entity: 'contact',
+        name,
+        email,
+        contact,
+        type,
+        reference_id: referenceId,
+        active: true,
+        notes,
+        created_at: now()
+      };
+      store.contacts[record.id] = record;
+      return { ...record };
+    },
+
+    createFundAccount: async ({ contactId, name, ifsc, accountNumber }) => {
+      find('contacts', contactId, 'contact');
+      const fundAccount = {
+        id: nextId('fa'),
+        entity: 'fund_account',
+        contact_id: contactId,
+        account_type: 'bank_account',
+        bank_account: { name, ifsc, account_number: accountNumber, bank_name: 'Mock Bank' },
+        active: true,
+        created_at: now()
+      };
+      store.fundAccounts[fundAccount.id] = fundAccount;
+      return { ...fundAccount };
+    },
+
+    createPayout: async ({ fundAccountId, amount, currency = 'INR', mode, purpose = 'payout', referenceId, idempotencyKey, notes = {} }) => {
+      find('fundAccounts', fundAccountId, 'fund account');
+      assertAmount(amount);
+      // A repeated idempotency key gets the payout already made, as on Razorpay
+      const repeated = idempotencyKey && store.payoutsByIdempotencyKey[idempotencyKey];
+      if (repeated) return { ...store.payouts[repeated] };
+      const payout = {
+        id: nextId('pout'),
+        entity: 'payout',
+        fund_account_id: fundAccountId,
+        amount,
+        currency,
+        mode: mode.toUpperCase(),
+        purpose,
+        status: payoutStatus,
+        reference_id: referenceId,
+        failure_reason: payoutStatus === 'failed' ? 'Payout failed at the mock gateway' : null,
+        notes,
+        created_at: now()
+      };
+      store.payouts[payout.id] = payout;
+      if (idempotencyKey) store.payoutsByIdempotencyKey[idempotencyKey] = payout.id;
+      return { ...payout };
+    },
+
+    findPayoutByReference: async (referenceId) => {
+      const payout = Object.values(store.payouts).find(item => item.reference_id === referenceId);
+      return payout ? { ...payout } : null;
+    }
+  };
+};
+
+module.exports = createMockGateway;
@@ -0,0 +1,94 @@
+const Razorpay = require('razorpay');
+const { verifyPaymentSignature } = require('../razorpaySignature');
+
+const PAYOUT_TIMEOUT_MS = 30 * 1000;
+
+// Same shape as the SDK's errors when Razorpay answered; timeouts and network errors (no
+// statusCode) are passed on as they are, since the payout may or may not have been made
+const normalizeError = (err) => {
+  if (!err.response) return err;
+  return { statusCode: err.response.status, error: err.response.data && err.response.data.error };
+};
+
+// Razorpay (and RazorpayX for contacts and payouts) behind the payment gateway interface
+const createRazorpayGateway = ({ keyId, keySecret, accountNumber }) => {
+  const client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  return {
+    name: 'razorpay',
+    keyId,
+
+    createOrder: ({ amount, currency = 'INR', receipt, notes }) =>
+      client.orders.create({ amount, currency, receipt, notes, payment_capture: 1 }),
+
+    fetchOrder: (orderId) => client.orders.fetch(orderId),
+
+    fetchPayment: (paymentId) => client.payments.fetch(paymentId),
+
+    verifyPaymentSignature: ({ orderId, paymentId, signature }) =>
+      verifyPaymentSignature(orderId, paymentId, signature, keySecret),
+
+    refundPayment: (paymentId, { amount, speed = 'normal', notes } = {}) =>
+      client.payments.refund(paymentId, { amount, speed, notes }),
+
+    // The SDK has no RazorpayX resources, so contacts and payouts go through its API client
+    createContact: ({ name, email, contact, type = 'vendor', referenceId, notes }) =>
+      client.api.post({
+        url: '/contacts',
+        data: { name, email, contact, type, reference_id: referenceId, notes }
+      }),
+
+    createFundAccount: ({ contactId, name, ifsc, accountNumber: bankAccountNumber }) =>
+      client.fundAccount.create({
+        contact_id: contactId,
+        account_type: 'bank_account',
+        bank_account: { name, ifsc, account_number: bankAccountNumber }
+      }),
+
+    // Payouts go through the SDK's HTTP client itself: api.post can't send the idempotency
+    // header, and turns network errors into a TypeError
+    createPayout: async ({ fundAccountId, amount, currency = 'INR', mode, purpose = 'payout', referenceId, idempotencyKey, notes }) => {
+      if (!accountNumber) {
+        throw new Error('RAZORPAY_ACCOUNT_NUMBER is not configured');
+      }
+      try {
+        const response = await client.api.rq.post('/v1/payouts', {
+          account_number: accountNumber,
+          fund_account_id: fundAccountId,
+          amount,
+          currency,
+          mode: mode.toUpperCase(),
+          purpose,
+          queue_if_low_balance: true,
+          reference_id: referenceId,
+          notes
+        }, {
+          // Razorpay returns the payout it already made for a repeated key instead of paying twice
+          headers: idempotencyKey ? { 'X-Payout-Idempotency': idempotencyKey } : {},
+          timeout: PAYOUT_TIMEOUT_MS
+        });
+        return response.data;
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    },
+
+    // The payout made with this reference_id, or null if there is none
+    findPayoutByReference: async (referenceId) => {
+      if (!accountNumber) {
+        throw new Error('RAZORPAY_ACCOUNT_NUMBER is not configured');
+      }
+      try {
+        const response = await client.api.rq.get('/v1/payouts', {
+          params: { account_number: accountNumber, reference_id: referenceId },
+          timeout: PAYOUT_TIMEOUT_MS
+        });
+        return response.data.items[0] || null;
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    }
+  };
+};
+
+module.exports = createRazorpayGateway;
@@ -0,0 +1,270 @@
+const Payout = require('../models/Payout');
+const Transfer = require('../models/Transfer');
+const ProviderBankDetail = require('../models/ProviderBankDetails');
+const payoutConfig = require('../config/payouts');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { getPaymentGateway } = require('./paymentGateway');
+const { roundToPaise } = require('./money');
+const { recordPayoutSent } = require('./ledger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// When a transfer created at the given time can be paid out
+const eligibleAt = (createdAt) => new Date(new Date(createdAt).getTime() + payoutConfig.holdPeriodHours * HOUR_MS);
+
+// Delay before the next try after `attempts` failed ones: base, 2x base, 4x base, ...
+const retryDelayMs = (attempts) => payoutConfig.retryBaseMinutes * 60 * 1000 * 2 ** Math.max(0, attempts - 1);
+
+// No answer, or a server error: the gateway may have made the payout without telling us
+const isOutcomeUnknown = (error) => !error.statusCode || error.statusCode >= 500;
+
+const isPayable = (bankDetails) => Boolean(
+  bankDetails && bankDetails.verification_status === 'verified' && bankDetails.razorpay_fund_id
+);
+
+const sumAmounts = (transfers) => roundToPaise(transfers.reduce((total, transfer) => total + transfer.amount, 0));
+
+// Transfers still owed to a provider that no payout has picked up yet
+const findUnbatchedTransfers = (filter = {}) =>
+  Transfer.find({ status: 'created', payout: null, amount: { $gt: 0 }, ...filter }).sort({ createdAt: 1 });
+
+/**
+ * Groups transfers past the hold period into one queued Payout per provider. Providers without
+ * verified bank details, or whose total is under the minimum, are left for a later run.
+ */
+const batchEligibleTransfers = async (now = new Date()) => {
+  const holdCutoff = new Date(now.getTime() - payoutConfig.holdPeriodHours * HOUR_MS);
+  const transfers = await findUnbatchedTransfers({ createdAt: { $lte: holdCutoff } });
+
+  const byProvider = new Map();
+  transfers.forEach(transfer => {
+    const key = transfer.provider.toString();
+    if (!byProvider.has(key)) byProvider.set(key, []);
+    byProvider.get(key).push(transfer);
+  });
+
+  const batched = [];
+  const skipped = [];
+  for (const [providerId, providerTransfers] of byProvider) {
+    const bankDetails = await ProviderBankDetail.findOne({ provider: providerId });
+    if (!isPayable(bankDetails)) {
+      skipped.push({ provider: providerId, reason: 'Bank details missing or not verified' });
+      continue;
+    }
+
+    const total = sumAmounts(providerTransfers);
+    if (total < payoutConfig.minimumAmount) {
+      skipped.push({ provider: providerId, reason: `Eligible amount ${total} is below the minimum payout` });
+      continue;
+    }
+
+    const payout = await Payout.create({
+      provider: providerId,
+      transfers: providerTransfers.map(transfer => transfer._id),
+      amount: total,
+      transfer_mode: payoutConfig.transferMode,
+      fund_account_id: bankDetails.razorpay_fund_id,
+      next_attempt_at: now
+    });
+
+    // Claim only transfers nobody else batched in the meantime
+    await Transfer.updateMany(
+      { _id: { $in: payout.transfers }, status: 'created', payout: null },
+      { payout: payout._id, updatedAt: Date.now() }
+    );
+    const claimed = await Transfer.find({ payout: payout._id });
+    if (!claimed.length) {
+      await Payout.deleteOne({ _id: payout._id });
+      continue;
+    }
+    payout.transfers = claimed.map(transfer => transfer._id);
+    payout.amount = sumAmounts(claimed);
+    await payout.save();
+    batched.push(payout);
+  }
+
+  return { batched, skipped };
+};
+
+// Marks every transfer still pending in the payout with the given status
+const settleTransfers = (payout, update) =>
+  Transfer.updateMany({ payout: payout._id, status: 'created' }, { ...update, updatedAt: Date.now() });
+
+// Payouts due to be sent, plus ones a run claimed but died before it heard back from the gateway.
+// Those are safe to send again: the retry looks for the payout by reference first.
+const claimableFilter = (now) => ({
+  $or: [
+    { status: 'queued', next_attempt_at: { $lte: now } },
+    {
+      status: 'processing',
+      razorpay_payout_id: null,
+      updatedAt: { $lt: new Date(now.getTime() - payoutConfig.staleClaimMinutes * 60 * 1000) }
+    }
+  ]
+});
+
+/**
+ * Sends one queued payout to the gateway. Errors are retried with exponential backoff until
+ * maxAttempts, after which the payout and its transfers are marked failed. The payout id is
+ * both the reference and the idempotency key, and a retry first looks for a payout an earlier
+ * attempt made without us hearing back, so a provider is never paid twice. A payout whose last
+ * attempt timed out is never marked failed, since it may have gone through.
+ */
+const sendPayout = async (payoutId, now = new Date()) => {
+  // Claim it so two job runs can't send the same payout
+  const payout = await Payout.findOneAndUpdate(
+    { _id: payoutId, ...claimableFilter(now) },
+    { status: 'processing', $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!payout) return null;
+
+  // Refunds may have reduced or reversed transfers since the batch was made
+  const transfers = await Transfer.find({ payout: payout._id, status: 'created' });
+  payout.transfers = transfers.map(transfer => transfer._id);
+  payout.amount = sumAmounts(transfers);
+  if (payout.amount <= 0) {
+    payout.status = 'failed';
+    payout.last_error = 'Nothing left to pay out; the batched transfers were refunded';
+    await payout.save();
+    return payout;
+  }
+
+  const bankDetails = await ProviderBankDetail.findOne({ provider: payout.provider });
+  if (!isPayable(bankDetails)) {
+    // Hand the transfers back so they are batched again once the bank details are verified
+    await Transfer.updateMany({ payout: payout._id, status: 'created' }, { $unset: { payout: 1 }, updatedAt: Date.now() });
+    payout.status = 'failed';
+    payout.last_error = 'Bank details missing or not verified';
+    await payout.save();
+    return payout;
+  }
+  payout.fund_account_id = bankDetails.razorpay_fund_id;
+
+  const gateway = getPaymentGateway();
+  const referenceId = payout._id.toString();
+  try {
+    const gatewayPayout = (payout.attempts > 1 && await gateway.findPayoutByReference(referenceId))
+      || await gateway.createPayout({
+        fundAccountId: payout.fund_account_id,
+        amount: Math.round(payout.amount * 100), // Amount in paise
+        currency: 'INR',
+        mode: payout.transfer_mode,
+        purpose: 'payout',
+        referenceId,
+        idempotencyKey: referenceId,
+        notes: {
+          payout_id: referenceId,
+          provider_id: payout.provider.toString()
+        }
+      });
+
+    payout.razorpay_payout_id = gatewayPayout.id;
+    payout.last_error = undefined;
+    if (gatewayPayout.status === 'processed') {
+      payout.status = 'processed';
+      payout.processedAt = new Date();
+    }
+    await payout.save();
+
+    await recordPayoutSent({
+      kind: 'Payout',
+      id: payout._id,
+      provider: payout.provider,
+      amount: payout.amount,
+      gatewayPayoutId: gatewayPayout.id
+    });
+
+    // Same as a single transfer: captured once sent, payout webhooks correct it if it fails later
+    await settleTransfers(payout, { status: 'captured', razorpay_payout_id: gatewayPayout.id });
+  } catch (error) {
+    payout.last_error = (error.error && error.error.description) || error.message;
+
+    if (payout.attempts >= payoutConfig.maxAttempts && !isOutcomeUnknown(error)) {
+      payout.status = 'failed';
+      await settleTransfers(payout, { status: 'failed', failure_reason: payout.last_error });
+      logger.error(`Payout ${payout._id} failed after ${payout.attempts} attempts: ${payout.last_error}`);
+    } else {
+      payout.status = 'queued';
+      payout.next_attempt_at = new Date(now.getTime() + retryDelayMs(payout.attempts));
+      if (payout.attempts >= payoutConfig.maxAttempts) {
+        logger.error(`Payout ${payout._id} still has no answer from the gateway after ${payout.attempts} attempts; check it on the gateway dashboard`);
+      }
+      logger.warn(`Payout ${payout._id} attempt ${payout.attempts} failed, retrying at ${payout.next_attempt_at.toISOString()}: ${payout.last_error}`);
+    }
+    await payout.save();
+  }
+
+  return payout;
+};
+
+/**
+ * Hands transfers whose payout failed for good back to batching, so the next run pays them in
+ * a new payout. `filter` picks them, e.g. { payout } or { _id }. Returns how many were requeued.
+ */
+const requeueFailedTransfers = async (filter) => {
+  const result = await Transfer.updateMany(
+    { ...filter, status: { $in: ['failed', 'reversed'] } },
+    {
+      status: 'created',
+      $inc: { payout_round: 1 },
+      $unset: { payout: 1, failure_reason: 1, razorpay_payout_id: 1 },
+      updatedAt: Date.now()
+    }
+  );
+  if (result.modifiedCount === 0) {
+    throw new AppError('There are no failed or reversed transfers to queue again', 400);
+  }
+  return result.modifiedCount;
+};
+
+let running = false;
+
+// One pass of the payout job: batch what became eligible, then send everything that is due
+const runPayoutCycle = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const { batched, skipped } = await batchEligibleTransfers(now);
+    const due = await Payout.find(claimableFilter(now)).select('_id');
+
+    const summary = { batched: batched.length, skipped: skipped.length, sent: 0, processed: 0, retrying: 0, failed: 0 };
+    for (const { _id } of due) {
+      const payout = await sendPayout(_id, now);
+      if (!payout) continue;
+      if (payout.status === 'processing') summary.sent += 1;
+      else if (payout.status === 'processed') summary.processed += 1;
+      else if (payout.status === 'queued') summary.retrying += 1;
+      else summary.failed += 1;
+    }
+
+    logger.info(`Payout cycle: ${JSON.stringify(summary)}`);
+    return summary;
+  } finally {
+    running = false;
+  }
+};
+
+const startPayoutScheduler = () => {
+  if (!payoutConfig.enabled) return null;
+
+  const run = () => runPayoutCycle().catch(err => logger.error(`Payout cycle failed: ${err.message}`));
+  const timer = setInterval(run, payoutConfig.intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  eligibleAt,
+  retryDelayMs,
+  isPayable,
+  findUnbatchedTransfers,
+  batchEligibleTransfers,
+  sendPayout,
+  requeueFailedTransfers,
+  runPayoutCycle,
+  startPayoutScheduler
+};
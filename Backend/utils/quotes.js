@@ -0,0 +1,94 @@
+const Quote = require('../models/Quote');
+const AppError = require('./appError');
+
+const OPEN_STATUSES = ['sent', 'countered'];
+
+// Price the bills of a request are raised on: the agreed quote, else the price at booking
+const bookedPrice = (serviceRequest) => (serviceRequest.quote && serviceRequest.quote.total !== undefined
+  && serviceRequest.quote.total !== null
+  ? serviceRequest.quote.total
+  : serviceRequest.servicePriceSnapshot);
+
+// Quote lines from a request body; amounts and the total are left to the model
+const parseQuoteItems = (items) => {
+  if (!Array.isArray(items) || !items.length) {
+    throw new AppError('Please add at least one item to the quote.', 400);
+  }
+  return items.map(({ kind, description, quantity, unit_price: unitPrice }) => {
+    const parsed = {
+      kind,
+      description,
+      quantity: quantity === undefined || quantity === '' ? 1 : Number(quantity),
+      unit_price: Number(unitPrice)
+    };
+    if (!(parsed.quantity > 0) || !(parsed.unit_price >= 0)) {
+      throw new AppError('Each quote item needs a positive quantity and a unit price.', 400);
+    }
+    return parsed;
+  });
+};
+
+const latestQuote = (requestId) => Quote.findOne({ request: requestId }).sort({ version: -1 });
+
+/**
+ * Returns an AppError if a quote on the request is still waiting for an answer, or null.
+ * A provider can't accept the booking until its price is settled.
+ */
+const openQuoteError = async (requestId) => {
+  const quote = await Quote.findOne({ request: requestId, status: { $in: OPEN_STATUSES } });
+  if (!quote) return null;
+  return quote.status === 'sent'
+    ? new AppError('The customer has not answered your quote yet.', 400)
+    : new AppError("Accept the customer's counter-offer or send a new quote first.", 400);
+};
+
+// A new quote on a pending request, replacing any the customer hasn't accepted
+const sendQuote = async (serviceRequest, { items, note }) => {
+  const previous = await latestQuote(serviceRequest._id);
+  if (previous && previous.status === 'accepted') {
+    throw new AppError('The customer has already accepted a quote for this request.', 400);
+  }
+
+  const quote = await Quote.create({
+    request: serviceRequest._id,
+    provider: serviceRequest.provider,
+    customer: serviceRequest.customer,
+    version: previous ? previous.version + 1 : 1,
+    items: parseQuoteItems(items),
+    note
+  });
+  await Quote.updateMany(
+    { request: serviceRequest._id, _id: { $ne: quote._id }, status: { $in: OPEN_STATUSES } },
+    { status: 'superseded' }
+  );
+  return quote;
+};
+
+// Settles the request's price at `total` rupees. Saves the quote and the request.
+const agreeQuote = async (quote, serviceRequest, total) => {
+  quote.status = 'accepted';
+  quote.agreed_total = total;
+  quote.respondedAt = new Date();
+  await quote.save();
+
+  serviceRequest.quote = { quote: quote._id, total, acceptedAt: quote.respondedAt };
+  await serviceRequest.save();
+  return quote;
+};
+
+// Latest quote of each of the given requests, keyed by request id
+const latestQuotesByRequest = async (serviceRequests) => {
+  const quotes = await Quote.find({ request: { $in: serviceRequests.map(request => request._id) } })
+    .sort({ version: 1 })
+    .lean();
+  return new Map(quotes.map(quote => [String(quote.request), quote]));
+};
+
+module.exports = {
+  bookedPrice,
+  latestQuote,
+  openQuoteError,
+  sendQuote,
+  agreeQuote,
+  latestQuotesByRequest
+};
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 of the exact request body, hex encoded, as Razorpay computes it
+const signWebhookPayload = (rawBody, secret) =>
+  crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// Constant-time comparison of the X-Razorpay-Signature header against our own signature
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signWebhookPayload(rawBody, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Checkout signs "<order_id>|<payment_id>" with the key secret
+const signPaymentResponse = (orderId, paymentId, secret) =>
+  signWebhookPayload(`${orderId}|${paymentId}`, secret);
+
+const verifyPaymentSignature = (orderId, paymentId, signature, secret) => {
+  if (!orderId || !paymentId) return false;
+  return verifyWebhookSignature(`${orderId}|${paymentId}`, signature, secret);
+};
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  signPaymentResponse,
+  verifyPaymentSignature
+};
@@ -0,0 +1,223 @@
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+const Refund = require('../models/Refund');
+const { toMinor, recordRefund, recordRefundReversed } = require('./ledger');
+const { creditWallet } = require('./wallet');
+const AppError = require('./appError');
+const { roundToPaise } = require('./money');
+const { getPaymentGateway } = require('./paymentGateway');
+
+const refundableAmount = (payment) => roundToPaise(payment.amount - (payment.amount_refunded || 0));
+
+// Only what the gateway collected can go back to the card or UPI; the wallet share of a payment
+// (and anything beyond the gateway share) can only be refunded to the wallet
+const gatewayRefundableAmount = (payment) => {
+  const gatewayPaid = payment.amount - (payment.wallet_amount || 0);
+  const gatewayRefunded = (payment.amount_refunded || 0) - (payment.wallet_refunded || 0);
+  return Math.max(0, Math.min(refundableAmount(payment), roundToPaise(gatewayPaid - gatewayRefunded)));
+};
+
+// Status shared by Payment and Bill once money has gone back to the customer
+const refundStatus = (payment, settledStatus) => {
+  if (payment.amount_refunded <= 0) return settledStatus;
+  return payment.amount_refunded >= payment.amount ? 'refunded' : 'partially_refunded';
+};
+
+/**
+ * Adds `amount` rupees (negative to take it back) to a payment's refunded total and updates its
+ * status in one conditional update, so two refunds running at once can't both fit in the same
+ * balance. A positive amount only goes through while it still fits in what the payment has left,
+ * and for a refund to the card or UPI in what the gateway collected. Returns the updated fields,
+ * or null when the amount no longer fits.
+ */
+const adjustRefundedAmount = (payment, amount, { toWallet = false } = {}) => {
+  const filter = { _id: payment._id };
+  if (amount > 0) {
+    filter.amount_refunded = { $lte: roundToPaise(payment.amount - amount) };
+    if (!toWallet) {
+      const gatewayPaid = payment.amount - (payment.wallet_amount || 0);
+      filter.$expr = {
+        $lte: [
+          { $subtract: ['$amount_refunded', { $ifNull: ['$wallet_refunded', 0] }] },
+          roundToPaise(gatewayPaid - amount)
+        ]
+      };
+    }
+  }
+
+  const walletRefunded = { $ifNull: ['$wallet_refunded', 0] };
+  return Payment.findOneAndUpdate(filter, [
+    {
+      $set: {
+        amount_refunded: { $max: [0, { $round: [{ $add: ['$amount_refunded', amount] }, 2] }] },
+        wallet_refunded: toWallet ? { $round: [{ $add: [walletRefunded, amount] }, 2] } : walletRefunded,
+        updatedAt: '$$NOW'
+      }
+    },
+    {
+      $set: {
+        status: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$amount_refunded', 0] }, then: 'captured' },
+              { case: { $gte: ['$amount_refunded', '$amount'] }, then: 'refunded' }
+            ],
+            default: 'partially_refunded'
+          }
+        }
+      }
+    }
+  ], { new: true }).select('amount_refunded wallet_refunded status updatedAt');
+};
+
+// Copies the fields adjustRefundedAmount changed onto the caller's payment document
+const syncRefundedFields = (payment, updated) => {
+  ['amount_refunded', 'wallet_refunded', 'status', 'updatedAt'].forEach(field => {
+    payment[field] = updated[field];
+  });
+};
+
+/**
+ * Applies a Refund to its payment, bill and the provider transfer, and books it in the ledger.
+ * A refund to the wallet is credited there straight away.
+ * The provider gives back their share of the refunded amount, taken from the transfer while it
+ * is still pending; any share that was already paid out is recorded on the refund as
+ * provider_recovery_due. Throws a 400 AppError if the payment no longer has enough left to
+ * refund. Updates the payment and saves the transfer but not the refund.
+ */
+const applyRefund = async (payment, refund) => {
+  const reapplied = refund.status === 'failed';
+
+  const providerShare = payment.amount > 0
+    ? roundToPaise(refund.amount * (payment.amount - payment.platform_fee) / payment.amount)
+    : 0;
+
+  const updated = await adjustRefundedAmount(payment, refund.amount, { toWallet: refund.destination === 'wallet' });
+  if (!updated) {
+    throw new AppError('Refund amount exceeds the refundable balance of this payment', 400);
+  }
+  syncRefundedFields(payment, updated);
+
+  await Bill.updateOne({ _id: payment.bill }, { status: refundStatus(payment, 'paid') });
+
+  if (refund.destination === 'wallet') {
+    await creditWallet({
+      userId: payment.customer,
+      amount: toMinor(refund.amount),
+      source: 'refund',
+      reference: { kind: 'Refund', id: refund._id },
+      description: refund.reason || `Refund of payment ${payment._id}`,
+      key: `refund:${refund._id}`
+    });
+  }
+
+  refund.provider_share = providerShare;
+  refund.provider_recovery_due = providerShare;
+
+  const transfer = await Transfer.findOne({ payment: payment._id, status: 'created' });
+  if (transfer) {
+    const recovered = Math.min(transfer.amount, providerShare);
+    transfer.amount = roundToPaise(transfer.amount - recovered);
+    refund.provider_recovery_due = roundToPaise(providerShare - recovered);
+
+    // Nothing is owed to the provider any more once the whole payment is refunded
+    if (transfer.amount <= 0 || payment.status === 'refunded') {
+      transfer.status = 'reversed';
+      transfer.failure_reason = `Payment refunded (${refund._id})`;
+    }
+    transfer.updatedAt = Date.now();
+    await transfer.save();
+  }
+
+  await recordRefund(payment, refund, { reapplied });
+
+  return { payment, refund, transfer };
+};
+
+/**
+ * Undoes applyRefund for a refund the gateway rejected. The provider's share goes back onto
+ * the transfer as long as it has not been paid out in the meantime. Updates the payment and
+ * saves the transfer.
+ */
+const revertRefund = async (payment, refund) => {
+  const updated = await adjustRefundedAmount(payment, -refund.amount, { toWallet: refund.destination === 'wallet' });
+  if (updated) syncRefundedFields(payment, updated);
+
+  await Bill.updateOne({ _id: payment.bill }, { status: refundStatus(payment, 'paid') });
+
+  const recovered = roundToPaise(refund.provider_share - refund.provider_recovery_due);
+  if (recovered > 0) {
+    const transfer = await Transfer.findOne({
+      payment: payment._id,
+      status: { $in: ['created', 'reversed'] },
+      razorpay_payout_id: { $exists: false }
+    });
+    if (transfer) {
+      transfer.amount = roundToPaise(transfer.amount + recovered);
+      transfer.status = 'created';
+      transfer.failure_reason = undefined;
+      transfer.updatedAt = Date.now();
+      await transfer.save();
+    }
+  }
+  await recordRefundReversed(payment, refund);
+  refund.provider_recovery_due = 0;
+
+  return { payment, refund };
+};
+
+/**
+ * Refunds `amount` rupees of a payment and returns the saved Refund. A wallet refund is
+ * processed at once; a refund to the card or UPI is recorded and applied before calling the
+ * gateway so its webhook finds it, and stays pending until the gateway confirms it. If the
+ * gateway rejects it the refund is reverted, saved as failed and an AppError is thrown.
+ */
+const issueRefund = async (payment, { amount, reason, destination = 'source', initiatedBy }) => {
+  const refund = new Refund({
+    payment: payment._id,
+    bill: payment.bill,
+    amount,
+    reason,
+    destination,
+    initiated_by: initiatedBy
+  });
+
+  // Store credit needs no gateway round trip
+  if (destination === 'wallet') {
+    refund.status = 'processed';
+    await applyRefund(payment, refund);
+    await refund.save();
+    return refund;
+  }
+
+  await applyRefund(payment, refund);
+  await refund.save();
+
+  let rzpRefund;
+  try {
+    rzpRefund = await getPaymentGateway().refundPayment(payment.razorpay_payment_id, {
+      amount: Math.round(amount * 100), // Amount in paise
+      speed: 'normal',
+      notes: {
+        refund_id: refund._id.toString(),
+        reason: reason || ''
+      }
+    });
+  } catch (error) {
+    await revertRefund(payment, refund);
+    refund.status = 'failed';
+    refund.failure_reason = (error.error && error.error.description) || error.message;
+    refund.updatedAt = Date.now();
+    await refund.save();
+    throw new AppError(refund.failure_reason || 'Razorpay refund failed', error.statusCode || 502);
+  }
+
+  refund.razorpay_refund_id = rzpRefund.id;
+  if (rzpRefund.status === 'processed') refund.status = 'processed';
+  refund.updatedAt = Date.now();
+  await refund.save();
+  return refund;
+};
+
+module.exports = { refundableAmount, gatewayRefundableAmount, applyRefund, revertRefund, issueRefund };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const AppError = require('./appError');
+const logger = require('./logger');
+const jwtConfig = require('../config/jwt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>", so a token leads straight to its session.
+// Returns the token and the session fields that record it.
+const newRefreshToken = (sessionId) => {
+  const token = `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    token,
+    fields: {
+      refreshTokenHash: hashToken(token),
+      refreshExpiresAt: new Date(Date.now() + jwtConfig.refresh.expiresInDays * DAY_MS),
+      refreshedAt: new Date()
+    }
+  };
+};
+
+// Short-lived access token carrying the session it belongs to
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, role: user.role, email: user.email, sid: session._id },
+  jwtConfig.secret,
+  {
+    expiresIn: jwtConfig.expiresIn,
+    issuer: jwtConfig.options.issuer,
+    audience: jwtConfig.options.audience,
+    algorithm: jwtConfig.options.algorithm
+  }
+);
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // The frontend is served from another site in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: jwtConfig.refresh.cookiePath,
+  maxAge: jwtConfig.refresh.expiresInDays * DAY_MS
+});
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(jwtConfig.refresh.cookieName, token, refreshCookieOptions());
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(jwtConfig.refresh.cookieName, options);
+};
+
+/**
+ * Signs a user in: opens a Session for this device, sets its refresh token cookie and returns
+ * an access token tied to the session.
+ */
+const startSession = async (user, req, res) => {
+  if (user.suspended) {
+    throw new AppError('Your account has been suspended. Please contact support.', 403);
+  }
+  const session = new Session({
+    user: user._id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || 'unknown'
+  });
+  const { token, fields } = newRefreshToken(session._id);
+  session.set(fields);
+  await session.save();
+
+  setRefreshCookie(res, token);
+  return signAccessToken(user, session);
+};
+
+const endSession = (sessionId, reason) => Session.findOneAndUpdate(
+  { _id: sessionId, active: true },
+  { active: false, logoutTime: Date.now(), revokedReason: reason },
+  { new: true }
+);
+
+// Ends every active session of a user, optionally keeping one (the caller's own)
+const endUserSessions = (userId, reason, { except } = {}) => Session.updateMany(
+  { user: userId, active: true, ...(except && { _id: { $ne: except } }) },
+  { active: false, logoutTime: Date.now(), revokedReason: reason }
+);
+
+/**
+ * Swaps a refresh token for a new one and returns the session. The swap only succeeds against
+ * the current token, so a token that was already rotated out means it has been copied: the
+ * whole session is revoked and both holders have to sign in again.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const sessionId = typeof refreshToken === 'string' && refreshToken.split('.')[0];
+  const session = sessionId && /^[a-f\d]{24}$/i.test(sessionId) ? await Session.findById(sessionId) : null;
+  if (!session || !session.active) {
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+  if (!session.refreshExpiresAt || session.refreshExpiresAt < new Date()) {
+    await endSession(session._id, 'expired');
+    throw new AppError('Your session has expired. Please log in again.', 401);
+  }
+
+  const { token, fields } = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, active: true, refreshTokenHash: hashToken(refreshToken) },
+    fields,
+    { new: true }
+  );
+  if (!rotated) {
+    await endSession(session._id, 'refresh_token_reuse');
+    logger.warn(`Refresh token reused for session ${session._id}; session revoked`);
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  return { session: rotated, refreshToken: token };
+};
+
+module.exports = {
+  signAccessToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  startSession,
+  endSession,
+  endUserSessions,
+  rotateRefreshToken
+};
@@ -0,0 +1,20 @@
+const fs = require('fs');
+
+/**
+ * Development transport: prints each message instead of sending it, and appends it to
+ * `outboxFile` when one is configured so codes can be read by scripts.
+ */
+const createConsoleTransport = ({ outboxFile }) => ({
+  name: 'console',
+
+  send: async ({ to, body }) => {
+    const sentAt = new Date().toISOString();
+    console.log(`[sms] to ${to}: ${body}`);
+    if (outboxFile) {
+      await fs.promises.appendFile(outboxFile, `${JSON.stringify({ to, body, sentAt })}\n`);
+    }
+    return { id: `console_${Date.now()}`, status: 'logged' };
+  }
+});
+
+module.exports = createConsoleTransport;
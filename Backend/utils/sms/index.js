@@ -0,0 +1,39 @@
+const config = require('../../config/sms');
+const createConsoleTransport = require('./consoleTransport');
+const createTwilioTransport = require('./twilioTransport');
+
+/**
+ * SMS transport interface:
+ *
+ *   name
+ *   send({ to, body }) -> { id, status }; throws if the message could not be handed over
+ */
+const transports = {
+  console: () => createConsoleTransport(config.console),
+  twilio: () => createTwilioTransport(config.twilio)
+};
+
+let transport;
+
+// Built on first use so the app can load without SMS credentials
+const getSmsTransport = () => {
+  if (!transport) {
+    if (!config.transport) {
+      throw new Error(`SMS_TRANSPORT must be set in production. Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    const createTransport = transports[config.transport];
+    if (!createTransport) {
+      throw new Error(`Unknown SMS_TRANSPORT '${config.transport}'. Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Phone number for logs, keeping only the last few digits
+const maskPhoneNumber = (phoneNumber) => {
+  const number = String(phoneNumber || '');
+  return number.length > 4 ? `${'*'.repeat(number.length - 4)}${number.slice(-4)}` : '****';
+};
+
+module.exports = { getSmsTransport, maskPhoneNumber };
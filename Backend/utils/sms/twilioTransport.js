@@ -0,0 +1,27 @@
+// Sends through Twilio's Messages REST API; no SDK needed
+const createTwilioTransport = ({ accountSid, authToken, from }) => {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio SMS needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+  }
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+
+    send: async ({ to, body }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ To: to, From: from, Body: body })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(`Twilio rejected the message: ${result.message || response.status}`);
+      }
+      return { id: result.sid, status: result.status };
+    }
+  };
+};
+
+module.exports = createTwilioTransport;
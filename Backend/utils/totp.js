@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, as used by authenticator apps
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// A new 160-bit shared secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter, digits) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return value.toString().padStart(digits, '0');
+};
+
+const timeStep = (periodSeconds, now = Date.now()) => Math.floor(now / 1000 / periodSeconds);
+
+/**
+ * Returns the time step `code` belongs to, or null if it matches none within `window` steps of
+ * now. Callers keep the last step used so a code can't be replayed.
+ */
+const verifyTotp = (secret, code, { digits, periodSeconds, window }) => {
+  const candidate = String(code).replace(/\s/g, '');
+  // Exactly `digits` ASCII digits, so both buffers are the same length for timingSafeEqual
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+  const current = timeStep(periodSeconds);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from the enrolment QR code
+const otpauthUrl = ({ secret, issuer, account, digits, periodSeconds }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits, period: periodSeconds });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { generateSecret, hotp, timeStep, verifyTotp, otpauthUrl };
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const AppError = require('./appError');
+const { generateSecret, verifyTotp, otpauthUrl } = require('./totp');
+const { checkLoginAllowed, recordLoginFailure } = require('./loginProtection');
+const jwtConfig = require('../config/jwt');
+const twoFactorConfig = require('../config/twoFactor');
+
+// Keeps login challenge tokens from being accepted as access tokens and vice versa
+const CHALLENGE_AUDIENCE = 'twoFactorLogin';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Single-use codes like "4f1c-9a2e-77d0", for when the authenticator is lost
+const newRecoveryCodes = () => {
+  const codes = Array.from({ length: twoFactorConfig.recoveryCodeCount }, () => crypto.randomBytes(6)
+    .toString('hex')
+    .match(/.{4}/g)
+    .join('-'));
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const withSecrets = (user) => User.findById(user._id).select(SECRET_FIELDS);
+
+/**
+ * Starts enrolment: a new secret, kept as pending until a code from it is confirmed, with the
+ * QR code (as a data URL) and the secret for typing in by hand.
+ */
+const startEnrolment = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already on.', 400);
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  const url = otpauthUrl({
+    secret,
+    issuer: twoFactorConfig.issuer,
+    account: user.email,
+    digits: twoFactorConfig.digits,
+    periodSeconds: twoFactorConfig.periodSeconds
+  });
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+// Accepts a TOTP code at most once: the step it belongs to must be later than the last one used
+const acceptTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code, twoFactorConfig);
+  if (step === null) return false;
+  const updated = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return updated.modifiedCount === 1;
+};
+
+/**
+ * Turns 2FA on once `code` from the pending secret checks out, and returns the recovery codes.
+ * They are only ever shown this once.
+ */
+const confirmEnrolment = async (user, code) => {
+  const account = await withSecrets(user);
+  if (account.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already on.', 400);
+  }
+  if (!account.twoFactor.pendingSecret) {
+    throw new AppError('Start setting up two-factor authentication first.', 400);
+  }
+  if (!code || !(await acceptTotp(account, account.twoFactor.pendingSecret, code))) {
+    throw new AppError('That code is not valid. Check the time on your device and try again.', 400);
+  }
+
+  const { codes, hashes } = newRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': account.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodeHashes': hashes,
+      'twoFactor.enabledAt': new Date()
+    },
+    $unset: { 'twoFactor.pendingSecret': '' }
+  });
+  return codes;
+};
+
+/**
+ * Checks a code from the authenticator app, or one of the recovery codes (which is then used
+ * up). Throws an AppError if neither matches.
+ */
+const verifySecondFactor = async (user, code) => {
+  const account = await withSecrets(user);
+  if (!account || !account.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not on for this account.', 400);
+  }
+
+  const candidate = typeof code === 'string' || typeof code === 'number' ? String(code).trim() : '';
+  const digitsOnly = candidate.replace(/\s/g, '');
+  if (/^\d+$/.test(digitsOnly) && digitsOnly.length === twoFactorConfig.digits) {
+    if (await acceptTotp(account, account.twoFactor.secret, candidate)) return { method: 'totp' };
+  } else if (candidate) {
+    // $pull only succeeds once per code, however many requests race for it
+    const used = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodeHashes': hashRecoveryCode(candidate) },
+      { $pull: { 'twoFactor.recoveryCodeHashes': hashRecoveryCode(candidate) } }
+    );
+    if (used.modifiedCount === 1) {
+      return { method: 'recovery_code', recoveryCodesLeft: account.twoFactor.recoveryCodeHashes.length - 1 };
+    }
+  }
+  throw new AppError('Invalid two-factor authentication code.', 400);
+};
+
+/**
+ * verifySecondFactor behind the login limiter, for every place a code is asked for: wrong
+ * codes count towards the same delays and lockout as wrong passwords, so a stolen session
+ * can't be used to guess its way past 2FA.
+ */
+const verifySecondFactorLimited = async (user, code, req) => {
+  await checkLoginAllowed({ email: user.email, ip: req.ip });
+  try {
+    return await verifySecondFactor(user, code);
+  } catch (err) {
+    await recordLoginFailure({ email: user.email, user, req });
+    throw err;
+  }
+};
+
+// New recovery codes replacing the old ones
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = newRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodeHashes': hashes });
+  return codes;
+};
+
+const disableTwoFactor = (user) => User.updateOne({ _id: user._id }, {
+  $set: { 'twoFactor.enabled': false },
+  $unset: {
+    'twoFactor.secret': '',
+    'twoFactor.pendingSecret': '',
+    'twoFactor.recoveryCodeHashes': '',
+    'twoFactor.lastUsedStep': '',
+    'twoFactor.enabledAt': ''
+  }
+});
+
+const recoveryCodesLeft = async (user) => {
+  const account = await withSecrets(user);
+  return (account.twoFactor.recoveryCodeHashes || []).length;
+};
+
+// Proof that the first login step passed, exchanged for a session with the second step
+const createLoginChallengeToken = (user) => jwt.sign(
+  { id: user._id },
+  jwtConfig.secret,
+  {
+    expiresIn: `${twoFactorConfig.loginChallengeExpiresInMinutes}m`,
+    issuer: jwtConfig.options.issuer,
+    audience: CHALLENGE_AUDIENCE,
+    algorithm: jwtConfig.options.algorithm
+  }
+);
+
+// Returns the user id in a login challenge token
+const verifyLoginChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, jwtConfig.secret, {
+      issuer: jwtConfig.options.issuer,
+      audience: CHALLENGE_AUDIENCE,
+      algorithms: [jwtConfig.options.algorithm]
+    }).id;
+  } catch (err) {
+    throw new AppError('Your login attempt has expired. Please log in again.', 401);
+  }
+};
+
+module.exports = {
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  verifySecondFactorLimited,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  recoveryCodesLeft,
+  createLoginChallengeToken,
+  verifyLoginChallengeToken
+};
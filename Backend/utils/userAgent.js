@@ -0,0 +1,42 @@
+// Rough browser / OS / device names from a User-Agent header, enough to tell a user's
+// sessions apart. Order matters: Edge and Opera also claim to be Chrome, Chrome claims Safari.
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['Postman', /PostmanRuntime\/([\d.]+)/],
+  ['curl', /curl\/([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const parseUserAgent = (userAgent = '') => {
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  const version = browserMatch && userAgent.match(browserMatch[1])[1].split('.')[0];
+  return {
+    browser: browserMatch ? `${browserMatch[0]} ${version}` : 'Unknown browser',
+    os: os ? os[0] : 'Unknown OS',
+    deviceType
+  };
+};
+
+module.exports = { parseUserAgent };
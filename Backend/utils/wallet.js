@@ -0,0 +1,177 @@
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { toMinor, recordWalletCredit } = require('./ledger');
+
+// Wallet amounts are paise; callers coming from bills and payments pass rupees through toMinor
+
+// The user's wallet, opened empty the first time it is needed
+const getWallet = (userId) => Wallet.findOneAndUpdate(
+  { user: userId },
+  { $setOnInsert: { user: userId } },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+/**
+ * Adds store credit to a user's wallet. With a key, crediting the same key again returns the
+ * first transaction instead of paying out twice. Does not touch the ledger; use
+ * grantWalletCredit for credits that aren't already booked elsewhere (refunds are).
+ */
+const creditWallet = async ({ userId, amount, source, reference, description, key, createdBy }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new AppError('Wallet credit must be a positive whole number of paise', 400);
+  }
+
+  const wallet = await getWallet(userId);
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      wallet: wallet._id,
+      user: userId,
+      type: 'credit',
+      amount,
+      source,
+      reference,
+      description,
+      idempotency_key: key,
+      createdBy
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return WalletTransaction.findOne({ idempotency_key: key });
+  }
+
+  await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: amount } });
+  return transaction;
+};
+
+// Goodwill and referral credits: the wallet goes up and the platform books the cost
+const grantWalletCredit = async ({ userId, amount, source, description, key, createdBy }) => {
+  if (!['goodwill', 'referral'].includes(source)) {
+    throw new AppError('Granted credit must be a goodwill or referral credit', 400);
+  }
+  const transaction = await creditWallet({
+    userId,
+    amount: toMinor(amount),
+    source,
+    reference: { kind: 'User', id: userId },
+    description,
+    key,
+    createdBy
+  });
+  await recordWalletCredit(transaction);
+  return transaction;
+};
+
+/**
+ * Sets aside `amount` paise of the customer's wallet for a pending payment. The available
+ * balance is checked and reserved in one update so two checkouts can't spend the same credit.
+ */
+const holdWalletFunds = async (payment, amount) => {
+  const wallet = await getWallet(payment.customer);
+  const updated = await Wallet.findOneAndUpdate(
+    { _id: wallet._id, $expr: { $gte: [{ $subtract: ['$balance', '$held'] }, amount] } },
+    { $inc: { held: amount } },
+    { new: true }
+  );
+  if (!updated) throw new AppError('Not enough wallet balance', 400);
+
+  return WalletTransaction.create({
+    wallet: wallet._id,
+    user: payment.customer,
+    type: 'debit',
+    amount,
+    source: 'payment',
+    status: 'held',
+    reference: { kind: 'Payment', id: payment._id },
+    description: `Payment for bill ${payment.bill}`
+  });
+};
+
+// Gives a pending payment's held credit back to the customer
+const releaseWalletHold = async (payment) => {
+  const transaction = await WalletTransaction.findOneAndUpdate(
+    { 'reference.id': payment._id, status: 'held' },
+    { status: 'released' },
+    { new: true }
+  );
+  if (transaction) {
+    await Wallet.updateOne({ _id: transaction.wallet }, { $inc: { held: -transaction.amount } });
+  }
+  return transaction;
+};
+
+/**
+ * Spends the credit held for a payment once it is captured. If the hold was released in the
+ * meantime (e.g. the booking was cancelled before a late gateway capture) it is taken again
+ * from whatever is available.
+ */
+const captureWalletHold = async (payment) => {
+  const amount = toMinor(payment.wallet_amount);
+  if (amount <= 0) return null;
+
+  let transaction = await WalletTransaction.findOneAndUpdate(
+    { 'reference.id': payment._id, status: 'held' },
+    { status: 'posted' },
+    { new: true }
+  );
+  if (!transaction) {
+    try {
+      await holdWalletFunds(payment, amount);
+    } catch (err) {
+      logger.error(`Wallet share of payment ${payment._id} could not be collected: ${err.message}`);
+      return null;
+    }
+    return captureWalletHold(payment);
+  }
+
+  await Wallet.updateOne(
+    { _id: transaction.wallet },
+    { $inc: { held: -transaction.amount, balance: -transaction.amount } }
+  );
+  return transaction;
+};
+
+// Releases the credit held by a request's unpaid checkouts, e.g. when it is cancelled or rejected
+const releaseWalletHoldsForRequest = async (requestId) => {
+  const bills = await Bill.find({ request: requestId, status: 'unpaid' }).select('_id');
+  const payments = await Payment.find({
+    bill: { $in: bills.map(bill => bill._id) },
+    status: { $in: ['created', 'failed'] },
+    wallet_amount: { $gt: 0 }
+  });
+  for (const payment of payments) {
+    await releaseWalletHold(payment);
+  }
+};
+
+// Balance and the most recent history, newest first
+const getWalletSummary = async (userId, { limit = 50 } = {}) => {
+  const wallet = await getWallet(userId);
+  const transactions = await WalletTransaction.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return {
+    currency: wallet.currency,
+    unit: 'paise',
+    balance: wallet.balance,
+    held: wallet.held,
+    available: wallet.available,
+    transactions
+  };
+};
+
+module.exports = {
+  getWallet,
+  creditWallet,
+  grantWalletCredit,
+  holdWalletFunds,
+  releaseWalletHold,
+  captureWalletHold,
+  releaseWalletHoldsForRequest,
+  getWalletSummary
+};
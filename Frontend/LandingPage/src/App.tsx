@@ -12,6 +12,7 @@ import Contact from './components/Contact';
 import Login from './components/Login';
 import ForgotPassword from './components/ForgotPassword';
 import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import { useUser } from './context/UserContext.tsx'; // Adjusted path
 
 // Customer Pages
@@ -23,6 +24,7 @@ import CustomerNotFound from './features/customer/pages/NotFound.jsx'; // Or .ts
 import CustomerOrders from './features/customer/pages/Orders.tsx';
 import CustomerProfile from './features/customer/pages/Profile.jsx';
 import CustomerServices from './features/customer/pages/Services.jsx';
+import CustomerWallet from './features/customer/pages/Wallet.jsx';
 
 // Provider Pages
 import ProviderHome from './features/provider/pages/Home.jsx';
@@ -32,6 +34,14 @@ import ProviderOrders from './features/provider/pages/Orders.jsx';
 import ProviderProfile from './features/provider/pages/Profile.jsx';
 import ProviderRequests from './features/provider/pages/Requests.jsx';
 import ProviderServices from './features/provider/pages/Services.jsx';
+
+// Admin Pages
+import AdminUsers from './features/admin/pages/Users.jsx';
+import AdminVerification from './features/admin/pages/Verification.jsx';
+import AdminServiceRequests from './features/admin/pages/ServiceRequests.jsx';
+import AdminPayments from './features/admin/pages/Payments.jsx';
+import AdminDisputes from './features/admin/pages/Disputes.jsx';
+import AdminNotFound from './features/admin/pages/NotFound.jsx';
 import { Toaster } from './components/ui/toaster'; // Import the Toaster component
 
 interface LandingPageContentProps {
@@ -61,8 +71,12 @@ function LandingPageContent({ onLoginClick, onSignUpClick }: LandingPageContentP
   );
 }
 
+// Where each type of user lands after logging in
+const homePathFor = (type: 'customer' | 'serviceprovider' | 'admin') =>
+  type === 'customer' ? '/customer' : type === 'admin' ? '/admin' : '/provider';
+
 interface ProtectedRouteProps {
-  allowedRoles: Array<'customer' | 'serviceprovider'>;
+  allowedRoles: Array<'customer' | 'serviceprovider' | 'admin'>;
   children?: ReactNode;
 }
 
@@ -76,7 +90,7 @@ const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ allowedRoles, children
 
   if (!allowedRoles.includes(user.type)) {
     // Redirect to their respective dashboards or a generic unauthorized page
-    return <Navigate to={user.type === 'customer' ? '/customer' : '/provider'} replace />;
+    return <Navigate to={homePathFor(user.type)} replace />;
   }
 
   return children ? <>{children}</> : <Outlet />;
@@ -108,7 +122,7 @@ function App() {
           path="/"
           element={
             user ? (
-              user.type === 'customer' ? <Navigate to="/customer" replace /> : <Navigate to="/provider" replace />
+              <Navigate to={homePathFor(user.type)} replace />
             ) : (
               <>
                 <LandingPageContent onLoginClick={openLogin} onSignUpClick={openSignUp} />
@@ -120,6 +134,7 @@ function App() {
           }
         />
         <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+        <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
         {/* <Route path="/about-developers" element={<AboutDevelopersPage />} /> {/* This line will be removed */}
 
         {/* Customer Routes */}
@@ -128,6 +143,7 @@ function App() {
           <Route path="/customer/services" element={<CustomerServices />} />
           <Route path="/customer/orders" element={<CustomerOrders />} />
           <Route path="/customer/profile" element={<CustomerProfile />} />
+          <Route path="/customer/wallet" element={<CustomerWallet />} />
           <Route path="/customer/book-service" element={<CustomerBookServicePage />} />
           <Route path="/customer/feedback" element={<CustomerFeedbackAndReviews />} />
           <Route path="/customer/about" element={<AboutDevelopersPage />} /> {/* Changed route to /customer/about */}
@@ -144,11 +160,22 @@ function App() {
           <Route path="/provider/about" element={<AboutDevelopersPage />} /> {/* Added route for provider */}
           {/* Add other provider-specific routes here */}
         </Route>
+
+        {/* Admin Routes */}
+        <Route element={<ProtectedRoute allowedRoles={['admin']} />}>
+          <Route path="/admin" element={<Navigate to="/admin/users" replace />} />
+          <Route path="/admin/users" element={<AdminUsers />} />
+          <Route path="/admin/verification" element={<AdminVerification />} />
+          <Route path="/admin/requests" element={<AdminServiceRequests />} />
+          <Route path="/admin/payments" element={<AdminPayments />} />
+          <Route path="/admin/disputes" element={<AdminDisputes />} />
+        </Route>
         
         {/* Fallback for unmatched routes within customer or provider sections if needed, or a global NotFound */}
         {/* For simplicity, using a global NotFound for now. Specific ones can be added within ProtectedRoute if desired. */}
         <Route path="/customer/*" element={<CustomerNotFound />} />
         <Route path="/provider/*" element={<ProviderNotFound />} />
+        <Route path="/admin/*" element={<AdminNotFound />} />
         {/* Consider a global NotFound page as well if no other route matches */}
         {/* <Route path="*" element={<GlobalNotFound />} /> */}
       </Routes>
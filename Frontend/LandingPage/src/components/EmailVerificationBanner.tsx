@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useUser } from '../context/UserContext';
+
+// Reminder for signed-in users who haven't confirmed their email yet, with a resend button
+const EmailVerificationBanner: React.FC = () => {
+  const { user } = useUser();
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  // Older stored logins have no flag; only an explicit false means unverified
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/auth/verify-email/resend`,
+        {},
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      setNotice(response.data.message);
+    } catch (error) {
+      setNotice(
+        axios.isAxiosError(error) && error.response?.data?.message
+          ? error.response.data.message
+          : 'Could not send the verification email. Please try again later.'
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2 text-sm text-yellow-800 flex flex-wrap items-center justify-center gap-2">
+      <span>
+        Please verify your email address ({user.email}) using the link we sent you.
+        {user.type === 'serviceprovider' && ' Customers will not see you until you do.'}
+      </span>
+      {notice ? (
+        <span className="font-medium">{notice}</span>
+      ) : (
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-medium underline hover:text-yellow-900 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -14,41 +14,35 @@ interface LoginProps {
   onLoginSuccess?: (userData: any) => void; // Added for App.tsx to handle post-login
 }
 
+type SignedInResponse = { twoFactorRequired?: false; user: { role: string; [key: string]: unknown }; accessToken: string };
+// With two-factor authentication on, the first step only returns a challenge for the second
+type LoginResponse = SignedInResponse | { twoFactorRequired: true; challengeToken: string };
+
 const Login: React.FC<LoginProps> = ({ onClose, onSignUpClick, onForgotPasswordClick, onLoginSuccess }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  // Passwordless login: a code texted to the account's verified phone number
+  const [mode, setMode] = useState<'password' | 'otp'>('password');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const { toast } = useToast(); // Initialize toast hook
   // const { setUser } = useUser(); // setUser will be called via onLoginSuccess prop
 
-  const handleSubmit = async (e: React.FormEvent) => {
-  e.preventDefault();
-  console.log('handleSubmit called'); // Add this line for debugging
-
-  if (!email || !password) {
-    toast({
-      title: "Error",
-      description: "Please provide both email and password.",
-      variant: "destructive",
-    });
-    return;
-  }
-
-  try {
-    const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/login`, {
-      email,
-      password,
-    });
-
-    console.log('Login Successful:', response.data);
+  // Hands the signed-in user to App.tsx; shared by password and phone code login
+  const completeLogin = (data: SignedInResponse) => {
+    console.log('Login Successful:', data);
 
     // Assuming the backend returns user data and accessToken on successful login
     const userData = {
-      ...response.data.user, // Use user data from the backend response
-      accessToken: response.data.accessToken, // Store the access token
+      ...data.user, // Use user data from the backend response
+      accessToken: data.accessToken, // Store the access token
       // Map backend 'provider' role to frontend 'serviceprovider' type
-      type: response.data.user.role === 'provider' 
+      type: data.user.role === 'provider' 
             ? 'serviceprovider' 
-            : response.data.user.role as 'customer' // Assuming 'customer' role is direct
+            : data.user.role as 'customer' | 'admin' // 'customer' and 'admin' map across as they are
     };
 
     // Call onLoginSuccess if provided (App.tsx will handle setting user and navigation)
@@ -74,7 +68,121 @@ const Login: React.FC<LoginProps> = ({ onClose, onSignUpClick, onForgotPasswordC
     });
 
     onClose(); // Close the modal
+  };
+
+  const handleLoginResponse = (data: LoginResponse) => {
+    if (data.twoFactorRequired) {
+      setChallengeToken(data.challengeToken);
+      return;
+    }
+    completeLogin(data);
+  };
+
+  const handleVerifyTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!twoFactorCode) {
+      toast({
+        title: "Error",
+        description: "Please enter the code from your authenticator app.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/2fa/login`, {
+        challengeToken,
+        code: twoFactorCode,
+      }, { withCredentials: true }); // Lets the browser keep the refresh token cookie
+      completeLogin(response.data);
+    } catch (error) {
+      // An expired challenge means starting again from the first step
+      if (axios.isAxiosError(error) && error.response?.status === 401) {
+        setChallengeToken(null);
+        setTwoFactorCode('');
+      }
+      showLoginError(error);
+    }
+  };
+
+  const showLoginError = (error: unknown) => {
+    let errorMessage = 'Login failed. Please try again.';
+    if (axios.isAxiosError(error) && error.response && error.response.data && error.response.data.message) {
+      errorMessage = error.response.data.message;
+    } else {
+      console.error('Login Failed:', error);
+    }
+    toast({
+      title: "Login Failed",
+      description: errorMessage,
+      variant: "destructive",
+    });
+  };
+
+  const handleRequestCode = async (e?: React.FormEvent) => {
+    e?.preventDefault();
+    if (!phoneNumber) {
+      toast({
+        title: "Error",
+        description: "Please enter your phone number.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/otp/login/request`, {
+        phone_number: phoneNumber,
+      });
+      setCodeSent(true);
+      toast({ title: "Code sent", description: response.data.message });
+    } catch (error) {
+      showLoginError(error);
+    }
+  };
+
+  const handleVerifyCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!code) {
+      toast({
+        title: "Error",
+        description: "Please enter the code we texted you.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/otp/login/verify`, {
+        phone_number: phoneNumber,
+        code,
+      }, { withCredentials: true }); // Lets the browser keep the refresh token cookie
+      handleLoginResponse(response.data);
+    } catch (error) {
+      showLoginError(error);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+  e.preventDefault();
+  console.log('handleSubmit called'); // Add this line for debugging
+
+  if (!email || !password) {
+    toast({
+      title: "Error",
+      description: "Please provide both email and password.",
+      variant: "destructive",
+    });
+    return;
+  }
+
+  try {
+    const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/login`, {
+      email,
+      password,
+    }, { withCredentials: true }); // Lets the browser keep the refresh token cookie
 
+    handleLoginResponse(response.data);
   } catch (error) {
     let errorMessage = 'Login failed. Please try again.';
     if (axios.isAxiosError(error) && error.response && error.response.data && error.response.data.message) {
@@ -117,30 +225,100 @@ const handleLogout = async () => {
       <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md space-y-6">
         <h2 className="text-3xl font-bold text-center text-primary">Log In</h2>
         
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <input
-            type="email"
-            placeholder="Email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
-          />
-          <input
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
-          />
-          <button
-            type="submit"
-            className="w-full bg-primary text-primary-foreground py-3 rounded-lg hover:bg-primary/90 transition-colors font-semibold"
-          >
-            Log In
-          </button>
-        </form>
+        {challengeToken ? (
+          <form onSubmit={handleVerifyTwoFactor} className="space-y-4">
+            <p className="text-sm text-center text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              placeholder="Authentication code"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <button
+              type="submit"
+              className="w-full bg-primary text-primary-foreground py-3 rounded-lg hover:bg-primary/90 transition-colors font-semibold"
+            >
+              Verify
+            </button>
+          </form>
+        ) : mode === 'password' ? (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="email"
+              placeholder="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <button
+              type="submit"
+              className="w-full bg-primary text-primary-foreground py-3 rounded-lg hover:bg-primary/90 transition-colors font-semibold"
+            >
+              Log In
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={codeSent ? handleVerifyCode : handleRequestCode} className="space-y-4">
+            <input
+              type="tel"
+              placeholder="Phone number"
+              value={phoneNumber}
+              onChange={(e) => { setPhoneNumber(e.target.value); setCodeSent(false); }}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            {codeSent && (
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="Code from the SMS"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+            )}
+            <button
+              type="submit"
+              className="w-full bg-primary text-primary-foreground py-3 rounded-lg hover:bg-primary/90 transition-colors font-semibold"
+            >
+              {codeSent ? 'Log In' : 'Send Code'}
+            </button>
+            {codeSent && (
+              <button
+                type="button"
+                onClick={() => handleRequestCode()}
+                className="w-full text-sm text-primary hover:underline"
+              >
+                Resend code
+              </button>
+            )}
+          </form>
+        )}
 
-        <div className="text-center pt-2">
+        {!challengeToken && (
+          <div className="text-center">
+            <button
+              type="button"
+              onClick={() => setMode(mode === 'password' ? 'otp' : 'password')}
+              className="text-sm text-primary hover:underline"
+            >
+              {mode === 'password' ? 'Log in with a code sent to your phone' : 'Log in with email and password'}
+            </button>
+          </div>
+        )}
+
+        <div className="text-center">
           <button
             type="button" // Important: type="button" to prevent form submission
             onClick={onForgotPasswordClick} // Use the passed handler
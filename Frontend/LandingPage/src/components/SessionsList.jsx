@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { Loader2, Monitor, Smartphone, Tablet, LogOut } from 'lucide-react';
+import { useUser } from '@/context/UserContext.tsx';
+
+const deviceIcons = { desktop: Monitor, mobile: Smartphone, tablet: Tablet };
+
+// "Devices & sessions": where the user is signed in, with remote sign-out
+const SessionsList = () => {
+  const { user, setUser } = useUser();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const authHeaders = { headers: { Authorization: `Bearer ${user?.accessToken}` } };
+
+  useEffect(() => {
+    if (!user?.accessToken) return;
+
+    const fetchSessions = async () => {
+      try {
+        const response = await axios.get(
+          `${import.meta.env.VITE_API_BASE_URL}/auth/sessions`,
+          { headers: { Authorization: `Bearer ${user.accessToken}` } }
+        );
+        setSessions(response.data.data.sessions);
+      } catch (error) {
+        console.error('Failed to fetch sessions:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, [user]);
+
+  const handleRevoke = async (session) => {
+    setRevoking(session._id);
+    try {
+      await axios.delete(`${import.meta.env.VITE_API_BASE_URL}/auth/sessions/${session._id}`, authHeaders);
+      if (session.current) {
+        // This device is already signed out on the server
+        setUser(null);
+        navigate('/');
+        return;
+      }
+      setSessions(current => current.filter(s => s._id !== session._id));
+    } catch (error) {
+      console.error('Failed to sign out session:', error);
+      alert(error.response?.data?.message || 'Could not sign that session out. Please try again.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setRevoking('others');
+    try {
+      await axios.delete(`${import.meta.env.VITE_API_BASE_URL}/auth/sessions/others`, authHeaders);
+      setSessions(current => current.filter(s => s.current));
+    } catch (error) {
+      console.error('Failed to sign out other sessions:', error);
+      alert(error.response?.data?.message || 'Could not sign out your other sessions. Please try again.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-xl rounded-lg mt-8">
+      <div className="flex justify-between items-center p-6 border-b">
+        <h2 className="text-xl font-bold text-gray-900">Devices & sessions</h2>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={revoking !== null}
+            className="text-sm font-medium text-red-600 hover:underline disabled:opacity-50"
+          >
+            Sign out all other sessions
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="p-6 flex justify-center">
+          <Loader2 className="h-6 w-6 animate-spin text-primary" />
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => {
+            const DeviceIcon = deviceIcons[session.device.deviceType] || Monitor;
+            return (
+              <li key={session._id} className="p-4 flex items-center justify-between">
+                <div className="flex items-center">
+                  <DeviceIcon className="h-6 w-6 text-gray-400 mr-4" />
+                  <div>
+                    <p className="text-gray-900">
+                      {session.device.browser} on {session.device.os}
+                      {session.current && (
+                        <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {session.ip} · Last seen {new Date(session.lastSeenAt).toLocaleString()}
+                    </p>
+                    <p className="text-xs text-gray-400">Signed in {new Date(session.loginTime).toLocaleString()}</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revoking !== null}
+                  className="inline-flex items-center text-sm text-gray-600 hover:text-red-600 disabled:opacity-50"
+                  title="Sign out"
+                >
+                  {revoking === session._id
+                    ? <Loader2 className="h-4 w-4 animate-spin" />
+                    : <LogOut className="h-4 w-4" />}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsList;
@@ -29,6 +29,9 @@ const SignUpForm: React.FC<SignUpFormProps> = ({ role, onBack, onClose }) => {
   // const navigate = useNavigate(); // Not used for primary redirection after signup
   const { setUser } = useUser(); // Get setUser function from context
   const { toast } = useToast(); // Initialize toast hook
+  // Registered but not signed in yet: the next step confirms the phone number with a texted code
+  const [pendingUser, setPendingUser] = useState<Parameters<typeof setUser>[0]>(null);
+  const [phoneCode, setPhoneCode] = useState('');
   
   const [formData, setFormData] = useState<FormData>({
     name: '',
@@ -88,7 +91,7 @@ const SignUpForm: React.FC<SignUpFormProps> = ({ role, onBack, onClose }) => {
           tradeLicense: formData.tradeLicense,
           charges: formData.charges, // Include charges
         }),
-      });
+      }, { withCredentials: true }); // Lets the browser keep the refresh token cookie
 
       console.log('Registration successful:', response.data);
 
@@ -119,21 +122,8 @@ const SignUpForm: React.FC<SignUpFormProps> = ({ role, onBack, onClose }) => {
       }
       // No 'else' block is needed here as common fields are already set from formData.
 
-      // Set user in context (which also saves to localStorage)
-      setUser(userData);
-
-      // Redirection is now handled by App.tsx based on user context change
-      // No need for window.location.href here
-
-      toast({
-        title: "Success",
-        description: "Registration successful!",
-        variant: "default", // Changed from 'success' to 'default'
-        action: <ToastClose />, // Ensure close button is present
-        duration: Infinity, // Ensure persistence
-      });
-
-      onClose(); // Close the modal on successful signup
+      // Signed in once the phone number is verified or the step is skipped
+      setPendingUser(userData);
     } catch (error) {
       let errorMessage = 'Registration failed. Please try again.';
       if (axios.isAxiosError(error) && error.response && error.response.data && error.response.data.message) {
@@ -149,6 +139,106 @@ const SignUpForm: React.FC<SignUpFormProps> = ({ role, onBack, onClose }) => {
     }
   };
 
+  const finishSignUp = (userData: NonNullable<typeof pendingUser>) => {
+    // Set user in context (which also saves to localStorage)
+    setUser(userData);
+
+    // Redirection is now handled by App.tsx based on user context change
+    // No need for window.location.href here
+
+    toast({
+      title: "Success",
+      description: "Registration successful!",
+      variant: "default", // Changed from 'success' to 'default'
+      action: <ToastClose />, // Ensure close button is present
+      duration: Infinity, // Ensure persistence
+    });
+
+    onClose(); // Close the modal on successful signup
+  };
+
+  const showPhoneError = (error: unknown, fallback: string) => {
+    toast({
+      title: "Phone Verification",
+      description: axios.isAxiosError(error) && error.response?.data?.message ? error.response.data.message : fallback,
+      variant: "destructive",
+    });
+  };
+
+  const handleVerifyPhone = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!pendingUser || !phoneCode) return;
+
+    try {
+      await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/auth/phone/verify`,
+        { code: phoneCode },
+        { headers: { Authorization: `Bearer ${pendingUser.accessToken}` } }
+      );
+      finishSignUp({ ...pendingUser, phoneVerified: true });
+    } catch (error) {
+      showPhoneError(error, 'Could not verify the code. Please try again.');
+    }
+  };
+
+  const handleResendCode = async () => {
+    if (!pendingUser) return;
+
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/auth/phone/verify/request`,
+        {},
+        { headers: { Authorization: `Bearer ${pendingUser.accessToken}` } }
+      );
+      toast({ title: "Code sent", description: response.data.message });
+    } catch (error) {
+      showPhoneError(error, 'Could not send a new code. Please try again later.');
+    }
+  };
+
+  if (pendingUser) {
+    return (
+      <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+        <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6 sm:p-8 space-y-6">
+          <h2 className="text-2xl font-semibold text-center text-emerald-600">Verify your phone number</h2>
+          <p className="text-center text-gray-600">
+            We've texted a code to {pendingUser.phone_number}. Enter it below so you can also log in with your phone.
+          </p>
+
+          <form onSubmit={handleVerifyPhone} className="space-y-4">
+            <div className="flex items-center border border-gray-300 rounded-lg px-4 py-3 focus-within:ring-2 focus-within:ring-emerald-600 transition-all">
+              <Phone className="w-6 h-6 text-gray-600" />
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="Verification code"
+                value={phoneCode}
+                onChange={(e) => setPhoneCode(e.target.value)}
+                className="w-full pl-3 text-gray-700 focus:outline-none"
+              />
+            </div>
+            <button
+              type="submit"
+              className="w-full bg-emerald-600 text-white py-2 rounded-lg hover:bg-emerald-700 transition-colors"
+            >
+              Verify
+            </button>
+          </form>
+
+          <div className="flex justify-between">
+            <button type="button" onClick={handleResendCode} className="text-sm text-emerald-600 hover:underline">
+              Resend code
+            </button>
+            <button type="button" onClick={() => finishSignUp(pendingUser)} className="text-sm text-gray-600 hover:underline">
+              Skip for now
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50"> {/* Added z-50 to ensure it's on top */}
       <div className="bg-white rounded-lg shadow-xl w-full max-w-lg transform transition-all max-h-[90vh] flex flex-col"> {/* Added max-h and flex structure */}
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import axios, { AxiosError, InternalAxiosRequestConfig } from 'axios';
 
 // Define the User type
 interface User {
@@ -6,10 +7,12 @@ interface User {
   name: string;
   email: string;
   phone_number?: string; // Added
-  role?: 'customer' | 'provider'; // Role from backend
-  type: 'customer' | 'serviceprovider'; // Frontend specific type derived from role
+  role?: 'customer' | 'provider' | 'admin'; // Role from backend
+  type: 'customer' | 'serviceprovider' | 'admin'; // Frontend specific type derived from role
   createdAt?: string; // Added for signup date
   accessToken?: string; // If storing token in user object
+  emailVerified?: boolean; // Unverified providers aren't listed to customers
+  phoneVerified?: boolean; // Needed to log in with a texted code
   address?: string; 
   location?: {
     type?: string;
@@ -28,6 +31,25 @@ interface UserContextType {
   logout: () => void;
 }
 
+// Auth calls that must not trigger a token refresh themselves
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+// One refresh at a time: the refresh token rotates, so a second concurrent refresh would be
+// taken for a stolen token and end the session
+let refreshInFlight: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshInFlight) {
+    refreshInFlight = axios
+      .post(`${import.meta.env.VITE_API_BASE_URL}/auth/refresh`, {}, { withCredentials: true })
+      .then(response => response.data.accessToken as string)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
 // Create the context with default values
 const UserContext = createContext<UserContextType | undefined>(undefined);
 
@@ -62,8 +84,43 @@ export const UserProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, [user]);
 
-  // Logout function
+  // Access tokens are short-lived: when one is rejected, get a new one from the refresh token
+  // cookie and retry the request once. If the session has ended, sign the user out.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, async (error: AxiosError) => {
+      const request = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+      const hadToken = Boolean(request?.headers?.Authorization);
+      if (
+        error.response?.status !== 401 || !request || request._retried || !hadToken ||
+        NO_REFRESH_PATHS.some(path => request.url?.includes(path))
+      ) {
+        return Promise.reject(error);
+      }
+
+      request._retried = true;
+      try {
+        const accessToken = await refreshAccessToken();
+        setUser(current => (current ? { ...current, accessToken } : current));
+        request.headers.Authorization = `Bearer ${accessToken}`;
+        return axios(request);
+      } catch {
+        setUser(null);
+        return Promise.reject(error);
+      }
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Logout function: ends the session on the server, then forgets the user locally
   const logout = () => {
+    if (user?.accessToken) {
+      axios
+        .post(`${import.meta.env.VITE_API_BASE_URL}/auth/logout`, {}, {
+          headers: { Authorization: `Bearer ${user.accessToken}` },
+          withCredentials: true,
+        })
+        .catch(error => console.error('Error ending session:', error));
+    }
     setUser(null);
   };
 
@@ -0,0 +1,22 @@
+import React from 'react';
+import Navbar from './Navbar.jsx';
+
+// Page frame for the back office: title and filters above the page's table
+const Layout = ({ title, filters, children }) => {
+  return (
+    <div className="min-h-screen flex flex-col bg-gray-50">
+      <Navbar />
+      <main className="flex-grow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+            {filters && <div className="flex flex-wrap items-center gap-3">{filters}</div>}
+          </div>
+          {children}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Layout;
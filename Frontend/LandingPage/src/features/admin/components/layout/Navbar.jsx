@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { Menu, X, LogOut } from 'lucide-react';
+import { useUser } from '@/context/UserContext.tsx';
+
+const navigation = [
+  { name: 'Users', to: '/admin/users' },
+  { name: 'Verification', to: '/admin/verification' },
+  { name: 'Service requests', to: '/admin/requests' },
+  { name: 'Payments', to: '/admin/payments' },
+  { name: 'Disputes', to: '/admin/disputes' },
+];
+
+const Navbar = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const location = useLocation();
+  const { user, logout } = useUser();
+  const navigate = useNavigate();
+
+  const handleSignOut = () => {
+    logout();
+    setIsOpen(false);
+    navigate('/');
+  };
+
+  return (
+    <nav className="bg-white shadow-sm">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between h-16">
+          <div className="flex items-center">
+            <Link to="/admin" className="flex-shrink-0 flex items-center">
+              <span className="text-primary font-bold text-xl">ThrivePro</span>
+              <span className="ml-2 text-sm text-gray-500">Admin</span>
+            </Link>
+          </div>
+
+          {/* Desktop Navigation */}
+          <div className="hidden md:ml-6 md:flex md:space-x-4 md:items-center">
+            {navigation.map((item) => (
+              <Link
+                key={item.name}
+                to={item.to}
+                className={location.pathname === item.to ? 'nav-link-active' : 'nav-link'}
+              >
+                {item.name}
+              </Link>
+            ))}
+          </div>
+
+          <div className="hidden md:flex md:items-center">
+            <span className="font-medium text-sm text-gray-700 mr-3">{user?.name}</span>
+            <button
+              onClick={handleSignOut}
+              className="flex items-center text-sm text-gray-700 hover:text-primary"
+            >
+              <LogOut size={16} className="mr-1" />
+              Sign out
+            </button>
+          </div>
+
+          {/* Mobile menu button */}
+          <div className="flex items-center md:hidden">
+            <button
+              onClick={() => setIsOpen(!isOpen)}
+              className="inline-flex items-center justify-center p-2 rounded-md text-gray-700 hover:text-primary hover:bg-gray-100 focus:outline-none"
+            >
+              <span className="sr-only">Open main menu</span>
+              {isOpen ? <X className="block h-6 w-6" /> : <Menu className="block h-6 w-6" />}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Mobile menu */}
+      {isOpen && (
+        <div className="md:hidden">
+          <div className="pt-2 pb-3 space-y-1">
+            {navigation.map((item) => (
+              <Link
+                key={item.name}
+                to={item.to}
+                className={`block pl-3 pr-4 py-2 border-l-4 ${
+                  location.pathname === item.to
+                    ? 'border-primary text-primary bg-primary/5'
+                    : 'border-transparent text-gray-600 hover:bg-gray-50 hover:border-gray-300'
+                }`}
+                onClick={() => setIsOpen(false)}
+              >
+                {item.name}
+              </Link>
+            ))}
+          </div>
+          <div className="pt-4 pb-3 border-t border-gray-200">
+            <div className="px-4">
+              <div className="text-base font-medium text-gray-800">{user?.name}</div>
+              <div className="text-sm font-medium text-gray-500">{user?.email}</div>
+            </div>
+            <button
+              onClick={handleSignOut}
+              className="mt-3 w-full text-left block px-4 py-2 text-base font-medium text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+            >
+              Sign out
+            </button>
+          </div>
+        </div>
+      )}
+    </nav>
+  );
+};
+
+export default Navbar;
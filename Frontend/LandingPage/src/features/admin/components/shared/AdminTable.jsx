@@ -0,0 +1,54 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import {
+  Table, TableBody, TableCell, TableHead, TableHeader, TableRow
+} from '@/features/customer/components/ui/table';
+import { Button } from '@/features/customer/components/ui/button';
+import { PAGE_SIZE } from '../../hooks/use-admin-list';
+
+// One page of a list endpoint. Each column is { header, render(row) }; clicking a row opens its details.
+const AdminTable = ({ columns, rows, loading, onRowClick, page, total, onPageChange, emptyMessage = 'Nothing to show.' }) => {
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      {loading ? (
+        <div className="p-10 flex justify-center">
+          <Loader2 className="h-6 w-6 animate-spin text-primary" />
+        </div>
+      ) : rows.length === 0 ? (
+        <p className="p-10 text-center text-gray-500">{emptyMessage}</p>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {columns.map(column => <TableHead key={column.header}>{column.header}</TableHead>)}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.map(row => (
+              <TableRow key={row._id} onClick={() => onRowClick(row)} className="cursor-pointer">
+                {columns.map(column => <TableCell key={column.header}>{column.render(row)}</TableCell>)}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <div className="flex items-center justify-between px-4 py-3 border-t text-sm text-gray-600">
+        <span>{total} total</span>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="sm" disabled={loading || page <= 1} onClick={() => onPageChange(page - 1)}>
+            Previous
+          </Button>
+          <span>Page {page} of {pageCount}</span>
+          <Button variant="outline" size="sm" disabled={loading || page >= pageCount} onClick={() => onPageChange(page + 1)}>
+            Next
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminTable;
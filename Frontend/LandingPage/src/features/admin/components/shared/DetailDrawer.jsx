@@ -0,0 +1,42 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import {
+  Sheet, SheetContent, SheetDescription, SheetFooter, SheetHeader, SheetTitle
+} from '@/features/customer/components/ui/sheet';
+
+// Side panel with the full record behind a table row, and the actions that can be taken on it
+export const DetailDrawer = ({ open, onClose, title, description, loading, actions, children }) => (
+  <Sheet open={open} onOpenChange={(isOpen) => { if (!isOpen) onClose(); }}>
+    <SheetContent className="w-full sm:max-w-lg overflow-y-auto">
+      <SheetHeader>
+        <SheetTitle>{title}</SheetTitle>
+        {description && <SheetDescription>{description}</SheetDescription>}
+      </SheetHeader>
+
+      {loading ? (
+        <div className="py-10 flex justify-center">
+          <Loader2 className="h-6 w-6 animate-spin text-primary" />
+        </div>
+      ) : (
+        <div className="py-6 space-y-6">{children}</div>
+      )}
+
+      {!loading && actions && <SheetFooter className="gap-2">{actions}</SheetFooter>}
+    </SheetContent>
+  </Sheet>
+);
+
+// Labelled group of fields inside a drawer
+export const DetailSection = ({ title, children }) => (
+  <section>
+    <h3 className="text-sm font-semibold text-gray-900 mb-2">{title}</h3>
+    <dl className="space-y-1 text-sm">{children}</dl>
+  </section>
+);
+
+export const DetailField = ({ label, children }) => (
+  <div className="flex justify-between gap-4">
+    <dt className="text-gray-500">{label}</dt>
+    <dd className="text-gray-900 text-right break-all">{children ?? '—'}</dd>
+  </div>
+);
@@ -0,0 +1,24 @@
+import React from 'react';
+import {
+  Select, SelectContent, SelectItem, SelectTrigger, SelectValue
+} from '@/features/customer/components/ui/select';
+
+// Radix Select items can't have an empty value, so "any" stands in for no filter
+const ANY = 'any';
+
+// Drop-down filter for a list page; '' means no filter unless allowAny is off
+const FilterSelect = ({ label, value, options, onChange, allowAny = true }) => (
+  <Select value={value || ANY} onValueChange={(next) => onChange(next === ANY ? '' : next)}>
+    <SelectTrigger className="w-48 bg-white" aria-label={label}>
+      <SelectValue placeholder={label} />
+    </SelectTrigger>
+    <SelectContent>
+      {allowAny && <SelectItem value={ANY}>Any {label.toLowerCase()}</SelectItem>}
+      {options.map(option => (
+        <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+export default FilterSelect;
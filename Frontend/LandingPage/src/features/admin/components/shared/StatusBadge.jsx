@@ -0,0 +1,15 @@
+import React from 'react';
+import { Badge } from '@/features/customer/components/ui/badge';
+import { formatStatus } from '../../lib/format';
+
+const goodStatuses = ['verified', 'captured', 'completed', 'PaymentCompleted', 'won', 'processed', 'active'];
+const badStatuses = ['failed', 'rejected', 'cancelled', 'lost', 'suspended', 'reversed', 'refunded'];
+
+const StatusBadge = ({ status }) => {
+  const variant = badStatuses.includes(status) ? 'destructive'
+    : goodStatuses.includes(status) ? 'default'
+      : 'secondary';
+  return <Badge variant={variant} className="capitalize whitespace-nowrap">{formatStatus(status)}</Badge>;
+};
+
+export default StatusBadge;
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useUser } from '@/context/UserContext.tsx';
+
+export const PAGE_SIZE = 20;
+
+// Loads one page of an /admin list endpoint. `filters` are sent as query parameters (empty ones
+// are left out) and going back to the first page whenever they change is up to the caller.
+export function useAdminList(path, key, filters = {}) {
+  const { user } = useUser();
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const query = JSON.stringify(filters);
+
+  const reload = useCallback(async () => {
+    if (!user?.accessToken) return;
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(
+        Object.entries(JSON.parse(query)).filter(([, value]) => value !== '' && value !== undefined)
+      );
+      const response = await axios.get(`${import.meta.env.VITE_API_BASE_URL}/admin/${path}`, {
+        headers: { Authorization: `Bearer ${user.accessToken}` },
+        params: { ...params, page, limit: PAGE_SIZE }
+      });
+      setItems(response.data.data[key]);
+      setTotal(response.data.total);
+    } catch (error) {
+      console.error(`Failed to fetch ${key}:`, error);
+      alert(error.response?.data?.message || `Could not load ${key}. Please try again.`);
+      setItems([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, path, key, query, page]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { items, total, page, setPage, loading, reload };
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { useUser } from '@/context/UserContext.tsx';
+
+// Sends one request to the admin API, alerting the server's message if it fails.
+// Resolves to the response body, or null on failure.
+export function useAdminRequest() {
+  const { user } = useUser();
+  const [busy, setBusy] = useState(false);
+
+  const request = async (method, path, data, fallbackMessage) => {
+    setBusy(true);
+    try {
+      const response = await axios({
+        method,
+        url: `${import.meta.env.VITE_API_BASE_URL}/admin/${path}`,
+        data,
+        headers: { Authorization: `Bearer ${user?.accessToken}` }
+      });
+      return response.data;
+    } catch (error) {
+      console.error(fallbackMessage, error);
+      alert(error.response?.data?.message || fallbackMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return { request, busy };
+}
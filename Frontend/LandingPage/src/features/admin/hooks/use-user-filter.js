@@ -0,0 +1,14 @@
+import { useSearchParams } from 'react-router-dom';
+
+// ?customer=<id> or ?provider=<id>, set when another admin page links to one user's records
+export function useUserFilter() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const customer = searchParams.get('customer') || '';
+  const provider = searchParams.get('provider') || '';
+
+  return {
+    userFilter: { customer, provider },
+    isFiltered: Boolean(customer || provider),
+    clearUserFilter: () => setSearchParams({})
+  };
+}
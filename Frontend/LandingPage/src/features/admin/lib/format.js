@@ -0,0 +1,15 @@
+// Display helpers shared by the admin tables and drawers
+
+// Bills, payments and disputes are stored in rupees
+export const formatRupees = (value) => `₹${(value ?? 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// "in-progress" / "under_review" -> "in progress" / "under review"
+export const formatStatus = (value) => (value ? String(value).replace(/[-_]/g, ' ') : '—');
+
+// Options for a FilterSelect, from the values the API accepts
+export const toOptions = (values) => values.map(value => {
+  const label = formatStatus(value);
+  return { value, label: label.charAt(0).toUpperCase() + label.slice(1) };
+});
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Layout from '../components/layout/Layout';
+import AdminTable from '../components/shared/AdminTable';
+import FilterSelect from '../components/shared/FilterSelect';
+import StatusBadge from '../components/shared/StatusBadge';
+import { DetailDrawer, DetailSection, DetailField } from '../components/shared/DetailDrawer';
+import { Button } from '@/features/customer/components/ui/button';
+import { Textarea } from '@/features/customer/components/ui/textarea';
+import { useAdminList } from '../hooks/use-admin-list';
+import { useAdminRequest } from '../hooks/use-admin-request';
+import { formatDate, formatRupees, toOptions } from '../lib/format';
+
+const statusOptions = toOptions(['open', 'under_review', 'won', 'lost', 'closed']);
+
+// Evidence is due soon on open disputes: highlight the deadline
+const RespondBy = ({ dispute }) => {
+  if (!dispute.respond_by) return '—';
+  const overdueSoon = dispute.status === 'open' && new Date(dispute.respond_by) - Date.now() < 2 * 24 * 60 * 60 * 1000;
+  return <span className={overdueSoon ? 'text-red-600 font-medium' : ''}>{formatDate(dispute.respond_by)}</span>;
+};
+
+const columns = [
+  { header: 'Raised', render: (dispute) => formatDate(dispute.createdAt) },
+  { header: 'Customer', render: (dispute) => dispute.payment?.customer?.name },
+  { header: 'Provider', render: (dispute) => dispute.payment?.provider?.name },
+  { header: 'Amount', render: (dispute) => formatRupees(dispute.amount) },
+  { header: 'Reason', render: (dispute) => dispute.reason_description || dispute.reason_code },
+  { header: 'Respond by', render: (dispute) => <RespondBy dispute={dispute} /> },
+  { header: 'Status', render: (dispute) => <StatusBadge status={dispute.status} /> },
+];
+
+// Chargebacks customers' banks raised against our payments; the outcome is reported by Razorpay
+const Disputes = () => {
+  const navigate = useNavigate();
+  const [status, setStatus] = useState('');
+  const { items, total, page, setPage, loading, reload } = useAdminList('disputes', 'disputes', { status });
+  const { request, busy } = useAdminRequest();
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [note, setNote] = useState('');
+
+  const openDispute = async (dispute) => {
+    setSelectedId(dispute._id);
+    setDetails(null);
+    setNote(dispute.admin_note || '');
+    const body = await request('get', `disputes/${dispute._id}`, undefined, 'Could not load this dispute. Please try again.');
+    if (body) setDetails(body.data);
+    else setSelectedId(null);
+  };
+
+  const handleSaveNote = async () => {
+    const body = await request('patch', `disputes/${selectedId}`, { note: note.trim() }, 'Could not save the note. Please try again.');
+    if (body) {
+      setDetails(current => ({ ...current, dispute: { ...current.dispute, ...body.data.dispute, payment: current.dispute.payment } }));
+      reload();
+    }
+  };
+
+  const dispute = details?.dispute;
+  const payment = dispute?.payment;
+
+  return (
+    <Layout
+      title="Disputes"
+      filters={(
+        <FilterSelect label="Status" value={status} options={statusOptions} onChange={(value) => { setStatus(value); setPage(1); }} />
+      )}
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        loading={loading}
+        onRowClick={openDispute}
+        page={page}
+        total={total}
+        onPageChange={setPage}
+        emptyMessage="No disputes match these filters."
+      />
+
+      <DetailDrawer
+        open={selectedId !== null}
+        onClose={() => { setSelectedId(null); setDetails(null); }}
+        title={dispute ? `Dispute of ${formatRupees(dispute.amount)}` : 'Dispute'}
+        description={dispute && `Razorpay ${dispute.razorpay_dispute_id}`}
+        loading={!details}
+        actions={dispute && (
+          <>
+            {payment?.customer && (
+              <Button variant="outline" onClick={() => navigate(`/admin/payments?customer=${payment.customer._id}`)}>
+                Customer's payments
+              </Button>
+            )}
+            <Button onClick={handleSaveNote} disabled={busy || !note.trim()}>Save note</Button>
+          </>
+        )}
+      >
+        {dispute && (
+          <>
+            <DetailSection title="Dispute">
+              <DetailField label="Status"><StatusBadge status={dispute.status} /></DetailField>
+              <DetailField label="Phase">{dispute.phase}</DetailField>
+              <DetailField label="Reason">{dispute.reason_description || dispute.reason_code}</DetailField>
+              <DetailField label="Raised">{formatDate(dispute.createdAt)}</DetailField>
+              <DetailField label="Respond by"><RespondBy dispute={dispute} /></DetailField>
+            </DetailSection>
+
+            <DetailSection title="Payment">
+              <DetailField label="Razorpay payment">{dispute.razorpay_payment_id}</DetailField>
+              {payment ? (
+                <>
+                  <DetailField label="Amount">{formatRupees(payment.amount)}</DetailField>
+                  <DetailField label="Status"><StatusBadge status={payment.status} /></DetailField>
+                  <DetailField label="Customer">{payment.customer && `${payment.customer.name} (${payment.customer.email})`}</DetailField>
+                  <DetailField label="Provider">{payment.provider && `${payment.provider.name} (${payment.provider.email})`}</DetailField>
+                </>
+              ) : (
+                <DetailField label="Recorded here">No</DetailField>
+              )}
+            </DetailSection>
+
+            {details.refunds.length > 0 && (
+              <DetailSection title="Refunds already made">
+                {details.refunds.map(refund => (
+                  <DetailField key={refund._id} label={formatDate(refund.createdAt)}>
+                    {formatRupees(refund.amount)} · <StatusBadge status={refund.status} />
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            <div>
+              <label htmlFor="dispute-note" className="block text-sm font-medium text-gray-700 mb-1">
+                Note
+              </label>
+              <Textarea
+                id="dispute-note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="e.g. Evidence of completed service sent to Razorpay"
+              />
+              {dispute.handledAt && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Last updated by {dispute.handledBy?.name || 'an admin'} on {formatDate(dispute.handledAt)}
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </DetailDrawer>
+    </Layout>
+  );
+};
+
+export default Disputes;
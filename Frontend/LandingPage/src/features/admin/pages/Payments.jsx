@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import Layout from '../components/layout/Layout';
+import AdminTable from '../components/shared/AdminTable';
+import FilterSelect from '../components/shared/FilterSelect';
+import StatusBadge from '../components/shared/StatusBadge';
+import { DetailDrawer, DetailSection, DetailField } from '../components/shared/DetailDrawer';
+import { Input } from '@/features/customer/components/ui/input';
+import { Button } from '@/features/customer/components/ui/button';
+import { useAdminList } from '../hooks/use-admin-list';
+import { useAdminRequest } from '../hooks/use-admin-request';
+import { useUserFilter } from '../hooks/use-user-filter';
+import { formatDate, formatRupees, formatStatus, toOptions } from '../lib/format';
+
+const statusOptions = toOptions(['created', 'captured', 'failed', 'partially_refunded', 'refunded']);
+const destinationOptions = [{ value: 'source', label: 'Card / UPI paid with' }, { value: 'wallet', label: "Customer's wallet" }];
+
+const columns = [
+  { header: 'Date', render: (payment) => formatDate(payment.createdAt) },
+  { header: 'Customer', render: (payment) => payment.customer?.name },
+  { header: 'Provider', render: (payment) => payment.provider?.name },
+  { header: 'For', render: (payment) => <span className="capitalize">{formatStatus(payment.milestone)}</span> },
+  { header: 'Amount', render: (payment) => formatRupees(payment.amount) },
+  { header: 'Refunded', render: (payment) => (payment.amount_refunded ? formatRupees(payment.amount_refunded) : '—') },
+  { header: 'Status', render: (payment) => <StatusBadge status={payment.status} /> },
+];
+
+const refundable = (payment) => ['captured', 'partially_refunded'].includes(payment.status);
+
+const Payments = () => {
+  const { userFilter, isFiltered, clearUserFilter } = useUserFilter();
+  const [filters, setFilters] = useState({ status: '', from: '', to: '' });
+  const { items, total, page, setPage, loading, reload } = useAdminList('payments', 'payments', { ...filters, ...userFilter });
+  const { request, busy } = useAdminRequest();
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [refund, setRefund] = useState({ amount: '', reason: '', destination: 'source' });
+
+  const updateFilter = (field, value) => {
+    setFilters(current => ({ ...current, [field]: value }));
+    setPage(1);
+  };
+
+  const loadPayment = async (paymentId) => {
+    const body = await request('get', `payments/${paymentId}`, undefined, 'Could not load this payment. Please try again.');
+    if (body) setDetails(body.data);
+    else setSelectedId(null);
+  };
+
+  const openPayment = (payment) => {
+    setSelectedId(payment._id);
+    setDetails(null);
+    setRefund({ amount: '', reason: '', destination: 'source' });
+    loadPayment(payment._id);
+  };
+
+  const handleRefund = async () => {
+    // Leaving the amount empty refunds whatever is left
+    const body = await request(
+      'post',
+      `payments/${selectedId}/refunds`,
+      { ...refund, amount: refund.amount ? Number(refund.amount) : undefined, reason: refund.reason.trim() || undefined },
+      'Could not refund this payment. Please try again.'
+    );
+    if (body) {
+      setRefund({ amount: '', reason: '', destination: 'source' });
+      loadPayment(selectedId);
+      reload();
+    }
+  };
+
+  const handlePayout = async (transfer) => {
+    const body = await request('post', `transfers/${transfer._id}/payout`, {}, 'Could not send this payout. Please try again.');
+    if (body) loadPayment(selectedId);
+  };
+
+  const payment = details?.payment;
+
+  return (
+    <Layout
+      title="Payments"
+      filters={(
+        <>
+          {isFiltered && (
+            <Button variant="outline" size="sm" onClick={clearUserFilter}>One user's payments ✕</Button>
+          )}
+          <FilterSelect label="Status" value={filters.status} options={statusOptions} onChange={(value) => updateFilter('status', value)} />
+          <Input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="w-40 bg-white" aria-label="Paid from" />
+          <Input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="w-40 bg-white" aria-label="Paid until" />
+        </>
+      )}
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        loading={loading}
+        onRowClick={openPayment}
+        page={page}
+        total={total}
+        onPageChange={setPage}
+        emptyMessage="No payments match these filters."
+      />
+
+      <DetailDrawer
+        open={selectedId !== null}
+        onClose={() => { setSelectedId(null); setDetails(null); }}
+        title={payment ? formatRupees(payment.amount) : 'Payment'}
+        description={payment && `${payment.customer?.name} paid ${payment.provider?.name} · ${formatDate(payment.createdAt)}`}
+        loading={!details}
+        actions={payment && refundable(payment) && (
+          <Button variant="destructive" onClick={handleRefund} disabled={busy}>
+            {refund.amount ? `Refund ${formatRupees(Number(refund.amount))}` : 'Refund the rest'}
+          </Button>
+        )}
+      >
+        {payment && (
+          <>
+            <DetailSection title="Payment">
+              <DetailField label="Status"><StatusBadge status={payment.status} /></DetailField>
+              <DetailField label="For"><span className="capitalize">{formatStatus(payment.milestone)}</span></DetailField>
+              <DetailField label="Method">{payment.payment_method}</DetailField>
+              <DetailField label="From wallet">{payment.wallet_amount ? formatRupees(payment.wallet_amount) : null}</DetailField>
+              <DetailField label="Platform fee">{formatRupees(payment.platform_fee)}</DetailField>
+              <DetailField label="Refunded">{formatRupees(payment.amount_refunded)}</DetailField>
+              <DetailField label="Razorpay payment">{payment.razorpay_payment_id}</DetailField>
+              <DetailField label="Invoice">{details.invoice?.invoice_number}</DetailField>
+              {payment.failure_reason && <DetailField label="Failure">{payment.failure_reason}</DetailField>}
+            </DetailSection>
+
+            {details.refunds.length > 0 && (
+              <DetailSection title="Refunds">
+                {details.refunds.map(item => (
+                  <DetailField key={item._id} label={formatDate(item.createdAt)}>
+                    {formatRupees(item.amount)} to {item.destination} · <StatusBadge status={item.status} />
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            {details.transfers.length > 0 && (
+              <DetailSection title="Provider payouts">
+                {details.transfers.map(transfer => (
+                  <DetailField key={transfer._id} label={formatRupees(transfer.amount)}>
+                    <span className="inline-flex items-center gap-2">
+                      <StatusBadge status={transfer.status} />
+                      {transfer.status === 'created' && !transfer.payout && (
+                        <Button size="sm" variant="outline" onClick={() => handlePayout(transfer)} disabled={busy}>
+                          Pay out now
+                        </Button>
+                      )}
+                    </span>
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            {refundable(payment) && (
+              <section className="space-y-2">
+                <h3 className="text-sm font-semibold text-gray-900">Refund</h3>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={refund.amount}
+                  onChange={(e) => setRefund(current => ({ ...current, amount: e.target.value }))}
+                  placeholder="Amount (leave empty for the rest)"
+                />
+                <Input
+                  value={refund.reason}
+                  onChange={(e) => setRefund(current => ({ ...current, reason: e.target.value }))}
+                  placeholder="Reason"
+                />
+                <FilterSelect
+                  label="Refund to"
+                  value={refund.destination}
+                  options={destinationOptions}
+                  allowAny={false}
+                  onChange={(value) => setRefund(current => ({ ...current, destination: value }))}
+                />
+              </section>
+            )}
+          </>
+        )}
+      </DetailDrawer>
+    </Layout>
+  );
+};
+
+export default Payments;
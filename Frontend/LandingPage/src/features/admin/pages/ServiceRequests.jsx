@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Layout from '../components/layout/Layout';
+import AdminTable from '../components/shared/AdminTable';
+import FilterSelect from '../components/shared/FilterSelect';
+import StatusBadge from '../components/shared/StatusBadge';
+import { DetailDrawer, DetailSection, DetailField } from '../components/shared/DetailDrawer';
+import { Input } from '@/features/customer/components/ui/input';
+import { Button } from '@/features/customer/components/ui/button';
+import { useAdminList } from '../hooks/use-admin-list';
+import { useAdminRequest } from '../hooks/use-admin-request';
+import { useUserFilter } from '../hooks/use-user-filter';
+import { formatDate, formatRupees, formatStatus, toOptions } from '../lib/format';
+
+const statusOptions = toOptions(['pending', 'accepted', 'rejected', 'in-progress', 'completed', 'PaymentCompleted', 'cancelled']);
+
+const columns = [
+  { header: 'Service', render: (serviceRequest) => serviceRequest.serviceNameSnapshot },
+  { header: 'Customer', render: (serviceRequest) => serviceRequest.customer?.name },
+  { header: 'Provider', render: (serviceRequest) => serviceRequest.provider?.name },
+  { header: 'Time slot', render: (serviceRequest) => formatDate(serviceRequest.time_slot) },
+  { header: 'Booked', render: (serviceRequest) => formatDate(serviceRequest.createdAt) },
+  { header: 'Status', render: (serviceRequest) => <StatusBadge status={serviceRequest.status} /> },
+];
+
+const ServiceRequests = () => {
+  const navigate = useNavigate();
+  const { userFilter, isFiltered, clearUserFilter } = useUserFilter();
+  const [filters, setFilters] = useState({ status: '', from: '', to: '' });
+  const { items, total, page, setPage, loading } = useAdminList('service-requests', 'serviceRequests', { ...filters, ...userFilter });
+  const { request } = useAdminRequest();
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null);
+
+  const updateFilter = (field, value) => {
+    setFilters(current => ({ ...current, [field]: value }));
+    setPage(1);
+  };
+
+  const openServiceRequest = async (serviceRequest) => {
+    setSelectedId(serviceRequest._id);
+    setDetails(null);
+    const body = await request('get', `service-requests/${serviceRequest._id}`, undefined, 'Could not load this booking. Please try again.');
+    if (body) setDetails(body.data);
+    else setSelectedId(null);
+  };
+
+  const serviceRequest = details?.serviceRequest;
+
+  return (
+    <Layout
+      title="Service requests"
+      filters={(
+        <>
+          {isFiltered && (
+            <Button variant="outline" size="sm" onClick={clearUserFilter}>One user's bookings ✕</Button>
+          )}
+          <FilterSelect label="Status" value={filters.status} options={statusOptions} onChange={(value) => updateFilter('status', value)} />
+          <Input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="w-40 bg-white" aria-label="Booked from" />
+          <Input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="w-40 bg-white" aria-label="Booked until" />
+        </>
+      )}
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        loading={loading}
+        onRowClick={openServiceRequest}
+        page={page}
+        total={total}
+        onPageChange={setPage}
+        emptyMessage="No bookings match these filters."
+      />
+
+      <DetailDrawer
+        open={selectedId !== null}
+        onClose={() => { setSelectedId(null); setDetails(null); }}
+        title={serviceRequest?.serviceNameSnapshot || 'Service request'}
+        description={serviceRequest && `Booked ${formatDate(serviceRequest.createdAt)}`}
+        loading={!details}
+        actions={serviceRequest && (
+          <>
+            {serviceRequest.customer && (
+              <Button variant="outline" onClick={() => navigate(`/admin/payments?customer=${serviceRequest.customer._id}`)}>
+                Customer's payments
+              </Button>
+            )}
+            {serviceRequest.provider && (
+              <Button variant="outline" onClick={() => navigate(`/admin/payments?provider=${serviceRequest.provider._id}`)}>
+                Provider's payments
+              </Button>
+            )}
+          </>
+        )}
+      >
+        {serviceRequest && (
+          <>
+            <DetailSection title="Booking">
+              <DetailField label="Status"><StatusBadge status={serviceRequest.status} /></DetailField>
+              <DetailField label="Time slot">{formatDate(serviceRequest.time_slot)}</DetailField>
+              <DetailField label="Price">{formatRupees(serviceRequest.servicePriceSnapshot)}</DetailField>
+              <DetailField label="Customer">{serviceRequest.customer && `${serviceRequest.customer.name} (${serviceRequest.customer.email})`}</DetailField>
+              <DetailField label="Provider">{serviceRequest.provider && `${serviceRequest.provider.name} (${serviceRequest.provider.email})`}</DetailField>
+            </DetailSection>
+
+            {details.bills.length > 0 && (
+              <DetailSection title="Bills">
+                {details.bills.map(bill => (
+                  <DetailField key={bill._id} label={formatStatus(bill.bill_type)}>
+                    {formatRupees(bill.amount)} · <StatusBadge status={bill.status} />
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            {details.payments.length > 0 && (
+              <DetailSection title="Payments">
+                {details.payments.map(payment => (
+                  <DetailField key={payment._id} label={formatDate(payment.createdAt)}>
+                    {formatRupees(payment.amount)} · <StatusBadge status={payment.status} />
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            {serviceRequest.statusHistory?.length > 0 && (
+              <DetailSection title="History">
+                {serviceRequest.statusHistory.map(change => (
+                  <DetailField key={change._id || change.at} label={formatDate(change.at)}>
+                    <span className="capitalize">{formatStatus(change.to)}</span>
+                    {' '}by {change.by?.name || change.actor}
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+          </>
+        )}
+      </DetailDrawer>
+    </Layout>
+  );
+};
+
+export default ServiceRequests;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Layout from '../components/layout/Layout';
+import AdminTable from '../components/shared/AdminTable';
+import FilterSelect from '../components/shared/FilterSelect';
+import StatusBadge from '../components/shared/StatusBadge';
+import { DetailDrawer, DetailSection, DetailField } from '../components/shared/DetailDrawer';
+import { Input } from '@/features/customer/components/ui/input';
+import { Button } from '@/features/customer/components/ui/button';
+import { Textarea } from '@/features/customer/components/ui/textarea';
+import { useAdminList } from '../hooks/use-admin-list';
+import { useAdminRequest } from '../hooks/use-admin-request';
+import { formatDate, formatStatus, toOptions } from '../lib/format';
+
+const roleOptions = toOptions(['customer', 'provider', 'admin']);
+const accountOptions = [{ value: 'false', label: 'Active' }, { value: 'true', label: 'Suspended' }];
+
+const columns = [
+  { header: 'Name', render: (user) => user.name },
+  { header: 'Email', render: (user) => user.email },
+  { header: 'Phone', render: (user) => user.phone_number },
+  { header: 'Role', render: (user) => <span className="capitalize">{user.role}</span> },
+  { header: 'Email verified', render: (user) => (user.emailVerified ? 'Yes' : 'No') },
+  { header: 'Account', render: (user) => <StatusBadge status={user.suspended ? 'suspended' : 'active'} /> },
+];
+
+const Users = () => {
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ q: '', role: '', suspended: '' });
+  const { items, total, page, setPage, loading, reload } = useAdminList('users', 'users', filters);
+  const { request, busy } = useAdminRequest();
+  const [selectedId, setSelectedId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const updateFilter = (field, value) => {
+    setFilters(current => ({ ...current, [field]: value }));
+    setPage(1);
+  };
+
+  const openUser = async (user) => {
+    setSelectedId(user._id);
+    setDetails(null);
+    setReason('');
+    const body = await request('get', `users/${user._id}`, undefined, 'Could not load this user. Please try again.');
+    if (body) setDetails(body.data);
+    else setSelectedId(null);
+  };
+
+  const closeUser = () => {
+    setSelectedId(null);
+    setDetails(null);
+  };
+
+  const handleSuspend = async () => {
+    const body = await request('patch', `users/${selectedId}/suspend`, { reason }, 'Could not suspend this user. Please try again.');
+    if (body) {
+      setDetails(current => ({ ...current, user: { ...current.user, ...body.data.user } }));
+      setReason('');
+      reload();
+    }
+  };
+
+  const handleReinstate = async () => {
+    const body = await request('patch', `users/${selectedId}/reinstate`, {}, 'Could not reinstate this user. Please try again.');
+    if (body) {
+      setDetails(current => ({ ...current, user: { ...current.user, ...body.data.user } }));
+      reload();
+    }
+  };
+
+  const user = details?.user;
+
+  return (
+    <Layout
+      title="Users"
+      filters={(
+        <>
+          <form
+            onSubmit={(e) => { e.preventDefault(); updateFilter('q', search.trim()); }}
+            className="flex gap-2"
+          >
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Name, email or phone"
+              className="w-56 bg-white"
+            />
+            <Button type="submit" variant="outline">Search</Button>
+          </form>
+          <FilterSelect label="Role" value={filters.role} options={roleOptions} onChange={(value) => updateFilter('role', value)} />
+          <FilterSelect label="Account" value={filters.suspended} options={accountOptions} onChange={(value) => updateFilter('suspended', value)} />
+        </>
+      )}
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        loading={loading}
+        onRowClick={openUser}
+        page={page}
+        total={total}
+        onPageChange={setPage}
+        emptyMessage="No users match these filters."
+      />
+
+      <DetailDrawer
+        open={selectedId !== null}
+        onClose={closeUser}
+        title={user?.name || 'User'}
+        description={user && `${user.email} · ${user.role}`}
+        loading={!details}
+        actions={user && user.role !== 'admin' && (
+          <>
+            <Button variant="outline" onClick={() => navigate(`/admin/requests?${user.role}=${user._id}`)}>
+              Bookings
+            </Button>
+            {user.suspended ? (
+              <Button onClick={handleReinstate} disabled={busy}>Reinstate</Button>
+            ) : (
+              <Button variant="destructive" onClick={handleSuspend} disabled={busy || !reason.trim()}>Suspend</Button>
+            )}
+          </>
+        )}
+      >
+        {user && (
+          <>
+            <DetailSection title="Account">
+              <DetailField label="Phone">{user.phone_number}</DetailField>
+              <DetailField label="Email verified">{user.emailVerified ? formatDate(user.emailVerifiedAt) : 'No'}</DetailField>
+              <DetailField label="Phone verified">{user.phoneVerified ? formatDate(user.phoneVerifiedAt) : 'No'}</DetailField>
+              <DetailField label="Two-factor">{user.twoFactor?.enabled ? 'On' : 'Off'}</DetailField>
+              {user.role === 'provider' && <DetailField label="Service">{user.service}</DetailField>}
+              <DetailField label="Bookings">{details.requestCount}</DetailField>
+            </DetailSection>
+
+            {user.suspension?.suspendedAt && (
+              <DetailSection title={user.suspended ? 'Suspended' : 'Last suspension'}>
+                <DetailField label="Reason">{user.suspension.reason}</DetailField>
+                <DetailField label="Since">{formatDate(user.suspension.suspendedAt)}</DetailField>
+                {!user.suspended && <DetailField label="Reinstated">{formatDate(user.suspension.reinstatedAt)}</DetailField>}
+              </DetailSection>
+            )}
+
+            {details.bankDetails && (
+              <DetailSection title="Bank details">
+                <DetailField label="Account holder">{details.bankDetails.account_holder}</DetailField>
+                <DetailField label="IFSC">{details.bankDetails.ifsc}</DetailField>
+                <DetailField label="Status"><StatusBadge status={details.bankDetails.verification_status} /></DetailField>
+              </DetailSection>
+            )}
+
+            {details.recentRequests.length > 0 && (
+              <DetailSection title="Recent bookings">
+                {details.recentRequests.map(serviceRequest => (
+                  <DetailField key={serviceRequest._id} label={serviceRequest.serviceNameSnapshot}>
+                    <StatusBadge status={serviceRequest.status} />
+                  </DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            {details.auditLogs.length > 0 && (
+              <DetailSection title="Security history">
+                {details.auditLogs.map(entry => (
+                  <DetailField key={entry._id} label={formatStatus(entry.action)}>{formatDate(entry.createdAt)}</DetailField>
+                ))}
+              </DetailSection>
+            )}
+
+            {user.role !== 'admin' && !user.suspended && (
+              <div>
+                <label htmlFor="suspend-reason" className="block text-sm font-medium text-gray-700 mb-1">
+                  Reason for suspending
+                </label>
+                <Textarea
+                  id="suspend-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Shown in the audit log"
+                />
+              </div>
+            )}
+          </>
+        )}
+      </DetailDrawer>
+    </Layout>
+  );
+};
+
+export default Users;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import Layout from '../components/layout/Layout';
+import AdminTable from '../components/shared/AdminTable';
+import FilterSelect from '../components/shared/FilterSelect';
+import StatusBadge from '../components/shared/StatusBadge';
+import { DetailDrawer, DetailSection, DetailField } from '../components/shared/DetailDrawer';
+import { Button } from '@/features/customer/components/ui/button';
+import { Textarea } from '@/features/customer/components/ui/textarea';
+import { useAdminList } from '../hooks/use-admin-list';
+import { useAdminRequest } from '../hooks/use-admin-request';
+import { formatDate, toOptions } from '../lib/format';
+
+const statusOptions = toOptions(['pending', 'verified', 'failed']);
+
+const columns = [
+  { header: 'Provider', render: (bankDetails) => bankDetails.provider?.name },
+  { header: 'Email', render: (bankDetails) => bankDetails.provider?.email },
+  { header: 'Service', render: (bankDetails) => bankDetails.provider?.service },
+  { header: 'Account holder', render: (bankDetails) => bankDetails.account_holder },
+  { header: 'Submitted', render: (bankDetails) => formatDate(bankDetails.createdAt) },
+  { header: 'Status', render: (bankDetails) => <StatusBadge status={bankDetails.verification_status} /> },
+];
+
+// Providers whose bank details are waiting to be checked before payouts can go to them
+const Verification = () => {
+  const [status, setStatus] = useState('pending');
+  const { items, total, page, setPage, loading, reload } = useAdminList('bank-details', 'bankDetails', { status });
+  const { request, busy } = useAdminRequest();
+  const [selected, setSelected] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const openBankDetails = (bankDetails) => {
+    setSelected(bankDetails);
+    setReason('');
+  };
+
+  const handleReview = async (verificationStatus) => {
+    const body = await request(
+      'patch',
+      `bank-details/${selected._id}`,
+      { verification_status: verificationStatus, reason: reason.trim() || undefined },
+      'Could not save the review. Please try again.'
+    );
+    if (body) {
+      setSelected(null);
+      reload();
+    }
+  };
+
+  const provider = selected?.provider;
+
+  return (
+    <Layout
+      title="Provider verification"
+      filters={(
+        <FilterSelect
+          label="Status"
+          value={status}
+          options={statusOptions}
+          allowAny={false}
+          onChange={(value) => { setStatus(value); setPage(1); }}
+        />
+      )}
+    >
+      <AdminTable
+        columns={columns}
+        rows={items}
+        loading={loading}
+        onRowClick={openBankDetails}
+        page={page}
+        total={total}
+        onPageChange={setPage}
+        emptyMessage="No providers are waiting to be verified."
+      />
+
+      <DetailDrawer
+        open={selected !== null}
+        onClose={() => setSelected(null)}
+        title={provider?.name || 'Provider'}
+        description="Check the account belongs to this provider before verifying it."
+        actions={selected && selected.verification_status === 'pending' && (
+          <>
+            <Button variant="destructive" onClick={() => handleReview('failed')} disabled={busy || !reason.trim()}>Reject</Button>
+            <Button onClick={() => handleReview('verified')} disabled={busy}>Verify</Button>
+          </>
+        )}
+      >
+        {selected && (
+          <>
+            <DetailSection title="Provider">
+              <DetailField label="Email">{provider?.email}</DetailField>
+              <DetailField label="Phone">{provider?.phone_number}</DetailField>
+              <DetailField label="Service">{provider?.service}</DetailField>
+              <DetailField label="Email verified">{provider?.emailVerified ? 'Yes' : 'No'}</DetailField>
+              <DetailField label="Account">{provider?.suspended ? 'Suspended' : 'Active'}</DetailField>
+            </DetailSection>
+
+            <DetailSection title="Bank account">
+              <DetailField label="Account holder">{selected.account_holder}</DetailField>
+              <DetailField label="Account number">{selected.account_number}</DetailField>
+              <DetailField label="IFSC">{selected.ifsc}</DetailField>
+              <DetailField label="Submitted">{formatDate(selected.createdAt)}</DetailField>
+              <DetailField label="Status"><StatusBadge status={selected.verification_status} /></DetailField>
+            </DetailSection>
+
+            {selected.verification_status === 'pending' && (
+              <div>
+                <label htmlFor="review-reason" className="block text-sm font-medium text-gray-700 mb-1">
+                  Note (required to reject)
+                </label>
+                <Textarea
+                  id="review-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="e.g. Account holder name doesn't match"
+                />
+              </div>
+            )}
+          </>
+        )}
+      </DetailDrawer>
+    </Layout>
+  );
+};
+
+export default Verification;
@@ -18,6 +18,7 @@ const Navbar = () => {
     { name: 'Home', to: `${customerBasePath}/` },
     { name: 'Services', to: `${customerBasePath}/services` },
     { name: 'Orders', to: `${customerBasePath}/orders` },
+    { name: 'Wallet', to: `${customerBasePath}/wallet` },
     { name: 'Reviews & Feedback', to: `${customerBasePath}/feedback` },
   ];
   
@@ -17,7 +17,7 @@ interface Order {
     email?: string;
   };
   time_slot: string; // ISO Date string
-  status: 'pending' | 'accepted' | 'rejected' | 'completed' | 'in-progress' | 'PaymentCompleted'; // Added PaymentCompleted
+  status: 'pending' | 'accepted' | 'rejected' | 'completed' | 'in-progress' | 'PaymentCompleted' | 'cancelled'; // Added PaymentCompleted
   createdAt: string; // ISO Date string
   serviceNameSnapshot?: string; // Optional: if used from backend
   servicePriceSnapshot?: number; // Optional: if used from backend
@@ -73,6 +73,7 @@ const OrderCard: React.FC<OrderCardProps> = ({ order, onViewDetails, onUpdateSta
       case 'completed': return 'Service Completed'; // Clarified: service done, payment pending
       case 'PaymentCompleted': return 'Payment Completed'; // New status
       case 'rejected': return 'Rejected by Provider';
+      case 'cancelled': return 'Cancelled';
       default:
         const statusVal: any = order.status; 
         return typeof statusVal === 'string' ? statusVal.charAt(0).toUpperCase() + statusVal.slice(1) : 'Unknown Status';
@@ -87,6 +88,7 @@ const OrderCard: React.FC<OrderCardProps> = ({ order, onViewDetails, onUpdateSta
       case 'completed': return 'bg-yellow-100 text-yellow-800'; // Changed color to indicate pending payment
       case 'PaymentCompleted': return 'bg-green-100 text-green-800'; // Color for payment completed
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'cancelled': return 'bg-gray-200 text-gray-700';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -223,6 +225,11 @@ const OrderCard: React.FC<OrderCardProps> = ({ order, onViewDetails, onUpdateSta
               Request rejected by provider.
             </div>
           )}
+          {(order.status === 'cancelled') && (
+            <div className="text-sm text-gray-600 font-medium">
+              You cancelled this request.
+            </div>
+          )}
           <div className="ml-auto"> {/* Pushes button to the right */}
             {renderActionButtons()}
           </div>
@@ -18,11 +18,17 @@ interface Order {
     email?: string;
   };
   time_slot: string; // ISO Date string
-  status: 'pending' | 'accepted' | 'rejected' | 'completed' | 'in-progress' | 'PaymentCompleted'; // Match backend enum
+  status: 'pending' | 'accepted' | 'rejected' | 'completed' | 'in-progress' | 'PaymentCompleted' | 'cancelled'; // Match backend enum
   createdAt: string; // ISO Date string
   serviceNameSnapshot?: string;
   servicePriceSnapshot?: number;
   customerAddress?: string;
+  cancellation?: {
+    reason?: string;
+    cancelledAt?: string; // ISO Date string
+    fee?: number;
+    feePaid?: boolean;
+  };
   // Add other potential fields from your ServiceRequest model that you might use
 }
 
@@ -30,6 +36,7 @@ interface OrderDetailsProps {
   order: Order;
   onClose: () => void;
   onPaymentSuccess: (orderId: string) => void;
+  onOrderUpdated?: (order: Order) => void;
 }
 
 declare const OrderDetails: React.FC<OrderDetailsProps>;
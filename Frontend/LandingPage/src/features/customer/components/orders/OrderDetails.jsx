@@ -6,8 +6,16 @@ import {
   CreditCard, File, MessageSquare, IndianRupee, Tag, DollarSign 
 } from 'lucide-react';
 
-const OrderDetails = ({ order, onClose, onPaymentSuccess }) => { // Added onPaymentSuccess prop
-  const [customerNote, setCustomerNote] = useState('');
+const OrderDetails = ({ order, onClose, onPaymentSuccess, onOrderUpdated }) => { // Added onPaymentSuccess prop
+  const [activeAction, setActiveAction] = useState(null); // 'cancel' | 'reschedule' | null
+  const [cancelReason, setCancelReason] = useState('');
+  const [newTimeSlot, setNewTimeSlot] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [tipAmount, setTipAmount] = useState('');
+  const [counterAmount, setCounterAmount] = useState('');
+  const [counterNote, setCounterNote] = useState('');
+  const [walletAvailable, setWalletAvailable] = useState(0); // Paise
+  const [useWallet, setUseWallet] = useState(false);
   const { user } = useUser(); // Get user from context
 
   // Effect to load Razorpay script
@@ -21,8 +29,35 @@ const OrderDetails = ({ order, onClose, onPaymentSuccess }) => { // Added onPaym
     };
   }, []);
 
+  // Wallet balance the customer can put towards a payment
+  useEffect(() => {
+    if (!user?.accessToken) return;
+    axios.get(
+      `${import.meta.env.VITE_API_BASE_URL}/customer/wallet`,
+      { headers: { Authorization: `Bearer ${user.accessToken}` }, params: { limit: 1 } }
+    )
+      .then(response => setWalletAvailable(response.data.data.available))
+      .catch(error => console.error('Error fetching wallet balance:', error));
+  }, [user]);
+
   if (!order) return null;
 
+  // The service bill carries any coupon discount and deposit; until it exists, work them out from the order
+  const subtotal = order.bill?.subtotal ?? order.quote?.total ?? order.servicePriceSnapshot ?? order.service?.price ?? 0;
+  const discount = order.bill ? (order.bill.discount ?? 0) : (order.coupon?.discount ?? 0);
+  const couponCode = order.bill?.coupon_code ?? order.coupon?.code;
+  const depositSettled = ['paid', 'partially_refunded'].includes(order.deposit?.status);
+  const depositPaid = order.bill ? (order.bill.deposit_paid ?? 0) : (depositSettled ? order.deposit.amount : 0);
+  const depositDue = order.status === 'accepted' && order.deposit?.status === 'unpaid';
+  const totalAmount = order.bill?.amount ?? subtotal - discount - depositPaid;
+  // Itemised bills: the lines, the provider's discount on them and the GST worked out by the server
+  const lineItems = order.bill?.line_items ?? [];
+  const itemsDiscount = order.bill?.items_discount ?? 0;
+  const tax = order.bill?.tax ?? 0;
+  const feeDue = order.status === 'cancelled' && (order.cancellation?.fee ?? 0) > 0 && !order.cancellation.feePaid;
+  const quoteToAnswer = order.status === 'pending' && order.latestQuote?.status === 'sent' ? order.latestQuote : null;
+  const quoteItemLabels = { labour: 'Labour', materials: 'Materials', visit_charge: 'Visit charge' };
+
   const formatDate = (dateString) => {
     const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
     return new Date(dateString).toLocaleDateString(undefined, options);
@@ -61,6 +96,259 @@ const OrderDetails = ({ order, onClose, onPaymentSuccess }) => { // Added onPaym
     );
   };
 
+  const startPayment = async (description, billId) => {
+    if (!user || !user.accessToken) {
+      alert('Please log in to make a payment.');
+      return;
+    }
+    console.log('Starting payment for order ID:', order._id);
+
+    try {
+      // Step 1: Create Razorpay Order by calling backend (it prices the order from the bill,
+      // less whatever the wallet covers)
+      const orderCreationResponse = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/payment/order`,
+        { ...(billId ? { billId } : { serviceRequestId: order._id }), useWallet },
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+
+      const razorpayOrder = orderCreationResponse.data;
+      if (razorpayOrder?.paid) {
+        alert(`Paid ₹${razorpayOrder.wallet_amount.toFixed(2)} from your wallet.`);
+        if (onPaymentSuccess) onPaymentSuccess(order._id);
+        onClose();
+        return;
+      }
+      if (!razorpayOrder || !razorpayOrder.order_id) {
+        alert('Could not create Razorpay order. Please try again.');
+        return;
+      }
+
+      // Step 3 (after checkout): verify the payment with the backend
+      const verifyPayment = async (response) => {
+        try {
+          const verificationResponse = await axios.post(
+            `${import.meta.env.VITE_API_BASE_URL}/payment/payment/${order._id}`,
+            {
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature,
+            },
+            { headers: { Authorization: `Bearer ${user.accessToken}` } }
+          );
+
+          if (verificationResponse.data.status === 'success') {
+            alert('Payment successful! ' + verificationResponse.data.message);
+            if (onPaymentSuccess) onPaymentSuccess(order._id);
+            onClose();
+          } else {
+            alert(verificationResponse.data.message || 'Payment verification returned an issue.');
+          }
+        } catch (verifyError) {
+          console.error('Payment verification error:', verifyError);
+          let errMsg = 'Payment verification failed.';
+          if (axios.isAxiosError(verifyError) && verifyError.response?.data?.message) {
+            errMsg = verifyError.response.data.message;
+            if (errMsg.includes('Bill already paid')) {
+              alert('This bill has already been paid. Refreshing order status.');
+              if (onPaymentSuccess) onPaymentSuccess(order._id);
+              onClose();
+              return;
+            }
+          }
+          alert(errMsg);
+        }
+      };
+
+      // Offline development: the backend's mock gateway stands in for Razorpay Checkout
+      if (razorpayOrder.gateway === 'mock') {
+        const mockResponse = await axios.post(
+          `${import.meta.env.VITE_API_BASE_URL}/payment/mock/checkout`,
+          { order_id: razorpayOrder.order_id },
+          { headers: { Authorization: `Bearer ${user.accessToken}` } }
+        );
+        await verifyPayment(mockResponse.data);
+        return;
+      }
+
+      // Ensure Razorpay script is loaded
+      if (typeof window.Razorpay === 'undefined') {
+        alert('Razorpay script not loaded. Please try again in a moment.');
+        console.error('Razorpay script not loaded.');
+        return;
+      }
+
+      // Step 2: Open Razorpay Checkout
+      const options = {
+        key: razorpayOrder.key_id || import.meta.env.VITE_RAZORPAY_KEY_ID,
+        amount: razorpayOrder.amount, 
+        currency: razorpayOrder.currency,
+        name: 'ThrivePro Payment',
+        description,
+        order_id: razorpayOrder.order_id,
+        handler: verifyPayment,
+        prefill: {
+          name: user.name || '',
+          email: user.email || '',
+          contact: user.phone_number || '',
+        },
+        notes: {
+          address: order.customerAddress || 'N/A',
+          internal_order_id: order._id,
+        },
+        theme: {
+          color: '#3399cc',
+        },
+      };
+      
+      const rzp = new window.Razorpay(options);
+      rzp.on('payment.failed', function (response) {
+        alert(`Payment failed: ${response.error.description} (Code: ${response.error.code})`);
+        console.error('Razorpay payment failed:', response.error);
+      });
+      rzp.open();
+
+    } catch (error) {
+      console.error('Error initiating payment process:', error);
+      let errorMessage = 'Could not initiate payment. Please try again.';
+       if (axios.isAxiosError(error) && error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      }
+      alert(errorMessage);
+    }
+  };
+
+  const handleTip = async () => {
+    const amount = parseFloat(tipAmount);
+    if (!amount || amount <= 0) {
+      alert('Please choose a tip amount.');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${order._id}/tip`,
+        { amount },
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      await startPayment(`Tip for Order #${order._id}`, response.data.data.bill._id);
+    } catch (error) {
+      console.error('Error adding tip:', error);
+      alert(error.response?.data?.message || 'Could not add the tip. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Accept, counter or decline the provider's quote
+  const respondToQuote = async (action, body = {}) => {
+    setSubmitting(true);
+    try {
+      const response = await axios.patch(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${order._id}/quotes/${quoteToAnswer._id}/${action}`,
+        body,
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      alert(response.data.message);
+      setActiveAction(null);
+      if (onOrderUpdated) onOrderUpdated(response.data.data.serviceRequest || order);
+    } catch (error) {
+      console.error(`Error sending quote ${action}:`, error);
+      alert(error.response?.data?.message || 'Could not respond to the quote. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCounter = () => {
+    const amount = parseFloat(counterAmount);
+    if (!amount || amount <= 0) {
+      alert('Please enter the amount you would like to pay.');
+      return;
+    }
+    respondToQuote('counter', { amount, note: counterNote });
+  };
+
+  const handleCancel = async () => {
+    if (!cancelReason.trim()) {
+      alert('Please tell us why you are cancelling.');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await axios.patch(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${order._id}/cancel`,
+        { reason: cancelReason },
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      alert(response.data.message);
+      setActiveAction(null);
+      if (onOrderUpdated) onOrderUpdated(response.data.data.serviceRequest);
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      alert(error.response?.data?.message || 'Could not cancel the order. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReschedule = async () => {
+    if (!newTimeSlot) {
+      alert('Please pick a new date and time.');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await axios.patch(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${order._id}/reschedule`,
+        { time_slot: new Date(newTimeSlot).toISOString() },
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      alert(response.data.message);
+      setActiveAction(null);
+      if (onOrderUpdated) onOrderUpdated(response.data.data.serviceRequest);
+    } catch (error) {
+      console.error('Error rescheduling order:', error);
+      alert(error.response?.data?.message || 'Could not reschedule the order. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownloadInvoice = async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${order._id}/invoice`,
+        { headers: { Authorization: `Bearer ${user.accessToken}` }, responseType: 'blob' }
+      );
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = disposition.match(/filename="(.+)"/)?.[1] || `invoice-${order._id}.pdf`;
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      // With responseType 'blob' the error body is a blob as well
+      let message = 'Could not download the invoice. Please try again.';
+      if (error.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).message || message;
+        } catch {
+          // not a JSON error body
+        }
+      }
+      alert(message);
+    }
+  };
+
+  const canModify = order.status === 'pending' || order.status === 'accepted';
+  const hasInvoice = order.status === 'PaymentCompleted' || Boolean(order.cancellation?.feePaid);
+
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex justify-center items-center">
       <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
@@ -82,9 +370,15 @@ const OrderDetails = ({ order, onClose, onPaymentSuccess }) => { // Added onPaym
             </div>
             <div>
               <p className="text-sm text-gray-500">Total Amount</p>
-              <p className="text-2xl font-bold text-gray-900">₹{(order.servicePriceSnapshot ?? order.service?.price ?? 0).toFixed(2)}</p>
+              <p className="text-2xl font-bold text-gray-900">₹{totalAmount.toFixed(2)}</p>
             </div>
           </div>
+
+          {depositDue && (
+            <div className="mb-4 p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+              Your provider needs a deposit of ₹{order.deposit.amount.toFixed(2)} before starting the job. The rest is billed on completion.
+            </div>
+          )}
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-8">
             <div className="space-y-4">
@@ -174,77 +468,285 @@ const OrderDetails = ({ order, onClose, onPaymentSuccess }) => { // Added onPaym
               <h3 className="text-lg font-medium text-gray-900 border-b pb-2 mb-4">Bill Generation</h3>
               
               <div className="space-y-3 bg-gray-50 p-4 rounded-md">
-                {/* Simplified bill item based on service, as order.items is not in Order interface */}
-                {order.service && (
+                {lineItems.length > 0 ? lineItems.map((item, index) => (
+                  <div key={index} className="flex justify-between">
+                    <div>
+                      <p className="text-gray-900">{item.description}</p>
+                      <p className="text-sm text-gray-500">{item.quantity} × ₹{item.unit_price.toFixed(2)}</p>
+                    </div>
+                    <p className="font-medium text-gray-900">₹{item.amount.toFixed(2)}</p>
+                  </div>
+                )) : order.service && (
                   <div className="flex justify-between">
                     <div>
                       <p className="text-gray-900">{order.serviceNameSnapshot || order.service.name}</p>
                       <p className="text-sm text-gray-500">{order.service.description || 'Main service'}</p>
                     </div>
-                    <p className="font-medium text-gray-900">₹{(order.servicePriceSnapshot ?? order.service.price ?? 0).toFixed(2)}</p>
+                    <p className="font-medium text-gray-900">₹{subtotal.toFixed(2)}</p>
                   </div>
                 )}
-                {/* If order.items existed and was an array:
-                {order.items && order.items.map((item, index) => (
-                  <div key={index} className="flex justify-between">
-                    <div>
-                      <p className="text-gray-900">{item.name}</p>
-                      <p className="text-sm text-gray-500">{item.description}</p>
-                    </div>
-                    <p className="font-medium text-gray-900">₹{(item.price ?? 0).toFixed(2)}</p>
-                  </div>
-                ))}
-                */}
               </div>
 
               <div className="border-t border-gray-200 mt-4 pt-4 space-y-2">
                 <div className="flex justify-between">
                   <p className="text-gray-500">Subtotal</p>
-                  <p className="text-gray-900">₹{((order.servicePriceSnapshot ?? order.service?.price ?? 0) - (order.tax ?? 0)).toFixed(2)}</p>
+                  <p className="text-gray-900">₹{(subtotal + itemsDiscount).toFixed(2)}</p>
                 </div>
-                {(order.tax ?? 0) > 0 && (
+                {itemsDiscount > 0 && (
                   <div className="flex justify-between">
-                    <p className="text-gray-500">Tax</p>
-                    <p className="text-gray-900">₹{(order.tax ?? 0).toFixed(2)}</p>
+                    <p className="text-gray-500">Provider discount</p>
+                    <p className="text-green-700">-₹{itemsDiscount.toFixed(2)}</p>
+                  </div>
+                )}
+                {discount > 0 && (
+                  <div className="flex justify-between">
+                    <p className="text-gray-500">Discount{couponCode ? ` (${couponCode})` : ''}</p>
+                    <p className="text-green-700">-₹{discount.toFixed(2)}</p>
+                  </div>
+                )}
+                {depositPaid > 0 && (
+                  <div className="flex justify-between">
+                    <p className="text-gray-500">Deposit paid</p>
+                    <p className="text-gray-900">-₹{depositPaid.toFixed(2)}</p>
+                  </div>
+                )}
+                {tax > 0 && (
+                  <div className="flex justify-between">
+                    <p className="text-gray-500">GST ({order.bill.tax_rate}%{order.bill.tax_inclusive ? ', included' : ''})</p>
+                    <p className="text-gray-900">{order.bill.tax_inclusive ? '' : '+'}₹{tax.toFixed(2)}</p>
                   </div>
                 )}
                 <div className="flex justify-between font-bold">
                   <p className="text-gray-900">Total</p>
-                  <p className="text-gray-900">₹{(order.servicePriceSnapshot ?? order.service?.price ?? 0).toFixed(2)}</p>
+                  <p className="text-gray-900">₹{totalAmount.toFixed(2)}</p>
                 </div>
               </div>
             </div>
           )}
 
+          {['completed', 'PaymentCompleted'].includes(order.status) && (
+            <div className="mt-8">
+              <h3 className="text-lg font-medium text-gray-900 border-b pb-2 mb-4">Tip your provider</h3>
+              {order.tip?.status === 'paid' ? (
+                <p className="text-gray-700">You tipped ₹{order.tip.amount.toFixed(2)}. Thank you!</p>
+              ) : (
+                <div className="bg-gray-50 p-4 rounded-md">
+                  <p className="text-sm text-gray-500 mb-3">Tips are optional, charged separately and go to your provider in full.</p>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {[50, 100, 200].map((preset) => (
+                      <button
+                        key={preset}
+                        type="button"
+                        onClick={() => setTipAmount(String(preset))}
+                        className={`px-3 py-1 text-sm rounded-md border ${tipAmount === String(preset) ? 'border-green-600 bg-green-50 text-green-700' : 'border-gray-300 bg-white text-gray-700'}`}
+                      >
+                        ₹{preset}
+                      </button>
+                    ))}
+                    <input
+                      type="number"
+                      min="1"
+                      className="w-28 p-1 border border-gray-300 rounded-md text-sm"
+                      value={tipAmount}
+                      onChange={(e) => setTipAmount(e.target.value)}
+                      placeholder="Other"
+                    />
+                    <button
+                      onClick={handleTip}
+                      disabled={submitting || !tipAmount}
+                      className="ml-auto px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-50"
+                    >
+                      {submitting ? 'Processing...' : 'Send Tip'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           {order.status === 'cancelled' && (
             <div className="mt-8">
               <h3 className="text-lg font-medium text-gray-900 border-b pb-2 mb-4">Reasons behind cancellation</h3>
+              <div className="bg-gray-50 p-4 rounded-md space-y-2">
+                <div className="flex items-start">
+                  <MessageSquare className="h-5 w-5 text-gray-400 mr-3 mt-1" />
+                  <p className="text-gray-900">{order.cancellation?.reason || 'No reason provided'}</p>
+                </div>
+                {order.cancellation?.cancelledAt && (
+                  <p className="text-sm text-gray-500">Cancelled on {formatDate(order.cancellation.cancelledAt)}</p>
+                )}
+                {(order.cancellation?.fee ?? 0) > 0 && (
+                  <div className="flex justify-between border-t border-gray-200 pt-2">
+                    <p className="text-gray-500">Cancellation Fee{order.cancellation.feePaid ? ' (paid)' : ''}</p>
+                    <p className="font-medium text-gray-900">₹{order.cancellation.fee.toFixed(2)}</p>
+                  </div>
+                )}
+                {(order.cancellation?.depositKept ?? 0) > 0 && (
+                  <div className="flex justify-between">
+                    <p className="text-gray-500">Kept from your deposit</p>
+                    <p className="font-medium text-gray-900">₹{order.cancellation.depositKept.toFixed(2)}</p>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {quoteToAnswer && (
+            <div className="mt-8">
+              <h3 className="text-lg font-medium text-gray-900 border-b pb-2 mb-4">Quote from your provider</h3>
+              <div className="bg-gray-50 p-4 rounded-md space-y-2">
+                {quoteToAnswer.items.map((item, index) => (
+                  <div key={index} className="flex justify-between text-sm">
+                    <p className="text-gray-700">
+                      {quoteItemLabels[item.kind] || item.kind}{item.description ? ` – ${item.description}` : ''}
+                      {item.quantity !== 1 ? ` (${item.quantity} × ₹${item.unit_price.toFixed(2)})` : ''}
+                    </p>
+                    <p className="text-gray-900">₹{item.amount.toFixed(2)}</p>
+                  </div>
+                ))}
+                <div className="flex justify-between font-medium border-t border-gray-200 pt-2">
+                  <p className="text-gray-900">Quoted total</p>
+                  <p className="text-gray-900">₹{quoteToAnswer.total.toFixed(2)}</p>
+                </div>
+                {quoteToAnswer.note && <p className="text-sm text-gray-500">{quoteToAnswer.note}</p>}
+
+                {activeAction === 'counter' ? (
+                  <div className="pt-2 space-y-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={counterAmount}
+                      onChange={(e) => setCounterAmount(e.target.value)}
+                      placeholder="Your offer (₹)"
+                      className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={counterNote}
+                      onChange={(e) => setCounterNote(e.target.value)}
+                      placeholder="Message for the provider (optional)"
+                      className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                    />
+                    <div className="text-right space-x-2">
+                      <button
+                        onClick={() => setActiveAction(null)}
+                        className="px-4 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        Back
+                      </button>
+                      <button
+                        onClick={handleCounter}
+                        disabled={submitting}
+                        className="px-4 py-2 bg-primary text-white text-sm rounded-md hover:bg-primary/90 disabled:opacity-50"
+                      >
+                        {submitting ? 'Sending...' : 'Send Counter-offer'}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="pt-2 text-right space-x-2">
+                    <button
+                      onClick={() => respondToQuote('decline')}
+                      disabled={submitting}
+                      className="px-4 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Decline
+                    </button>
+                    <button
+                      onClick={() => setActiveAction('counter')}
+                      disabled={submitting}
+                      className="px-4 py-2 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Counter
+                    </button>
+                    <button
+                      onClick={() => respondToQuote('accept')}
+                      disabled={submitting}
+                      className="px-4 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Accept Quote
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {order.status === 'pending' && order.latestQuote?.status === 'countered' && (
+            <p className="mt-8 text-sm text-gray-600">
+              You offered ₹{order.latestQuote.counter_offer.amount.toFixed(2)}. Waiting for the provider to respond.
+            </p>
+          )}
+
+          {canModify && activeAction === 'cancel' && (
+            <div className="mt-8">
+              <h3 className="text-lg font-medium text-gray-900 border-b pb-2 mb-4">Cancel this order</h3>
               <div className="bg-gray-50 p-4 rounded-md">
                 <div className="flex items-start mb-2">
                   <MessageSquare className="h-5 w-5 text-gray-400 mr-3 mt-1" />
                   <textarea
                     className="w-full p-2 border border-gray-300 rounded-md resize-none text-sm"
                     rows="4"
-                    value={customerNote}
-                    onChange={(e) => setCustomerNote(e.target.value)}
-                    placeholder="Mention if we have to update anything about our services or reason behind your cancellation"
+                    value={cancelReason}
+                    onChange={(e) => setCancelReason(e.target.value)}
+                    placeholder="Tell us the reason behind your cancellation"
                   />
                 </div>
+                {order.status === 'accepted' && (
+                  <p className="text-xs text-gray-500 mb-2">A cancellation fee may apply when an accepted booking is cancelled close to its time slot.</p>
+                )}
                 <div className="text-right">
                   <button
-                    onClick={() => {
-                      console.log('Message sent:', customerNote);
-                      setCustomerNote('');
-                    }}
-                    className="px-4 py-2 bg-primary text-white text-sm rounded-md hover:bg-primary/90"
+                    onClick={handleCancel}
+                    disabled={submitting}
+                    className="px-4 py-2 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 disabled:opacity-50"
                   >
-                    Send Message
+                    {submitting ? 'Cancelling...' : 'Confirm Cancellation'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {canModify && activeAction === 'reschedule' && (
+            <div className="mt-8">
+              <h3 className="text-lg font-medium text-gray-900 border-b pb-2 mb-4">Reschedule this order</h3>
+              <div className="bg-gray-50 p-4 rounded-md">
+                <div className="flex items-center mb-2">
+                  <Calendar className="h-5 w-5 text-gray-400 mr-3" />
+                  <input
+                    type="datetime-local"
+                    className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                    value={newTimeSlot}
+                    onChange={(e) => setNewTimeSlot(e.target.value)}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mb-2">The provider will need to confirm the new time.</p>
+                <div className="text-right">
+                  <button
+                    onClick={handleReschedule}
+                    disabled={submitting}
+                    className="px-4 py-2 bg-primary text-white text-sm rounded-md hover:bg-primary/90 disabled:opacity-50"
+                  >
+                    {submitting ? 'Rescheduling...' : 'Confirm New Time'}
                   </button>
                 </div>
               </div>
             </div>
           )}
           
+          {walletAvailable > 0 && (depositDue || order.status === 'completed' || feeDue) && (
+            <label className="mt-8 flex items-center justify-end text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={useWallet}
+                onChange={(e) => setUseWallet(e.target.checked)}
+                className="mr-2"
+              />
+              Use wallet balance (₹{(walletAvailable / 100).toFixed(2)} available)
+            </label>
+          )}
+
           <div className="mt-8 flex justify-end space-x-4">
             <button
               onClick={onClose}
@@ -253,128 +755,53 @@ const OrderDetails = ({ order, onClose, onPaymentSuccess }) => { // Added onPaym
               Close
             </button>
 
+            {hasInvoice && (
+              <button
+                onClick={handleDownloadInvoice}
+                className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+              >
+                Download Invoice
+              </button>
+            )}
+
+            {depositDue && (
+              <button
+                onClick={() => startPayment(`Deposit for Order #${order._id}`, order.deposit._id)}
+                className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none"
+              >
+                Pay Deposit
+              </button>
+            )}
+
             {order.status === 'completed' && ( // Assuming 'completed' means service done, pending payment
               <button
-                onClick={async () => {
-                  if (!user || !user.accessToken) {
-                    alert('Please log in to make a payment.');
-                    return;
-                  }
-                  if (!user || !user.accessToken) {
-                    alert('Please log in to make a payment.');
-                    return;
-                  }
-                  // Ensure Razorpay script is loaded
-                  if (typeof window.Razorpay === 'undefined') {
-                    alert('Razorpay script not loaded. Please try again in a moment.');
-                    console.error('Razorpay script not loaded.');
-                    return;
-                  }
-
-                  console.log('Pay Now for completed service, order ID:', order._id);
-                  const orderAmount = (order.servicePriceSnapshot ?? order.service?.price ?? 0) * 100; // Amount in paise
-
-                  try {
-                    // Step 1: Create Razorpay Order by calling backend
-                    const orderCreationResponse = await axios.post(
-                      `${import.meta.env.VITE_API_BASE_URL}/payment/order`,
-                      {
-                        amount: orderAmount, 
-                        currency: 'INR',
-                      },
-                      { headers: { Authorization: `Bearer ${user.accessToken}` } }
-                    );
-
-                    const razorpayOrder = orderCreationResponse.data;
-                    if (!razorpayOrder || !razorpayOrder.order_id) {
-                      alert('Could not create Razorpay order. Please try again.');
-                      return;
-                    }
-
-                    // Step 2: Open Razorpay Checkout
-                    const options = {
-                      key: import.meta.env.VITE_RAZORPAY_KEY_ID || "rzp_test_V3eLJGsq0GMluZ",
-                      amount: razorpayOrder.amount, 
-                      currency: razorpayOrder.currency,
-                      name: 'ThrivePro Payment',
-                      description: `Payment for Order #${order._id}`,
-                      order_id: razorpayOrder.order_id,
-                      handler: async function (response) {
-                        // Step 3: Verify Payment with backend
-                        try {
-                          const verificationResponse = await axios.post(
-                            `${import.meta.env.VITE_API_BASE_URL}/payment/payment/${order._id}`,
-                            {
-                              razorpay_order_id: response.razorpay_order_id,
-                              razorpay_payment_id: response.razorpay_payment_id,
-                              razorpay_signature: response.razorpay_signature,
-                            },
-                            { headers: { Authorization: `Bearer ${user.accessToken}` } }
-                          );
-
-                          if (verificationResponse.data.status === 'success') {
-                            alert('Payment successful! ' + verificationResponse.data.message);
-                            if (onPaymentSuccess) onPaymentSuccess(order._id);
-                            onClose();
-                          } else {
-                            alert(verificationResponse.data.message || 'Payment verification returned an issue.');
-                          }
-                        } catch (verifyError) {
-                          console.error('Payment verification error:', verifyError);
-                          let errMsg = 'Payment verification failed.';
-                          if (axios.isAxiosError(verifyError) && verifyError.response?.data?.message) {
-                            errMsg = verifyError.response.data.message;
-                            if (errMsg.includes('Bill already paid')) {
-                              alert('This bill has already been paid. Refreshing order status.');
-                              if (onPaymentSuccess) onPaymentSuccess(order._id);
-                              onClose();
-                              return;
-                            }
-                          }
-                          alert(errMsg);
-                        }
-                      },
-                      prefill: {
-                        name: user.name || '',
-                        email: user.email || '',
-                        contact: user.phone_number || '',
-                      },
-                      notes: {
-                        address: order.customerAddress || 'N/A',
-                        internal_order_id: order._id,
-                      },
-                      theme: {
-                        color: '#3399cc',
-                      },
-                    };
-                    
-                    const rzp = new window.Razorpay(options);
-                    rzp.on('payment.failed', function (response) {
-                      alert(`Payment failed: ${response.error.description} (Code: ${response.error.code})`);
-                      console.error('Razorpay payment failed:', response.error);
-                    });
-                    rzp.open();
-
-                  } catch (error) {
-                    console.error('Error initiating payment process:', error);
-                    let errorMessage = 'Could not initiate payment. Please try again.';
-                     if (axios.isAxiosError(error) && error.response?.data?.message) {
-                      errorMessage = error.response.data.message;
-                    }
-                    alert(errorMessage);
-                  }
-                }}
+                onClick={() => startPayment(`Payment for Order #${order._id}`)}
                 className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none"
               >
                 Pay Now
               </button>
             )}
 
-            {order.status === 'cancelled' && (
+            {canModify && (
+              <>
+                <button
+                  onClick={() => setActiveAction(activeAction === 'reschedule' ? null : 'reschedule')}
+                  className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+                >
+                  Reschedule
+                </button>
+                <button
+                  onClick={() => setActiveAction(activeAction === 'cancel' ? null : 'cancel')}
+                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none"
+                >
+                  Cancel Order
+                </button>
+              </>
+            )}
+
+            {feeDue && (
               <button
-                onClick={() => {
-                  console.log('Pay Cancellation Fee');
-                }}
+                onClick={() => startPayment(`Cancellation fee for Order #${order._id}`)}
                 className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 focus:outline-none"
               >
                 Pay Reasonable Cancellation Fee Now
@@ -19,6 +19,13 @@ interface Provider {
   // Add other relevant provider details if needed, e.g., averageRating, specificPrice
 }
 
+interface AppliedCoupon {
+  code: string;
+  description?: string;
+  discount: number;
+  total: number;
+}
+
 interface FormData {
   customerName: string;
   phoneNumber: string;
@@ -36,6 +43,10 @@ const BookServicePage: React.FC = () => {
   const [selectedProviderId, setSelectedProviderId] = useState<string | null>(null);
   const [providersLoading, setProvidersLoading] = useState<boolean>(false);
   const [totalCharges, setTotalCharges] = useState<number>(service.price); // Initialize with base service price
+  const [couponCode, setCouponCode] = useState<string>('');
+  const [appliedCoupon, setAppliedCoupon] = useState<AppliedCoupon | null>(null);
+  const [couponError, setCouponError] = useState<string | null>(null);
+  const [couponLoading, setCouponLoading] = useState<boolean>(false);
 
   if (!service) return <div>404 - Service Not Found</div>;
 
@@ -105,6 +116,49 @@ const BookServicePage: React.FC = () => {
     } else {
       setTotalCharges(service.price);
     }
+    // The discount depends on the provider and price, so the code has to be applied again
+    setAppliedCoupon(null);
+    setCouponError(null);
+  };
+
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) {
+      return;
+    }
+    if (!selectedProviderId) {
+      setCouponError('Select a service provider before applying a coupon.');
+      return;
+    }
+
+    setCouponLoading(true);
+    setCouponError(null);
+    try {
+      const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/coupons/validate`, {
+        code: couponCode.trim(),
+        providerId: selectedProviderId,
+        serviceName: service.name,
+      }, {
+        headers: {
+          Authorization: `Bearer ${user?.accessToken}`,
+        },
+      });
+      setAppliedCoupon(response.data.data);
+    } catch (error) {
+      setAppliedCoupon(null);
+      let errorMessage = 'Could not apply this coupon.';
+      if (axios.isAxiosError(error) && error.response?.data?.message) {
+        errorMessage = error.response.data.message;
+      }
+      setCouponError(errorMessage);
+    } finally {
+      setCouponLoading(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+    setCouponError(null);
   };
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -139,6 +193,7 @@ const BookServicePage: React.FC = () => {
       nearestPoint: formData.nearestPoint,
       time_slot: time_slot,
       status: 'pending',
+      couponCode: appliedCoupon?.code,
     };
 
     console.log('Submitting Booking Details:', bookingPayload);
@@ -191,9 +246,15 @@ const BookServicePage: React.FC = () => {
               </p>
             </div>
           )}
+          {appliedCoupon && (
+            <div className="flex justify-between items-center mt-1">
+              <p className="text-lg text-gray-700">Coupon ({appliedCoupon.code}):</p>
+              <p className="text-lg font-medium text-emerald-700">-Rs{appliedCoupon.discount.toFixed(2)}</p>
+            </div>
+          )}
           <div className="flex justify-between items-center mt-3 pt-3 border-t border-emerald-300">
             <p className="text-xl font-semibold text-gray-800">Total Bill:</p>
-            <p className="text-xl font-bold text-emerald-800">Rs{totalCharges.toFixed(2)}</p>
+            <p className="text-xl font-bold text-emerald-800">Rs{(appliedCoupon ? appliedCoupon.total : totalCharges).toFixed(2)}</p>
           </div>
         </div>
 
@@ -311,6 +372,46 @@ const BookServicePage: React.FC = () => {
             </div>
           </div>
 
+          <div>
+            <label htmlFor="couponCode" className="block text-sm font-medium text-gray-700 mb-1">Coupon Code (Optional)</label>
+            <div className="flex gap-2">
+              <input
+                id="couponCode"
+                type="text"
+                name="couponCode"
+                placeholder="Enter a promo code"
+                value={couponCode}
+                onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                disabled={!!appliedCoupon}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-sky-500 transition duration-150 disabled:bg-gray-100"
+              />
+              {appliedCoupon ? (
+                <button
+                  type="button"
+                  onClick={handleRemoveCoupon}
+                  className="px-4 py-3 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Remove
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handleApplyCoupon}
+                  disabled={couponLoading || !couponCode.trim()}
+                  className="px-4 py-3 rounded-lg text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 disabled:opacity-50"
+                >
+                  {couponLoading ? 'Applying...' : 'Apply'}
+                </button>
+              )}
+            </div>
+            {couponError && <p className="mt-1 text-sm text-red-600">{couponError}</p>}
+            {appliedCoupon && (
+              <p className="mt-1 text-sm text-emerald-700">
+                {appliedCoupon.description || `You save Rs${appliedCoupon.discount.toFixed(2)}`}
+              </p>
+            )}
+          </div>
+
           <button
             type="submit"
             className="w-full bg-gradient-to-r from-sky-600 to-emerald-700 text-white font-semibold py-3 px-6 rounded-lg shadow-md hover:from-sky-700 hover:to-emerald-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 transition duration-150 ease-in-out transform hover:scale-105"
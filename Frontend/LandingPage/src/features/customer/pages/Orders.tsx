@@ -15,12 +15,19 @@ interface Order {
     email?: string;
   };
   time_slot: string; // ISO Date string
-  status: 'pending' | 'accepted' | 'rejected' | 'completed' | 'in-progress' | 'PaymentCompleted'; // Match backend enum, added PaymentCompleted
+  status: 'pending' | 'accepted' | 'rejected' | 'completed' | 'in-progress' | 'PaymentCompleted' | 'cancelled'; // Match backend enum, added PaymentCompleted
   createdAt: string; // ISO Date string
   // Include other relevant fields from ServiceRequest model if they are sent and used
   serviceNameSnapshot?: string;
   servicePriceSnapshot?: number;
   customerAddress?: string; 
+  cancellation?: {
+    reason?: string;
+    cancelledAt?: string; // ISO Date string
+    fee?: number;
+    depositKept?: number;
+    feePaid?: boolean;
+  };
   // Add other potential fields from your ServiceRequest model that you might use
 }
 
@@ -123,10 +130,10 @@ const Orders = () => {
       variant: "default", // Changed from 'success' to 'default'
     });
     
-    // Optimistically update the local order state
+    // Optimistically update the local order state (paying a cancellation fee keeps the order cancelled)
     setOrders(prevOrders =>
       prevOrders.map(o =>
-        o._id === orderId ? { ...o, status: 'PaymentCompleted' as Order['status'] } : o
+        o._id === orderId && o.status !== 'cancelled' ? { ...o, status: 'PaymentCompleted' as Order['status'] } : o
       )
     );
     
@@ -134,6 +141,15 @@ const Orders = () => {
     fetchOrders(); 
   };
 
+  // Called after the customer cancels or reschedules from the details modal
+  const handleOrderUpdated = (updatedOrder: Order) => {
+    setOrders(prevOrders => prevOrders.map(o =>
+      o._id === updatedOrder._id ? { ...o, status: updatedOrder.status, time_slot: updatedOrder.time_slot, cancellation: updatedOrder.cancellation } : o
+    ));
+    setSelectedOrder(null);
+    fetchOrders();
+  };
+
   const handleUpdateStatus = (orderId: string, newStatus: Order['status']) => {
     // This function might not be directly used by customers if status changes are driven by providers/system.
     // However, keeping it for potential future use or local UI updates if needed.
@@ -153,10 +169,10 @@ const Orders = () => {
     if (activeTab === 'new') {
       // "Recent orders" or "Booked & Pending" or "In Progress"
       // 'completed' here means service done, but payment might be pending.
-      return order.status === 'accepted' || order.status === 'in-progress' || order.status === 'completed'; 
+      return order.status === 'pending' || order.status === 'accepted' || order.status === 'in-progress' || order.status === 'completed'; 
     } else { // 'history' tab
-      // 'PaymentCompleted' is the final state for history. 'rejected' also goes to history.
-      return order.status === 'PaymentCompleted' || order.status === 'rejected'; 
+      // 'PaymentCompleted' is the final state for history. 'rejected' and 'cancelled' also go to history.
+      return order.status === 'PaymentCompleted' || order.status === 'rejected' || order.status === 'cancelled'; 
     }
   });
 
@@ -206,6 +222,7 @@ const Orders = () => {
             order={selectedOrder}
             onClose={handleCloseDetails}
             onPaymentSuccess={handlePaymentSuccess} // Pass the callback
+            onOrderUpdated={handleOrderUpdated}
           />
         )}
       </div>
@@ -3,6 +3,7 @@ import React, { useState } from 'react'; // Removed useEffect for mock loading
 import Layout from '../components/layout/Layout';
 import ProfileCard from '../components/profile/ProfileCard';
 import ProfileForm from '../components/profile/ProfileForm';
+import SessionsList from '@/components/SessionsList';
 import { Loader2 } from 'lucide-react';
 import { toast } from 'sonner';
 import { useUser } from '@/context/UserContext.tsx'; // Import useUser using @ alias
@@ -87,6 +88,8 @@ const Profile = () => {
             onEditClick={handleEditProfile}
           />
         )}
+
+        <SessionsList />
       </div>
     </Layout>
   );
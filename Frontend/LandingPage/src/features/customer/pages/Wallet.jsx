@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Layout from '../components/layout/Layout';
+import { Loader2, Wallet as WalletIcon, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import { useUser } from '@/context/UserContext.tsx';
+
+// Wallet amounts come from the API in paise
+const formatRupees = (paise) => `₹${((paise ?? 0) / 100).toFixed(2)}`;
+
+const sourceLabels = {
+  refund: 'Refund',
+  goodwill: 'Goodwill credit',
+  referral: 'Referral reward',
+  payment: 'Paid for an order'
+};
+
+const statusStyles = {
+  held: 'bg-yellow-100 text-yellow-800',
+  posted: 'bg-green-100 text-green-800',
+  released: 'bg-gray-100 text-gray-600'
+};
+
+const Wallet = () => {
+  const { user } = useUser();
+  const [wallet, setWallet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!user?.accessToken) return;
+
+    const fetchWallet = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(
+          `${import.meta.env.VITE_API_BASE_URL}/customer/wallet`,
+          { headers: { Authorization: `Bearer ${user.accessToken}` } }
+        );
+        setWallet(response.data.data);
+        setError('');
+      } catch (err) {
+        console.error('Failed to fetch wallet:', err);
+        setError(err.response?.data?.message || 'Could not load your wallet.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchWallet();
+  }, [user]);
+
+  return (
+    <Layout className="bg-gray-50">
+      <div className="max-w-3xl mx-auto p-4 md:p-8">
+        <h1 className="text-3xl font-extrabold text-gray-900 mb-8 text-center">Your Wallet</h1>
+
+        {loading ? (
+          <div className="py-20 flex justify-center items-center">
+            <Loader2 className="h-8 w-8 animate-spin text-primary mr-2" />
+            <span className="text-lg text-gray-600">Loading wallet...</span>
+          </div>
+        ) : error ? (
+          <p className="text-center text-red-600">{error}</p>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg shadow p-6 mb-8 flex items-center justify-between">
+              <div className="flex items-center">
+                <WalletIcon className="h-10 w-10 text-primary mr-4" />
+                <div>
+                  <p className="text-sm text-gray-500">Available balance</p>
+                  <p className="text-3xl font-bold text-gray-900">{formatRupees(wallet.available)}</p>
+                </div>
+              </div>
+              {wallet.held > 0 && (
+                <div className="text-right">
+                  <p className="text-sm text-gray-500">Held for pending payments</p>
+                  <p className="text-lg font-medium text-yellow-700">{formatRupees(wallet.held)}</p>
+                </div>
+              )}
+            </div>
+
+            <p className="text-sm text-gray-500 mb-4">
+              Refunds and credits land here and can be used towards any payment at checkout.
+            </p>
+
+            <div className="bg-white rounded-lg shadow">
+              <h2 className="text-lg font-medium text-gray-900 p-4 border-b">History</h2>
+              {wallet.transactions.length === 0 ? (
+                <p className="p-4 text-gray-500">No wallet activity yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {wallet.transactions.map((transaction) => (
+                    <li key={transaction._id} className="p-4 flex items-center justify-between">
+                      <div className="flex items-center">
+                        {transaction.type === 'credit' ? (
+                          <ArrowDownLeft className="h-5 w-5 text-green-600 mr-3" />
+                        ) : (
+                          <ArrowUpRight className="h-5 w-5 text-red-600 mr-3" />
+                        )}
+                        <div>
+                          <p className="text-gray-900">{sourceLabels[transaction.source] || transaction.source}</p>
+                          <p className="text-sm text-gray-500">
+                            {new Date(transaction.createdAt).toLocaleString()}
+                            {transaction.description ? ` · ${transaction.description}` : ''}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <p className={`font-medium ${transaction.type === 'credit' ? 'text-green-700' : 'text-gray-900'}`}>
+                          {transaction.type === 'credit' ? '+' : '-'}{formatRupees(transaction.amount)}
+                        </p>
+                        {transaction.status !== 'posted' && (
+                          <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[transaction.status]}`}>
+                            {transaction.status}
+                          </span>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Wallet;
@@ -2,11 +2,13 @@
 import React from 'react';
 import Navbar from './Navbar.jsx';
 import Footer from './Footer.jsx';
+import EmailVerificationBanner from '@/components/EmailVerificationBanner';
 
 const Layout = ({ children }) => {
   return (
     <div className="min-h-screen flex flex-col">
       <Navbar />
+      <EmailVerificationBanner />
       <main className="flex-grow">{children}</main>
       <Footer />
     </div>
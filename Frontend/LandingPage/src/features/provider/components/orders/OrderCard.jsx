@@ -1,8 +1,45 @@
 
-import React from 'react';
-import { Calendar, Clock, User, MapPin, IndianRupee, ExternalLink } from 'lucide-react';
+import React, { useState } from 'react';
+import { Calendar, Clock, User, MapPin, IndianRupee, ExternalLink, Plus, Trash2 } from 'lucide-react';
+
+const emptyMaterial = () => ({ description: '', quantity: 1, unit_price: '' });
+
+const OrderCard = ({ order, onViewDetails, onUpdateStatus, onLoadAddOns }) => {
+  const [billOpen, setBillOpen] = useState(false);
+  const [addOns, setAddOns] = useState([]);
+  const [addOnQuantities, setAddOnQuantities] = useState({});
+  const [materials, setMaterials] = useState([]);
+  const [billDiscount, setBillDiscount] = useState('');
+  const [completing, setCompleting] = useState(false);
+
+  // Booked (or quoted) price plus extras, less the discount; the server adds coupon, deposit and tax
+  const basePrice = order.quote?.total ?? order.servicePriceSnapshot ?? order.service?.price ?? 0;
+  const extrasTotal = addOns.reduce((sum, addOn) => sum + (Number(addOnQuantities[addOn._id]) || 0) * addOn.price, 0)
+    + materials.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unit_price) || 0), 0);
+  const billEstimate = basePrice + extrasTotal - (Number(billDiscount) || 0);
+
+  const openBill = async () => {
+    setBillOpen(true);
+    setAddOns(await onLoadAddOns(order._id));
+  };
+
+  const updateMaterial = (index, field, value) => {
+    setMaterials(items => items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const handleComplete = async () => {
+    const items = [
+      ...addOns
+        .filter(addOn => Number(addOnQuantities[addOn._id]) > 0)
+        .map(addOn => ({ kind: 'add_on', service: addOn._id, quantity: Number(addOnQuantities[addOn._id]) })),
+      ...materials.map(item => ({ kind: 'materials', ...item }))
+    ];
+    setCompleting(true);
+    const completed = await onUpdateStatus(order._id, 'completed', { items, discount: billDiscount || undefined });
+    setCompleting(false);
+    if (completed) setBillOpen(false);
+  };
 
-const OrderCard = ({ order, onViewDetails, onUpdateStatus }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending':
@@ -73,7 +110,13 @@ const OrderCard = ({ order, onViewDetails, onUpdateStatus }) => {
           </button>
         </div>
         
-         {order.status === 'accepted' && order.time_slot && new Date() >= new Date(order.time_slot) && (
+         {order.status === 'accepted' && order.deposit?.status === 'unpaid' && (
+          <p className="mt-4 text-sm text-yellow-700">
+            Waiting for the customer's deposit of ₹{order.deposit.amount.toFixed(2)} before you can start.
+          </p>
+         )}
+
+         {order.status === 'accepted' && order.deposit?.status !== 'unpaid' && order.time_slot && new Date() >= new Date(order.time_slot) && (
           <div className="mt-4 flex space-x-3">
             <button
               onClick={() => onUpdateStatus(order._id, 'in-progress')}
@@ -92,16 +135,120 @@ const OrderCard = ({ order, onViewDetails, onUpdateStatus }) => {
           </div>
         )} */}
         
-        {order.status === 'in-progress' && (
+        {order.status === 'in-progress' && !billOpen && (
           <div className="mt-4">
             <button
-              onClick={() => onUpdateStatus(order._id, 'completed')}
+              onClick={openBill}
               className="w-full bg-green-600 text-white px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
             >
               Mark as Completed
             </button>
           </div>
         )}
+
+        {order.status === 'in-progress' && billOpen && (
+          <div className="mt-4 border border-gray-200 rounded-md p-3 space-y-3">
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-900">{order.serviceNameSnapshot || order.service?.name}</span>
+              <span className="text-gray-900">₹{basePrice.toFixed(2)}</span>
+            </div>
+
+            {addOns.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Add-on services</p>
+                {addOns.map(addOn => (
+                  <div key={addOn._id} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">{addOn.name} (₹{addOn.price.toFixed(2)} each)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={addOnQuantities[addOn._id] ?? ''}
+                      onChange={(e) => setAddOnQuantities(quantities => ({ ...quantities, [addOn._id]: e.target.value }))}
+                      placeholder="Qty"
+                      className="w-16 p-1 border border-gray-300 rounded-md text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-gray-700">Materials</p>
+              {materials.map((item, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={item.description}
+                    onChange={(e) => updateMaterial(index, 'description', e.target.value)}
+                    placeholder="Description"
+                    className="flex-1 min-w-0 p-1 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={item.quantity}
+                    onChange={(e) => updateMaterial(index, 'quantity', e.target.value)}
+                    className="w-14 p-1 border border-gray-300 rounded-md text-sm"
+                    title="Quantity"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={item.unit_price}
+                    onChange={(e) => updateMaterial(index, 'unit_price', e.target.value)}
+                    placeholder="₹"
+                    className="w-20 p-1 border border-gray-300 rounded-md text-sm"
+                    title="Unit price"
+                  />
+                  <button
+                    onClick={() => setMaterials(items => items.filter((_, i) => i !== index))}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => setMaterials(items => [...items, emptyMaterial()])}
+                className="inline-flex items-center text-sm text-primary hover:underline"
+              >
+                <Plus className="h-4 w-4 mr-1" /> Add material
+              </button>
+            </div>
+
+            <label className="flex items-center justify-between text-sm text-gray-700">
+              Discount (₹)
+              <input
+                type="number"
+                min="0"
+                value={billDiscount}
+                onChange={(e) => setBillDiscount(e.target.value)}
+                className="w-20 p-1 border border-gray-300 rounded-md text-sm"
+              />
+            </label>
+
+            <div className="flex justify-between items-center">
+              <span className="text-sm font-medium text-gray-900" title="Before any coupon, deposit and tax">
+                Bill ₹{billEstimate.toFixed(2)}
+              </span>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setBillOpen(false)}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleComplete}
+                  disabled={completing || billEstimate <= 0}
+                  className="px-3 py-1 text-sm rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                >
+                  {completing ? 'Completing...' : 'Complete & Bill'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
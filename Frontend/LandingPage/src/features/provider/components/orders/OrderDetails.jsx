@@ -1,13 +1,26 @@
 
 import React from 'react';
+import axios from 'axios';
+import { useUser } from '@/context/UserContext';
 import { 
   X, User, Calendar, Clock, MapPin, Phone, Mail, 
   CreditCard, File, MessageSquare, DollarSign, Tag 
 } from 'lucide-react';
 
 const OrderDetails = ({ order, onClose }) => {
+  const { user } = useUser();
+
   if (!order) return null;
 
+  // Coupon discount taken at booking; the bill recomputes it on the final (or quoted) amount
+  const subtotal = order.bill?.subtotal ?? order.quote?.total ?? order.servicePriceSnapshot ?? order.service?.price ?? 0;
+  const discount = order.bill ? (order.bill.discount ?? 0) : (order.coupon?.discount ?? 0);
+  const totalAmount = order.bill?.amount ?? subtotal - discount;
+  // Itemised bills: the lines, the discount given on them and the GST worked out by the server
+  const lineItems = order.bill?.line_items ?? [];
+  const itemsDiscount = order.bill?.items_discount ?? 0;
+  const tax = order.bill?.tax ?? 0;
+
   const formatDate = (dateString) => {
     const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
     return new Date(dateString).toLocaleDateString(undefined, options);
@@ -42,6 +55,37 @@ const OrderDetails = ({ order, onClose }) => {
     );
   };
 
+  const handleDownloadInvoice = async () => {
+    try {
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${order._id}/invoice`,
+        { headers: { Authorization: `Bearer ${user.accessToken}` }, responseType: 'blob' }
+      );
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = disposition.match(/filename="(.+)"/)?.[1] || `invoice-${order._id}.pdf`;
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      // With responseType 'blob' the error body is a blob as well
+      let message = 'Could not download the invoice. Please try again.';
+      if (error.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).message || message;
+        } catch {
+          // not a JSON error body
+        }
+      }
+      alert(message);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-75 z-50 flex justify-center items-center">
       <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
@@ -63,7 +107,7 @@ const OrderDetails = ({ order, onClose }) => {
             </div>
             <div>
               <p className="text-sm text-gray-500">Total Amount</p>
-              <p className="text-2xl font-bold text-gray-900">₹{(order.servicePriceSnapshot ?? order.service?.price ?? 0).toFixed(2)}</p>
+              <p className="text-2xl font-bold text-gray-900">₹{totalAmount.toFixed(2)}</p>
             </div>
           </div>
           
@@ -157,46 +201,64 @@ const OrderDetails = ({ order, onClose }) => {
             <h3 className="text-lg font-medium text-gray-900 mb-4">Order Summary</h3>
             
             <div className="space-y-3">
-              {/* Simplified bill item based on service, as order.items is not in the typical Order structure from backend */}
-              {order.service && (
+              {lineItems.length > 0 ? lineItems.map((item, index) => (
+                <div key={index} className="flex justify-between">
+                  <div>
+                    <p className="text-gray-900">{item.description}</p>
+                    <p className="text-sm text-gray-500">{item.quantity} × ₹{item.unit_price.toFixed(2)}</p>
+                  </div>
+                  <p className="font-medium text-gray-900">₹{item.amount.toFixed(2)}</p>
+                </div>
+              )) : order.service && (
                 <div className="flex justify-between">
                   <div>
                     <p className="text-gray-900">{order.serviceNameSnapshot || order.service.name}</p>
                     <p className="text-sm text-gray-500">{order.service.description || 'Main service'}</p>
                   </div>
-                  <p className="font-medium text-gray-900">₹{(order.servicePriceSnapshot ?? order.service.price ?? 0).toFixed(2)}</p>
+                  <p className="font-medium text-gray-900">₹{subtotal.toFixed(2)}</p>
                 </div>
               )}
-              {/* If order.items existed and was an array:
-              {order.items && order.items.map((item, index) => (
-                <div key={index} className="flex justify-between">
-                  <div>
-                    <p className="text-gray-900">{item.name}</p>
-                    <p className="text-sm text-gray-500">{item.description}</p>
-                  </div>
-                  <p className="font-medium text-gray-900">₹{(item.price ?? 0).toFixed(2)}</p>
-                </div>
-              ))}
-              */}
             </div>
             
             <div className="border-t border-gray-200 mt-4 pt-4">
               <div className="flex justify-between">
                 <p className="text-gray-500">Subtotal</p>
-                {/* Assuming subtotal is same as total if no tax/discounts are itemized separately from servicePriceSnapshot */}
-                <p className="text-gray-900">₹{((order.servicePriceSnapshot ?? order.service?.price ?? 0) - (order.tax ?? 0)).toFixed(2)}</p>
+                {/* Billed items (or booked price) before any discount */}
+                <p className="text-gray-900">₹{(subtotal + itemsDiscount).toFixed(2)}</p>
               </div>
+
+              {itemsDiscount > 0 && (
+                <div className="flex justify-between mt-2">
+                  <p className="text-gray-500">Your discount</p>
+                  <p className="text-green-700">-₹{itemsDiscount.toFixed(2)}</p>
+                </div>
+              )}
+
+              {discount > 0 && (
+                <div className="flex justify-between mt-2">
+                  <p className="text-gray-500">Discount ({order.bill?.coupon_code ?? order.coupon?.code})</p>
+                  <p className="text-green-700">-₹{discount.toFixed(2)}</p>
+                </div>
+              )}
+
+              {order.deposit && (
+                <div className="flex justify-between mt-2">
+                  <p className="text-gray-500">Deposit ({order.deposit.status === 'unpaid' ? 'awaiting payment' : order.deposit.status})</p>
+                  {/* Taken off the total once the bill is raised */}
+                  <p className="text-gray-900">{order.bill?.deposit_paid > 0 ? '-' : ''}₹{order.deposit.amount.toFixed(2)}</p>
+                </div>
+              )}
               
-              {(order.tax ?? 0) > 0 && (
+              {tax > 0 && (
                 <div className="flex justify-between mt-2">
-                  <p className="text-gray-500">Tax</p>
-                  <p className="text-gray-900">₹{(order.tax ?? 0).toFixed(2)}</p>
+                  <p className="text-gray-500">GST ({order.bill.tax_rate}%{order.bill.tax_inclusive ? ', included' : ''})</p>
+                  <p className="text-gray-900">{order.bill.tax_inclusive ? '' : '+'}₹{tax.toFixed(2)}</p>
                 </div>
               )}
               
               <div className="flex justify-between mt-4 font-bold">
                 <p className="text-gray-900">Total</p>
-                <p className="text-gray-900">₹{(order.servicePriceSnapshot ?? order.service?.price ?? 0).toFixed(2)}</p>
+                <p className="text-gray-900">₹{totalAmount.toFixed(2)}</p>
               </div>
             </div>
           </div>
@@ -208,7 +270,16 @@ const OrderDetails = ({ order, onClose }) => {
             >
               Close
             </button>
-            
+
+            {order.status === 'PaymentCompleted' && (
+              <button
+                onClick={handleDownloadInvoice}
+                className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
+              >
+                Download Invoice
+              </button>
+            )}
+
             {order.status === 'pending' && (
               <>
                 <button
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Loader2, ShieldCheck, ShieldOff } from 'lucide-react';
+import { useUser } from '@/context/UserContext.tsx';
+
+// Two-factor authentication with an authenticator app: enrolment by QR code, recovery codes, turning it off
+const TwoFactorSettings = () => {
+  const { user } = useUser();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null); // Secret and QR code while setting up
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // Shown once, after enabling or regenerating
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const authHeaders = { headers: { Authorization: `Bearer ${user?.accessToken}` } };
+
+  useEffect(() => {
+    if (!user?.accessToken) return;
+
+    const fetchStatus = async () => {
+      try {
+        const response = await axios.get(
+          `${import.meta.env.VITE_API_BASE_URL}/auth/2fa`,
+          { headers: { Authorization: `Bearer ${user.accessToken}` } }
+        );
+        setStatus(response.data.data);
+      } catch (error) {
+        console.error('Failed to fetch two-factor status:', error);
+      }
+    };
+
+    fetchStatus();
+  }, [user]);
+
+  // Runs a 2FA request, alerting the server's message if it fails
+  const submit = async (request, fallbackMessage) => {
+    setBusy(true);
+    try {
+      return await request();
+    } catch (error) {
+      console.error(fallbackMessage, error);
+      alert(error.response?.data?.message || fallbackMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    const response = await submit(
+      () => axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/2fa/setup`, {}, authHeaders),
+      'Could not start setting up two-factor authentication. Please try again.'
+    );
+    if (response) {
+      setEnrolment(response.data.data);
+      setCode('');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const response = await submit(
+      () => axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/2fa/enable`, { code }, authHeaders),
+      'Could not turn on two-factor authentication. Please try again.'
+    );
+    if (response) {
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setStatus({ enabled: true, enabledAt: new Date().toISOString(), recoveryCodesLeft: response.data.data.recoveryCodes.length });
+      setEnrolment(null);
+      setCode('');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const response = await submit(
+      () => axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/2fa/recovery-codes`, { code }, authHeaders),
+      'Could not create new recovery codes. Please try again.'
+    );
+    if (response) {
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setStatus(current => ({ ...current, recoveryCodesLeft: response.data.data.recoveryCodes.length }));
+      setCode('');
+    }
+  };
+
+  const handleDisable = async () => {
+    const response = await submit(
+      () => axios.post(`${import.meta.env.VITE_API_BASE_URL}/auth/2fa/disable`, { code }, authHeaders),
+      'Could not turn off two-factor authentication. Please try again.'
+    );
+    if (response) {
+      setStatus({ enabled: false, recoveryCodesLeft: 0 });
+      setRecoveryCodes(null);
+      setCode('');
+    }
+  };
+
+  const codeInput = (placeholder) => (
+    <input
+      type="text"
+      autoComplete="one-time-code"
+      placeholder={placeholder}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+    />
+  );
+
+  return (
+    <div className="bg-white shadow-xl rounded-lg mt-8">
+      <div className="flex justify-between items-center p-6 border-b">
+        <h2 className="text-xl font-bold text-gray-900">Two-factor authentication</h2>
+        {status && (status.enabled
+          ? <span className="inline-flex items-center text-sm text-green-700"><ShieldCheck className="h-4 w-4 mr-1" /> On</span>
+          : <span className="inline-flex items-center text-sm text-gray-500"><ShieldOff className="h-4 w-4 mr-1" /> Off</span>)}
+      </div>
+
+      <div className="p-6 space-y-4">
+        {!status ? (
+          <div className="flex justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : recoveryCodes ? (
+          <div>
+            <p className="text-gray-700 mb-3">
+              Save these recovery codes somewhere safe. Each one can be used once to log in if you lose your authenticator app. They won't be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 p-4 rounded-md">
+              {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+            </ul>
+            <button
+              onClick={() => setRecoveryCodes(null)}
+              className="mt-4 px-4 py-2 rounded-md text-sm font-medium text-white bg-primary hover:bg-primary/90"
+            >
+              I've saved them
+            </button>
+          </div>
+        ) : status.enabled ? (
+          <div className="space-y-3">
+            <p className="text-gray-700">
+              You'll be asked for a code from your authenticator app when you log in and before your bank details change.
+              {' '}{status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              {codeInput('Current code')}
+              <button
+                onClick={handleRegenerate}
+                disabled={busy || !code}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                New recovery codes
+              </button>
+              <button
+                onClick={handleDisable}
+                disabled={busy || !code}
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Turn off
+              </button>
+            </div>
+          </div>
+        ) : enrolment ? (
+          <form onSubmit={handleEnable} className="space-y-3">
+            <p className="text-gray-700">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+            <img src={enrolment.qrCode} alt="Two-factor authentication QR code" className="h-48 w-48" />
+            <p className="text-sm text-gray-500">
+              Can't scan it? Enter this key instead: <span className="font-mono break-all">{enrolment.secret}</span>
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              {codeInput('6-digit code')}
+              <button
+                type="submit"
+                disabled={busy || !code}
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-primary hover:bg-primary/90 disabled:opacity-50"
+              >
+                Turn on
+              </button>
+              <button
+                type="button"
+                onClick={() => setEnrolment(null)}
+                className="text-sm text-gray-600 hover:underline"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex justify-between items-center">
+            <p className="text-gray-700">Protect your payouts and bank details with a code from an authenticator app.</p>
+            <button
+              onClick={handleStartSetup}
+              disabled={busy}
+              className="ml-4 px-4 py-2 rounded-md text-sm font-medium text-white bg-primary hover:bg-primary/90 disabled:opacity-50"
+            >
+              Set up
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
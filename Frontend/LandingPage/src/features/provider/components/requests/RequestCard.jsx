@@ -1,8 +1,43 @@
 
-import React from 'react';
-import { User, Calendar, Clock, MapPin, MessageSquare, Check, X } from 'lucide-react';
+import React, { useState } from 'react';
+import { User, Calendar, Clock, MapPin, MessageSquare, Check, X, FileText, Plus, Trash2 } from 'lucide-react';
+
+const QUOTE_ITEM_KINDS = [
+  { value: 'labour', label: 'Labour' },
+  { value: 'materials', label: 'Materials' },
+  { value: 'visit_charge', label: 'Visit charge' }
+];
+
+const emptyQuoteItem = () => ({ kind: 'labour', description: '', quantity: 1, unit_price: '' });
+
+const RequestCard = ({ request, onAccept, onReject, onSendQuote, onAcceptCounter }) => {
+  const [depositPercent, setDepositPercent] = useState('');
+  const [quoteOpen, setQuoteOpen] = useState(false);
+  const [quoteItems, setQuoteItems] = useState([emptyQuoteItem()]);
+  const [quoteNote, setQuoteNote] = useState('');
+  const [sendingQuote, setSendingQuote] = useState(false);
+
+  const quote = request.latestQuote;
+  // Same sum the server works out; shown while the provider fills the quote in
+  const quoteTotal = quoteItems.reduce(
+    (sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unit_price) || 0), 0
+  );
+
+  const updateQuoteItem = (index, field, value) => {
+    setQuoteItems(items => items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const handleSendQuote = async () => {
+    setSendingQuote(true);
+    const sent = await onSendQuote(request._id, { items: quoteItems, note: quoteNote });
+    setSendingQuote(false);
+    if (sent) {
+      setQuoteOpen(false);
+      setQuoteItems([emptyQuoteItem()]);
+      setQuoteNote('');
+    }
+  };
 
-const RequestCard = ({ request, onAccept, onReject }) => {
   // request object from backend includes:
   // _id, customer, service (populated), time_slot, status, createdAt,
   // serviceNameSnapshot, servicePriceSnapshot, customerAddress, nearestPoint,
@@ -76,10 +111,142 @@ const RequestCard = ({ request, onAccept, onReject }) => {
         </div>
       )}
       
+      {request.status === 'pending' && quote && (
+        <div className="mt-4 bg-gray-50 p-4 rounded-md text-sm">
+          <div className="flex items-center font-medium text-gray-900">
+            <FileText className="h-4 w-4 text-gray-400 mr-2" />
+            Quote #{quote.version}: ₹{quote.total.toFixed(2)}
+          </div>
+          {quote.status === 'sent' && <p className="text-gray-500 mt-1">Waiting for the customer to respond.</p>}
+          {quote.status === 'declined' && <p className="text-red-600 mt-1">The customer declined this quote.</p>}
+          {quote.status === 'accepted' && (
+            <p className="text-green-700 mt-1">Agreed price: ₹{quote.agreed_total.toFixed(2)}. You can accept the booking.</p>
+          )}
+          {quote.status === 'countered' && (
+            <div className="mt-1">
+              <p className="text-gray-700">
+                The customer offered ₹{quote.counter_offer.amount.toFixed(2)}
+                {quote.counter_offer.note ? ` – "${quote.counter_offer.note}"` : ''}
+              </p>
+              <button
+                onClick={() => onAcceptCounter(request._id, quote._id)}
+                className="mt-2 px-3 py-1 text-sm rounded-md text-white bg-green-600 hover:bg-green-700"
+              >
+                Accept ₹{quote.counter_offer.amount.toFixed(2)}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {request.status === 'pending' && quote?.status !== 'accepted' && (
+        <div className="mt-4">
+          {!quoteOpen ? (
+            <button
+              onClick={() => setQuoteOpen(true)}
+              className="text-sm font-medium text-primary hover:underline"
+            >
+              {quote ? 'Send a revised quote' : 'Send a quote instead of the listed price'}
+            </button>
+          ) : (
+            <div className="border border-gray-200 rounded-md p-3 space-y-2">
+              {quoteItems.map((item, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <select
+                    value={item.kind}
+                    onChange={(e) => updateQuoteItem(index, 'kind', e.target.value)}
+                    className="p-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    {QUOTE_ITEM_KINDS.map(kind => (
+                      <option key={kind.value} value={kind.value}>{kind.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={item.description}
+                    onChange={(e) => updateQuoteItem(index, 'description', e.target.value)}
+                    placeholder="Description"
+                    className="flex-1 min-w-0 p-1 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={item.quantity}
+                    onChange={(e) => updateQuoteItem(index, 'quantity', e.target.value)}
+                    className="w-14 p-1 border border-gray-300 rounded-md text-sm"
+                    title="Quantity"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={item.unit_price}
+                    onChange={(e) => updateQuoteItem(index, 'unit_price', e.target.value)}
+                    placeholder="₹"
+                    className="w-20 p-1 border border-gray-300 rounded-md text-sm"
+                    title="Unit price"
+                  />
+                  <button
+                    onClick={() => setQuoteItems(items => items.filter((_, i) => i !== index))}
+                    disabled={quoteItems.length === 1}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => setQuoteItems(items => [...items, emptyQuoteItem()])}
+                className="inline-flex items-center text-sm text-primary hover:underline"
+              >
+                <Plus className="h-4 w-4 mr-1" /> Add item
+              </button>
+              <textarea
+                value={quoteNote}
+                onChange={(e) => setQuoteNote(e.target.value)}
+                placeholder="Note for the customer (optional)"
+                rows={2}
+                className="w-full p-1 border border-gray-300 rounded-md text-sm"
+              />
+              <div className="flex justify-between items-center">
+                <span className="text-sm font-medium text-gray-900">Total ₹{quoteTotal.toFixed(2)}</span>
+                <div className="space-x-2">
+                  <button
+                    onClick={() => setQuoteOpen(false)}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSendQuote}
+                    disabled={sendingQuote || quoteTotal <= 0}
+                    className="px-3 py-1 text-sm rounded-md text-white bg-primary hover:bg-primary/90 disabled:opacity-50"
+                  >
+                    {sendingQuote ? 'Sending...' : 'Send Quote'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Only show Accept/Reject buttons if status is pending */}
       {request.status === 'pending' && (
         <div className="mt-6 pt-4 border-t border-gray-200">
-          <div className="flex justify-end space-x-4">
+          <div className="flex justify-end items-center space-x-4">
+            <label className="flex items-center text-sm text-gray-600 mr-auto">
+              Deposit
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={depositPercent}
+                onChange={(e) => setDepositPercent(e.target.value)}
+                placeholder="0"
+                className="mx-2 w-16 p-1 border border-gray-300 rounded-md text-sm"
+              />
+              % upfront
+            </label>
             <button
               onClick={() => onReject(request._id)} // Use request._id
               className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none"
@@ -88,7 +255,7 @@ const RequestCard = ({ request, onAccept, onReject }) => {
               Reject
             </button>
             <button
-              onClick={() => onAccept(request._id)} // Use request._id
+              onClick={() => onAccept(request._id, depositPercent)} // Empty deposit falls back to the service default
               className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary hover:bg-primary/90 focus:outline-none"
             >
               <Check className="h-4 w-4 mr-1.5" />
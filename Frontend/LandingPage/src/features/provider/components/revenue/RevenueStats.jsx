@@ -1,6 +1,8 @@
 
-import React from 'react';
-import { ArrowUp, ArrowDown, DollarSign, Users, ShoppingBag } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useUser } from '@/context/UserContext';
+import { ArrowUp, ArrowDown, DollarSign, Users, ShoppingBag, Heart } from 'lucide-react';
 
 const StatCard = ({ title, value, delta, icon: Icon, deltaType }) => {
   const isPositiveDelta = deltaType === 'positive' || delta > 0;
@@ -31,106 +33,75 @@ const StatCard = ({ title, value, delta, icon: Icon, deltaType }) => {
   );
 };
 
+// Percent change from the previous period, rounded to one decimal
+const percentChange = (current, previous) => {
+  if (!previous) return current > 0 ? 100 : 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+const formatRupees = (value) => `Rs${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
 const RevenueStats = ({ period }) => {
-  const statsData = {
-    daily: [
-      {
-        title: "Total Revenue",
-        value: "Rs435.25",
-        delta: 12.5,
-        icon: DollarSign,
-        deltaType: "positive"
-      },
-      {
-        title: "New Customers",
-        value: "5",
-        delta: 10.3,
-        icon: Users,
-        deltaType: "positive"
-      },
-      {
-        title: "Orders Completed",
-        value: "8",
-        delta: -3.2,
-        icon: ShoppingBag,
-        deltaType: "negative"
-      },
-    ],
-    weekly: [
-      {
-        title: "Total Revenue",
-        value: "Rs2,874.30",
-        delta: 23.6,
-        icon: DollarSign,
-        deltaType: "positive"
-      },
-      {
-        title: "New Customers",
-        value: "32",
-        delta: 15.8,
-        icon: Users,
-        deltaType: "positive"
-      },
-      {
-        title: "Orders Completed",
-        value: "57",
-        delta: 8.4,
-        icon: ShoppingBag,
-        deltaType: "positive"
-      },
-    ],
-    monthly: [
-      {
-        title: "Total Revenue",
-        value: "Rs12,345.67",
-        delta: 18.2,
-        icon: DollarSign,
-        deltaType: "positive"
-      },
-      {
-        title: "New Customers",
-        value: "128",
-        delta: -6.5,
-        icon: Users,
-        deltaType: "negative"
-      },
-      {
-        title: "Orders Completed",
-        value: "235",
-        delta: 12.9,
-        icon: ShoppingBag,
-        deltaType: "positive"
-      },
-    ],
-    yearly: [
-      {
-        title: "Total Revenue",
-        value: "Rs148,532.90",
-        delta: 32.7,
-        icon: DollarSign,
-        deltaType: "positive"
-      },
-      {
-        title: "New Customers",
-        value: "1,457",
-        delta: 24.3,
-        icon: Users,
-        deltaType: "positive"
-      },
-      {
-        title: "Orders Completed",
-        value: "2,865",
-        delta: 18.7,
-        icon: ShoppingBag,
-        deltaType: "positive"
-      },
-    ],
-  };
+  const { user } = useUser();
+  const [revenue, setRevenue] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user?.accessToken) return;
+    const fetchRevenue = async () => {
+      try {
+        const response = await axios.get(`${import.meta.env.VITE_API_BASE_URL}/provider/revenue`, {
+          params: { period },
+          headers: { Authorization: `Bearer ${user.accessToken}` },
+        });
+        setRevenue(response.data.data);
+        setError(null);
+      } catch (err) {
+        console.error('Failed to fetch revenue stats:', err);
+        setError(err.response?.data?.message || 'Could not load revenue stats.');
+      }
+    };
+    fetchRevenue();
+  }, [period, user]);
+
+  if (error) {
+    return <p className="mt-8 text-red-600">{error}</p>;
+  }
+  if (!revenue) {
+    return <p className="mt-8 text-gray-500">Loading revenue stats...</p>;
+  }
 
-  const stats = statsData[period] || statsData.monthly;
+  const { current, previous } = revenue;
+  // Tips are kept apart from service revenue: they reach the provider in full, with no platform fee
+  const stats = [
+    {
+      title: "Total Revenue",
+      value: formatRupees(current.serviceRevenue),
+      delta: percentChange(current.serviceRevenue, previous.serviceRevenue),
+      icon: DollarSign
+    },
+    {
+      title: "Tips",
+      value: formatRupees(current.tips),
+      delta: percentChange(current.tips, previous.tips),
+      icon: Heart
+    },
+    {
+      title: "New Customers",
+      value: String(current.newCustomers),
+      delta: percentChange(current.newCustomers, previous.newCustomers),
+      icon: Users
+    },
+    {
+      title: "Orders Completed",
+      value: String(current.ordersCompleted),
+      delta: percentChange(current.ordersCompleted, previous.ordersCompleted),
+      icon: ShoppingBag
+    },
+  ];
 
   return (
-    <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
+    <div className="mt-8 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
       {stats.map((stat, index) => (
         <StatCard key={index} {...stat} />
       ))}
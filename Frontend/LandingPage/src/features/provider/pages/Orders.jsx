@@ -73,15 +73,18 @@ const Orders = () => {
   };
 
   // Optionally, allow provider to update order status (e.g., mark as completed)
-  const handleUpdateStatus = async (orderId, newStatus) => {
+  // `details` carries the bill items and discount when completing
+  const handleUpdateStatus = async (orderId, newStatus, details = {}) => {
     if (!user?.accessToken) {
-      return;
+      return false;
     }
     try {
-      await axios.patch(`${import.meta.env.VITE_API_BASE_URL}/service-requests/${orderId}/provider`, { status: newStatus }, {
+      const response = await axios.patch(`${import.meta.env.VITE_API_BASE_URL}/service-requests/${orderId}/provider`, { status: newStatus, ...details }, {
         headers: { Authorization: `Bearer ${user.accessToken}` },
       });
-      setOrders(orders.map(order => order._id === orderId ? { ...order, status: newStatus } : order));
+      setOrders(orders.map(order => order._id === orderId
+        ? { ...order, status: response.data.data?.serviceRequest?.status ?? newStatus, bill: response.data.data?.serviceBill ?? order.bill }
+        : order));
       
       let toastMessage = '';
       let toastVariant = 'default';
@@ -103,9 +106,27 @@ const Orders = () => {
 
       // Removed toast for Order Status Updated!
 
+      return true;
     } catch (error) {
       console.error('Failed to update order status:', error);
-      // Removed toast for Error Updating Status
+      alert(error.response?.data?.message || 'Could not update the order. Please try again.');
+      return false;
+    }
+  };
+
+  // Sub-services of the booked service the provider can add to the bill
+  const handleLoadAddOns = async (orderId) => {
+    if (!user?.accessToken) {
+      return [];
+    }
+    try {
+      const response = await axios.get(`${import.meta.env.VITE_API_BASE_URL}/service-requests/${orderId}/add-ons`, {
+        headers: { Authorization: `Bearer ${user.accessToken}` },
+      });
+      return response.data.data.addOns;
+    } catch (error) {
+      console.error('Failed to load add-ons:', error);
+      return [];
     }
   };
 
@@ -183,6 +204,7 @@ const Orders = () => {
                           order={order}
                           onViewDetails={handleViewDetails}
                           onUpdateStatus={handleUpdateStatus}
+                          onLoadAddOns={handleLoadAddOns}
                         />
                       ))}
                     </div>
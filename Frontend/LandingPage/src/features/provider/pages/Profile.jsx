@@ -3,6 +3,8 @@ import React, { useState } from 'react'; // Removed useEffect for mock loading
 import Layout from '../components/layout/Layout';
 import ProfileCard from '../components/profile/ProfileCard';
 import ProfileForm from '../components/profile/ProfileForm';
+import SessionsList from '@/components/SessionsList';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
 import { Loader2 } from 'lucide-react';
 import { toast } from 'sonner';
 import { useUser } from '@/context/UserContext.tsx'; // Import useUser using @ alias
@@ -91,6 +93,9 @@ const Profile = () => {
             isServiceProvider={true} // Indicate to card if different display is needed
           />
         )}
+
+        <TwoFactorSettings />
+        <SessionsList />
       </div>
     </Layout>
   );
@@ -57,13 +57,13 @@ const Requests = () => {
     fetchRequests();
   }, [user, toast]); // Removed requests from dependency array to prevent infinite loop
 
-  const handleAccept = async (requestId) => {
+  const handleAccept = async (requestId, depositPercent) => {
     if (!user?.accessToken) {
       return;
     }
     try {
       const response = await axios.patch(`${import.meta.env.VITE_API_BASE_URL}/service-requests/${requestId}/provider`,
-        { status: 'accepted' },
+        { status: 'accepted', depositPercent: depositPercent === '' ? undefined : Number(depositPercent) },
         {
           headers: {
             Authorization: `Bearer ${user.accessToken}`,
@@ -80,7 +80,50 @@ const Requests = () => {
       }
     } catch (error) {
       console.error('Failed to accept request:', error);
-      // Removed toast for error accepting request
+      // Removed toast for error accepting request; the reason (e.g. an unanswered quote) still needs showing
+      alert(error.response?.data?.message || 'Could not accept the request. Please try again.');
+    }
+  };
+
+  // Replaces the request's latest quote after it was sent or agreed
+  const updateLatestQuote = (requestId, quote) => {
+    setRequests(prevRequests => prevRequests.map(req =>
+      req._id === requestId ? { ...req, latestQuote: quote } : req
+    ));
+  };
+
+  const handleSendQuote = async (requestId, { items, note }) => {
+    if (!user?.accessToken) {
+      return false;
+    }
+    try {
+      const response = await axios.post(`${import.meta.env.VITE_API_BASE_URL}/service-requests/${requestId}/quotes`,
+        { items, note },
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      updateLatestQuote(requestId, response.data.data.quote);
+      return true;
+    } catch (error) {
+      console.error('Failed to send quote:', error);
+      alert(error.response?.data?.message || 'Could not send the quote. Please try again.');
+      return false;
+    }
+  };
+
+  const handleAcceptCounter = async (requestId, quoteId) => {
+    if (!user?.accessToken) {
+      return;
+    }
+    try {
+      const response = await axios.patch(
+        `${import.meta.env.VITE_API_BASE_URL}/service-requests/${requestId}/quotes/${quoteId}/accept-counter`,
+        {},
+        { headers: { Authorization: `Bearer ${user.accessToken}` } }
+      );
+      updateLatestQuote(requestId, response.data.data.quote);
+    } catch (error) {
+      console.error('Failed to accept counter-offer:', error);
+      alert(error.response?.data?.message || 'Could not accept the counter-offer. Please try again.');
     }
   };
 
@@ -143,8 +186,10 @@ const Requests = () => {
                   <RequestCard
                     key={request._id} // Use _id from backend data
                     request={request} // Pass the whole request object
-                    onAccept={() => handleAccept(request._id)}
+                    onAccept={handleAccept}
                     onReject={() => handleReject(request._id)}
+                    onSendQuote={handleSendQuote}
+                    onAcceptCounter={handleAcceptCounter}
                   />
                 ))}
               </div>
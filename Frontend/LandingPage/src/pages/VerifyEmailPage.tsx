@@ -0,0 +1,60 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { useUser } from '../context/UserContext';
+
+// Landing page for the link in the verification email
+const VerifyEmailPage: React.FC = () => {
+  const { token } = useParams<{ token: string }>();
+  const { user, setUser } = useUser();
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false); // The link is only checked once, even in StrictMode
+
+  useEffect(() => {
+    if (requested.current || !token) return;
+    requested.current = true;
+
+    axios
+      .patch(`${import.meta.env.VITE_API_BASE_URL}/auth/verify-email/${token}`)
+      .then(response => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch(err => {
+        setStatus('failed');
+        setMessage(
+          axios.isAxiosError(err) && err.response?.data?.message
+            ? err.response.data.message
+            : 'We could not verify your email. Please try again.'
+        );
+      });
+  }, [token]);
+
+  // Update the signed-in user once their address is confirmed
+  useEffect(() => {
+    if (status === 'verified' && user && !user.emailVerified) {
+      setUser({ ...user, emailVerified: true });
+    }
+  }, [status, user, setUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background text-foreground p-4">
+      <div className="bg-card text-card-foreground rounded-lg shadow-xl p-8 w-full max-w-md space-y-6 border border-border text-center">
+        <h2 className="text-2xl font-bold text-primary">Email Verification</h2>
+        {status === 'verifying' && <p className="text-muted-foreground">Verifying your email address...</p>}
+        {status === 'verified' && <p className="text-green-600 dark:text-green-400">{message}</p>}
+        {status === 'failed' && (
+          <p className="text-red-600 dark:text-red-400">
+            {message} You can request a new link after signing in.
+          </p>
+        )}
+        <Link to="/" className="inline-block text-primary hover:underline font-semibold">
+          Continue to ThrivePro
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;